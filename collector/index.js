@@ -30,7 +30,7 @@ app.post(
   "/process",
   [verifyPayloadIntegrity],
   async function (request, response) {
-    const { filename, options = {} } = reqBody(request);
+    const { filename, originalName = null, options = {} } = reqBody(request);
     try {
       const targetFilename = path
         .normalize(filename)
@@ -39,7 +39,7 @@ app.post(
         success,
         reason,
         documents = [],
-      } = await processSingleFile(targetFilename, options);
+      } = await processSingleFile(targetFilename, options, originalName);
       response
         .status(200)
         .json({ filename: targetFilename, success, reason, documents });
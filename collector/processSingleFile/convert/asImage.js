@@ -0,0 +1,51 @@
+const { v4 } = require("uuid");
+const {
+  createdDate,
+  trashFile,
+  writeToServerDocuments,
+} = require("../../utils/files");
+const { tokenizeString } = require("../../utils/tokenizer");
+const { default: slugify } = require("slugify");
+const OCRLoader = require("../../utils/OCRLoader");
+
+async function asImage({ fullFilePath = "", filename = "", options = {} }) {
+  console.log(`-- Working ${filename} --`);
+  const ocr = new OCRLoader({ targetLanguages: options?.ocr?.langList });
+  const { text: content, confidence } = await ocr.ocrImage(fullFilePath);
+
+  if (!content?.length) {
+    console.error(`Resulting text content was empty for ${filename}.`);
+    trashFile(fullFilePath);
+    return {
+      success: false,
+      reason: `No text content found in ${filename}.`,
+      documents: [],
+    };
+  }
+
+  const data = {
+    id: v4(),
+    url: "file://" + fullFilePath,
+    title: filename,
+    docAuthor: "no author found",
+    description: "No description found.",
+    docSource: "image file uploaded by the user.",
+    chunkSource: "",
+    published: createdDate(fullFilePath),
+    ocrLanguage: ocr.language,
+    ocrPageConfidence: JSON.stringify({ 1: confidence }),
+    wordCount: content.split(" ").length,
+    pageContent: content,
+    token_count_estimate: tokenizeString(content).length,
+  };
+
+  const document = writeToServerDocuments(
+    data,
+    `${slugify(filename)}-${data.id}`
+  );
+  trashFile(fullFilePath);
+  console.log(`[SUCCESS]: ${filename} converted & ready for embedding.\n`);
+  return { success: true, reason: null, documents: [document] };
+}
+
+module.exports = asImage;
@@ -24,10 +24,7 @@ class PDFLoader {
       const page = await pdf.getPage(i);
       const content = await page.getTextContent();
 
-      if (content.items.length === 0) {
-        continue;
-      }
-
+      // Pages without a text layer are kept with empty content so they can be OCR'd.
       let lastY;
       const textItems = [];
       for (const item of content.items) {
@@ -61,13 +58,16 @@ class PDFLoader {
       return documents;
     }
 
-    if (documents.length === 0) {
+    if (!documents.some((doc) => !!doc.pageContent)) {
       return [];
     }
 
     return [
       {
-        pageContent: documents.map((doc) => doc.pageContent).join("\n\n"),
+        pageContent: documents
+          .filter((doc) => !!doc.pageContent)
+          .map((doc) => doc.pageContent)
+          .join("\n\n"),
         metadata: {
           source: this.filePath,
           pdf: {
@@ -7,14 +7,33 @@ const {
 const { tokenizeString } = require("../../../utils/tokenizer");
 const { default: slugify } = require("slugify");
 const PDFLoader = require("./PDFLoader");
+const OCRLoader = require("../../../utils/OCRLoader");
 
-async function asPdf({ fullFilePath = "", filename = "" }) {
+/**
+ * Vector databases only accept flat metadata so per-page confidence is stored as JSON.
+ * @param {OCRLoader} ocr
+ * @param {{pageNumber: number, confidence: number}[]} results
+ * @returns {object}
+ */
+function ocrMetadata(ocr, results = []) {
+  if (results.length === 0) return {};
+  return {
+    ocrLanguage: ocr.language,
+    ocrPageConfidence: JSON.stringify(
+      Object.fromEntries(
+        results.map(({ pageNumber, confidence }) => [pageNumber, confidence])
+      )
+    ),
+  };
+}
+
+async function asPdf({ fullFilePath = "", filename = "", options = {} }) {
   const pdfLoader = new PDFLoader(fullFilePath, {
     splitPages: true,
   });
 
   console.log(`-- Working ${filename} --`);
-  const pageContent = [];
+  const pages = [];
   const docs = await pdfLoader.load();
 
   for (const doc of docs) {
@@ -23,10 +42,27 @@ async function asPdf({ fullFilePath = "", filename = "" }) {
         doc.metadata?.loc?.pageNumber || "unknown"
       } --`
     );
-    if (!doc.pageContent || !doc.pageContent.length) continue;
-    pageContent.push(doc.pageContent);
+    pages.push({
+      pageNumber: doc.metadata?.loc?.pageNumber,
+      text: doc.pageContent,
+    });
   }
 
+  // Scanned pages have no text layer so we fall back to OCR for them.
+  const ocr = new OCRLoader({ targetLanguages: options?.ocr?.langList });
+  const ocrResults = await ocr.ocrPDF(
+    fullFilePath,
+    pages.filter((page) => !page.text).map((page) => page.pageNumber)
+  );
+  for (const result of ocrResults) {
+    const page = pages.find((page) => page.pageNumber === result.pageNumber);
+    page.text = result.text;
+  }
+
+  const pageContent = pages
+    .filter((page) => !!page.text && !!page.text.length)
+    .map((page) => page.text);
+
   if (!pageContent.length) {
     console.error(`Resulting text content was empty for ${filename}.`);
     trashFile(fullFilePath);
@@ -47,6 +83,7 @@ async function asPdf({ fullFilePath = "", filename = "" }) {
     docSource: "pdf file uploaded by the user.",
     chunkSource: "",
     published: createdDate(fullFilePath),
+    ...ocrMetadata(ocr, ocrResults),
     wordCount: content.split(" ").length,
     pageContent: content,
     token_count_estimate: tokenizeString(content).length,
@@ -0,0 +1,155 @@
+const { v4 } = require("uuid");
+const XLSX = require("xlsx");
+const {
+  createdDate,
+  trashFile,
+  writeToServerDocuments,
+} = require("../../utils/files");
+const { tokenizeString } = require("../../utils/tokenizer");
+const { default: slugify } = require("slugify");
+
+/**
+ * The first row is used as the header when every cell in it is a non-numeric label,
+ * otherwise the sheet has no header and columns are named by their letter (A, B, C...).
+ * @param {string[]} row
+ * @returns {boolean}
+ */
+function isHeaderRow(row = []) {
+  const cells = row.map((cell) => String(cell).trim());
+  if (cells.length === 0) return false;
+  return cells.every((cell) => !!cell && isNaN(Number(cell)));
+}
+
+/**
+ * Converts a sheet into row-oriented text where every row is written out with its column names
+ * so each chunk of the sheet can be understood without the header row.
+ * @param {XLSX.WorkSheet} sheet
+ * @returns {{content: string, rowStart: number, rowEnd: number, rowCount: number, columns: string[]}|null}
+ */
+function sheetToText(sheet) {
+  if (!sheet || !sheet["!ref"]) return null;
+  const range = XLSX.utils.decode_range(sheet["!ref"]);
+  const rows = XLSX.utils.sheet_to_json(sheet, {
+    header: 1,
+    raw: false,
+    defval: "",
+    blankrows: true,
+  });
+
+  // Row numbers shown to the user are 1-indexed like they are in the spreadsheet.
+  const rowNumber = (index) => range.s.r + index + 1;
+  const firstIndex = rows.findIndex((row) =>
+    row.some((cell) => !!String(cell).trim())
+  );
+  if (firstIndex === -1) return null;
+
+  const hasHeader = isHeaderRow(rows[firstIndex]);
+  // Spreading every row into Math.max overflows the call stack on large sheets.
+  const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+  const columns = Array.from({ length: width }, (_, i) => {
+    const header = hasHeader ? String(rows[firstIndex][i] ?? "").trim() : "";
+    return header || XLSX.utils.encode_col(range.s.c + i);
+  });
+
+  const lines = [];
+  let rowStart = null;
+  let rowEnd = null;
+  for (let i = hasHeader ? firstIndex + 1 : firstIndex; i < rows.length; i++) {
+    const values = rows[i]
+      .map((cell, col) => [columns[col], String(cell).trim()])
+      .filter(([_, value]) => !!value)
+      .map(([column, value]) => `${column}: ${value}`);
+    if (values.length === 0) continue;
+
+    rowStart ??= rowNumber(i);
+    rowEnd = rowNumber(i);
+    lines.push(`Row ${rowNumber(i)}: ${values.join(" | ")}`);
+  }
+
+  if (lines.length === 0) return null;
+  return {
+    content: lines.join("\n"),
+    rowStart,
+    rowEnd,
+    rowCount: lines.length,
+    columns,
+  };
+}
+
+async function asSpreadsheet({ fullFilePath = "", filename = "" }) {
+  console.log(`-- Working ${filename} --`);
+
+  let workbook;
+  try {
+    workbook = XLSX.readFile(fullFilePath, { cellDates: true });
+  } catch (error) {
+    console.error(`Could not parse spreadsheet ${filename}.`, error.message);
+    trashFile(fullFilePath);
+    return {
+      success: false,
+      reason: `Could not parse spreadsheet ${filename}.`,
+      documents: [],
+    };
+  }
+
+  const documents = [];
+  const multiSheet = workbook.SheetNames.length > 1;
+  try {
+    for (const sheetName of workbook.SheetNames) {
+      console.log(`-- Parsing content from sheet "${sheetName}" --`);
+      const sheet = sheetToText(workbook.Sheets[sheetName]);
+      if (!sheet) continue;
+
+      const { content, rowStart, rowEnd, rowCount, columns } = sheet;
+      const columnNames = columns.join(", ");
+      const data = {
+        id: v4(),
+        url: "file://" + fullFilePath,
+        title: multiSheet ? `${filename} - ${sheetName}` : filename,
+        docAuthor: workbook.Props?.Author || "no author found",
+        description: `Sheet "${sheetName}" rows ${rowStart}-${rowEnd} with columns ${columnNames}.`,
+        docSource: "spreadsheet file uploaded by the user.",
+        chunkSource: "",
+        published: createdDate(fullFilePath),
+        sheetName,
+        rowRange: `${rowStart}-${rowEnd}`,
+        rowCount,
+        wordCount: content.split(" ").length,
+        pageContent: content,
+        token_count_estimate: tokenizeString(content).length,
+      };
+
+      const document = writeToServerDocuments(
+        data,
+        `${slugify(filename)}-${slugify(sheetName)}-${data.id}`
+      );
+      documents.push(document);
+    }
+  } catch (error) {
+    console.error(`Could not convert spreadsheet ${filename}.`, error.message);
+    trashFile(fullFilePath);
+    return {
+      success: false,
+      reason: `Could not convert spreadsheet ${filename}. ${error.message}`,
+      documents: [],
+    };
+  }
+
+  if (!documents.length) {
+    console.error(`Resulting text content was empty for ${filename}.`);
+    trashFile(fullFilePath);
+    return {
+      success: false,
+      reason: `No text content found in ${filename}.`,
+      documents: [],
+    };
+  }
+
+  trashFile(fullFilePath);
+  console.log(
+    `[SUCCESS]: ${filename} sheets converted & ready for embedding.\n`
+  );
+  return { success: true, reason: null, documents };
+}
+
+module.exports = asSpreadsheet;
@@ -12,7 +12,17 @@ const {
 } = require("../utils/files");
 const RESERVED_FILES = ["__HOTDIR__.md"];
 
-async function processSingleFile(targetFilename, options = {}) {
+/**
+ * @param {string} targetFilename - name of the file in the hotdir
+ * @param {Object} options
+ * @param {string|null} originalName - name the file was uploaded as when it is stored
+ * under a different name in the hotdir, used as the document name instead.
+ */
+async function processSingleFile(
+  targetFilename,
+  options = {},
+  originalName = null
+) {
   const fullFilePath = path.resolve(
     WATCH_DIRECTORY,
     normalizePath(targetFilename)
@@ -68,7 +78,7 @@ async function processSingleFile(targetFilename, options = {}) {
   ]);
   return await FileTypeProcessor({
     fullFilePath,
-    filename: targetFilename,
+    filename: originalName || targetFilename,
     options,
   });
 }
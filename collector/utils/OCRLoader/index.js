@@ -0,0 +1,195 @@
+const fs = require("fs");
+const path = require("path");
+
+// Tesseract traineddata codes, eg: eng, deu, chi_sim
+const VALID_LANGUAGE = /^[a-z]{3}(_[a-z]+)?$/;
+
+// Pixel formats of decoded pdf.js images, these are not exported by the pdf-parse build.
+const IMAGE_KIND = {
+  GRAYSCALE_1BPP: 1,
+  RGB_24BPP: 2,
+  RGBA_32BPP: 3,
+};
+
+/**
+ * Local OCR using tesseract.js for images and PDF pages that have no text layer.
+ * Language models are downloaded once and cached in the storage folder.
+ */
+class OCRLoader {
+  /**
+   * @param {Object} params
+   * @param {string} params.targetLanguages - comma separated tesseract language codes, eg: "eng,deu"
+   */
+  constructor({ targetLanguages = "eng" } = {}) {
+    this.languages = OCRLoader.parseLanguages(targetLanguages);
+    this.cacheDir = path.resolve(
+      process.env.STORAGE_DIR
+        ? path.resolve(process.env.STORAGE_DIR, `models`, `tesseract`)
+        : path.resolve(__dirname, `../../../server/storage/models/tesseract`)
+    );
+
+    // Make directory when it does not exist in existing installations
+    if (!fs.existsSync(this.cacheDir))
+      fs.mkdirSync(this.cacheDir, { recursive: true });
+
+    this.log(`Initialized with ${this.languages.join(", ")}.`);
+  }
+
+  log(text, ...args) {
+    console.log(`\x1b[36m[OCRLoader]\x1b[0m ${text}`, ...args);
+  }
+
+  /**
+   * @param {string} targetLanguages
+   * @returns {string[]}
+   */
+  static parseLanguages(targetLanguages = "eng") {
+    const languages = String(targetLanguages || "")
+      .split(/[,+]/)
+      .map((language) => language.trim().toLowerCase())
+      .filter((language) => VALID_LANGUAGE.test(language));
+    return languages.length > 0 ? [...new Set(languages)] : ["eng"];
+  }
+
+  get language() {
+    return this.languages.join("+");
+  }
+
+  async #createWorker() {
+    const { createWorker, OEM } = require("tesseract.js");
+    return await createWorker(this.languages, OEM.LSTM_ONLY, {
+      cachePath: this.cacheDir,
+    });
+  }
+
+  /**
+   * Tesseract cannot read TIFF images so they are converted to PNG first.
+   * @param {string} filePath
+   * @returns {Promise<Buffer>}
+   */
+  async #readImage(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    if (![".tif", ".tiff"].includes(extension))
+      return fs.readFileSync(filePath);
+
+    const sharp = require("sharp");
+    return await sharp(filePath).png().toBuffer();
+  }
+
+  /**
+   * @param {string} filePath
+   * @returns {Promise<{text: string, confidence: number}>}
+   */
+  async ocrImage(filePath) {
+    const worker = await this.#createWorker();
+    try {
+      const { data } = await worker.recognize(await this.#readImage(filePath));
+      return { text: data.text.trim(), confidence: data.confidence };
+    } catch (e) {
+      this.log(`Could not OCR image ${path.basename(filePath)}`, e.message);
+      return { text: "", confidence: 0 };
+    } finally {
+      await worker.terminate();
+    }
+  }
+
+  /**
+   * OCRs the largest image on each page of a PDF since scanned PDFs hold one image per page.
+   * @param {string} filePath
+   * @param {number[]} pageNumbers - 1-indexed pages to OCR
+   * @returns {Promise<{pageNumber: number, text: string, confidence: number}[]>}
+   */
+  async ocrPDF(filePath, pageNumbers = []) {
+    if (pageNumbers.length === 0) return [];
+    const pdfjs = await import("pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js");
+    const pdf = await pdfjs.getDocument({
+      data: new Uint8Array(fs.readFileSync(filePath)),
+      useWorkerFetch: false,
+      isEvalSupported: false,
+      useSystemFonts: true,
+      // Decode JPEG images in pdf.js so we get their pixels instead of the encoded stream.
+      nativeImageDecoderSupport: "none",
+    }).promise;
+
+    const results = [];
+    const worker = await this.#createWorker();
+    try {
+      for (const pageNumber of pageNumbers) {
+        const page = await pdf.getPage(pageNumber);
+        const image = await this.#largestPageImage(pdfjs.OPS, page);
+        if (!image) {
+          this.log(`No image found to OCR on pg ${pageNumber}.`);
+          continue;
+        }
+
+        this.log(`Running OCR on pg ${pageNumber}.`);
+        const { data } = await worker.recognize(toPNM(image));
+        results.push({
+          pageNumber,
+          text: data.text.trim(),
+          confidence: data.confidence,
+        });
+      }
+    } catch (e) {
+      this.log(`Could not OCR ${path.basename(filePath)}`, e.message);
+    } finally {
+      await worker.terminate();
+    }
+    return results;
+  }
+
+  async #largestPageImage(OPS, page) {
+    const operatorList = await page.getOperatorList();
+    let largest = null;
+
+    for (const [i, fn] of operatorList.fnArray.entries()) {
+      let image = null;
+      if (fn === OPS.paintInlineImageXObject)
+        image = operatorList.argsArray[i][0];
+      if (fn === OPS.paintImageXObject)
+        image = page.objs.get(operatorList.argsArray[i][0]);
+
+      if (!image?.data) continue;
+      if (
+        !largest ||
+        image.width * image.height > largest.width * largest.height
+      )
+        largest = image;
+    }
+    return largest;
+  }
+}
+
+/**
+ * Encodes decoded pdf.js image pixels as a binary PGM/PPM image which tesseract can read.
+ * @param {{width: number, height: number, kind: number, data: Uint8Array}} image
+ * @returns {Buffer}
+ */
+function toPNM({ width, height, kind, data }) {
+  if (kind === IMAGE_KIND.GRAYSCALE_1BPP) {
+    // Rows are bit-packed and padded to a full byte where a set bit is white.
+    const rowBytes = Math.ceil(width / 8);
+    const pixels = Buffer.alloc(width * height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const bit = data[y * rowBytes + (x >> 3)] & (128 >> (x & 7));
+        pixels[y * width + x] = bit ? 255 : 0;
+      }
+    }
+    return Buffer.concat([
+      Buffer.from(`P5\n${width} ${height}\n255\n`),
+      pixels,
+    ]);
+  }
+
+  const channels = kind === IMAGE_KIND.RGBA_32BPP ? 4 : 3;
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < width * height; i++) {
+    pixels[i * 3] = data[i * channels];
+    pixels[i * 3 + 1] = data[i * channels + 1];
+    pixels[i * 3 + 2] = data[i * channels + 2];
+  }
+  return Buffer.concat([Buffer.from(`P6\n${width} ${height}\n255\n`), pixels]);
+}
+
+module.exports = OCRLoader;
@@ -14,7 +14,17 @@ const ACCEPTED_MIMES = {
   "application/vnd.oasis.opendocument.text": [".odt"],
   "application/vnd.oasis.opendocument.presentation": [".odp"],
 
+  "text/csv": [".csv"],
+  "text/tab-separated-values": [".tsv"],
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": [
+    ".xlsx",
+  ],
+  "application/vnd.oasis.opendocument.spreadsheet": [".ods"],
+
   "application/pdf": [".pdf"],
+  "image/png": [".png"],
+  "image/jpeg": [".jpg", ".jpeg"],
+  "image/tiff": [".tiff", ".tif"],
   "application/mbox": [".mbox"],
 
   "audio/wav": [".wav"],
@@ -35,12 +45,23 @@ const SUPPORTED_FILETYPE_CONVERTERS = {
   ".html": "./convert/asTxt.js",
   ".pdf": "./convert/asPDF/index.js",
 
+  ".png": "./convert/asImage.js",
+  ".jpg": "./convert/asImage.js",
+  ".jpeg": "./convert/asImage.js",
+  ".tiff": "./convert/asImage.js",
+  ".tif": "./convert/asImage.js",
+
   ".docx": "./convert/asDocx.js",
   ".pptx": "./convert/asOfficeMime.js",
 
   ".odt": "./convert/asOfficeMime.js",
   ".odp": "./convert/asOfficeMime.js",
 
+  ".csv": "./convert/asSpreadsheet.js",
+  ".tsv": "./convert/asSpreadsheet.js",
+  ".xlsx": "./convert/asSpreadsheet.js",
+  ".ods": "./convert/asSpreadsheet.js",
+
   ".mbox": "./convert/asMbox.js",
 
   ".epub": "./convert/asEPub.js",
@@ -24,7 +24,9 @@ const AdminInvites = lazy(() => import("@/pages/Admin/Invitations"));
 const AdminWorkspaces = lazy(() => import("@/pages/Admin/Workspaces"));
 const AdminSystem = lazy(() => import("@/pages/Admin/System"));
 const AdminLogs = lazy(() => import("@/pages/Admin/Logging"));
+const AdminWebhooks = lazy(() => import("@/pages/Admin/Webhooks"));
 const AdminAgents = lazy(() => import("@/pages/Admin/Agents"));
+const AdminAgentFlows = lazy(() => import("@/pages/Admin/AgentFlows"));
 const GeneralChats = lazy(() => import("@/pages/GeneralSettings/Chats"));
 const GeneralAppearance = lazy(
   () => import("@/pages/GeneralSettings/Appearance")
@@ -127,10 +129,22 @@ export default function App() {
                   path="/settings/agents"
                   element={<AdminRoute Component={AdminAgents} />}
                 />
+                <Route
+                  path="/settings/agents/flows"
+                  element={<AdminRoute Component={AdminAgentFlows} />}
+                />
+                <Route
+                  path="/settings/agents/flows/:uuid"
+                  element={<AdminRoute Component={AdminAgentFlows} />}
+                />
                 <Route
                   path="/settings/event-logs"
                   element={<AdminRoute Component={AdminLogs} />}
                 />
+                <Route
+                  path="/settings/webhooks"
+                  element={<AdminRoute Component={AdminWebhooks} />}
+                />
                 <Route
                   path="/settings/embed-config"
                   element={<AdminRoute Component={EmbedConfigSetup} />}
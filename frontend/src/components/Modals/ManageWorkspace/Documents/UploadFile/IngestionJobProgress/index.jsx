@@ -0,0 +1,137 @@
+import React, { useState, useEffect, useRef } from "react";
+import truncate from "truncate";
+import { CheckCircle, XCircle, Clock } from "@phosphor-icons/react";
+import Document from "../../../../../../models/document";
+import showToast from "../../../../../../utils/toast";
+import PreLoader from "../../../../../Preloader";
+
+const POLL_INTERVAL_MS = 1_500;
+const PENDING_STATUSES = ["queued", "processing"];
+
+function FileStatusIcon({ status }) {
+  if (status === "success")
+    return (
+      <CheckCircle className="w-5 h-5 stroke-white bg-green-500 rounded-full p-1" />
+    );
+  if (status === "failed")
+    return (
+      <XCircle className="w-5 h-5 stroke-white bg-red-500 rounded-full p-1" />
+    );
+  if (status === "processing")
+    return (
+      <div className="flex items-center justify-center">
+        <PreLoader size="5" />
+      </div>
+    );
+  return <Clock className="w-5 h-5 text-white/60" />;
+}
+
+export default function IngestionJobProgress({
+  initialJob,
+  onFilesProcessed,
+  onDismiss,
+}) {
+  const [job, setJob] = useState(initialJob);
+  const [retrying, setRetrying] = useState(false);
+  const succeeded = useRef(initialJob.progress.success);
+  const pending = PENDING_STATUSES.includes(job.status);
+
+  useEffect(() => {
+    if (!pending) return;
+    const interval = setInterval(async () => {
+      const latest = await Document.ingestionJob(job.id);
+      if (latest) setJob(latest);
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [job.id, pending]);
+
+  // Show new documents in the file picker as soon as they are processed.
+  useEffect(() => {
+    if (job.progress.success === succeeded.current) return;
+    succeeded.current = job.progress.success;
+    onFilesProcessed?.();
+  }, [job.progress.success]);
+
+  // The progress is shown inside the dropzone, keep clicks from opening the file picker.
+  const retryFailed = async (e) => {
+    e.stopPropagation();
+    setRetrying(true);
+    const {
+      success,
+      error,
+      job: updated,
+    } = await Document.retryIngestionJob(job.id);
+    if (!success) showToast(error, "error");
+    if (updated) setJob(updated);
+    setRetrying(false);
+  };
+
+  const { total, success, failed, percent } = job.progress;
+  return (
+    <div className="col-span-2 flex flex-col gap-y-2 rounded-lg bg-white/5 border border-white/40 p-2">
+      <div className="flex items-center justify-between gap-x-2">
+        <p className="text-white text-xs font-medium">
+          {pending
+            ? `Processing ${total} ${total === 1 ? "file" : "files"}...`
+            : `${success}/${total} ${total === 1 ? "file" : "files"} processed`}
+          {failed > 0 && (
+            <span className="text-red-400"> | {failed} failed</span>
+          )}
+        </p>
+        <div className="flex items-center gap-x-2">
+          {!pending && failed > 0 && (
+            <button
+              type="button"
+              disabled={retrying}
+              onClick={retryFailed}
+              className="text-xs text-white border border-white/40 rounded-lg px-2 py-0.5 hover:bg-slate-200 hover:text-slate-800 disabled:opacity-50 transition-all duration-300"
+            >
+              {retrying ? "Retrying..." : "Retry failed"}
+            </button>
+          )}
+          {!pending && (
+            <button
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation();
+                onDismiss?.(job.id);
+              }}
+              className="text-xs text-white/60 hover:text-white transition-all duration-300"
+            >
+              Dismiss
+            </button>
+          )}
+        </div>
+      </div>
+      <div className="w-full h-1.5 rounded-full bg-white/10 overflow-hidden">
+        <div
+          className={`h-full rounded-full transition-all duration-300 ${
+            failed > 0 ? "bg-orange-400" : "bg-green-500"
+          }`}
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+      <div className="flex flex-col gap-y-1">
+        {job.files.map((file, i) => (
+          <div key={i} className="flex items-center gap-x-2">
+            <div className="w-5 h-5 flex-shrink-0">
+              <FileStatusIcon status={file.status} />
+            </div>
+            <div className="flex flex-col">
+              <p className="text-white text-xs font-medium">
+                {truncate(file.name, 50)}
+              </p>
+              {file.error && (
+                <p className="text-red-400 text-xs font-medium">
+                  {file.status === "queued"
+                    ? `Will retry. ${file.error}`
+                    : file.error}
+                </p>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -5,7 +5,9 @@ import System from "../../../../../models/system";
 import { useDropzone } from "react-dropzone";
 import { v4 } from "uuid";
 import FileUploadProgress from "./FileUploadProgress";
+import IngestionJobProgress from "./IngestionJobProgress";
 import Workspace from "../../../../../models/workspace";
+import Document from "../../../../../models/document";
 import debounce from "lodash.debounce";
 
 export default function UploadFile({
@@ -16,6 +18,7 @@ export default function UploadFile({
 }) {
   const [ready, setReady] = useState(false);
   const [files, setFiles] = useState([]);
+  const [jobs, setJobs] = useState([]);
   const [fetchingUrl, setFetchingUrl] = useState(false);
 
   const handleSendLink = async (e) => {
@@ -45,12 +48,6 @@ export default function UploadFile({
   const handleUploadError = (_msg) => null; // stubbed.
 
   const onDrop = async (acceptedFiles, rejections) => {
-    const newAccepted = acceptedFiles.map((file) => {
-      return {
-        uid: v4(),
-        file,
-      };
-    });
     const newRejected = rejections.map((file) => {
       return {
         uid: v4(),
@@ -59,9 +56,25 @@ export default function UploadFile({
         reason: file.errors[0].code,
       };
     });
-    setFiles([...newAccepted, ...newRejected]);
+    setFiles(newRejected);
+    if (acceptedFiles.length === 0) return;
+
+    // Files are processed in the background, progress is polled from the job.
+    setLoading(true);
+    setLoadingMessage("Uploading files...");
+    const { job, error } = await Document.createIngestionJob(acceptedFiles);
+    setLoading(false);
+    setLoadingMessage("");
+    if (!job) {
+      showToast(`Error uploading files: ${error}`, "error");
+      return;
+    }
+    setJobs((prev) => [job, ...prev]);
   };
 
+  const dismissJob = (jobId) =>
+    setJobs((prev) => prev.filter((job) => job.id !== jobId));
+
   useEffect(() => {
     async function checkProcessorOnline() {
       const online = await System.checkDocumentProcessorOnline();
@@ -91,22 +104,31 @@ export default function UploadFile({
               Document Processor Unavailable
             </div>
             <div className="text-white text-opacity-60 text-xs font-medium py-1 px-20 text-center">
-              We can't upload your files right now because the document
+              We can&apos;t upload your files right now because the document
               processor is offline. Please try again later.
             </div>
           </div>
-        ) : files.length === 0 ? (
+        ) : files.length === 0 && jobs.length === 0 ? (
           <div className="flex flex-col items-center justify-center">
             <CloudArrowUp className="w-8 h-8 text-white/80" />
             <div className="text-white text-opacity-80 text-sm font-semibold py-1">
               Click to upload or drag and drop
             </div>
             <div className="text-white text-opacity-60 text-xs font-medium py-1">
-              supports text files, csv's, spreadsheets, audio files, and more!
+              supports text files, csv&apos;s, spreadsheets, audio files, and
+              more!
             </div>
           </div>
         ) : (
           <div className="grid grid-cols-2 gap-2 overflow-auto max-h-[180px] p-1 overflow-y-scroll no-scroll">
+            {jobs.map((job) => (
+              <IngestionJobProgress
+                key={job.id}
+                initialJob={job}
+                onFilesProcessed={handleUploadSuccess}
+                onDismiss={dismissJob}
+              />
+            ))}
             {files.map((file) => (
               <FileUploadProgress
                 key={file.uid}
@@ -1,15 +1,31 @@
-import { memo, useState } from "react";
+import { memo, useEffect, useState } from "react";
 import {
   formatDate,
   getFileExtension,
   middleTruncate,
 } from "@/utils/directories";
-import { ArrowUUpLeft, Eye, File, PushPin } from "@phosphor-icons/react";
+import {
+  ArrowUUpLeft,
+  Eye,
+  File,
+  LockSimple,
+  PushPin,
+  X,
+} from "@phosphor-icons/react";
 import Workspace from "@/models/workspace";
+import Admin from "@/models/admin";
 import showToast from "@/utils/toast";
 import System from "@/models/system";
+import useUser from "@/hooks/useUser";
+import ModalWrapper from "@/components/ModalWrapper";
 import { Tooltip } from "react-tooltip";
 
+const ACCESS_ROLES = [
+  { value: "admin", label: "Admins" },
+  { value: "manager", label: "Managers" },
+  { value: "default", label: "Default users" },
+];
+
 export default function WorkspaceFileRow({
   item,
   folderName,
@@ -72,6 +88,11 @@ export default function WorkspaceFileRow({
               docPath={`${folderName}/${item.name}`}
               item={item}
             />
+            <RestrictItemAccess
+              workspace={workspace}
+              docPath={`${folderName}/${item.name}`}
+              item={item}
+            />
             <RemoveItemFromWorkspace item={item} onClick={onRemoveClick} />
           </div>
         )}
@@ -163,6 +184,202 @@ const PinItemToWorkspace = memo(({ workspace, docPath, item }) => {
   );
 });
 
+const RestrictItemAccess = memo(({ workspace, docPath, item }) => {
+  const { user } = useUser();
+  const [access, setAccess] = useState({
+    allowedUsers: item?.allowedUsers ?? [],
+    allowedRoles: item?.allowedRoles ?? [],
+  });
+  const [showModal, setShowModal] = useState(false);
+  const [hover, setHover] = useState(false);
+  const restricted =
+    access.allowedUsers.length > 0 || access.allowedRoles.length > 0;
+
+  // Access lists only apply in multi-user mode.
+  if (!user) return null;
+  if (!item) return <div className="w-[16px] p-[2px] ml-2" />;
+
+  return (
+    <>
+      <div
+        onMouseEnter={() => setHover(true)}
+        onMouseLeave={() => setHover(false)}
+        className="flex gap-x-2 items-center hover:bg-main-gradient p-[2px] rounded ml-2"
+      >
+        <LockSimple
+          data-tooltip-id={`access-${item.id}`}
+          data-tooltip-content={
+            restricted
+              ? "Restricted to some users"
+              : "Restrict who can use this document"
+          }
+          size={16}
+          onClick={() => setShowModal(true)}
+          weight={hover || restricted ? "fill" : "regular"}
+          className="outline-none text-base font-bold flex-shrink-0 cursor-pointer"
+        />
+        <Tooltip
+          id={`access-${item.id}`}
+          place="bottom"
+          delayShow={300}
+          className="tooltip invert !text-xs"
+        />
+      </div>
+      <ModalWrapper isOpen={showModal} noPortal={true}>
+        <DocumentAccessModal
+          workspace={workspace}
+          docPath={docPath}
+          item={item}
+          access={access}
+          onSaved={(updated) => {
+            setAccess(updated);
+            setShowModal(false);
+          }}
+          onClose={() => setShowModal(false)}
+        />
+      </ModalWrapper>
+    </>
+  );
+});
+
+function DocumentAccessModal({
+  workspace,
+  docPath,
+  item,
+  access,
+  onSaved,
+  onClose,
+}) {
+  const [users, setUsers] = useState([]);
+  const [allowedUsers, setAllowedUsers] = useState(access.allowedUsers);
+  const [allowedRoles, setAllowedRoles] = useState(access.allowedRoles);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    Admin.users().then(setUsers);
+  }, []);
+
+  const toggle = (setter, value) =>
+    setter((prev) =>
+      prev.includes(value)
+        ? prev.filter((existing) => existing !== value)
+        : [...prev, value]
+    );
+
+  const handleSave = async () => {
+    setSaving(true);
+    const { success, error, ...updated } = await Workspace.setAccessForDocument(
+      workspace.slug,
+      docPath,
+      {
+        allowedUsers,
+        allowedRoles,
+      }
+    );
+    setSaving(false);
+
+    if (!success) {
+      showToast(`Failed to update document access. ${error ?? ""}`, "error", {
+        clear: true,
+      });
+      return;
+    }
+
+    showToast("Document access updated.", "success", { clear: true });
+    onSaved(updated);
+  };
+
+  return (
+    <div
+      className="relative w-full max-w-md max-h-full cursor-default"
+      onClick={(e) => e.stopPropagation()}
+    >
+      <div className="relative bg-main-gradient rounded-lg shadow">
+        <div className="flex items-start justify-between p-4 border-b rounded-t border-gray-500/50">
+          <div className="flex flex-col gap-y-1 overflow-hidden">
+            <h3 className="text-lg font-semibold text-white">
+              Document access
+            </h3>
+            <p className="text-white/60 text-xs truncate">{item.title}</p>
+          </div>
+          <button
+            onClick={onClose}
+            type="button"
+            className="transition-all duration-300 text-gray-400 bg-transparent hover:border-white/60 rounded-lg text-sm p-1.5 ml-auto inline-flex items-center bg-sidebar-button hover:bg-menu-item-selected-gradient hover:border-slate-100 hover:border-opacity-50 border-transparent border"
+          >
+            <X className="text-gray-300 text-lg" />
+          </button>
+        </div>
+        <div className="p-6 flex flex-col gap-y-4">
+          <p className="text-white/60 text-xs">
+            Only the selected users and roles will get this document in chats
+            and agent searches. Leave everything unselected to let every
+            workspace member use it. Admins can always use every document.
+          </p>
+          <div>
+            <p className="text-white text-sm font-semibold mb-2">Roles</p>
+            <div className="flex flex-wrap gap-x-4 gap-y-2">
+              {ACCESS_ROLES.map((role) => (
+                <label
+                  key={role.value}
+                  className="flex items-center gap-x-2 text-white text-xs cursor-pointer"
+                >
+                  <input
+                    type="checkbox"
+                    checked={allowedRoles.includes(role.value)}
+                    onChange={() => toggle(setAllowedRoles, role.value)}
+                  />
+                  {role.label}
+                </label>
+              ))}
+            </div>
+          </div>
+          <div>
+            <p className="text-white text-sm font-semibold mb-2">Users</p>
+            <div className="flex flex-col gap-y-2 max-h-[200px] overflow-y-auto">
+              {users.length === 0 ? (
+                <p className="text-white/60 text-xs">No users found.</p>
+              ) : (
+                users.map((user) => (
+                  <label
+                    key={user.id}
+                    className="flex items-center gap-x-2 text-white text-xs cursor-pointer"
+                  >
+                    <input
+                      type="checkbox"
+                      checked={allowedUsers.includes(user.id)}
+                      onChange={() => toggle(setAllowedUsers, user.id)}
+                    />
+                    {user.username}
+                    <span className="text-white/40">({user.role})</span>
+                  </label>
+                ))
+              )}
+            </div>
+          </div>
+        </div>
+        <div className="flex w-full justify-end items-center p-4 gap-x-2 border-t border-gray-500/50">
+          <button
+            onClick={onClose}
+            type="button"
+            className="px-4 py-2 rounded-lg text-white hover:bg-stone-900 transition-all duration-300 text-sm"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            type="button"
+            disabled={saving}
+            className="transition-all duration-300 border border-slate-200 px-4 py-2 rounded-lg text-white text-sm items-center flex gap-x-2 hover:bg-slate-200 hover:text-slate-800 focus:ring-gray-800"
+          >
+            {saving ? "Saving..." : "Save"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 const WatchForChanges = memo(({ workspace, docPath, item }) => {
   const [watched, setWatched] = useState(item?.watched || false);
   const [hover, setHover] = useState(false);
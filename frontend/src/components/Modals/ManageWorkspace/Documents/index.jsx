@@ -3,6 +3,7 @@ import { useEffect, useState } from "react";
 import Workspace from "../../../../models/workspace";
 import System from "../../../../models/system";
 import showToast from "../../../../utils/toast";
+import { safeJsonParse } from "../../../../utils/request";
 import Directory from "./Directory";
 import WorkspaceDirectory from "./WorkspaceDirectory";
 
@@ -15,6 +16,14 @@ const MODEL_COSTS = {
   "text-embedding-3-large": 0.00000013, // $0.00013 / 1K tokens
 };
 
+// Access lists are stored as JSON strings on the workspace document.
+function documentAccess(document = null) {
+  return {
+    allowedUsers: safeJsonParse(document?.allowedUsers, []) ?? [],
+    allowedRoles: safeJsonParse(document?.allowedRoles, []) ?? [],
+  };
+}
+
 export default function DocumentSettings({ workspace, systemSettings }) {
   const [highlightWorkspace, setHighlightWorkspace] = useState(false);
   const [availableDocs, setAvailableDocs] = useState([]);
@@ -62,11 +71,20 @@ export default function DocumentSettings({ workspace, systemSettings }) {
         if (folder.items && folder.type === "folder") {
           return {
             ...folder,
-            items: folder.items.filter(
-              (file) =>
-                file.type === "file" &&
-                documentsInWorkspace.includes(`${folder.name}/${file.name}`)
-            ),
+            items: folder.items
+              .filter(
+                (file) =>
+                  file.type === "file" &&
+                  documentsInWorkspace.includes(`${folder.name}/${file.name}`)
+              )
+              .map((file) => ({
+                ...file,
+                ...documentAccess(
+                  currentWorkspace.documents.find(
+                    (doc) => doc.docpath === `${folder.name}/${file.name}`
+                  )
+                ),
+              })),
           };
         } else {
           return folder;
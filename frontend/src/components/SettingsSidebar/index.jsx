@@ -326,6 +326,12 @@ const SidebarOptions = ({ user = null, t }) => (
           flex: true,
           roles: ["admin"],
         },
+        {
+          btnText: t("settings.webhooks"),
+          href: paths.settings.webhooks(),
+          flex: true,
+          roles: ["admin"],
+        },
         {
           btnText: t("settings.api-keys"),
           href: paths.settings.apiKeys(),
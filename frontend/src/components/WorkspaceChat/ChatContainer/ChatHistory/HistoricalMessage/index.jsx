@@ -13,10 +13,19 @@ import { useWatchDeleteMessage } from "./Actions/DeleteMessage";
 import TTSMessage from "./Actions/TTSButton";
 
 const DOMPurify = createDOMPurify(window);
+const AGENT_NAME_COLORS = [
+  "text-sky-400",
+  "text-lime-400",
+  "text-amber-400",
+  "text-pink-400",
+  "text-violet-400",
+  "text-teal-400",
+];
 const HistoricalMessage = ({
   uuid = v4(),
   message,
   role,
+  agentName = null,
   workspace,
   sources = [],
   attachments = [],
@@ -99,6 +108,7 @@ const HistoricalMessage = ({
             />
           ) : (
             <div className={"overflow-x-scroll break-words"}>
+              <AgentName name={agentName} />
               <span
                 className={`flex flex-col gap-y-1`}
                 dangerouslySetInnerHTML={{
@@ -128,6 +138,21 @@ const HistoricalMessage = ({
   );
 };
 
+// Labels turns of named agents so each one in a channel can be told apart.
+function AgentName({ name = null }) {
+  if (!name || name === "@agent") return null;
+  const colorIndex =
+    [...name].reduce((sum, char) => sum + char.charCodeAt(0), 0) %
+    AGENT_NAME_COLORS.length;
+  return (
+    <p
+      className={`text-sm font-semibold font-mono mb-1 ${AGENT_NAME_COLORS[colorIndex]}`}
+    >
+      {name}
+    </p>
+  );
+}
+
 function ProfileImage({ role, workspace }) {
   if (role === "assistant" && workspace.pfpUrl) {
     return (
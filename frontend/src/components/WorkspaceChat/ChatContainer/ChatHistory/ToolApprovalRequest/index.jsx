@@ -0,0 +1,100 @@
+import { useState } from "react";
+import { Check, PencilSimple, ShieldWarning, X } from "@phosphor-icons/react";
+import { safeJsonParse } from "@/utils/request";
+import { AGENT_TOOL_APPROVAL_EVENT } from "@/utils/chat/agent";
+
+export default function ToolApprovalRequest({ request }) {
+  const [decision, setDecision] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [argsText, setArgsText] = useState(
+    JSON.stringify(request.args ?? {}, null, 2)
+  );
+  const editedArgs = safeJsonParse(argsText, null);
+  const validArgs =
+    !!editedArgs &&
+    typeof editedArgs === "object" &&
+    !Array.isArray(editedArgs);
+
+  const respond = (approved) => {
+    window.dispatchEvent(
+      new CustomEvent(AGENT_TOOL_APPROVAL_EVENT, {
+        detail: {
+          id: request.id,
+          approved,
+          args: approved && editing ? editedArgs : undefined,
+        },
+      })
+    );
+    setDecision(approved ? "approved" : "denied");
+    setEditing(false);
+  };
+
+  return (
+    <div className="flex justify-center items-end w-full">
+      <div className="py-2 px-4 w-full flex gap-x-5 md:max-w-[80%] flex-col">
+        <div className="flex flex-col gap-y-2 rounded-lg border border-white/20 bg-black/20 p-3 text-xs">
+          <div className="flex items-center gap-x-2 text-white">
+            <ShieldWarning
+              size={16}
+              weight="fill"
+              className="text-yellow-400"
+            />
+            <p>
+              <b>{request.caller}</b> wants to run{" "}
+              <code className="font-mono">{request.name}</code>
+            </p>
+          </div>
+          {editing ? (
+            <textarea
+              value={argsText}
+              onChange={(e) => setArgsText(e.target.value)}
+              rows={Math.min(12, argsText.split("\n").length + 1)}
+              className={`w-full rounded-lg bg-zinc-900 p-2 font-mono text-white outline-none border ${
+                validArgs ? "border-white/10" : "border-red-500"
+              }`}
+            />
+          ) : (
+            <pre className="w-full overflow-x-auto rounded-lg bg-zinc-900 p-2 font-mono text-white/80 whitespace-pre-wrap">
+              {argsText}
+            </pre>
+          )}
+          {decision ? (
+            <p className="text-white/60">
+              You {decision} this {request.name} call.
+            </p>
+          ) : (
+            <div className="flex items-center gap-x-2">
+              <button
+                type="button"
+                disabled={editing && !validArgs}
+                onClick={() => respond(true)}
+                className="flex items-center gap-x-1 rounded-lg bg-green-600/80 px-3 py-1 text-white hover:bg-green-600 disabled:opacity-50"
+              >
+                <Check size={14} />
+                {editing ? "Approve edited call" : "Approve"}
+              </button>
+              {!editing && (
+                <button
+                  type="button"
+                  onClick={() => setEditing(true)}
+                  className="flex items-center gap-x-1 rounded-lg border border-white/20 px-3 py-1 text-white hover:bg-white/10"
+                >
+                  <PencilSimple size={14} />
+                  Edit
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={() => respond(false)}
+                className="flex items-center gap-x-1 rounded-lg border border-white/20 px-3 py-1 text-white hover:bg-red-500/20"
+              >
+                <X size={14} />
+                Deny
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
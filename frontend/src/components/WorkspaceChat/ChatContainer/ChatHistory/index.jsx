@@ -7,6 +7,7 @@ import { ArrowDown } from "@phosphor-icons/react";
 import debounce from "lodash.debounce";
 import useUser from "@/hooks/useUser";
 import Chartable from "./Chartable";
+import ToolApprovalRequest from "./ToolApprovalRequest";
 import Workspace from "@/models/workspace";
 import { useParams } from "react-router-dom";
 import paths from "@/utils/paths";
@@ -202,6 +203,12 @@ export default function ChatHistory({
           return <StatusResponse key={props.uuid} props={props} />;
         }
 
+        if (props.type === "toolApprovalRequest" && !!props.content) {
+          return (
+            <ToolApprovalRequest key={props.uuid} request={props.content} />
+          );
+        }
+
         if (props.type === "rechartVisualize" && !!props.content) {
           return (
             <Chartable key={props.uuid} workspace={workspace} props={props} />
@@ -228,6 +235,7 @@ export default function ChatHistory({
             key={index}
             message={props.content}
             role={props.role}
+            agentName={props.agentName}
             workspace={workspace}
             sources={props.sources}
             feedbackScore={props.feedbackScore}
@@ -0,0 +1,223 @@
+import { useState, useRef, useEffect } from "react";
+import { Funnel, X } from "@phosphor-icons/react";
+import { Tooltip } from "react-tooltip";
+
+const SOURCE_TYPES = [
+  { value: "", label: "Any source" },
+  { value: "file", label: "Uploaded files" },
+  { value: "link", label: "Websites" },
+  { value: "youtube", label: "YouTube" },
+  { value: "github", label: "GitHub" },
+  { value: "gitlab", label: "GitLab" },
+  { value: "confluence", label: "Confluence" },
+];
+
+/**
+ * Removes empty values so an untouched filter is sent as `null`.
+ * @param {object} filter
+ * @returns {object|null}
+ */
+function cleanFilter(filter = {}) {
+  const cleaned = Object.fromEntries(
+    Object.entries(filter).filter(([_, value]) => !!value)
+  );
+  return Object.keys(cleaned).length > 0 ? cleaned : null;
+}
+
+function filterLabel(filter) {
+  const parts = [];
+  if (filter.sourceType)
+    parts.push(
+      SOURCE_TYPES.find((type) => type.value === filter.sourceType)?.label ??
+        filter.sourceType
+    );
+  if (filter.author) parts.push(`by ${filter.author}`);
+  if (filter.folder) parts.push(`in ${filter.folder}`);
+  if (filter.publishedAfter && filter.publishedBefore)
+    parts.push(`${filter.publishedAfter} - ${filter.publishedBefore}`);
+  else if (filter.publishedAfter) parts.push(`after ${filter.publishedAfter}`);
+  else if (filter.publishedBefore)
+    parts.push(`before ${filter.publishedBefore}`);
+  return parts.join(", ");
+}
+
+export function MetadataFilterChip({ filter, setFilter }) {
+  if (!filter) return null;
+  return (
+    <div className="flex w-full pt-3">
+      <div className="flex items-center gap-x-1 max-w-full rounded-full bg-zinc-800 border border-white/20 pl-3 pr-1 py-1">
+        <Funnel className="w-3 h-3 text-white/60 shrink-0" weight="fill" />
+        <p className="text-white text-xs truncate">{filterLabel(filter)}</p>
+        <button
+          type="button"
+          onClick={() => setFilter(null)}
+          aria-label="Clear document filter"
+          className="rounded-full hover:bg-zinc-600 p-0.5"
+        >
+          <X className="w-3 h-3 text-white" />
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default function MetadataFilterButton({ filter, setFilter }) {
+  const [showFilterMenu, setShowFilterMenu] = useState(false);
+  const buttonRef = useRef(null);
+
+  return (
+    <>
+      <div
+        ref={buttonRef}
+        id="metadata-filter-btn"
+        data-tooltip-id="tooltip-metadata-filter-btn"
+        data-tooltip-content="Only search documents that match a filter"
+        aria-label="Only search documents that match a filter"
+        onClick={() => setShowFilterMenu(!showFilterMenu)}
+        className={`relative flex justify-center items-center opacity-60 hover:opacity-100 cursor-pointer ${
+          showFilterMenu || !!filter ? "!opacity-100" : ""
+        }`}
+      >
+        <Funnel
+          weight="fill"
+          className="w-6 h-6 pointer-events-none text-white"
+        />
+        <Tooltip
+          id="tooltip-metadata-filter-btn"
+          place="top"
+          delayShow={300}
+          className="tooltip !text-xs z-99"
+        />
+      </div>
+      <MetadataFilterMenu
+        showing={showFilterMenu}
+        setShowing={setShowFilterMenu}
+        buttonRef={buttonRef}
+        filter={filter}
+        setFilter={setFilter}
+      />
+    </>
+  );
+}
+
+function MetadataFilterMenu({
+  showing,
+  setShowing,
+  buttonRef,
+  filter,
+  setFilter,
+}) {
+  const formRef = useRef(null);
+  const [draft, setDraft] = useState(filter ?? {});
+
+  useEffect(() => {
+    if (showing) setDraft(filter ?? {});
+  }, [showing]);
+
+  useEffect(() => {
+    function listenForOutsideClick() {
+      if (!showing || !formRef.current) return false;
+      document.addEventListener("click", closeIfOutside);
+    }
+    listenForOutsideClick();
+    return () => document.removeEventListener("click", closeIfOutside);
+  }, [showing, formRef.current]);
+
+  const closeIfOutside = ({ target }) => {
+    if (target.id === "metadata-filter-btn") return;
+    const isOutside = !formRef?.current?.contains(target);
+    if (!isOutside) return;
+    setShowing(false);
+  };
+
+  const updateDraft = (key) => (e) =>
+    setDraft((prev) => ({ ...prev, [key]: e.target.value }));
+
+  if (!buttonRef.current) return null;
+
+  return (
+    <div hidden={!showing}>
+      <div
+        ref={formRef}
+        className="absolute bottom-16 -ml-8 w-[260px] p-3 bg-zinc-800 rounded-lg shadow-md flex flex-col justify-center items-start gap-2 z-50"
+      >
+        <p className="text-white text-sm font-semibold">
+          Only search documents
+        </p>
+        <select
+          value={draft.sourceType ?? ""}
+          onChange={updateDraft("sourceType")}
+          className="bg-zinc-900 text-white text-xs rounded-lg block w-full p-2"
+        >
+          {SOURCE_TYPES.map((type) => (
+            <option key={type.value} value={type.value}>
+              {type.label}
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={draft.author ?? ""}
+          onChange={updateDraft("author")}
+          placeholder="Author"
+          autoComplete="off"
+          className="bg-zinc-900 text-white placeholder:text-white/20 text-xs rounded-lg block w-full p-2"
+        />
+        <input
+          type="text"
+          value={draft.folder ?? ""}
+          onChange={updateDraft("folder")}
+          placeholder="Folder (eg: custom-documents)"
+          autoComplete="off"
+          className="bg-zinc-900 text-white placeholder:text-white/20 text-xs rounded-lg block w-full p-2"
+        />
+        <div className="flex w-full gap-x-2">
+          <div className="flex flex-col w-1/2">
+            <label className="text-white/60 text-xs mb-1">
+              Published after
+            </label>
+            <input
+              type="date"
+              value={draft.publishedAfter ?? ""}
+              onChange={updateDraft("publishedAfter")}
+              className="bg-zinc-900 text-white text-xs rounded-lg block w-full p-2"
+            />
+          </div>
+          <div className="flex flex-col w-1/2">
+            <label className="text-white/60 text-xs mb-1">
+              Published before
+            </label>
+            <input
+              type="date"
+              value={draft.publishedBefore ?? ""}
+              onChange={updateDraft("publishedBefore")}
+              className="bg-zinc-900 text-white text-xs rounded-lg block w-full p-2"
+            />
+          </div>
+        </div>
+        <div className="flex w-full justify-end gap-x-2 mt-1">
+          <button
+            type="button"
+            onClick={() => {
+              setFilter(null);
+              setShowing(false);
+            }}
+            className="px-2 py-1 rounded-md text-white/60 hover:text-white text-xs"
+          >
+            Clear
+          </button>
+          <button
+            type="button"
+            onClick={() => {
+              setFilter(cleanFilter(draft));
+              setShowing(false);
+            }}
+            className="px-2 py-1 rounded-md bg-zinc-700 hover:bg-zinc-600 text-white text-xs"
+          >
+            Apply
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
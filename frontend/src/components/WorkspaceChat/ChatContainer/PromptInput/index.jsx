@@ -11,6 +11,7 @@ import AvailableAgentsButton, {
   useAvailableAgents,
 } from "./AgentMenu";
 import TextSizeButton from "./TextSizeMenu";
+import MetadataFilterButton, { MetadataFilterChip } from "./MetadataFilter";
 import SpeechToText from "./SpeechToText";
 import { Tooltip } from "react-tooltip";
 import AttachmentManager from "./Attachments";
@@ -24,6 +25,8 @@ export default function PromptInput({
   buttonDisabled,
   sendCommand,
   attachments = [],
+  metadataFilter = null,
+  setMetadataFilter,
 }) {
   const [promptInput, setPromptInput] = useState("");
   const { showAgents, setShowAgents } = useAvailableAgents();
@@ -114,6 +117,10 @@ export default function PromptInput({
         <div className="flex items-center rounded-lg md:mb-4">
           <div className="w-[95vw] md:w-[635px] bg-main-gradient shadow-2xl border border-white/50 rounded-2xl flex flex-col px-4 overflow-hidden">
             <AttachmentManager attachments={attachments} />
+            <MetadataFilterChip
+              filter={metadataFilter}
+              setFilter={setMetadataFilter}
+            />
             <div className="flex items-center w-full border-b-2 border-gray-500/50">
               <textarea
                 ref={textareaRef}
@@ -172,6 +179,10 @@ export default function PromptInput({
                   setShowAgents={setShowAgents}
                 />
                 <TextSizeButton />
+                <MetadataFilterButton
+                  filter={metadataFilter}
+                  setFilter={setMetadataFilter}
+                />
               </div>
               <div className="flex gap-x-2">
                 <SpeechToText sendCommand={sendCommand} />
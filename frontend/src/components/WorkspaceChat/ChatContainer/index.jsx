@@ -12,6 +12,7 @@ import handleSocketResponse, {
   websocketURI,
   AGENT_SESSION_END,
   AGENT_SESSION_START,
+  AGENT_TOOL_APPROVAL_EVENT,
 } from "@/utils/chat/agent";
 import DnDFileUploaderWrapper from "./DnDWrapper";
 import SpeechRecognition, {
@@ -25,6 +26,7 @@ export default function ChatContainer({ workspace, knownHistory = [] }) {
   const [chatHistory, setChatHistory] = useState(knownHistory);
   const [socketId, setSocketId] = useState(null);
   const [websocket, setWebsocket] = useState(null);
+  const [metadataFilter, setMetadataFilter] = useState(null);
   const { files, parseAttachments } = useContext(DndUploaderContext);
 
   // Maintain state of message from whatever is in PromptInput
@@ -182,6 +184,7 @@ export default function ChatContainer({ workspace, knownHistory = [] }) {
             setSocketId
           ),
         attachments,
+        filters: metadataFilter,
       });
       return;
     }
@@ -202,6 +205,19 @@ export default function ChatContainer({ workspace, knownHistory = [] }) {
           websocket.close();
         });
 
+        // Relay the user's decision on a tool call the agent is waiting on.
+        const sendToolApproval = ({ detail }) => {
+          socket.send(
+            JSON.stringify({
+              type: "toolApprovalResponse",
+              id: detail.id,
+              approved: detail.approved,
+              args: detail.args,
+            })
+          );
+        };
+        window.addEventListener(AGENT_TOOL_APPROVAL_EVENT, sendToolApproval);
+
         socket.addEventListener("message", (event) => {
           setLoadingResponse(true);
           try {
@@ -215,6 +231,10 @@ export default function ChatContainer({ workspace, knownHistory = [] }) {
         });
 
         socket.addEventListener("close", (_event) => {
+          window.removeEventListener(
+            AGENT_TOOL_APPROVAL_EVENT,
+            sendToolApproval
+          );
           window.dispatchEvent(new CustomEvent(AGENT_SESSION_END));
           setChatHistory((prev) => [
             ...prev.filter((msg) => !!msg.content),
@@ -282,6 +302,8 @@ export default function ChatContainer({ workspace, knownHistory = [] }) {
           buttonDisabled={loadingResponse}
           sendCommand={sendCommand}
           attachments={files}
+          metadataFilter={metadataFilter}
+          setMetadataFilter={setMetadataFilter}
         />
       </DnDFileUploaderWrapper>
     </div>
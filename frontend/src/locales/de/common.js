@@ -30,6 +30,7 @@ const TRANSLATIONS = {
     "embed-chats": "Chat-Einbettungsverlauf",
     security: "Sicherheit",
     "event-logs": "Ereignisprotokolle",
+    webhooks: "Webhooks",
     privacy: "Datenschutz & Datenverarbeitung",
     "ai-providers": "KI-Anbieter",
     "agent-skills": "Agentenfähigkeiten",
@@ -162,6 +163,12 @@ const TRANSLATIONS = {
         only: "nur",
         "desc-end": "liefern, wenn Dokumentenkontext gefunden wird.",
       },
+      graph: {
+        title: "Graph",
+        "desc-start":
+          "liefert Antworten mit Fakten aus dem Wissensgraphen des Arbeitsbereichs",
+        "desc-end": "und dem gefundenen Dokumentkontext.",
+      },
     },
     history: {
       title: "Chat-Verlauf",
@@ -219,6 +226,52 @@ const TRANSLATIONS = {
         "Die Arbeitsbereich-Vektordatenbank konnte nicht zurückgesetzt werden!",
       success: "Die Arbeitsbereich-Vektordatenbank wurde zurückgesetzt!",
     },
+    graph: {
+      title: "Wissensgraph-Extraktion",
+      description:
+        "Wenn aktiviert, extrahiert das LLM des Arbeitsbereichs Entitäten und Beziehungen aus jedem neu eingebetteten Abschnitt in einen Wissensgraphen. Die Extraktion läuft nach dem Einbetten im Hintergrund und ruft das LLM einmal pro Abschnitt auf, daher füllt sich der Graph kurz nach dem Hinzufügen von Dokumenten.",
+      unsupported: "Erfordert Neo4j als Vektordatenbank.",
+      hops: {
+        title: "Traversierungstiefe des Wissensgraphen",
+        description:
+          "Wie viele Beziehungen entfernt von den in einer Eingabe erwähnten Entitäten der Graph-Chatmodus nach Fakten sucht.",
+        recommend: "Empfohlen: 2",
+      },
+      viewer: {
+        title: "Wissensgraph",
+        description:
+          "Aus den Dokumenten dieses Arbeitsbereichs extrahierte Entitäten und Beziehungen. Klicken Sie auf eine Entität, um ihre Beziehungen zu sehen.",
+        search: "Entität suchen",
+        refresh: "Aktualisieren",
+        empty:
+          "Für diesen Arbeitsbereich wurden noch keine Entitäten extrahiert.",
+      },
+    },
+    hybrid: {
+      title: "Hybride Stichwortsuche",
+      description:
+        "Wenn aktiviert, läuft neben der Vektorsuche eine Volltext-Stichwortsuche und beide Ergebnisse werden per Reciprocal Rank Fusion zusammengeführt. Hilft, exakte Begriffe wie Teilenummern, Fehlercodes und Namen zu finden.",
+    },
+    rerank: {
+      title: "Reranker",
+      description:
+        "Ordnet die gefundenen Abschnitte neu, damit die relevantesten an das LLM gesendet werden. Es werden mehr Kandidaten abgerufen als verwendet und nur die besten behalten.",
+      none: "Kein Reranking",
+      native: "AnythingLLM nativer Cross-Encoder (auf der Instanz)",
+      "no-key": "API-Schlüssel nicht gesetzt",
+      candidates: {
+        title: "Reranking-Kandidaten",
+        description:
+          "Wie viele Abschnitte aus der Suche abgerufen werden, aus denen der Reranker auswählt.",
+        recommend: "Empfohlen: 20",
+      },
+    },
+    splitter: {
+      title: "Textsplitter",
+      description:
+        "Wie in diesen Arbeitsbereich eingebettete Dokumente in Abschnitte aufgeteilt werden. Gilt nur für neu eingebettete Dokumente.",
+      default: "Systemstandard",
+    },
   },
 
   agent: {
@@ -395,6 +448,17 @@ const TRANSLATIONS = {
       description:
         "Dies ist die maximale Überlappung von Zeichen, die während des Chunkings zwischen zwei benachbarten Textchunks auftritt.",
     },
+
+    splitter: {
+      title: "Textsplitter",
+      description:
+        "Wie Dokumente in Abschnitte aufgeteilt werden. Automatisch teilt Markdown an seinen Überschriften und Quellcode anhand der Syntax seiner Sprache.",
+      auto: "Automatisch (nach Dateityp)",
+      recursive: "Zeichen (Standard)",
+      markdown: "Markdown-Überschriften",
+      code: "Quellcode",
+      sentence: "Sätze",
+    },
   },
 
   vector: {
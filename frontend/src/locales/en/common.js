@@ -31,6 +31,7 @@ const TRANSLATIONS = {
     "embed-chats": "Chat Embed History",
     security: "Security",
     "event-logs": "Event Logs",
+    webhooks: "Webhooks",
     privacy: "Privacy & Data",
     "ai-providers": "AI Providers",
     "agent-skills": "Agent Skills",
@@ -167,6 +168,12 @@ const TRANSLATIONS = {
         only: "only",
         "desc-end": "if document context is found.",
       },
+      graph: {
+        title: "Graph",
+        "desc-start":
+          "will provide answers using facts from the workspace knowledge graph",
+        "desc-end": "and any document context that is found.",
+      },
     },
     history: {
       title: "Chat History",
@@ -224,6 +231,51 @@ const TRANSLATIONS = {
       error: "Workspace vector database could not be reset!",
       success: "Workspace vector database was reset!",
     },
+    graph: {
+      title: "Knowledge graph extraction",
+      description:
+        "When enabled, the workspace LLM extracts entities and relations from every newly embedded chunk into a knowledge graph. Extraction runs in the background after embedding and calls the LLM once per chunk, so the graph fills in shortly after documents are added.",
+      unsupported: "Requires Neo4j as the vector database.",
+      hops: {
+        title: "Knowledge graph traversal depth",
+        description:
+          "How many relations away from the entities mentioned in a prompt the Graph chat mode will look for facts.",
+        recommend: "Recommended: 2",
+      },
+      viewer: {
+        title: "Knowledge graph",
+        description:
+          "Entities and relations extracted from the documents of this workspace. Click an entity to see its relations.",
+        search: "Find an entity",
+        refresh: "Refresh",
+        empty: "No entities have been extracted for this workspace yet.",
+      },
+    },
+    hybrid: {
+      title: "Hybrid keyword search",
+      description:
+        "When enabled, a full-text keyword search runs next to the vector search and both results are merged with reciprocal rank fusion. Helps find exact terms like part numbers, error codes and names.",
+    },
+    rerank: {
+      title: "Reranker",
+      description:
+        "Reorders the chunks found by search so the most relevant ones are sent to the LLM. More candidates are fetched than will be used and only the best are kept.",
+      none: "No reranking",
+      native: "AnythingLLM native cross-encoder (on-instance)",
+      "no-key": "API key not set",
+      candidates: {
+        title: "Rerank candidates",
+        description:
+          "How many chunks are fetched from search for the reranker to choose from.",
+        recommend: "Recommended: 20",
+      },
+    },
+    splitter: {
+      title: "Text Splitter",
+      description:
+        "How documents embedded into this workspace are split into chunks. Only applies to newly embedded documents.",
+      default: "System default",
+    },
   },
 
   // Agent Configuration
@@ -402,6 +454,17 @@ const TRANSLATIONS = {
       description:
         "This is the maximum overlap of characters that occurs during chunking between two adjacent text chunks.",
     },
+
+    splitter: {
+      title: "Text Splitter",
+      description:
+        "How documents are split into chunks. Automatic splits markdown by its headers and source code by the syntax of its language.",
+      auto: "Automatic (by file type)",
+      recursive: "Character (default)",
+      markdown: "Markdown headers",
+      code: "Source code",
+      sentence: "Sentences",
+    },
   },
 
   // Vector Database
@@ -30,6 +30,7 @@ const TRANSLATIONS = {
     "embed-chats": "Historial de chats incrustados",
     security: "Seguridad",
     "event-logs": "Registros de eventos",
+    webhooks: "Webhooks",
     privacy: "Privacidad y datos",
     "ai-providers": "Proveedores de IA",
     "agent-skills": "Habilidades del agente",
@@ -164,6 +165,12 @@ const TRANSLATIONS = {
         only: "solo",
         "desc-end": "si se encuentra el contexto del documento.",
       },
+      graph: {
+        title: "Grafo",
+        "desc-start":
+          "proporcionará respuestas usando hechos del grafo de conocimiento del espacio de trabajo",
+        "desc-end": "y cualquier contexto de documento que se encuentre.",
+      },
     },
     history: {
       title: "Historial de chat",
@@ -222,6 +229,51 @@ const TRANSLATIONS = {
       success:
         "¡La base de datos de vectores del espacio de trabajo fue restablecida!",
     },
+    graph: {
+      title: "Extracción de grafo de conocimiento",
+      description:
+        "Cuando está activado, el LLM del espacio de trabajo extrae entidades y relaciones de cada fragmento recién incrustado en un grafo de conocimiento. La extracción se ejecuta en segundo plano después de la incrustación y llama al LLM una vez por fragmento, por lo que el grafo se completa poco después de añadir documentos.",
+      unsupported: "Requiere Neo4j como base de datos de vectores.",
+      hops: {
+        title: "Profundidad de recorrido del grafo de conocimiento",
+        description:
+          "A cuántas relaciones de distancia de las entidades mencionadas en un mensaje buscará hechos el modo de chat Grafo.",
+        recommend: "Recomendado: 2",
+      },
+      viewer: {
+        title: "Grafo de conocimiento",
+        description:
+          "Entidades y relaciones extraídas de los documentos de este espacio de trabajo. Haga clic en una entidad para ver sus relaciones.",
+        search: "Buscar una entidad",
+        refresh: "Actualizar",
+        empty: "Aún no se han extraído entidades para este espacio de trabajo.",
+      },
+    },
+    hybrid: {
+      title: "Búsqueda híbrida por palabras clave",
+      description:
+        "Cuando está activado, se ejecuta una búsqueda de texto completo junto a la búsqueda vectorial y ambos resultados se combinan con fusión de rango recíproco. Ayuda a encontrar términos exactos como números de pieza, códigos de error y nombres.",
+    },
+    rerank: {
+      title: "Reordenador",
+      description:
+        "Reordena los fragmentos encontrados por la búsqueda para que los más relevantes se envíen al LLM. Se obtienen más candidatos de los que se usarán y solo se conservan los mejores.",
+      none: "Sin reordenación",
+      native: "Cross-encoder nativo de AnythingLLM (en la instancia)",
+      "no-key": "Clave API no configurada",
+      candidates: {
+        title: "Candidatos a reordenar",
+        description:
+          "Cuántos fragmentos se obtienen de la búsqueda para que el reordenador elija.",
+        recommend: "Recomendado: 20",
+      },
+    },
+    splitter: {
+      title: "Divisor de texto",
+      description:
+        "Cómo se dividen en fragmentos los documentos incrustados en este espacio de trabajo. Solo se aplica a documentos recién incrustados.",
+      default: "Predeterminado del sistema",
+    },
   },
 
   agent: {
@@ -398,6 +450,17 @@ const TRANSLATIONS = {
       description:
         "Esta es la superposición máxima de caracteres que ocurre durante la fragmentación entre dos fragmentos de texto adyacentes.",
     },
+
+    splitter: {
+      title: "Divisor de texto",
+      description:
+        "Cómo se dividen los documentos en fragmentos. Automático divide el markdown por sus encabezados y el código fuente según la sintaxis de su lenguaje.",
+      auto: "Automático (por tipo de archivo)",
+      recursive: "Caracteres (predeterminado)",
+      markdown: "Encabezados de markdown",
+      code: "Código fuente",
+      sentence: "Oraciones",
+    },
   },
 
   vector: {
@@ -31,6 +31,7 @@ const TRANSLATIONS = {
     "embed-chats": "Historique des chats intégrés",
     security: "Sécurité",
     "event-logs": "Journaux d'événements",
+    webhooks: "Webhooks",
     privacy: "Confidentialité et données",
     "ai-providers": "Fournisseurs d'IA",
     "agent-skills": "Compétences de l'agent",
@@ -170,6 +171,12 @@ const TRANSLATIONS = {
         only: "uniquement",
         "desc-end": "si un contexte de document est trouvé.",
       },
+      graph: {
+        title: "Graphe",
+        "desc-start":
+          "fournira des réponses à partir des faits du graphe de connaissances de l'espace de travail",
+        "desc-end": "et du contexte de document trouvé.",
+      },
     },
     history: {
       title: "Historique des chats",
@@ -229,6 +236,52 @@ const TRANSLATIONS = {
       success:
         "La base de données vectorielle de l'espace de travail a été réinitialisée !",
     },
+    graph: {
+      title: "Extraction du graphe de connaissances",
+      description:
+        "Lorsque cette option est activée, le LLM de l'espace de travail extrait les entités et les relations de chaque fragment nouvellement intégré dans un graphe de connaissances. L'extraction s'exécute en arrière-plan après l'intégration et appelle le LLM une fois par fragment, le graphe se remplit donc peu après l'ajout des documents.",
+      unsupported: "Nécessite Neo4j comme base de données vectorielle.",
+      hops: {
+        title: "Profondeur de parcours du graphe de connaissances",
+        description:
+          "À combien de relations des entités mentionnées dans un message le mode de chat Graphe cherchera des faits.",
+        recommend: "Recommandé : 2",
+      },
+      viewer: {
+        title: "Graphe de connaissances",
+        description:
+          "Entités et relations extraites des documents de cet espace de travail. Cliquez sur une entité pour voir ses relations.",
+        search: "Rechercher une entité",
+        refresh: "Actualiser",
+        empty:
+          "Aucune entité n'a encore été extraite pour cet espace de travail.",
+      },
+    },
+    hybrid: {
+      title: "Recherche hybride par mots-clés",
+      description:
+        "Lorsqu'elle est activée, une recherche plein texte s'exécute à côté de la recherche vectorielle et les deux résultats sont fusionnés par fusion de rangs réciproques. Aide à trouver des termes exacts comme des références, des codes d'erreur et des noms.",
+    },
+    rerank: {
+      title: "Reclassement",
+      description:
+        "Réordonne les fragments trouvés par la recherche afin que les plus pertinents soient envoyés au LLM. Plus de candidats sont récupérés que nécessaire et seuls les meilleurs sont conservés.",
+      none: "Aucun reclassement",
+      native: "Cross-encoder natif d'AnythingLLM (sur l'instance)",
+      "no-key": "Clé API non définie",
+      candidates: {
+        title: "Candidats au reclassement",
+        description:
+          "Combien de fragments sont récupérés par la recherche pour que le reclassement choisisse.",
+        recommend: "Recommandé : 20",
+      },
+    },
+    splitter: {
+      title: "Découpeur de texte",
+      description:
+        "Comment les documents intégrés dans cet espace de travail sont découpés en fragments. S'applique uniquement aux documents nouvellement intégrés.",
+      default: "Par défaut du système",
+    },
   },
 
   // Agent Configuration
@@ -410,6 +463,17 @@ const TRANSLATIONS = {
       description:
         "C'est le chevauchement maximal de caractères qui se produit pendant le découpage entre deux segments de texte adjacents.",
     },
+
+    splitter: {
+      title: "Découpeur de texte",
+      description:
+        "Comment les documents sont découpés en fragments. Automatique découpe le markdown par ses titres et le code source selon la syntaxe de son langage.",
+      auto: "Automatique (par type de fichier)",
+      recursive: "Caractères (par défaut)",
+      markdown: "Titres markdown",
+      code: "Code source",
+      sentence: "Phrases",
+    },
   },
 
   // Vector Database
@@ -31,6 +31,7 @@ const TRANSLATIONS = {
     "embed-chats": "היסטוריית הטמעת צ'אט",
     security: "אבטחה",
     "event-logs": "יומני אירועים",
+    webhooks: "Webhooks",
     privacy: "פרטיות ונתונים",
     "ai-providers": "ספקי AI",
     "agent-skills": "כישורי סוכן",
@@ -164,6 +165,11 @@ const TRANSLATIONS = {
         only: "רק",
         "desc-end": "אם נמצא הקשר של מסמך.",
       },
+      graph: {
+        title: "גרף",
+        "desc-start": "יספק תשובות באמצעות עובדות מגרף הידע של סביבת העבודה",
+        "desc-end": "וכל הקשר מסמך שנמצא.",
+      },
     },
     history: {
       title: "היסטוריית צ'אט",
@@ -220,6 +226,50 @@ const TRANSLATIONS = {
       error: "לא ניתן היה לאפס את בסיס הנתונים הווקטורי של סביבת העבודה!",
       success: "בסיס הנתונים הווקטורי של סביבת העבודה איפס!",
     },
+    graph: {
+      title: "חילוץ גרף ידע",
+      description:
+        "כאשר מופעל, ה-LLM של סביבת העבודה מחלץ ישויות וקשרים מכל מקטע שהוטמע לאחרונה לתוך גרף ידע. החילוץ רץ ברקע לאחר ההטמעה וקורא ל-LLM פעם אחת לכל מקטע, כך שהגרף מתמלא זמן קצר לאחר הוספת המסמכים.",
+      unsupported: "דורש את Neo4j כבסיס נתונים וקטורי.",
+      hops: {
+        title: "עומק מעבר בגרף הידע",
+        description:
+          "במרחק כמה קשרים מהישויות המוזכרות בהנחיה מצב הצ'אט גרף יחפש עובדות.",
+        recommend: "מומלץ: 2",
+      },
+      viewer: {
+        title: "גרף ידע",
+        description:
+          "ישויות וקשרים שחולצו מהמסמכים של סביבת עבודה זו. לחץ על ישות כדי לראות את הקשרים שלה.",
+        search: "חפש ישות",
+        refresh: "רענן",
+        empty: "עדיין לא חולצו ישויות עבור סביבת עבודה זו.",
+      },
+    },
+    hybrid: {
+      title: "חיפוש היברידי לפי מילות מפתח",
+      description:
+        "כאשר מופעל, חיפוש טקסט מלא רץ לצד החיפוש הווקטורי ושתי התוצאות ממוזגות באמצעות Reciprocal Rank Fusion. עוזר למצוא מונחים מדויקים כמו מספרי חלקים, קודי שגיאה ושמות.",
+    },
+    rerank: {
+      title: "דירוג מחדש",
+      description:
+        "מסדר מחדש את המקטעים שנמצאו בחיפוש כך שהרלוונטיים ביותר יישלחו ל-LLM. מאוחזרים יותר מועמדים ממה שישמשו ורק הטובים ביותר נשמרים.",
+      none: "ללא דירוג מחדש",
+      native: "Cross-encoder מקורי של AnythingLLM (על המופע)",
+      "no-key": "מפתח API לא הוגדר",
+      candidates: {
+        title: "מועמדים לדירוג מחדש",
+        description: "כמה מקטעים מאוחזרים מהחיפוש כדי שהמדרג יבחר מתוכם.",
+        recommend: "מומלץ: 20",
+      },
+    },
+    splitter: {
+      title: "מפצל טקסט",
+      description:
+        "כיצד מסמכים המוטמעים בסביבת עבודה זו מחולקים לקטעים. חל רק על מסמכים שהוטמעו לאחרונה.",
+      default: "ברירת המחדל של המערכת",
+    },
   },
 
   // Agent Configuration
@@ -394,6 +444,17 @@ const TRANSLATIONS = {
       description:
         "זו החפיפה המרבית של הדמויות המתרחשת במהלך החלוקה בין שני קטעי טקסט סמוכים.",
     },
+
+    splitter: {
+      title: "מפצל טקסט",
+      description:
+        "כיצד מסמכים מחולקים לקטעים. אוטומטי מפצל markdown לפי הכותרות שלו וקוד מקור לפי התחביר של השפה שלו.",
+      auto: "אוטומטי (לפי סוג קובץ)",
+      recursive: "תווים (ברירת מחדל)",
+      markdown: "כותרות markdown",
+      code: "קוד מקור",
+      sentence: "משפטים",
+    },
   },
 
   // Vector Database
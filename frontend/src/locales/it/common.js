@@ -31,6 +31,7 @@ const TRANSLATIONS = {
     "embed-chats": "Storico chat incorporata",
     security: "Sicurezza",
     "event-logs": "Log degli eventi",
+    webhooks: "Webhook",
     privacy: "Privacy & Dati",
     "ai-providers": "AI Providers",
     "agent-skills": "Abilità dell'agente",
@@ -168,6 +169,12 @@ const TRANSLATIONS = {
         only: "solo",
         "desc-end": "se sarà presente un contesto documentale",
       },
+      graph: {
+        title: "Grafo",
+        "desc-start":
+          "fornirà risposte utilizzando i fatti del grafo della conoscenza dell'area di lavoro",
+        "desc-end": "e qualsiasi contesto del documento trovato.",
+      },
     },
     history: {
       title: "Chat History",
@@ -227,6 +234,52 @@ const TRANSLATIONS = {
       success:
         "Il database vettoriale dell'area di lavoro è stato reimpostato!",
     },
+    graph: {
+      title: "Estrazione del grafo della conoscenza",
+      description:
+        "Se abilitato, l'LLM dell'area di lavoro estrae entità e relazioni da ogni frammento appena incorporato in un grafo della conoscenza. L'estrazione viene eseguita in background dopo l'incorporamento e chiama l'LLM una volta per frammento, quindi il grafo si popola poco dopo l'aggiunta dei documenti.",
+      unsupported: "Richiede Neo4j come database vettoriale.",
+      hops: {
+        title: "Profondità di attraversamento del grafo della conoscenza",
+        description:
+          "A quante relazioni di distanza dalle entità menzionate in un prompt la modalità chat Grafo cercherà i fatti.",
+        recommend: "Consigliato: 2",
+      },
+      viewer: {
+        title: "Grafo della conoscenza",
+        description:
+          "Entità e relazioni estratte dai documenti di quest'area di lavoro. Fai clic su un'entità per vederne le relazioni.",
+        search: "Cerca un'entità",
+        refresh: "Aggiorna",
+        empty:
+          "Non sono ancora state estratte entità per quest'area di lavoro.",
+      },
+    },
+    hybrid: {
+      title: "Ricerca ibrida per parole chiave",
+      description:
+        "Se abilitata, una ricerca full-text viene eseguita insieme alla ricerca vettoriale e i due risultati vengono uniti con la reciprocal rank fusion. Aiuta a trovare termini esatti come codici articolo, codici di errore e nomi.",
+    },
+    rerank: {
+      title: "Reranker",
+      description:
+        "Riordina i frammenti trovati dalla ricerca in modo che i più pertinenti vengano inviati all'LLM. Vengono recuperati più candidati di quelli usati e vengono tenuti solo i migliori.",
+      none: "Nessun riordinamento",
+      native: "Cross-encoder nativo di AnythingLLM (sull'istanza)",
+      "no-key": "Chiave API non impostata",
+      candidates: {
+        title: "Candidati da riordinare",
+        description:
+          "Quanti frammenti vengono recuperati dalla ricerca tra cui il reranker può scegliere.",
+        recommend: "Consigliato: 20",
+      },
+    },
+    splitter: {
+      title: "Divisore di testo",
+      description:
+        "Come i documenti incorporati in quest'area di lavoro vengono divisi in blocchi. Si applica solo ai documenti appena incorporati.",
+      default: "Predefinito di sistema",
+    },
   },
 
   // Agent Configuration
@@ -407,6 +460,17 @@ const TRANSLATIONS = {
       description:
         "Questa è la sovrapposizione massima di caratteri che si verifica durante la suddivisione in blocchi tra due porzioni di testo adiacenti.",
     },
+
+    splitter: {
+      title: "Divisore di testo",
+      description:
+        "Come i documenti vengono divisi in blocchi. Automatico divide il markdown in base alle intestazioni e il codice sorgente in base alla sintassi del suo linguaggio.",
+      auto: "Automatico (per tipo di file)",
+      recursive: "Caratteri (predefinito)",
+      markdown: "Intestazioni markdown",
+      code: "Codice sorgente",
+      sentence: "Frasi",
+    },
   },
 
   // Vector Database
@@ -31,6 +31,7 @@ const TRANSLATIONS = {
     "embed-chats": "채팅 임베드 기록",
     security: "보안",
     "event-logs": "이벤트 로그",
+    webhooks: "웹훅",
     privacy: "사생활 보호와 데이터",
     "ai-providers": "AI 제공자",
     "agent-skills": "에이전트 스킬",
@@ -164,6 +165,12 @@ const TRANSLATIONS = {
         only: "때만",
         "desc-end": "답변을 제공합니다.",
       },
+      graph: {
+        title: "그래프",
+        "desc-start":
+          "워크스페이스 지식 그래프의 사실을 사용하여 답변을 제공합니다",
+        "desc-end": "찾은 문서 컨텍스트도 함께 사용합니다.",
+      },
     },
     history: {
       title: "채팅 기록",
@@ -218,6 +225,50 @@ const TRANSLATIONS = {
       error: "워크스페이스 벡터 데이터베이스를 재설정할 수 없습니다!",
       success: "워크스페이스 벡터 데이터베이스가 재설정되었습니다!",
     },
+    graph: {
+      title: "지식 그래프 추출",
+      description:
+        "활성화하면 워크스페이스 LLM이 새로 임베딩된 모든 청크에서 엔티티와 관계를 추출하여 지식 그래프에 저장합니다. 추출은 임베딩 후 백그라운드에서 실행되며 청크마다 LLM을 한 번씩 호출하므로, 문서를 추가한 뒤 잠시 후에 그래프가 채워집니다.",
+      unsupported: "벡터 데이터베이스로 Neo4j가 필요합니다.",
+      hops: {
+        title: "지식 그래프 탐색 깊이",
+        description:
+          "그래프 채팅 모드가 프롬프트에 언급된 엔티티로부터 몇 단계의 관계까지 사실을 찾을지 설정합니다.",
+        recommend: "권장: 2",
+      },
+      viewer: {
+        title: "지식 그래프",
+        description:
+          "이 워크스페이스의 문서에서 추출한 엔티티와 관계입니다. 엔티티를 클릭하면 관계를 볼 수 있습니다.",
+        search: "엔티티 찾기",
+        refresh: "새로고침",
+        empty: "이 워크스페이스에서 아직 추출된 엔티티가 없습니다.",
+      },
+    },
+    hybrid: {
+      title: "하이브리드 키워드 검색",
+      description:
+        "활성화하면 벡터 검색과 함께 전체 텍스트 키워드 검색이 실행되고 두 결과가 상호 순위 융합(RRF)으로 병합됩니다. 부품 번호, 오류 코드, 이름과 같은 정확한 용어를 찾는 데 도움이 됩니다.",
+    },
+    rerank: {
+      title: "리랭커",
+      description:
+        "검색으로 찾은 청크를 다시 정렬하여 가장 관련성 높은 청크가 LLM에 전달되도록 합니다. 사용할 것보다 많은 후보를 가져온 후 가장 좋은 것만 유지합니다.",
+      none: "리랭킹 없음",
+      native: "AnythingLLM 기본 크로스 인코더 (인스턴스 내)",
+      "no-key": "API 키가 설정되지 않음",
+      candidates: {
+        title: "리랭크 후보 수",
+        description: "리랭커가 선택할 수 있도록 검색에서 가져올 청크 수입니다.",
+        recommend: "권장: 20",
+      },
+    },
+    splitter: {
+      title: "텍스트 분할기",
+      description:
+        "이 워크스페이스에 임베딩되는 문서를 청크로 나누는 방법입니다. 새로 임베딩되는 문서에만 적용됩니다.",
+      default: "시스템 기본값",
+    },
   },
 
   // Agent Configuration
@@ -393,6 +444,17 @@ const TRANSLATIONS = {
       description:
         "청킹 동안 두 인접 텍스트 청크 간에 겹칠 수 있는 최대 문자 수입니다.",
     },
+
+    splitter: {
+      title: "텍스트 분할기",
+      description:
+        "문서를 청크로 나누는 방법입니다. 자동은 마크다운을 제목 기준으로, 소스 코드를 해당 언어의 구문 기준으로 나눕니다.",
+      auto: "자동 (파일 유형별)",
+      recursive: "문자 (기본값)",
+      markdown: "마크다운 제목",
+      code: "소스 코드",
+      sentence: "문장",
+    },
   },
 
   // Vector Database
@@ -31,6 +31,7 @@ const TRANSLATIONS = {
     "embed-chats": "Histórico de Chats Incorporados",
     security: "Segurança",
     "event-logs": "Logs de Eventos",
+    webhooks: "Webhooks",
     privacy: "Privacidade e Dados",
     "ai-providers": "Provedores de IA",
     "agent-skills": "Habilidades do Agente",
@@ -167,6 +168,12 @@ const TRANSLATIONS = {
         only: "somente",
         "desc-end": "se o contexto do documento for encontrado.",
       },
+      graph: {
+        title: "Grafo",
+        "desc-start":
+          "fornecerá respostas usando fatos do grafo de conhecimento do workspace",
+        "desc-end": "e qualquer contexto de documento encontrado.",
+      },
     },
     history: {
       title: "Histórico de Chat",
@@ -225,6 +232,51 @@ const TRANSLATIONS = {
       success:
         "O banco de dados vetorial do workspace foi redefinido com sucesso!",
     },
+    graph: {
+      title: "Extração de grafo de conhecimento",
+      description:
+        "Quando ativado, o LLM do workspace extrai entidades e relações de cada trecho recém-incorporado para um grafo de conhecimento. A extração é executada em segundo plano após a incorporação e chama o LLM uma vez por trecho, então o grafo é preenchido pouco depois de adicionar documentos.",
+      unsupported: "Requer Neo4j como banco de dados vetorial.",
+      hops: {
+        title: "Profundidade de percurso do grafo de conhecimento",
+        description:
+          "A quantas relações de distância das entidades mencionadas em um prompt o modo de chat Grafo procurará fatos.",
+        recommend: "Recomendado: 2",
+      },
+      viewer: {
+        title: "Grafo de conhecimento",
+        description:
+          "Entidades e relações extraídas dos documentos deste workspace. Clique em uma entidade para ver suas relações.",
+        search: "Buscar uma entidade",
+        refresh: "Atualizar",
+        empty: "Nenhuma entidade foi extraída para este workspace ainda.",
+      },
+    },
+    hybrid: {
+      title: "Busca híbrida por palavras-chave",
+      description:
+        "Quando ativada, uma busca de texto completo é executada junto com a busca vetorial e os dois resultados são combinados com fusão de ranking recíproco. Ajuda a encontrar termos exatos como números de peça, códigos de erro e nomes.",
+    },
+    rerank: {
+      title: "Reordenador",
+      description:
+        "Reordena os trechos encontrados pela busca para que os mais relevantes sejam enviados ao LLM. Mais candidatos são buscados do que serão usados e apenas os melhores são mantidos.",
+      none: "Sem reordenação",
+      native: "Cross-encoder nativo do AnythingLLM (na instância)",
+      "no-key": "Chave de API não definida",
+      candidates: {
+        title: "Candidatos para reordenar",
+        description:
+          "Quantos trechos são buscados para o reordenador escolher.",
+        recommend: "Recomendado: 20",
+      },
+    },
+    splitter: {
+      title: "Divisor de texto",
+      description:
+        "Como os documentos incorporados neste espaço de trabalho são divididos em partes. Aplica-se apenas a documentos recém-incorporados.",
+      default: "Padrão do sistema",
+    },
   },
 
   // Agent Configuration
@@ -405,6 +457,17 @@ const TRANSLATIONS = {
       description:
         "Esta é a sobreposição máxima de caracteres que ocorre durante a fragmentação entre dois fragmentos de texto adjacentes.",
     },
+
+    splitter: {
+      title: "Divisor de texto",
+      description:
+        "Como os documentos são divididos em partes. Automático divide o markdown pelos seus títulos e o código-fonte pela sintaxe da sua linguagem.",
+      auto: "Automático (por tipo de arquivo)",
+      recursive: "Caracteres (padrão)",
+      markdown: "Títulos de markdown",
+      code: "Código-fonte",
+      sentence: "Frases",
+    },
   },
 
   // Vector Database
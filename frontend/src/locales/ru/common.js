@@ -30,6 +30,7 @@ const TRANSLATIONS = {
     "embed-chats": "История встраивания чатов",
     security: "Безопасность",
     "event-logs": "Журналы событий",
+    webhooks: "Вебхуки",
     privacy: "Конфиденциальность и данные",
     "ai-providers": "Поставщики ИИ",
     "agent-skills": "Навыки агента",
@@ -161,6 +162,12 @@ const TRANSLATIONS = {
         only: "только",
         "desc-end": "если найден контекст документов.",
       },
+      graph: {
+        title: "Граф",
+        "desc-start":
+          "будет давать ответы, используя факты из графа знаний рабочего пространства",
+        "desc-end": "и найденный контекст документов.",
+      },
     },
     history: {
       title: "История чата",
@@ -216,6 +223,52 @@ const TRANSLATIONS = {
       error: "Не удалось сбросить векторную базу данных рабочего пространства!",
       success: "Векторная база данных рабочего пространства была сброшена!",
     },
+    graph: {
+      title: "Извлечение графа знаний",
+      description:
+        "Если включено, LLM рабочего пространства извлекает сущности и связи из каждого нового встроенного фрагмента в граф знаний. Извлечение выполняется в фоне после встраивания и вызывает LLM для каждого фрагмента, поэтому граф заполняется вскоре после добавления документов.",
+      unsupported: "Требуется Neo4j в качестве векторной базы данных.",
+      hops: {
+        title: "Глубина обхода графа знаний",
+        description:
+          "На каком расстоянии (в связях) от упомянутых в запросе сущностей режим чата Граф будет искать факты.",
+        recommend: "Рекомендуется: 2",
+      },
+      viewer: {
+        title: "Граф знаний",
+        description:
+          "Сущности и связи, извлечённые из документов этого рабочего пространства. Нажмите на сущность, чтобы увидеть её связи.",
+        search: "Найти сущность",
+        refresh: "Обновить",
+        empty:
+          "Для этого рабочего пространства ещё не извлечено ни одной сущности.",
+      },
+    },
+    hybrid: {
+      title: "Гибридный поиск по ключевым словам",
+      description:
+        "Если включено, вместе с векторным поиском выполняется полнотекстовый поиск, и результаты объединяются методом взаимного рангового слияния (RRF). Помогает находить точные термины, такие как артикулы, коды ошибок и имена.",
+    },
+    rerank: {
+      title: "Переранжирование",
+      description:
+        "Переупорядочивает найденные фрагменты, чтобы в LLM отправлялись наиболее релевантные. Извлекается больше кандидатов, чем будет использовано, и сохраняются только лучшие.",
+      none: "Без переранжирования",
+      native: "Встроенный cross-encoder AnythingLLM (на сервере)",
+      "no-key": "API-ключ не задан",
+      candidates: {
+        title: "Кандидаты для переранжирования",
+        description:
+          "Сколько фрагментов извлекается при поиске, из которых выбирает модель переранжирования.",
+        recommend: "Рекомендуется: 20",
+      },
+    },
+    splitter: {
+      title: "Разделитель текста",
+      description:
+        "Как документы, встраиваемые в это рабочее пространство, разбиваются на фрагменты. Применяется только к новым документам.",
+      default: "Системный по умолчанию",
+    },
   },
   agent: {
     "performance-warning":
@@ -382,6 +435,17 @@ const TRANSLATIONS = {
       description:
         "Это максимальное перекрытие символов, которое происходит при сегментации между двумя смежными сегментами текста.",
     },
+
+    splitter: {
+      title: "Разделитель текста",
+      description:
+        "Как документы разбиваются на фрагменты. Автоматический режим делит markdown по заголовкам, а исходный код по синтаксису его языка.",
+      auto: "Автоматически (по типу файла)",
+      recursive: "Символы (по умолчанию)",
+      markdown: "Заголовки markdown",
+      code: "Исходный код",
+      sentence: "Предложения",
+    },
   },
   vector: {
     title: "Векторная база данных",
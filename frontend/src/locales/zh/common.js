@@ -32,6 +32,7 @@ const TRANSLATIONS = {
     "embed-chats": "嵌入式对话历史记录",
     security: "用户与安全",
     "event-logs": "事件日志",
+    webhooks: "Webhooks",
     privacy: "隐私与数据",
     "ai-providers": "人工智能提供商",
     "agent-skills": "代理技能",
@@ -163,6 +164,11 @@ const TRANSLATIONS = {
         only: "仅",
         "desc-end": "提供找到的文档上下文的答案。",
       },
+      graph: {
+        title: "图谱",
+        "desc-start": "将使用工作区知识图谱中的事实",
+        "desc-end": "以及找到的文档上下文来提供答案。",
+      },
     },
     history: {
       title: "聊天历史记录",
@@ -217,6 +223,48 @@ const TRANSLATIONS = {
       success: "向量数据库已重置。",
       error: "无法重置工作区向量数据库！",
     },
+    graph: {
+      title: "知识图谱抽取",
+      description:
+        "启用后，工作区 LLM 会从每个新嵌入的文本块中抽取实体和关系并写入知识图谱。抽取会在嵌入完成后在后台运行，并对每个文本块调用一次 LLM，因此添加文档后图谱会稍后补全。",
+      unsupported: "需要使用 Neo4j 作为向量数据库。",
+      hops: {
+        title: "知识图谱遍历深度",
+        description:
+          "图谱聊天模式从提示中提到的实体出发，沿多少层关系查找事实。",
+        recommend: "推荐：2",
+      },
+      viewer: {
+        title: "知识图谱",
+        description: "从此工作区文档中抽取的实体和关系。点击实体可查看其关系。",
+        search: "查找实体",
+        refresh: "刷新",
+        empty: "此工作区尚未抽取任何实体。",
+      },
+    },
+    hybrid: {
+      title: "混合关键词搜索",
+      description:
+        "启用后，将在向量搜索的同时运行全文关键词搜索，并使用倒数排名融合合并两者的结果。有助于找到零件编号、错误代码和名称等精确术语。",
+    },
+    rerank: {
+      title: "重排序器",
+      description:
+        "对搜索找到的文本块重新排序，以便将最相关的块发送给 LLM。会获取比实际使用更多的候选块，只保留最好的。",
+      none: "不重排序",
+      native: "AnythingLLM 原生交叉编码器（本地实例）",
+      "no-key": "未设置 API 密钥",
+      candidates: {
+        title: "重排序候选数",
+        description: "从搜索中获取多少个文本块供重排序器选择。",
+        recommend: "推荐：20",
+      },
+    },
+    splitter: {
+      title: "文本分割器",
+      description: "嵌入此工作区的文档如何被分割成块。仅适用于新嵌入的文档。",
+      default: "系统默认",
+    },
   },
 
   // Agent Configuration
@@ -377,6 +425,17 @@ const TRANSLATIONS = {
       title: "文本块重叠",
       description: "这是在两个相邻文本块之间分块期间发生的最大字符重叠。",
     },
+
+    splitter: {
+      title: "文本分割器",
+      description:
+        "文档如何被分割成块。自动模式按标题分割 markdown，按语言语法分割源代码。",
+      auto: "自动（按文件类型）",
+      recursive: "字符（默认）",
+      markdown: "Markdown 标题",
+      code: "源代码",
+      sentence: "句子",
+    },
   },
 
   // Vector Database
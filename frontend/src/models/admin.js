@@ -167,6 +167,298 @@ const Admin = {
         return null;
       });
   },
+  importedAgentSkills: async () => {
+    return await fetch(`${API_BASE}/admin/imported-agent-skills`, {
+      method: "GET",
+      headers: baseHeaders(),
+    })
+      .then((res) => res.json())
+      .then((res) => res?.skills || [])
+      .catch((e) => {
+        console.error(e);
+        return [];
+      });
+  },
+  agentToolApprovals: async () => {
+    return await fetch(`${API_BASE}/admin/agent-tool-approvals`, {
+      method: "GET",
+      headers: baseHeaders(),
+    })
+      .then((res) => res.json())
+      .then((res) => res?.tools || [])
+      .catch((e) => {
+        console.error(e);
+        return [];
+      });
+  },
+  mcpServers: async () => {
+    return await fetch(`${API_BASE}/admin/mcp-servers`, {
+      method: "GET",
+      headers: baseHeaders(),
+    })
+      .then((res) => res.json())
+      .then((res) => res?.servers || [])
+      .catch((e) => {
+        console.error(e);
+        return [];
+      });
+  },
+  reloadMCPServers: async () => {
+    return await fetch(`${API_BASE}/admin/mcp-servers/reload`, {
+      method: "POST",
+      headers: baseHeaders(),
+    })
+      .then((res) => res.json())
+      .then((res) => res?.servers || [])
+      .catch((e) => {
+        console.error(e);
+        return [];
+      });
+  },
+  toggleMCPServer: async (name, enabled = true) => {
+    return await fetch(
+      `${API_BASE}/admin/mcp-servers/${encodeURIComponent(name)}/toggle`,
+      {
+        method: "POST",
+        headers: baseHeaders(),
+        body: JSON.stringify({ enabled }),
+      }
+    )
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { success: false, error: e.message };
+      });
+  },
+  toggleMCPTool: async (name, tool, enabled = true) => {
+    return await fetch(
+      `${API_BASE}/admin/mcp-servers/${encodeURIComponent(name)}/tools/${encodeURIComponent(tool)}/toggle`,
+      {
+        method: "POST",
+        headers: baseHeaders(),
+        body: JSON.stringify({ enabled }),
+      }
+    )
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { success: false, error: e.message };
+      });
+  },
+  addMCPServer: async (name, definition = {}, confirmHostCommand = false) => {
+    return await fetch(`${API_BASE}/admin/mcp-servers/new`, {
+      method: "POST",
+      headers: baseHeaders(),
+      body: JSON.stringify({ name, definition, confirmHostCommand }),
+    })
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { success: false, error: e.message, servers: null };
+      });
+  },
+  removeMCPServer: async (name) => {
+    return await fetch(
+      `${API_BASE}/admin/mcp-servers/${encodeURIComponent(name)}`,
+      {
+        method: "DELETE",
+        headers: baseHeaders(),
+      }
+    )
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { success: false, error: e.message };
+      });
+  },
+  /**
+   * Named agents, agent channels and the skills they can be given.
+   * @returns {Promise<{agents: Object[], channels: Object[], skills: string[]}>}
+   */
+  agentDefinitions: async () => {
+    return await fetch(`${API_BASE}/admin/agent-definitions`, {
+      method: "GET",
+      headers: baseHeaders(),
+    })
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { agents: [], channels: [], skills: [], error: e.message };
+      });
+  },
+  createAgentDefinition: async (data = {}) => {
+    return await fetch(`${API_BASE}/admin/agent-definitions/new`, {
+      method: "POST",
+      headers: baseHeaders(),
+      body: JSON.stringify(data),
+    })
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { agent: null, error: e.message };
+      });
+  },
+  updateAgentDefinition: async (id, data = {}) => {
+    return await fetch(`${API_BASE}/admin/agent-definitions/${id}/update`, {
+      method: "POST",
+      headers: baseHeaders(),
+      body: JSON.stringify(data),
+    })
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { agent: null, error: e.message };
+      });
+  },
+  deleteAgentDefinition: async (id) => {
+    return await fetch(`${API_BASE}/admin/agent-definitions/${id}`, {
+      method: "DELETE",
+      headers: baseHeaders(),
+    })
+      .then((res) => res.json())
+      .then((res) => res?.success ?? false)
+      .catch((e) => {
+        console.error(e);
+        return false;
+      });
+  },
+  createAgentChannel: async (data = {}) => {
+    return await fetch(`${API_BASE}/admin/agent-channels/new`, {
+      method: "POST",
+      headers: baseHeaders(),
+      body: JSON.stringify(data),
+    })
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { channel: null, error: e.message };
+      });
+  },
+  updateAgentChannel: async (id, data = {}) => {
+    return await fetch(`${API_BASE}/admin/agent-channels/${id}/update`, {
+      method: "POST",
+      headers: baseHeaders(),
+      body: JSON.stringify(data),
+    })
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { channel: null, error: e.message };
+      });
+  },
+  deleteAgentChannel: async (id) => {
+    return await fetch(`${API_BASE}/admin/agent-channels/${id}`, {
+      method: "DELETE",
+      headers: baseHeaders(),
+    })
+      .then((res) => res.json())
+      .then((res) => res?.success ?? false)
+      .catch((e) => {
+        console.error(e);
+        return false;
+      });
+  },
+  /**
+   * Webhooks and the event names they can subscribe to.
+   * @returns {Promise<{webhooks: Object[], events: string[]}>}
+   */
+  webhooks: async () => {
+    return await fetch(`${API_BASE}/admin/webhooks`, {
+      method: "GET",
+      headers: baseHeaders(),
+    })
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { webhooks: [], events: [], error: e.message };
+      });
+  },
+  createWebhook: async (data = {}) => {
+    return await fetch(`${API_BASE}/admin/webhooks/new`, {
+      method: "POST",
+      headers: baseHeaders(),
+      body: JSON.stringify(data),
+    })
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { webhook: null, secret: null, error: e.message };
+      });
+  },
+  updateWebhook: async (id, data = {}) => {
+    return await fetch(`${API_BASE}/admin/webhooks/${id}/update`, {
+      method: "POST",
+      headers: baseHeaders(),
+      body: JSON.stringify(data),
+    })
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { webhook: null, error: e.message };
+      });
+  },
+  deleteWebhook: async (id) => {
+    return await fetch(`${API_BASE}/admin/webhooks/${id}`, {
+      method: "DELETE",
+      headers: baseHeaders(),
+    })
+      .then((res) => res.json())
+      .then((res) => res?.success ?? false)
+      .catch((e) => {
+        console.error(e);
+        return false;
+      });
+  },
+  testWebhook: async (id) => {
+    return await fetch(`${API_BASE}/admin/webhooks/${id}/test`, {
+      method: "POST",
+      headers: baseHeaders(),
+    })
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { delivery: null, error: e.message };
+      });
+  },
+  /**
+   * Page of the webhook delivery log, newest first.
+   * @returns {Promise<{deliveries: Object[], hasPages: boolean}>}
+   */
+  webhookDeliveries: async (offset = 0, webhookId = null) => {
+    return await fetch(`${API_BASE}/admin/webhooks/deliveries`, {
+      method: "POST",
+      headers: baseHeaders(),
+      body: JSON.stringify({ offset, webhookId }),
+    })
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { deliveries: [], hasPages: false, error: e.message };
+      });
+  },
+  retryWebhookDelivery: async (id) => {
+    return await fetch(`${API_BASE}/admin/webhooks/deliveries/${id}/retry`, {
+      method: "POST",
+      headers: baseHeaders(),
+    })
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { delivery: null, error: e.message };
+      });
+  },
+  clearWebhookDeliveries: async () => {
+    return await fetch(`${API_BASE}/admin/webhooks/deliveries`, {
+      method: "DELETE",
+      headers: baseHeaders(),
+    })
+      .then((res) => res.json())
+      .then((res) => res?.success ?? false)
+      .catch((e) => {
+        console.error(e);
+        return false;
+      });
+  },
   updateSystemPreferences: async (updates = {}) => {
     return await fetch(`${API_BASE}/admin/system-preferences`, {
       method: "POST",
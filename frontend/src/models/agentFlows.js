@@ -0,0 +1,87 @@
+import { API_BASE } from "@/utils/constants";
+import { baseHeaders } from "@/utils/request";
+
+const AgentFlows = {
+  list: async function () {
+    return await fetch(`${API_BASE}/agent-flows`, {
+      method: "GET",
+      headers: baseHeaders(),
+    })
+      .then((res) => res.json())
+      .then((res) => res?.flows || [])
+      .catch((e) => {
+        console.error(e);
+        return [];
+      });
+  },
+  /**
+   * Step types with their required fields, condition operators and SQL connection ids.
+   * @returns {Promise<{steps: Object, operators: string[], databases: string[]}>}
+   */
+  options: async function () {
+    return await fetch(`${API_BASE}/agent-flows/options`, {
+      method: "GET",
+      headers: baseHeaders(),
+    })
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { steps: {}, operators: [], databases: [] };
+      });
+  },
+  get: async function (uuid) {
+    return await fetch(`${API_BASE}/agent-flows/${uuid}`, {
+      method: "GET",
+      headers: baseHeaders(),
+    })
+      .then((res) => res.json())
+      .then((res) => res?.flow || null)
+      .catch((e) => {
+        console.error(e);
+        return null;
+      });
+  },
+  /**
+   * @param {Object} config - the flow name, description, inputs, steps and output
+   * @param {string|null} uuid - flow to overwrite, a new flow is made when null
+   * @returns {Promise<{flow: Object|null, error: string|null}>}
+   */
+  save: async function (config, uuid = null) {
+    return await fetch(`${API_BASE}/agent-flows/save`, {
+      method: "POST",
+      headers: baseHeaders(),
+      body: JSON.stringify({ config, uuid }),
+    })
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { flow: null, error: e.message };
+      });
+  },
+  toggle: async function (uuid, active = true) {
+    return await fetch(`${API_BASE}/agent-flows/${uuid}/toggle`, {
+      method: "POST",
+      headers: baseHeaders(),
+      body: JSON.stringify({ active }),
+    })
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { success: false, error: e.message };
+      });
+  },
+  delete: async function (uuid) {
+    return await fetch(`${API_BASE}/agent-flows/${uuid}`, {
+      method: "DELETE",
+      headers: baseHeaders(),
+    })
+      .then((res) => res.json())
+      .then((res) => res?.success ?? false)
+      .catch((e) => {
+        console.error(e);
+        return false;
+      });
+  },
+};
+
+export default AgentFlows;
@@ -33,6 +33,52 @@ const Document = {
         return { success: false, error: e.message };
       });
   },
+
+  /**
+   * Uploads files to be processed in the background.
+   * @param {File[]} files
+   * @returns {Promise<{success: boolean, error: string|null, job: object|null}>}
+   */
+  createIngestionJob: async (files = []) => {
+    const formData = new FormData();
+    for (const file of files) formData.append("files", file, file.name);
+
+    return await fetch(`${API_BASE}/document/jobs`, {
+      method: "POST",
+      headers: baseHeaders(),
+      body: formData,
+    })
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { success: false, error: e.message, job: null };
+      });
+  },
+  ingestionJob: async (jobId) => {
+    return await fetch(`${API_BASE}/document/jobs/${jobId}`, {
+      headers: baseHeaders(),
+    })
+      .then((res) => {
+        if (!res.ok) throw new Error("Could not fetch upload progress.");
+        return res.json();
+      })
+      .then((res) => res.job)
+      .catch((e) => {
+        console.error(e);
+        return null;
+      });
+  },
+  retryIngestionJob: async (jobId) => {
+    return await fetch(`${API_BASE}/document/jobs/${jobId}/retry`, {
+      method: "POST",
+      headers: baseHeaders(),
+    })
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { success: false, error: e.message, job: null };
+      });
+  },
 };
 
 export default Document;
@@ -0,0 +1,87 @@
+import { API_BASE } from "@/utils/constants";
+import { baseHeaders } from "@/utils/request";
+
+const ScheduledAgentTask = {
+  all: async function (workspaceSlug) {
+    return await fetch(
+      `${API_BASE}/workspace/${workspaceSlug}/scheduled-tasks`,
+      {
+        method: "GET",
+        headers: baseHeaders(),
+      }
+    )
+      .then((res) => res.json())
+      .then((res) => res?.tasks || [])
+      .catch((e) => {
+        console.error(e);
+        return [];
+      });
+  },
+  /**
+   * @param {string} workspaceSlug
+   * @param {{name: string, prompt: string, cron: string, threadSlug?: string|null}} data
+   * @returns {Promise<{task: Object|null, error: string|null}>}
+   */
+  create: async function (workspaceSlug, data = {}) {
+    return await fetch(
+      `${API_BASE}/workspace/${workspaceSlug}/scheduled-tasks/new`,
+      {
+        method: "POST",
+        headers: baseHeaders(),
+        body: JSON.stringify(data),
+      }
+    )
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { task: null, error: e.message };
+      });
+  },
+  update: async function (workspaceSlug, taskId, data = {}) {
+    return await fetch(
+      `${API_BASE}/workspace/${workspaceSlug}/scheduled-tasks/${taskId}/update`,
+      {
+        method: "POST",
+        headers: baseHeaders(),
+        body: JSON.stringify(data),
+      }
+    )
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { task: null, error: e.message };
+      });
+  },
+  delete: async function (workspaceSlug, taskId) {
+    return await fetch(
+      `${API_BASE}/workspace/${workspaceSlug}/scheduled-tasks/${taskId}`,
+      {
+        method: "DELETE",
+        headers: baseHeaders(),
+      }
+    )
+      .then((res) => res.json())
+      .then((res) => res?.success ?? false)
+      .catch((e) => {
+        console.error(e);
+        return false;
+      });
+  },
+  runs: async function (workspaceSlug, taskId) {
+    return await fetch(
+      `${API_BASE}/workspace/${workspaceSlug}/scheduled-tasks/${taskId}/runs`,
+      {
+        method: "GET",
+        headers: baseHeaders(),
+      }
+    )
+      .then((res) => res.json())
+      .then((res) => res?.runs || [])
+      .catch((e) => {
+        console.error(e);
+        return [];
+      });
+  },
+};
+
+export default ScheduledAgentTask;
@@ -116,22 +116,31 @@ const Workspace = {
     prompt,
     chatHandler,
     attachments = [],
+    filters = null,
   }) {
     if (!!threadSlug)
       return this.threads.streamChat(
         { workspaceSlug, threadSlug },
         prompt,
         chatHandler,
-        attachments
+        attachments,
+        filters
       );
     return this.streamChat(
       { slug: workspaceSlug },
       prompt,
       chatHandler,
-      attachments
+      attachments,
+      filters
     );
   },
-  streamChat: async function ({ slug }, message, handleChat, attachments = []) {
+  streamChat: async function (
+    { slug },
+    message,
+    handleChat,
+    attachments = [],
+    filters = null
+  ) {
     const ctrl = new AbortController();
 
     // Listen for the ABORT_STREAM_EVENT key to be emitted by the client
@@ -145,7 +154,7 @@ const Workspace = {
 
     await fetchEventSource(`${API_BASE}/workspace/${slug}/stream-chat`, {
       method: "POST",
-      body: JSON.stringify({ message, attachments }),
+      body: JSON.stringify({ message, attachments, filters }),
       headers: baseHeaders(),
       signal: ctrl.signal,
       openWhenHidden: true,
@@ -313,6 +322,73 @@ const Workspace = {
         return false;
       });
   },
+  setAccessForDocument: async function (
+    slug,
+    docPath,
+    { allowedUsers = [], allowedRoles = [] } = {}
+  ) {
+    return fetch(`${API_BASE}/workspace/${slug}/update-access`, {
+      method: "POST",
+      headers: baseHeaders(),
+      body: JSON.stringify({ docPath, allowedUsers, allowedRoles }),
+    })
+      .then((res) => res.json())
+      .catch((e) => {
+        console.error(e);
+        return { success: false, error: e.message };
+      });
+  },
+  knowledgeGraph: async function (slug, limit = 200) {
+    return fetch(
+      `${API_BASE}/workspace/${slug}/knowledge-graph?limit=${limit}`,
+      {
+        method: "GET",
+        cache: "no-cache",
+        headers: baseHeaders(),
+      }
+    )
+      .then((res) => {
+        if (!res.ok) throw new Error("Could not fetch knowledge graph.");
+        return res.json();
+      })
+      .catch((e) => {
+        console.error(e);
+        return { nodes: [], edges: [], error: e.message };
+      });
+  },
+  agentMemories: async function (slug) {
+    return fetch(`${API_BASE}/workspace/${slug}/agent-memories`, {
+      method: "GET",
+      headers: baseHeaders(),
+    })
+      .then((res) => res.json())
+      .then((res) => res?.memories || [])
+      .catch((e) => {
+        console.error(e);
+        return [];
+      });
+  },
+  /**
+   * Deletes one memory of the current user, or all of them when no id is given.
+   * @param {string} slug
+   * @param {number|null} memoryId
+   * @returns {Promise<boolean>}
+   */
+  forgetAgentMemory: async function (slug, memoryId = null) {
+    const path = memoryId
+      ? `/workspace/${slug}/agent-memories/${memoryId}`
+      : `/workspace/${slug}/agent-memories`;
+    return fetch(`${API_BASE}${path}`, {
+      method: "DELETE",
+      headers: baseHeaders(),
+    })
+      .then((res) => res.json())
+      .then((res) => res?.success ?? false)
+      .catch((e) => {
+        console.error(e);
+        return false;
+      });
+  },
   ttsMessage: async function (slug, chatId) {
     return await fetch(`${API_BASE}/workspace/${slug}/tts/${chatId}`, {
       method: "GET",
@@ -0,0 +1,467 @@
+import { ArrowDown, ArrowUp, Plus, Trash } from "@phosphor-icons/react";
+
+const INPUT_CLASS =
+  "bg-zinc-900 text-white placeholder:text-white/20 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5";
+const HTTP_METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+const OPERATOR_LABELS = {
+  equals: "equals",
+  notEquals: "does not equal",
+  contains: "contains",
+  notContains: "does not contain",
+  greaterThan: "is greater than",
+  lessThan: "is less than",
+  isEmpty: "is empty",
+  isNotEmpty: "is not empty",
+};
+
+export const STEP_TYPES = {
+  ragSearch: {
+    title: "Search documents",
+    description: "Finds the most relevant snippets in the workspace documents.",
+    fields: [{ key: "query", label: "Search query", placeholder: "{{topic}}" }],
+  },
+  webScrape: {
+    title: "Scrape web page",
+    description: "Collects the text of a web page.",
+    fields: [
+      { key: "url", label: "URL", placeholder: "https://example.com/{{id}}" },
+    ],
+  },
+  llmInstruction: {
+    title: "LLM instruction",
+    description: "Asks the agent's LLM to do something with the data so far.",
+    fields: [
+      {
+        key: "instruction",
+        label: "Instruction",
+        type: "textarea",
+        placeholder: "Summarize {{page}} in three bullet points.",
+      },
+    ],
+  },
+  httpCall: {
+    title: "HTTP call",
+    description:
+      "Calls an API on a public address. JSON responses can be read as {{result.field}}.",
+    fields: [
+      { key: "method", label: "Method", type: "method" },
+      { key: "url", label: "URL", placeholder: "https://api.example.com" },
+      { key: "headers", label: "Headers", type: "headers" },
+      {
+        key: "body",
+        label: "Body",
+        type: "textarea",
+        placeholder: '{"text": "{{summary}}"}',
+      },
+    ],
+  },
+  sqlQuery: {
+    title: "SQL query",
+    description: "Runs a query on a SQL agent database connection.",
+    fields: [
+      { key: "databaseId", label: "Database", type: "database" },
+      {
+        key: "query",
+        label: "Query",
+        type: "textarea",
+        placeholder: "SELECT * FROM orders WHERE id = {{orderId}}",
+      },
+    ],
+  },
+  writeFile: {
+    title: "Write file",
+    description: "Saves a text file to the user's browser.",
+    fields: [
+      { key: "filename", label: "Filename", placeholder: "report.md" },
+      {
+        key: "content",
+        label: "Content",
+        type: "textarea",
+        placeholder: "{{summary}}",
+      },
+    ],
+  },
+  condition: {
+    title: "Condition",
+    description: "Runs different steps depending on a variable.",
+    fields: [],
+  },
+};
+
+export function newStep(type) {
+  switch (type) {
+    case "condition":
+      return {
+        type,
+        variable: "",
+        operator: "contains",
+        value: "",
+        then: [],
+        else: [],
+      };
+    case "httpCall":
+      return {
+        type,
+        method: "GET",
+        url: "",
+        headers: [],
+        body: "",
+        resultVariable: "",
+      };
+    default:
+      return { type, resultVariable: "" };
+  }
+}
+
+/**
+ * Editable list of flow steps. Conditions render their branches as nested lists.
+ */
+export default function StepList({ steps = [], onChange, options, depth = 0 }) {
+  const updateStep = (index, step) =>
+    onChange(steps.map((s, i) => (i === index ? step : s)));
+  const removeStep = (index) => onChange(steps.filter((_, i) => i !== index));
+  const moveStep = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= steps.length) return;
+    const reordered = [...steps];
+    [reordered[index], reordered[target]] = [
+      reordered[target],
+      reordered[index],
+    ];
+    onChange(reordered);
+  };
+
+  return (
+    <div className="flex flex-col gap-y-3">
+      {steps.map((step, index) => (
+        <StepCard
+          key={index}
+          index={index}
+          step={step}
+          options={options}
+          depth={depth}
+          onChange={(updated) => updateStep(index, updated)}
+          onRemove={() => removeStep(index)}
+          onMove={(offset) => moveStep(index, offset)}
+          isFirst={index === 0}
+          isLast={index === steps.length - 1}
+        />
+      ))}
+      <AddStep onAdd={(type) => onChange([...steps, newStep(type)])} />
+    </div>
+  );
+}
+
+function AddStep({ onAdd }) {
+  return (
+    <div className="flex items-center gap-x-2">
+      <Plus size={14} className="text-white/60" />
+      <select
+        value=""
+        onChange={(e) => e.target.value && onAdd(e.target.value)}
+        className="bg-zinc-900 text-white/80 text-xs rounded-lg p-2"
+      >
+        <option value="">Add a step...</option>
+        {Object.entries(STEP_TYPES).map(([type, { title }]) => (
+          <option key={type} value={type}>
+            {title}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+function StepCard({
+  index,
+  step,
+  options,
+  depth,
+  onChange,
+  onRemove,
+  onMove,
+  isFirst,
+  isLast,
+}) {
+  const stepType = STEP_TYPES[step.type];
+  const set = (key, value) => onChange({ ...step, [key]: value });
+
+  return (
+    <div
+      className={`flex flex-col gap-y-3 rounded-lg border border-white/10 p-4 ${
+        depth % 2 === 0 ? "bg-white/5" : "bg-black/20"
+      }`}
+    >
+      <div className="flex items-start justify-between gap-x-4">
+        <div className="flex flex-col">
+          <p className="text-white text-sm font-semibold">
+            {index + 1}. {stepType?.title ?? step.type}
+            {options.steps?.[step.type]?.sideEffects && (
+              <span className="ml-2 rounded-full bg-amber-500/20 px-2 py-0.5 text-xs font-medium text-amber-400">
+                Side effects
+              </span>
+            )}
+          </p>
+          <p className="text-white text-opacity-40 text-xs">
+            {stepType?.description}
+          </p>
+        </div>
+        <div className="flex items-center gap-x-2 shrink-0 text-white/60">
+          <button
+            type="button"
+            disabled={isFirst}
+            onClick={() => onMove(-1)}
+            className="hover:text-white disabled:opacity-30"
+            aria-label="Move step up"
+          >
+            <ArrowUp size={14} />
+          </button>
+          <button
+            type="button"
+            disabled={isLast}
+            onClick={() => onMove(1)}
+            className="hover:text-white disabled:opacity-30"
+            aria-label="Move step down"
+          >
+            <ArrowDown size={14} />
+          </button>
+          <button
+            type="button"
+            onClick={onRemove}
+            className="hover:text-red-400"
+            aria-label="Remove step"
+          >
+            <Trash size={14} />
+          </button>
+        </div>
+      </div>
+
+      {step.type === "condition" ? (
+        <ConditionFields
+          step={step}
+          set={set}
+          options={options}
+          depth={depth}
+        />
+      ) : (
+        <>
+          {stepType?.fields.map((field) => (
+            <StepField
+              key={field.key}
+              field={field}
+              value={step[field.key]}
+              onChange={(value) => set(field.key, value)}
+              options={options}
+            />
+          ))}
+          <LabeledInput
+            label="Save result as"
+            value={step.resultVariable ?? ""}
+            onChange={(value) => set("resultVariable", value)}
+            placeholder="summary"
+            mono={true}
+          />
+        </>
+      )}
+    </div>
+  );
+}
+
+function ConditionFields({ step, set, options, depth }) {
+  const needsValue = !["isEmpty", "isNotEmpty"].includes(step.operator);
+  return (
+    <>
+      <div className="flex gap-x-2">
+        <input
+          type="text"
+          value={step.variable ?? ""}
+          onChange={(e) => set("variable", e.target.value)}
+          placeholder="variable"
+          className={`${INPUT_CLASS} font-mono`}
+        />
+        <select
+          value={step.operator}
+          onChange={(e) => set("operator", e.target.value)}
+          className={INPUT_CLASS}
+        >
+          {options.operators.map((operator) => (
+            <option key={operator} value={operator}>
+              {OPERATOR_LABELS[operator] ?? operator}
+            </option>
+          ))}
+        </select>
+        {needsValue && (
+          <input
+            type="text"
+            value={step.value ?? ""}
+            onChange={(e) => set("value", e.target.value)}
+            placeholder="value"
+            className={INPUT_CLASS}
+          />
+        )}
+      </div>
+      {["then", "else"].map((branch) => (
+        <div
+          key={branch}
+          className="flex flex-col gap-y-2 pl-4 border-l-2 border-white/10"
+        >
+          <p className="text-white/60 text-xs font-semibold uppercase">
+            {branch === "then" ? "If true" : "Otherwise"}
+          </p>
+          <StepList
+            steps={step[branch] ?? []}
+            onChange={(steps) => set(branch, steps)}
+            options={options}
+            depth={depth + 1}
+          />
+        </div>
+      ))}
+    </>
+  );
+}
+
+function StepField({ field, value, onChange, options }) {
+  switch (field.type) {
+    case "method":
+      return (
+        <LabeledSelect
+          label={field.label}
+          value={value ?? "GET"}
+          onChange={onChange}
+          choices={HTTP_METHODS}
+        />
+      );
+    case "database":
+      return (
+        <LabeledSelect
+          label={field.label}
+          value={value ?? ""}
+          onChange={onChange}
+          choices={["", ...options.databases]}
+          emptyLabel={
+            options.databases.length === 0
+              ? "No SQL connections are set up"
+              : "Select a database"
+          }
+        />
+      );
+    case "headers":
+      return <HeadersField value={value ?? []} onChange={onChange} />;
+    default:
+      return (
+        <LabeledInput
+          label={field.label}
+          value={value ?? ""}
+          onChange={onChange}
+          placeholder={field.placeholder}
+          multiline={field.type === "textarea"}
+        />
+      );
+  }
+}
+
+function LabeledInput({
+  label,
+  value,
+  onChange,
+  placeholder = "",
+  multiline = false,
+  mono = false,
+}) {
+  return (
+    <div className="flex flex-col gap-y-1">
+      <label className="text-white text-xs font-medium">{label}</label>
+      {multiline ? (
+        <textarea
+          rows={3}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder={placeholder}
+          className={INPUT_CLASS}
+        />
+      ) : (
+        <input
+          type="text"
+          value={value}
+          autoComplete="off"
+          onChange={(e) => onChange(e.target.value)}
+          placeholder={placeholder}
+          className={`${INPUT_CLASS} ${mono ? "font-mono" : ""}`}
+        />
+      )}
+    </div>
+  );
+}
+
+function LabeledSelect({ label, value, onChange, choices, emptyLabel = "" }) {
+  return (
+    <div className="flex flex-col gap-y-1">
+      <label className="text-white text-xs font-medium">{label}</label>
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className={INPUT_CLASS}
+      >
+        {choices.map((choice) => (
+          <option key={choice} value={choice}>
+            {choice || emptyLabel}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+function HeadersField({ value = [], onChange }) {
+  const update = (index, key, text) =>
+    onChange(value.map((h, i) => (i === index ? { ...h, [key]: text } : h)));
+
+  return (
+    <div className="flex flex-col gap-y-1">
+      <label className="text-white text-xs font-medium">Headers</label>
+      {value.map((header, index) => (
+        <div key={index} className="flex items-center gap-x-2">
+          <input
+            type="text"
+            value={header.key}
+            onChange={(e) => update(index, "key", e.target.value)}
+            placeholder="Authorization"
+            className={INPUT_CLASS}
+          />
+          {/* Saved values are encrypted on the server, typing replaces them. */}
+          <input
+            type={header.encrypted ? "password" : "text"}
+            value={header.encrypted ? "" : header.value}
+            onChange={(e) =>
+              onChange(
+                value.map((h, i) =>
+                  i === index ? { key: h.key, value: e.target.value } : h
+                )
+              )
+            }
+            placeholder={
+              header.encrypted ? "Saved, type to replace" : "Bearer ..."
+            }
+            className={INPUT_CLASS}
+          />
+          <button
+            type="button"
+            onClick={() => onChange(value.filter((_, i) => i !== index))}
+            className="text-white/60 hover:text-red-400"
+            aria-label="Remove header"
+          >
+            <Trash size={14} />
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => onChange([...value, { key: "", value: "" }])}
+        className="flex items-center gap-x-1 w-fit text-xs text-white/60 hover:text-white"
+      >
+        <Plus size={12} />
+        Add header
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,275 @@
+import { useEffect, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { isMobile } from "react-device-detect";
+import { CaretLeft, FlowArrow, Plus, Trash } from "@phosphor-icons/react";
+import Sidebar from "@/components/SettingsSidebar";
+import { FullScreenLoader } from "@/components/Preloader";
+import AgentFlows from "@/models/agentFlows";
+import showToast from "@/utils/toast";
+import paths from "@/utils/paths";
+import StepList from "./StepList";
+
+const INPUT_CLASS =
+  "bg-zinc-900 text-white placeholder:text-white/20 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5";
+const EMPTY_FLOW = {
+  name: "",
+  description: "",
+  active: true,
+  inputs: [],
+  steps: [],
+  output: "",
+};
+
+export default function AdminAgentFlows() {
+  const { uuid = null } = useParams();
+  const navigate = useNavigate();
+  const [config, setConfig] = useState(EMPTY_FLOW);
+  const [options, setOptions] = useState({
+    steps: {},
+    operators: [],
+    databases: [],
+  });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    async function fetchFlow() {
+      setLoading(true);
+      setOptions(await AgentFlows.options());
+      if (!uuid) {
+        setConfig(EMPTY_FLOW);
+        setLoading(false);
+        return;
+      }
+
+      const flow = await AgentFlows.get(uuid);
+      if (!flow) {
+        showToast("Agent flow not found.", "error", { clear: true });
+        navigate(paths.settings.agentSkills());
+        return;
+      }
+      setConfig({ ...EMPTY_FLOW, ...flow.config });
+      setLoading(false);
+    }
+    fetchFlow();
+  }, [uuid]);
+
+  const set = (key, value) => setConfig((prev) => ({ ...prev, [key]: value }));
+
+  const saveFlow = async () => {
+    setSaving(true);
+    const { flow, error } = await AgentFlows.save(config, uuid);
+    setSaving(false);
+    if (!flow) {
+      showToast(`Could not save flow. ${error ?? ""}`, "error", {
+        clear: true,
+      });
+      return;
+    }
+
+    showToast(`${flow.config.name} saved.`, "success", { clear: true });
+    if (!uuid) navigate(paths.settings.agentFlow(flow.uuid));
+  };
+
+  const deleteFlow = async () => {
+    if (
+      !window.confirm(
+        `Are you sure you want to delete the "${config.name}" flow?\nThis action is irreversible.`
+      )
+    )
+      return;
+    if (!(await AgentFlows.delete(uuid))) {
+      showToast("Could not delete flow.", "error", { clear: true });
+      return;
+    }
+    navigate(paths.settings.agentSkills());
+  };
+
+  return (
+    <div className="w-screen h-screen overflow-hidden bg-sidebar flex">
+      <Sidebar />
+      <div
+        style={{ height: isMobile ? "100%" : "calc(100% - 32px)" }}
+        className="relative md:ml-[2px] md:mr-[16px] md:my-[16px] md:rounded-[16px] bg-main-gradient w-full h-full overflow-y-scroll"
+      >
+        {loading ? (
+          <FullScreenLoader />
+        ) : (
+          <div className="flex flex-col w-full px-1 md:pl-6 md:pr-[50px] md:py-6 py-16">
+            <div className="w-full flex flex-col gap-y-1 pb-6 border-white border-b-2 border-opacity-10">
+              <Link
+                to={paths.settings.agentSkills()}
+                className="flex items-center gap-x-1 w-fit text-sky-400 text-sm"
+              >
+                <CaretLeft size={16} />
+                Agent skills
+              </Link>
+              <div className="flex gap-x-2 items-center">
+                <FlowArrow size={24} color="white" weight="bold" />
+                <p className="text-lg leading-6 font-bold text-white">
+                  {uuid ? config.name || "Agent flow" : "New agent flow"}
+                </p>
+              </div>
+              <p className="text-xs leading-[18px] font-base text-white text-opacity-60">
+                Flows run their steps in order every time an agent uses them.
+                Use <code>{"{{name}}"}</code> in any field to insert an input or
+                the saved result of an earlier step, eg:{" "}
+                <code>{"{{response.data.id}}"}</code> for a field of a JSON
+                response.
+              </p>
+            </div>
+
+            <div className="flex flex-col gap-y-6 py-6 max-w-[800px]">
+              <Section title="Details">
+                <input
+                  type="text"
+                  value={config.name}
+                  autoComplete="off"
+                  onChange={(e) => set("name", e.target.value)}
+                  placeholder="Daily sales digest"
+                  className={INPUT_CLASS}
+                />
+                <textarea
+                  rows={2}
+                  value={config.description}
+                  onChange={(e) => set("description", e.target.value)}
+                  placeholder="Tells the agent when to run this flow, eg: Summarizes yesterday's sales from the orders database."
+                  className={INPUT_CLASS}
+                />
+              </Section>
+
+              <Section
+                title="Inputs"
+                description="Values the agent fills in when it runs the flow."
+              >
+                <InputList
+                  inputs={config.inputs}
+                  onChange={(inputs) => set("inputs", inputs)}
+                />
+              </Section>
+
+              <Section title="Steps">
+                <StepList
+                  steps={config.steps}
+                  onChange={(steps) => set("steps", steps)}
+                  options={options}
+                />
+              </Section>
+
+              <Section
+                title="Output"
+                description="What the flow returns to the agent. The result of the last step is returned when empty."
+              >
+                <textarea
+                  rows={3}
+                  value={config.output}
+                  onChange={(e) => set("output", e.target.value)}
+                  placeholder="{{summary}}"
+                  className={INPUT_CLASS}
+                />
+              </Section>
+
+              <div className="flex items-center gap-x-2">
+                <button
+                  type="button"
+                  disabled={saving}
+                  onClick={saveFlow}
+                  className="transition-all duration-300 border border-slate-200 px-5 py-2.5 rounded-lg text-white text-sm hover:bg-slate-200 hover:text-slate-800 disabled:opacity-50"
+                >
+                  {saving ? "Saving..." : "Save flow"}
+                </button>
+                {uuid && (
+                  <button
+                    type="button"
+                    disabled={saving}
+                    onClick={deleteFlow}
+                    className="flex items-center gap-x-1 px-5 py-2.5 rounded-lg text-white/60 text-sm hover:text-red-400"
+                  >
+                    <Trash size={14} />
+                    Delete flow
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function Section({ title, description = null, children }) {
+  return (
+    <div className="flex flex-col gap-y-3">
+      <div className="flex flex-col">
+        <label className="block input-label">{title}</label>
+        {description && (
+          <p className="text-white text-opacity-60 text-xs font-medium py-1.5">
+            {description}
+          </p>
+        )}
+      </div>
+      {children}
+    </div>
+  );
+}
+
+function InputList({ inputs = [], onChange }) {
+  const update = (index, key, value) =>
+    onChange(
+      inputs.map((input, i) =>
+        i === index ? { ...input, [key]: value } : input
+      )
+    );
+
+  return (
+    <div className="flex flex-col gap-y-2">
+      {inputs.map((input, index) => (
+        <div key={index} className="flex items-center gap-x-2">
+          <input
+            type="text"
+            value={input.name}
+            autoComplete="off"
+            onChange={(e) => update(index, "name", e.target.value)}
+            placeholder="topic"
+            className={`${INPUT_CLASS} font-mono w-1/3`}
+          />
+          <input
+            type="text"
+            value={input.description ?? ""}
+            autoComplete="off"
+            onChange={(e) => update(index, "description", e.target.value)}
+            placeholder="What the agent should pass in"
+            className={INPUT_CLASS}
+          />
+          <label className="flex items-center gap-x-1 text-white/60 text-xs shrink-0">
+            <input
+              type="checkbox"
+              checked={!!input.required}
+              onChange={(e) => update(index, "required", e.target.checked)}
+            />
+            Required
+          </label>
+          <button
+            type="button"
+            onClick={() => onChange(inputs.filter((_, i) => i !== index))}
+            className="text-white/60 hover:text-red-400"
+            aria-label="Remove input"
+          >
+            <Trash size={14} />
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() =>
+          onChange([...inputs, { name: "", description: "", required: true }])
+        }
+        className="flex items-center gap-x-1 w-fit text-xs text-white/60 hover:text-white"
+      >
+        <Plus size={12} />
+        Add input
+      </button>
+    </div>
+  );
+}
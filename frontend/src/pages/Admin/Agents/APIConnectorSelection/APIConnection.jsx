@@ -0,0 +1,45 @@
+import { Key, PlugsConnected, X } from "@phosphor-icons/react";
+
+export default function APIConnection({ connection, onRemove }) {
+  const { api_id, baseUrl, operations = [], hasAuth = false } = connection;
+  const isNew = connection.action === "add";
+  function removeConfirmation() {
+    if (
+      !window.confirm(
+        `Delete ${api_id} from the list of available API connections? This cannot be undone.`
+      )
+    ) {
+      return false;
+    }
+    onRemove(api_id);
+  }
+
+  return (
+    <div className="flex gap-x-4 items-center">
+      <div className="bg-zinc-800 w-10 h-10 rounded-md flex items-center justify-center shrink-0">
+        <PlugsConnected size={20} className="text-white" />
+      </div>
+      <div className="flex w-full items-center justify-between">
+        <div className="flex flex-col">
+          <div className="flex items-center gap-x-1 text-sm font-semibold text-white">
+            {api_id}
+            {(hasAuth || (isNew && !!connection.authHeaderValue)) && (
+              <Key size={12} className="text-white/60" />
+            )}
+          </div>
+          <div className="mt-1 text-xs text-description">
+            {baseUrl || "Base URL from the OpenAPI spec"}
+            {!isNew && ` · ${operations.length} operations`}
+          </div>
+        </div>
+        <button
+          type="button"
+          onClick={removeConfirmation}
+          className="border-none text-white/40 hover:text-red-500"
+        >
+          <X size={24} />
+        </button>
+      </div>
+    </div>
+  );
+}
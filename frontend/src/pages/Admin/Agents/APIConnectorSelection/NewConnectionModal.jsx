@@ -0,0 +1,216 @@
+import { useState } from "react";
+import { createPortal } from "react-dom";
+import ModalWrapper from "@/components/ModalWrapper";
+import { X } from "@phosphor-icons/react";
+
+const INPUT_CLASS =
+  "border-none bg-zinc-900 text-white placeholder:text-white/20 text-sm rounded-lg focus:outline-primary-button active:outline-primary-button outline-none block w-full p-2.5";
+
+export default function NewAPIConnection({ isOpen, closeModal, onSubmit }) {
+  const [spec, setSpec] = useState("");
+  const [error, setError] = useState(null);
+  if (!isOpen) return null;
+
+  function handleClose() {
+    setSpec("");
+    setError(null);
+    closeModal();
+  }
+
+  async function handleSpecFile(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setSpec(await file.text());
+    setError(null);
+  }
+
+  async function handleUpdate(e) {
+    e.preventDefault();
+    e.stopPropagation();
+    const form = new FormData(e.target);
+    const baseUrl = form.get("baseUrl").trim();
+
+    let parsedSpec = null;
+    if (spec.trim()) {
+      try {
+        parsedSpec = JSON.parse(spec);
+      } catch {
+        setError("The OpenAPI spec must be valid JSON.");
+        return false;
+      }
+      if (!parsedSpec?.paths) {
+        setError("The OpenAPI spec does not define any paths.");
+        return false;
+      }
+    }
+    if (!baseUrl && !parsedSpec?.servers?.[0]?.url && !parsedSpec?.host) {
+      setError("Set a base URL or import a spec that defines its server.");
+      return false;
+    }
+
+    onSubmit({
+      api_id: form.get("name").trim(),
+      baseUrl,
+      description: form.get("description").trim(),
+      authHeaderName: form.get("authHeaderName").trim(),
+      authHeaderValue: form.get("authHeaderValue"),
+      openApiSpec: spec.trim() || null,
+    });
+    handleClose();
+    return false;
+  }
+
+  // Cannot do nested forms, it will cause all sorts of issues, so we portal this out
+  // to the parent container form so we don't have nested forms.
+  return createPortal(
+    <ModalWrapper isOpen={isOpen}>
+      <div className="relative w-full md:w-1/3 max-w-2xl max-h-full md:mt-8">
+        <div className="relative bg-main-gradient rounded-xl shadow-[0_4px_14px_rgba(0,0,0,0.25)] max-h-[85vh] overflow-y-scroll no-scroll">
+          <div className="flex items-start justify-between p-4 border-b rounded-t border-gray-500/50">
+            <h3 className="text-xl font-semibold text-white">
+              New API Connection
+            </h3>
+            <button
+              onClick={handleClose}
+              type="button"
+              className="border-none transition-all duration-300 text-gray-400 bg-transparent hover:border-white/60 rounded-lg text-sm p-1.5 ml-auto inline-flex items-center bg-sidebar-button hover:bg-menu-item-selected-gradient hover:border-slate-100 hover:border-opacity-50 border-transparent border"
+              data-modal-hide="staticModal"
+            >
+              <X className="text-gray-300 text-lg" />
+            </button>
+          </div>
+
+          <form id="api-connection-form" onSubmit={handleUpdate}>
+            <div className="py-[17px] px-[20px] flex flex-col gap-y-6">
+              <p className="text-sm text-white">
+                Add the API below and it will be available for future agent
+                calls. Calls are only ever sent to paths under the base URL.
+              </p>
+
+              <div className="flex flex-col w-full">
+                <label className="text-white text-sm font-semibold block mb-3">
+                  Connection name
+                </label>
+                <input
+                  type="text"
+                  name="name"
+                  className={INPUT_CLASS}
+                  placeholder="a unique name to identify this API"
+                  required={true}
+                  autoComplete="off"
+                  spellCheck={false}
+                />
+              </div>
+
+              <div className="flex flex-col w-full">
+                <label className="text-white text-sm font-semibold block mb-3">
+                  Base URL
+                </label>
+                <input
+                  type="url"
+                  name="baseUrl"
+                  className={INPUT_CLASS}
+                  placeholder="https://api.example.com/v1"
+                  autoComplete="off"
+                  spellCheck={false}
+                />
+              </div>
+
+              <div className="flex flex-col w-full">
+                <label className="text-white text-sm font-semibold block mb-3">
+                  Description
+                </label>
+                <input
+                  type="text"
+                  name="description"
+                  className={INPUT_CLASS}
+                  placeholder="what the agent can use this API for"
+                  autoComplete="off"
+                />
+              </div>
+
+              <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+                <div className="flex flex-col">
+                  <label className="text-white text-sm font-semibold block mb-3">
+                    Auth header
+                  </label>
+                  <input
+                    type="text"
+                    name="authHeaderName"
+                    className={INPUT_CLASS}
+                    placeholder="Authorization"
+                    autoComplete="off"
+                    spellCheck={false}
+                  />
+                </div>
+                <div className="flex flex-col sm:col-span-2">
+                  <label className="text-white text-sm font-semibold block mb-3">
+                    Auth header value
+                  </label>
+                  <input
+                    type="password"
+                    name="authHeaderValue"
+                    className={INPUT_CLASS}
+                    placeholder="Bearer sk-..."
+                    autoComplete="off"
+                    spellCheck={false}
+                  />
+                </div>
+              </div>
+
+              <div className="flex flex-col w-full">
+                <div className="flex items-center justify-between mb-3">
+                  <label className="text-white text-sm font-semibold block">
+                    OpenAPI spec (JSON)
+                  </label>
+                  <label className="text-xs text-sky-400 cursor-pointer hover:underline">
+                    Import file
+                    <input
+                      type="file"
+                      accept=".json,application/json"
+                      className="hidden"
+                      onChange={handleSpecFile}
+                    />
+                  </label>
+                </div>
+                <textarea
+                  rows={6}
+                  value={spec}
+                  onChange={(e) => {
+                    setSpec(e.target.value);
+                    setError(null);
+                  }}
+                  className={`${INPUT_CLASS} font-mono text-xs`}
+                  placeholder='{"openapi": "3.0.0", "paths": {...}}'
+                  spellCheck={false}
+                />
+                <p className="text-white/40 text-xs mt-2">
+                  Optional. Without a spec the agent can call any path under the
+                  base URL.
+                </p>
+              </div>
+              {error && <p className="text-red-400 text-sm">{error}</p>}
+            </div>
+            <div className="flex w-full justify-between items-center p-3 space-x-2 border-t rounded-b border-gray-500/50">
+              <button
+                type="button"
+                onClick={handleClose}
+                className="border-none text-xs px-2 py-1 font-semibold rounded-lg bg-white hover:bg-transparent border-2 border-transparent hover:border-white hover:text-white h-[32px] w-fit -mr-8 whitespace-nowrap shadow-[0_4px_14px_rgba(0,0,0,0.25)]"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                form="api-connection-form"
+                className="border-none text-xs px-2 py-1 font-semibold rounded-lg bg-primary-button hover:bg-secondary border-2 border-transparent hover:border-primary-button hover:text-white h-[32px] w-fit -mr-8 whitespace-nowrap shadow-[0_4px_14px_rgba(0,0,0,0.25)]"
+              >
+                Save connection
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </ModalWrapper>,
+    document.getElementById("workspace-agent-settings-container")
+  );
+}
@@ -0,0 +1,107 @@
+import React, { useState } from "react";
+import APIConnection from "./APIConnection";
+import { Plus, PlugsConnected } from "@phosphor-icons/react";
+import NewAPIConnection from "./NewConnectionModal";
+import { useModal } from "@/hooks/useModal";
+
+export default function AgentAPIConnectorSelection({
+  skill,
+  settings,
+  toggleSkill,
+  enabled = false,
+  setHasChanges,
+}) {
+  const { isOpen, openModal, closeModal } = useModal();
+  const [connections, setConnections] = useState(
+    settings?.preferences?.agent_api_connections || []
+  );
+  return (
+    <>
+      <div className="p-2">
+        <div className="flex flex-col gap-y-[18px] max-w-[500px]">
+          <div className="flex items-center gap-x-2">
+            <PlugsConnected size={24} color="white" weight="bold" />
+            <label htmlFor="name" className="text-white text-md font-bold">
+              API Calls
+            </label>
+            <label className="border-none relative inline-flex cursor-pointer items-center ml-auto">
+              <input
+                type="checkbox"
+                className="peer sr-only"
+                checked={enabled}
+                onChange={() => toggleSkill(skill)}
+              />
+              <div className="pointer-events-none peer h-6 w-11 rounded-full bg-stone-400 after:absolute after:left-[2px] after:top-[2px] after:h-5 after:w-5 after:rounded-full after:shadow-xl after:border after:border-gray-600 after:bg-white after:box-shadow-md after:transition-all after:content-[''] peer-checked:bg-lime-300 peer-checked:after:translate-x-full peer-checked:after:border-white peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-800"></div>
+              <span className="ml-3 text-sm font-medium text-gray-900 dark:text-gray-300"></span>
+            </label>
+          </div>
+          <p className="text-white text-opacity-60 text-xs font-medium py-1.5">
+            Enable your agent to call the REST APIs you register below. Import
+            an OpenAPI spec so the agent knows which operations it can use.
+            Credentials are stored encrypted and are never shown to the agent.
+          </p>
+          {enabled && (
+            <>
+              <input
+                name="system::agent_api_connections"
+                type="hidden"
+                value={JSON.stringify(connections)}
+              />
+              <div className="flex flex-col mt-2 gap-y-2">
+                <p className="text-white font-semibold text-sm">
+                  Your API connections
+                </p>
+                <div className="flex flex-col gap-y-3">
+                  {connections
+                    .filter((connection) => connection.action !== "remove")
+                    .map((connection) => (
+                      <APIConnection
+                        key={connection.api_id}
+                        connection={connection}
+                        onRemove={(apiId) => {
+                          setHasChanges(true);
+                          setConnections((prev) =>
+                            prev.map((conn) => {
+                              if (conn.api_id === apiId)
+                                return { ...conn, action: "remove" };
+                              return conn;
+                            })
+                          );
+                        }}
+                      />
+                    ))}
+                  <button
+                    type="button"
+                    onClick={openModal}
+                    className="w-fit relative flex h-[40px] items-center border-none hover:bg-slate-600/20 rounded-lg"
+                  >
+                    <div className="flex w-full gap-x-2 items-center p-4">
+                      <div className="bg-zinc-600 p-2 rounded-lg h-[24px] w-[24px] flex items-center justify-center">
+                        <Plus
+                          weight="bold"
+                          size={14}
+                          className="shrink-0 text-slate-100"
+                        />
+                      </div>
+                      <p className="text-left text-slate-100 text-sm">
+                        New API connection
+                      </p>
+                    </div>
+                  </button>
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+      <NewAPIConnection
+        isOpen={isOpen}
+        closeModal={closeModal}
+        onSubmit={(newApi) => {
+          setHasChanges(true);
+          setConnections((prev) => [...prev, { action: "add", ...newApi }]);
+        }}
+      />
+    </>
+  );
+}
@@ -0,0 +1,101 @@
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import { FlowArrow, PencilSimple, Trash } from "@phosphor-icons/react";
+import AgentFlows from "@/models/agentFlows";
+import showToast from "@/utils/toast";
+import paths from "@/utils/paths";
+
+export default function AgentFlowPanel({
+  uuid,
+  title,
+  description,
+  active = true,
+  steps = 0,
+  sideEffects = false,
+  setFlows,
+}) {
+  const [loading, setLoading] = useState(false);
+
+  const refreshFlows = async (action) => {
+    setLoading(true);
+    await action();
+    setFlows(await AgentFlows.list());
+    setLoading(false);
+  };
+
+  const toggleFlow = () =>
+    refreshFlows(async () => {
+      const { success, error } = await AgentFlows.toggle(uuid, !active);
+      if (!success)
+        showToast(`Could not update ${title}. ${error ?? ""}`, "error", {
+          clear: true,
+        });
+    });
+
+  const deleteFlow = () => {
+    if (
+      !window.confirm(
+        `Are you sure you want to delete the "${title}" flow?\nThis action is irreversible.`
+      )
+    )
+      return;
+    refreshFlows(async () => {
+      if (!(await AgentFlows.delete(uuid)))
+        showToast(`Could not delete ${title}.`, "error", { clear: true });
+    });
+  };
+
+  return (
+    <div className="p-2">
+      <div className="flex flex-col gap-y-[18px] max-w-[500px]">
+        <div className="flex items-center gap-x-2">
+          <FlowArrow size={24} color="white" weight="bold" />
+          <label htmlFor="name" className="text-white text-md font-bold">
+            {title}
+          </label>
+          <label
+            className={`border-none relative inline-flex items-center ml-auto ${
+              loading ? "cursor-not-allowed" : "cursor-pointer"
+            }`}
+          >
+            <input
+              type="checkbox"
+              disabled={loading}
+              className="peer sr-only"
+              checked={active}
+              onChange={toggleFlow}
+            />
+            <div className="peer-disabled:opacity-50 pointer-events-none peer h-6 w-11 rounded-full bg-stone-400 after:absolute after:left-[2px] after:top-[2px] after:h-5 after:w-5 after:rounded-full after:shadow-xl after:border after:border-gray-600 after:bg-white after:box-shadow-md after:transition-all after:content-[''] peer-checked:bg-lime-300 peer-checked:after:translate-x-full peer-checked:after:border-white peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-800"></div>
+            <span className="ml-3 text-sm font-medium text-gray-900 dark:text-gray-300"></span>
+          </label>
+        </div>
+        <p className="text-white text-opacity-60 text-xs font-medium py-1.5">
+          {description}
+        </p>
+        <p className="text-white text-opacity-40 text-xs">
+          {steps} {steps === 1 ? "step" : "steps"}
+          {sideEffects &&
+            " · Calls APIs, databases or saves files so it follows the tool approval policy"}
+        </p>
+        <div className="flex items-center gap-x-2">
+          <Link
+            to={paths.settings.agentFlow(uuid)}
+            className="flex items-center gap-x-1 rounded-lg border border-white/20 px-2 py-1 text-xs text-white hover:bg-white/10"
+          >
+            <PencilSimple size={14} />
+            Edit flow
+          </Link>
+          <button
+            type="button"
+            disabled={loading}
+            onClick={deleteFlow}
+            className="flex items-center gap-x-1 rounded-lg border border-white/20 px-2 py-1 text-xs text-white hover:bg-red-500/20 disabled:opacity-50"
+          >
+            <Trash size={14} />
+            Delete
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
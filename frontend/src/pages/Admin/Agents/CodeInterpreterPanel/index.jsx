@@ -0,0 +1,22 @@
+import GenericSkillPanel from "../GenericSkillPanel";
+
+// The server refuses to turn the skill on without a sandbox, so only turning it off is allowed then.
+export default function CodeInterpreterPanel(props) {
+  const sandboxError = props.settings?.preferences?.code_sandbox_error ?? null;
+  return (
+    <>
+      <GenericSkillPanel
+        {...props}
+        disabled={!!sandboxError && !props.enabled}
+      />
+      {sandboxError && (
+        <div className="px-2 max-w-[500px]">
+          <p className="rounded-lg bg-red-500/20 p-2 text-xs text-white">
+            Code cannot be run on this server because it cannot be sandboxed.{" "}
+            {sandboxError}
+          </p>
+        </div>
+      )}
+    </>
+  );
+}
@@ -39,7 +39,7 @@ export default function GenericSkillPanel({
             <span className="ml-3 text-sm font-medium text-gray-900 dark:text-gray-300"></span>
           </label>
         </div>
-        <img src={image} alt={title} className="w-full rounded-md" />
+        {image && <img src={image} alt={title} className="w-full rounded-md" />}
         <p className="text-white text-opacity-60 text-xs font-medium py-1.5">
           {description}
         </p>
@@ -0,0 +1,88 @@
+import React from "react";
+import { PuzzlePiece, Warning } from "@phosphor-icons/react";
+
+export default function ImportedSkillPanel({
+  title,
+  description,
+  skill,
+  toggleSkill,
+  enabled = false,
+  version = null,
+  author = null,
+  params = {},
+  valid = true,
+  error = null,
+}) {
+  // Invalid skills can still be turned off if they were enabled before they broke.
+  const disabled = !valid && !enabled;
+
+  return (
+    <div className="p-2">
+      <div className="flex flex-col gap-y-[18px] max-w-[500px]">
+        <div className="flex items-center gap-x-2">
+          <PuzzlePiece size={24} color="white" weight="bold" />
+          <label htmlFor="name" className="text-white text-md font-bold">
+            {title}
+          </label>
+          <label
+            className={`border-none relative inline-flex items-center ml-auto ${
+              disabled ? "cursor-not-allowed" : "cursor-pointer"
+            }`}
+          >
+            <input
+              type="checkbox"
+              disabled={disabled}
+              className="peer sr-only"
+              checked={enabled}
+              onChange={() => toggleSkill(skill)}
+            />
+            <div className="peer-disabled:opacity-50 pointer-events-none peer h-6 w-11 rounded-full bg-stone-400 after:absolute after:left-[2px] after:top-[2px] after:h-5 after:w-5 after:rounded-full after:shadow-xl after:border after:border-gray-600 after:bg-white after:box-shadow-md after:transition-all after:content-[''] peer-checked:bg-lime-300 peer-checked:after:translate-x-full peer-checked:after:border-white peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-800"></div>
+            <span className="ml-3 text-sm font-medium text-gray-900 dark:text-gray-300"></span>
+          </label>
+        </div>
+        {(version || author) && (
+          <p className="text-white text-opacity-60 text-xs font-medium">
+            {[version && `v${version}`, author && `by ${author}`]
+              .filter(Boolean)
+              .join(" ")}
+          </p>
+        )}
+        {!valid && (
+          <div className="flex items-start gap-x-2 rounded-lg bg-red-500/20 p-2 text-xs text-white">
+            <Warning size={16} className="shrink-0 text-red-400" />
+            <p>
+              This skill cannot be used by agents until it is fixed. {error}
+            </p>
+          </div>
+        )}
+        {description && (
+          <p className="text-white text-opacity-60 text-xs font-medium py-1.5">
+            {description}
+          </p>
+        )}
+        {Object.keys(params).length > 0 && (
+          <div className="flex flex-col gap-y-2">
+            <p className="text-white text-sm font-semibold">Parameters</p>
+            {Object.entries(params).map(([param, definition]) => (
+              <div key={param} className="text-xs">
+                <p className="text-white font-mono">
+                  {param}{" "}
+                  <span className="text-white/40">({definition?.type})</span>
+                </p>
+                {definition?.description && (
+                  <p className="text-white text-opacity-60">
+                    {definition.description}
+                  </p>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+        <p className="text-white text-opacity-40 text-xs">
+          Imported from the <code>plugins/agent-skills/{skill?.slice(2)}</code>{" "}
+          folder in storage.
+        </p>
+      </div>
+    </div>
+  );
+}
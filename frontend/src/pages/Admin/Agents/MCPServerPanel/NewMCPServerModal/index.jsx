@@ -0,0 +1,209 @@
+import { useState } from "react";
+import { X } from "@phosphor-icons/react";
+import Admin from "@/models/admin";
+
+const INPUT_CLASS =
+  "bg-zinc-900 text-white placeholder:text-white/20 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5";
+
+// One KEY=VALUE pair per line, blank lines are skipped.
+function parseEnv(text = "") {
+  return Object.fromEntries(
+    text
+      .split("\n")
+      .map((line) => line.trim())
+      .filter((line) => line.includes("="))
+      .map((line) => {
+        const index = line.indexOf("=");
+        return [line.slice(0, index).trim(), line.slice(index + 1).trim()];
+      })
+  );
+}
+
+// Command servers run on the host, the server only lets signed in admins add them in multi-user mode.
+export default function NewMCPServerModal({
+  onAdded,
+  multiUserMode = false,
+  closeModal,
+}) {
+  const [name, setName] = useState("");
+  const [type, setType] = useState(multiUserMode ? "stdio" : "sse");
+  const [command, setCommand] = useState("");
+  const [args, setArgs] = useState("");
+  const [env, setEnv] = useState("");
+  const [url, setUrl] = useState("");
+  const [confirmHostCommand, setConfirmHostCommand] = useState(false);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setError(null);
+    setSaving(true);
+    const definition =
+      type === "sse"
+        ? { type, url }
+        : {
+            command,
+            args: args
+              .split("\n")
+              .map((arg) => arg.trim())
+              .filter(Boolean),
+            env: parseEnv(env),
+          };
+    const result = await Admin.addMCPServer(
+      name,
+      definition,
+      type === "stdio" && confirmHostCommand
+    );
+    setSaving(false);
+    if (result.servers) onAdded(result.servers);
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    closeModal();
+  };
+
+  return (
+    <div className="relative w-[560px] max-w-2xl max-h-full overflow-auto">
+      <div className="relative bg-main-gradient rounded-lg shadow">
+        <div className="flex items-start justify-between p-4 border-b rounded-t border-gray-500/50">
+          <h3 className="text-xl font-semibold text-white">New MCP server</h3>
+          <button
+            onClick={closeModal}
+            type="button"
+            className="transition-all duration-300 text-gray-400 bg-transparent hover:border-white/60 rounded-lg text-sm p-1.5 ml-auto inline-flex items-center bg-sidebar-button hover:bg-menu-item-selected-gradient hover:border-slate-100 hover:border-opacity-50 border-transparent border"
+          >
+            <X className="text-gray-300 text-lg" />
+          </button>
+        </div>
+        {/* React events bubble through the portal, keep them away from the skills form. */}
+        <form onSubmit={handleSubmit} onChange={(e) => e.stopPropagation()}>
+          <div className="p-6 flex flex-col gap-y-4">
+            {error && <p className="text-red-400 text-sm">Error: {error}</p>}
+            <div className="flex flex-col gap-y-2">
+              <label className="text-sm font-medium text-white">Name</label>
+              <input
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="filesystem"
+                pattern="[a-zA-Z0-9_\-]+"
+                className={INPUT_CLASS}
+                required={true}
+                autoComplete="off"
+              />
+            </div>
+            <div className="flex flex-col gap-y-2">
+              <label className="text-sm font-medium text-white">
+                Transport
+              </label>
+              <select
+                value={type}
+                onChange={(e) => setType(e.target.value)}
+                className={INPUT_CLASS}
+              >
+                <option value="stdio" disabled={!multiUserMode}>
+                  {multiUserMode
+                    ? "Command (stdio)"
+                    : "Command (stdio) - only in multi-user mode"}
+                </option>
+                <option value="sse">URL (sse)</option>
+              </select>
+            </div>
+            {type === "sse" ? (
+              <div className="flex flex-col gap-y-2">
+                <label className="text-sm font-medium text-white">URL</label>
+                <input
+                  type="url"
+                  value={url}
+                  onChange={(e) => setUrl(e.target.value)}
+                  placeholder="http://localhost:8000/sse"
+                  className={INPUT_CLASS}
+                  required={true}
+                  autoComplete="off"
+                />
+              </div>
+            ) : (
+              <>
+                <div className="flex flex-col gap-y-2">
+                  <label className="text-sm font-medium text-white">
+                    Command
+                  </label>
+                  <input
+                    value={command}
+                    onChange={(e) => setCommand(e.target.value)}
+                    placeholder="npx"
+                    className={INPUT_CLASS}
+                    required={true}
+                    autoComplete="off"
+                  />
+                </div>
+                <div className="flex flex-col gap-y-2">
+                  <label className="text-sm font-medium text-white">
+                    Arguments
+                  </label>
+                  <p className="text-white/60 text-xs">One per line.</p>
+                  <textarea
+                    value={args}
+                    onChange={(e) => setArgs(e.target.value)}
+                    placeholder={
+                      "-y\n@modelcontextprotocol/server-filesystem\n/data"
+                    }
+                    rows={3}
+                    className={`${INPUT_CLASS} font-mono`}
+                  />
+                </div>
+                <div className="flex flex-col gap-y-2">
+                  <label className="text-sm font-medium text-white">
+                    Environment variables
+                  </label>
+                  <p className="text-white/60 text-xs">
+                    One <code>KEY=VALUE</code> per line.
+                  </p>
+                  <textarea
+                    value={env}
+                    onChange={(e) => setEnv(e.target.value)}
+                    placeholder="API_KEY=..."
+                    rows={2}
+                    className={`${INPUT_CLASS} font-mono`}
+                  />
+                  <p className="text-white/60 text-xs">
+                    Only these variables are passed to the command, not the ones
+                    of this server.
+                  </p>
+                </div>
+                <label className="flex items-start gap-x-2 rounded-lg bg-red-500/20 p-2 text-xs text-white">
+                  <input
+                    type="checkbox"
+                    checked={confirmHostCommand}
+                    onChange={(e) => setConfirmHostCommand(e.target.checked)}
+                    required={true}
+                  />
+                  This runs the command above on the host of this server with
+                  its permissions. Only add commands you trust.
+                </label>
+              </>
+            )}
+          </div>
+          <div className="flex w-full justify-between items-center p-6 space-x-2 border-t rounded-b border-gray-500/50">
+            <button
+              onClick={closeModal}
+              type="button"
+              className="px-4 py-2 rounded-lg text-white hover:bg-stone-900 transition-all duration-300"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="transition-all duration-300 border border-slate-200 px-4 py-2 rounded-lg text-white text-sm items-center flex gap-x-2 hover:bg-slate-200 hover:text-slate-800 disabled:opacity-50"
+            >
+              {saving ? "Starting..." : "Add server"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
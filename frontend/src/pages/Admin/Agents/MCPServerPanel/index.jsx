@@ -0,0 +1,187 @@
+import { useState } from "react";
+import { ArrowClockwise, Plugs, Trash } from "@phosphor-icons/react";
+import Admin from "@/models/admin";
+import showToast from "@/utils/toast";
+
+const STATUS_STYLES = {
+  running: "bg-green-500/20 text-green-400",
+  stopped: "bg-white/10 text-white/60",
+  failed: "bg-red-500/20 text-red-400",
+};
+
+export default function MCPServerPanel({
+  name,
+  type,
+  command = null,
+  url = null,
+  enabled = true,
+  status = "stopped",
+  message = null,
+  tools = [],
+  setServers,
+}) {
+  const [loading, setLoading] = useState(false);
+
+  const refreshServers = async (action) => {
+    setLoading(true);
+    await action();
+    setServers(await Admin.mcpServers());
+    setLoading(false);
+  };
+
+  const toggleServer = () =>
+    refreshServers(async () => {
+      const { success, error } = await Admin.toggleMCPServer(name, !enabled);
+      if (!success)
+        showToast(`Could not start ${name}. ${error ?? ""}`, "error", {
+          clear: true,
+        });
+    });
+
+  const toggleTool = (tool) =>
+    refreshServers(async () => {
+      const { success, error } = await Admin.toggleMCPTool(
+        name,
+        tool.name,
+        !tool.enabled
+      );
+      if (!success)
+        showToast(`Could not update ${tool.name}. ${error ?? ""}`, "error", {
+          clear: true,
+        });
+    });
+
+  const removeServer = () => {
+    if (
+      !window.confirm(
+        `Remove the ${name} MCP server? Agents will no longer be able to use its tools.`
+      )
+    )
+      return;
+    refreshServers(async () => {
+      const { success, error } = await Admin.removeMCPServer(name);
+      if (!success)
+        showToast(`Could not remove ${name}. ${error ?? ""}`, "error", {
+          clear: true,
+        });
+    });
+  };
+
+  const reloadServers = () =>
+    refreshServers(async () => {
+      await Admin.reloadMCPServers();
+      showToast("MCP servers reloaded from the config file.", "success", {
+        clear: true,
+      });
+    });
+
+  return (
+    <div className="p-2">
+      <div className="flex flex-col gap-y-[18px] max-w-[500px]">
+        <div className="flex items-center gap-x-2">
+          <Plugs size={24} color="white" weight="bold" />
+          <label htmlFor="name" className="text-white text-md font-bold">
+            {name}
+          </label>
+          <span
+            className={`rounded-full px-2 py-0.5 text-xs font-medium ${
+              STATUS_STYLES[status] ?? STATUS_STYLES.stopped
+            }`}
+          >
+            {loading ? "loading" : status}
+          </span>
+          <label
+            className={`border-none relative inline-flex items-center ml-auto ${
+              loading ? "cursor-not-allowed" : "cursor-pointer"
+            }`}
+          >
+            <input
+              type="checkbox"
+              disabled={loading}
+              className="peer sr-only"
+              checked={enabled}
+              onChange={toggleServer}
+            />
+            <div className="peer-disabled:opacity-50 pointer-events-none peer h-6 w-11 rounded-full bg-stone-400 after:absolute after:left-[2px] after:top-[2px] after:h-5 after:w-5 after:rounded-full after:shadow-xl after:border after:border-gray-600 after:bg-white after:box-shadow-md after:transition-all after:content-[''] peer-checked:bg-lime-300 peer-checked:after:translate-x-full peer-checked:after:border-white peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-800"></div>
+            <span className="ml-3 text-sm font-medium text-gray-900 dark:text-gray-300"></span>
+          </label>
+        </div>
+        <p className="text-white text-opacity-60 text-xs font-medium font-mono break-all">
+          {type === "sse" ? url : command}
+        </p>
+        {status === "failed" && message && (
+          <p className="rounded-lg bg-red-500/20 p-2 text-xs text-white">
+            {message}
+          </p>
+        )}
+        <div className="flex flex-col gap-y-2">
+          <p className="text-white text-sm font-semibold">
+            Tools ({tools.filter((tool) => tool.enabled).length}/{tools.length}{" "}
+            enabled)
+          </p>
+          {tools.length === 0 ? (
+            <p className="text-white text-opacity-60 text-xs">
+              Tools are listed once the server is running.
+            </p>
+          ) : (
+            tools.map((tool) => (
+              <div
+                key={tool.name}
+                className="flex items-start justify-between gap-x-4 text-xs"
+              >
+                <div>
+                  <p className="text-white font-mono">{tool.name}</p>
+                  {tool.description && (
+                    <p className="text-white text-opacity-60">
+                      {tool.description}
+                    </p>
+                  )}
+                </div>
+                <label
+                  className={`border-none relative inline-flex shrink-0 items-center ${
+                    loading ? "cursor-not-allowed" : "cursor-pointer"
+                  }`}
+                >
+                  <input
+                    type="checkbox"
+                    disabled={loading}
+                    className="peer sr-only"
+                    checked={tool.enabled}
+                    onChange={() => toggleTool(tool)}
+                  />
+                  <div className="peer-disabled:opacity-50 pointer-events-none peer h-5 w-9 rounded-full bg-stone-400 after:absolute after:left-[2px] after:top-[2px] after:h-4 after:w-4 after:rounded-full after:border after:border-gray-600 after:bg-white after:transition-all after:content-[''] peer-checked:bg-lime-300 peer-checked:after:translate-x-full peer-checked:after:border-white"></div>
+                </label>
+              </div>
+            ))
+          )}
+        </div>
+        <div className="flex items-center justify-between gap-x-4">
+          <p className="text-white text-opacity-40 text-xs">
+            Servers are saved to{" "}
+            <code>plugins/anythingllm_mcp_servers.json</code> in storage.
+          </p>
+          <div className="flex items-center gap-x-2 shrink-0">
+            <button
+              type="button"
+              disabled={loading}
+              onClick={reloadServers}
+              className="flex items-center gap-x-1 rounded-lg border border-white/20 px-2 py-1 text-xs text-white hover:bg-white/10 disabled:opacity-50"
+            >
+              <ArrowClockwise size={14} />
+              Reload all
+            </button>
+            <button
+              type="button"
+              disabled={loading}
+              onClick={removeServer}
+              className="flex items-center gap-x-1 rounded-lg border border-red-400/40 px-2 py-1 text-xs text-red-400 hover:bg-red-500/20 disabled:opacity-50"
+            >
+              <Trash size={14} />
+              Remove
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
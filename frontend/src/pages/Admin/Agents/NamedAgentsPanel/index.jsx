@@ -0,0 +1,447 @@
+import { useEffect, useState } from "react";
+import { PencilSimple, Plus, Trash, UsersThree } from "@phosphor-icons/react";
+import Admin from "@/models/admin";
+import showToast from "@/utils/toast";
+import { AVAILABLE_LLM_PROVIDERS } from "@/pages/GeneralSettings/LLMPreference";
+import { ENABLED_PROVIDERS } from "@/pages/WorkspaceSettings/AgentConfig/AgentLLMSelection";
+
+const AGENT_PROVIDERS = AVAILABLE_LLM_PROVIDERS.filter((llm) =>
+  ENABLED_PROVIDERS.includes(llm.value)
+);
+const INPUT_CLASS =
+  "bg-zinc-900 text-white placeholder:text-white/20 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5";
+
+// Agents and channels are saved right away instead of through the save bar, so
+// edits here must not mark the agent skills form as changed or submit it.
+function isolateFromForm(e) {
+  e.stopPropagation();
+}
+function preventSubmitOnEnter(e) {
+  if (e.key === "Enter" && e.target.tagName === "INPUT") e.preventDefault();
+}
+
+export default function NamedAgentsPanel() {
+  const [agents, setAgents] = useState([]);
+  const [channels, setChannels] = useState([]);
+  const [skills, setSkills] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const fetchDefinitions = async () => {
+    const {
+      agents: _agents = [],
+      channels: _channels = [],
+      skills: _skills = [],
+    } = await Admin.agentDefinitions();
+    setAgents(_agents);
+    setChannels(_channels);
+    setSkills(_skills);
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    fetchDefinitions();
+  }, []);
+
+  const deleteItem = async (type, item) => {
+    if (
+      !window.confirm(
+        `Are you sure you want to delete @${item.handle}?\nThis action is irreversible.`
+      )
+    )
+      return;
+    const success =
+      type === "agent"
+        ? await Admin.deleteAgentDefinition(item.id)
+        : await Admin.deleteAgentChannel(item.id);
+    if (!success) {
+      showToast(`Could not delete @${item.handle}.`, "error", { clear: true });
+      return;
+    }
+    await fetchDefinitions();
+  };
+
+  const onSaved = async () => {
+    setEditing(null);
+    await fetchDefinitions();
+  };
+
+  return (
+    <div
+      className="p-2"
+      onChange={isolateFromForm}
+      onKeyDown={preventSubmitOnEnter}
+    >
+      <div className="flex flex-col gap-y-[18px] max-w-[500px]">
+        <div className="flex items-center gap-x-2">
+          <UsersThree size={24} color="white" weight="bold" />
+          <label htmlFor="name" className="text-white text-md font-bold">
+            Named agents & channels
+          </label>
+        </div>
+        <p className="text-white text-opacity-60 text-xs font-medium py-1.5">
+          Named agents have their own role, model and skills and are called in
+          chat by starting a message with their handle, eg:{" "}
+          <code>@researcher</code>. Channels put several named agents in one
+          group chat that takes turns on your request. Agents can only use
+          skills that are turned on for @agent.
+        </p>
+
+        {loading ? (
+          <p className="text-white text-opacity-60 text-xs">
+            Loading agents...
+          </p>
+        ) : editing?.type === "agent" ? (
+          <AgentEditor
+            agent={editing.item}
+            skills={skills}
+            onSaved={onSaved}
+            onCancel={() => setEditing(null)}
+          />
+        ) : editing?.type === "channel" ? (
+          <ChannelEditor
+            channel={editing.item}
+            agents={agents}
+            onSaved={onSaved}
+            onCancel={() => setEditing(null)}
+          />
+        ) : (
+          <>
+            <DefinitionList
+              title="Agents"
+              emptyText="No named agents yet."
+              items={agents}
+              describe={(agent) =>
+                agent.provider
+                  ? `${agent.provider}${agent.model ? ` · ${agent.model}` : ""}`
+                  : "Workspace agent model"
+              }
+              onNew={() => setEditing({ type: "agent", item: null })}
+              onEdit={(agent) => setEditing({ type: "agent", item: agent })}
+              onDelete={(agent) => deleteItem("agent", agent)}
+            />
+            <DefinitionList
+              title="Channels"
+              emptyText={
+                agents.length < 2
+                  ? "Create at least two agents to put them in a channel."
+                  : "No channels yet."
+              }
+              items={channels}
+              describe={(channel) =>
+                channel.members.map((handle) => `@${handle}`).join(", ")
+              }
+              onNew={
+                agents.length < 2
+                  ? null
+                  : () => setEditing({ type: "channel", item: null })
+              }
+              onEdit={(channel) =>
+                setEditing({ type: "channel", item: channel })
+              }
+              onDelete={(channel) => deleteItem("channel", channel)}
+            />
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function DefinitionList({
+  title,
+  emptyText,
+  items = [],
+  describe,
+  onNew = null,
+  onEdit,
+  onDelete,
+}) {
+  return (
+    <div className="flex flex-col gap-y-2">
+      <div className="flex items-center justify-between">
+        <p className="text-white text-sm font-semibold">{title}</p>
+        {onNew && (
+          <button
+            type="button"
+            onClick={onNew}
+            className="flex items-center gap-x-1 rounded-lg border border-white/20 px-2 py-1 text-xs text-white hover:bg-white/10"
+          >
+            <Plus size={14} />
+            New
+          </button>
+        )}
+      </div>
+      {items.length === 0 && (
+        <p className="text-white text-opacity-40 text-xs">{emptyText}</p>
+      )}
+      {items.map((item) => (
+        <div
+          key={item.id}
+          className="flex items-center justify-between gap-x-4 rounded-lg bg-zinc-900 px-4 py-3"
+        >
+          <div className="flex flex-col gap-y-1 min-w-0">
+            <p className="text-white text-sm font-mono">@{item.handle}</p>
+            <p className="text-white text-opacity-40 text-xs truncate">
+              {describe(item)}
+            </p>
+          </div>
+          <div className="flex items-center gap-x-3 shrink-0">
+            <button
+              type="button"
+              onClick={() => onEdit(item)}
+              className="text-white/60 hover:text-white"
+              aria-label={`Edit @${item.handle}`}
+            >
+              <PencilSimple size={16} />
+            </button>
+            <button
+              type="button"
+              onClick={() => onDelete(item)}
+              className="text-white/60 hover:text-red-400"
+              aria-label={`Delete @${item.handle}`}
+            >
+              <Trash size={16} />
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function AgentEditor({ agent = null, skills = [], onSaved, onCancel }) {
+  const [handle, setHandle] = useState(agent?.handle ?? "");
+  const [role, setRole] = useState(agent?.role ?? "");
+  const [provider, setProvider] = useState(agent?.provider ?? "");
+  const [model, setModel] = useState(agent?.model ?? "");
+  const [agentSkills, setAgentSkills] = useState(agent?.skills ?? []);
+  const [saving, setSaving] = useState(false);
+
+  const toggleSkill = (skill) =>
+    setAgentSkills((prev) =>
+      prev.includes(skill) ? prev.filter((s) => s !== skill) : [...prev, skill]
+    );
+
+  const save = async () => {
+    setSaving(true);
+    const data = { handle, role, provider, model, skills: agentSkills };
+    const { agent: savedAgent, error } = agent
+      ? await Admin.updateAgentDefinition(agent.id, data)
+      : await Admin.createAgentDefinition(data);
+    setSaving(false);
+
+    if (!savedAgent) {
+      showToast(`Could not save agent. ${error ?? ""}`, "error", {
+        clear: true,
+      });
+      return;
+    }
+    showToast(`@${savedAgent.handle} saved.`, "success", { clear: true });
+    onSaved();
+  };
+
+  return (
+    <div className="flex flex-col gap-y-3">
+      <p className="text-white text-sm font-semibold">
+        {agent ? `Edit @${agent.handle}` : "New agent"}
+      </p>
+      <HandleInput
+        value={handle}
+        onChange={setHandle}
+        placeholder="researcher"
+      />
+      <div className="flex flex-col gap-y-1">
+        <label className="text-white text-xs font-medium">Role</label>
+        <textarea
+          rows={4}
+          value={role}
+          onChange={(e) => setRole(e.target.value)}
+          placeholder="You are a meticulous researcher. Find and cite sources for every claim."
+          className={INPUT_CLASS}
+        />
+      </div>
+      <div className="flex gap-x-3">
+        <div className="flex flex-col gap-y-1 w-1/2">
+          <label className="text-white text-xs font-medium">Provider</label>
+          <select
+            value={provider}
+            onChange={(e) => setProvider(e.target.value)}
+            className={INPUT_CLASS}
+          >
+            <option value="">Workspace agent provider</option>
+            {AGENT_PROVIDERS.map((llm) => (
+              <option key={llm.value} value={llm.value}>
+                {llm.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="flex flex-col gap-y-1 w-1/2">
+          <label className="text-white text-xs font-medium">Model</label>
+          <input
+            type="text"
+            value={model}
+            autoComplete="off"
+            onChange={(e) => setModel(e.target.value)}
+            placeholder={
+              provider ? "Provider default" : "Workspace agent model"
+            }
+            className={INPUT_CLASS}
+          />
+        </div>
+      </div>
+      <div className="flex flex-col gap-y-1">
+        <label className="text-white text-xs font-medium">Skills</label>
+        {skills.length === 0 ? (
+          <p className="text-white text-opacity-40 text-xs">
+            No skills are turned on for @agent.
+          </p>
+        ) : (
+          skills.map((skill) => (
+            <label
+              key={skill}
+              className="flex items-center gap-x-2 text-white text-xs font-mono cursor-pointer"
+            >
+              <input
+                type="checkbox"
+                checked={agentSkills.includes(skill)}
+                onChange={() => toggleSkill(skill)}
+              />
+              {skill}
+            </label>
+          ))
+        )}
+      </div>
+      <EditorActions saving={saving} onSave={save} onCancel={onCancel} />
+    </div>
+  );
+}
+
+function ChannelEditor({ channel = null, agents = [], onSaved, onCancel }) {
+  const [handle, setHandle] = useState(channel?.handle ?? "");
+  const [members, setMembers] = useState(channel?.members ?? []);
+  const [role, setRole] = useState(channel?.role ?? "");
+  const [maxRounds, setMaxRounds] = useState(channel?.maxRounds ?? 10);
+  const [saving, setSaving] = useState(false);
+
+  const toggleMember = (member) =>
+    setMembers((prev) =>
+      prev.includes(member)
+        ? prev.filter((m) => m !== member)
+        : [...prev, member]
+    );
+
+  const save = async () => {
+    setSaving(true);
+    const data = { handle, members, role, maxRounds: Number(maxRounds) };
+    const { channel: savedChannel, error } = channel
+      ? await Admin.updateAgentChannel(channel.id, data)
+      : await Admin.createAgentChannel(data);
+    setSaving(false);
+
+    if (!savedChannel) {
+      showToast(`Could not save channel. ${error ?? ""}`, "error", {
+        clear: true,
+      });
+      return;
+    }
+    showToast(`@${savedChannel.handle} saved.`, "success", { clear: true });
+    onSaved();
+  };
+
+  return (
+    <div className="flex flex-col gap-y-3">
+      <p className="text-white text-sm font-semibold">
+        {channel ? `Edit @${channel.handle}` : "New channel"}
+      </p>
+      <HandleInput
+        value={handle}
+        onChange={setHandle}
+        placeholder="research-team"
+      />
+      <div className="flex flex-col gap-y-1">
+        <label className="text-white text-xs font-medium">Members</label>
+        {agents.map((agent) => (
+          <label
+            key={agent.id}
+            className="flex items-center gap-x-2 text-white text-xs font-mono cursor-pointer"
+          >
+            <input
+              type="checkbox"
+              checked={members.includes(agent.handle)}
+              onChange={() => toggleMember(agent.handle)}
+            />
+            @{agent.handle}
+          </label>
+        ))}
+      </div>
+      <div className="flex flex-col gap-y-1">
+        <label className="text-white text-xs font-medium">
+          Moderator prompt
+        </label>
+        <textarea
+          rows={3}
+          value={role}
+          onChange={(e) => setRole(e.target.value)}
+          placeholder="Optional. Decides which agent speaks next."
+          className={INPUT_CLASS}
+        />
+      </div>
+      <div className="flex flex-col gap-y-1 w-1/2">
+        <label className="text-white text-xs font-medium">Max rounds</label>
+        <input
+          type="number"
+          min={1}
+          max={50}
+          value={maxRounds}
+          onChange={(e) => setMaxRounds(e.target.value)}
+          className={INPUT_CLASS}
+        />
+      </div>
+      <EditorActions saving={saving} onSave={save} onCancel={onCancel} />
+    </div>
+  );
+}
+
+function HandleInput({ value, onChange, placeholder }) {
+  return (
+    <div className="flex flex-col gap-y-1">
+      <label className="text-white text-xs font-medium">Handle</label>
+      <div className="flex items-center gap-x-1">
+        <span className="text-white/60 text-sm">@</span>
+        <input
+          type="text"
+          value={value}
+          autoComplete="off"
+          onChange={(e) => onChange(e.target.value.toLowerCase())}
+          placeholder={placeholder}
+          className={`${INPUT_CLASS} font-mono`}
+        />
+      </div>
+    </div>
+  );
+}
+
+function EditorActions({ saving, onSave, onCancel }) {
+  return (
+    <div className="flex items-center gap-x-2">
+      <button
+        type="button"
+        disabled={saving}
+        onClick={onSave}
+        className="transition-all duration-300 border border-slate-200 px-4 py-2 rounded-lg text-white text-sm hover:bg-slate-200 hover:text-slate-800 disabled:opacity-50"
+      >
+        {saving ? "Saving..." : "Save"}
+      </button>
+      <button
+        type="button"
+        disabled={saving}
+        onClick={onCancel}
+        className="px-4 py-2 rounded-lg text-white/60 text-sm hover:text-white"
+      >
+        Cancel
+      </button>
+    </div>
+  );
+}
@@ -1,16 +1,23 @@
 import PostgreSQLLogo from "./icons/postgresql.png";
 import MySQLLogo from "./icons/mysql.png";
 import MSSQLLogo from "./icons/mssql.png";
+import SQLiteLogo from "./icons/sqlite.svg";
 import { X } from "@phosphor-icons/react";
 
 export const DB_LOGOS = {
   postgresql: PostgreSQLLogo,
   mysql: MySQLLogo,
   "sql-server": MSSQLLogo,
+  sqlite: SQLiteLogo,
 };
 
 export default function DBConnection({ connection, onRemove, setHasChanges }) {
-  const { database_id, engine } = connection;
+  const {
+    database_id,
+    engine,
+    allowedTables = [],
+    maxRows = null,
+  } = connection;
   function removeConfirmation() {
     if (
       !window.confirm(
@@ -33,7 +40,12 @@ export default function DBConnection({ connection, onRemove, setHasChanges }) {
       <div className="flex w-full items-center justify-between">
         <div className="flex flex-col">
           <div className="text-sm font-semibold text-white">{database_id}</div>
-          <div className="mt-1 text-xs text-description">{engine}</div>
+          <div className="mt-1 text-xs text-description">
+            {engine}
+            {allowedTables.length > 0 &&
+              ` · ${allowedTables.length} allowed tables`}
+            {!!maxRows && ` · ${maxRows} row limit`}
+          </div>
         </div>
         <button
           type="button"
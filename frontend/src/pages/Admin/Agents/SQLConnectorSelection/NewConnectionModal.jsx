@@ -11,7 +11,12 @@ function assembleConnectionString({
   host = "",
   port = "",
   database = "",
+  filePath = "",
 }) {
+  if (engine === "sqlite")
+    return filePath
+      ? `sqlite://${filePath}`
+      : `Please fill out all the fields above.`;
   if ([username, password, host, database].every((i) => !!i) === false)
     return `Please fill out all the fields above.`;
   switch (engine) {
@@ -33,6 +38,7 @@ const DEFAULT_CONFIG = {
   host: null,
   port: null,
   database: null,
+  filePath: null,
 };
 
 export default function NewSQLConnection({ isOpen, closeModal, onSubmit }) {
@@ -49,11 +55,12 @@ export default function NewSQLConnection({ isOpen, closeModal, onSubmit }) {
   function onFormChange() {
     const form = new FormData(document.getElementById("sql-connection-form"));
     setConfig({
-      username: form.get("username").trim(),
-      password: form.get("password"),
-      host: form.get("host").trim(),
-      port: form.get("port").trim(),
-      database: form.get("database").trim(),
+      username: (form.get("username") ?? "").trim(),
+      password: form.get("password") ?? "",
+      host: (form.get("host") ?? "").trim(),
+      port: (form.get("port") ?? "").trim(),
+      database: (form.get("database") ?? "").trim(),
+      filePath: (form.get("filePath") ?? "").trim(),
     });
   }
 
@@ -65,6 +72,12 @@ export default function NewSQLConnection({ isOpen, closeModal, onSubmit }) {
       engine,
       database_id: form.get("name"),
       connectionString: assembleConnectionString({ engine, ...config }),
+      allowedTables: form
+        .get("allowedTables")
+        .split(",")
+        .map((table) => table.trim())
+        .filter(Boolean),
+      maxRows: Number(form.get("maxRows")) || 100,
     });
     handleClose();
     return false;
@@ -104,10 +117,10 @@ export default function NewSQLConnection({ isOpen, closeModal, onSubmit }) {
                 <div className="border border-red-800 bg-zinc-800 p-4 rounded-lg flex items-center gap-x-2 text-sm text-red-400">
                   <WarningOctagon size={28} className="shrink-0" />
                   <p>
-                    <b>WARNING:</b> The SQL agent has been <i>instructed</i> to
-                    only perform non-modifying queries. This <b>does not</b>{" "}
-                    prevent a hallucination from still deleting data. Only
-                    connect with a user who has <b>READ_ONLY</b> permissions.
+                    <b>WARNING:</b> The SQL agent only runs queries that read
+                    data and blocks anything else it recognizes. This{" "}
+                    <b>does not</b> replace database permissions. Only connect
+                    with a user who has <b>READ_ONLY</b> permissions.
                   </p>
                 </div>
 
@@ -130,6 +143,11 @@ export default function NewSQLConnection({ isOpen, closeModal, onSubmit }) {
                     active={engine === "sql-server"}
                     onClick={() => setEngine("sql-server")}
                   />
+                  <DBEngine
+                    provider="sqlite"
+                    active={engine === "sqlite"}
+                    onClick={() => setEngine("sqlite")}
+                  />
                 </div>
               </div>
 
@@ -148,82 +166,130 @@ export default function NewSQLConnection({ isOpen, closeModal, onSubmit }) {
                 />
               </div>
 
-              <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
-                <div className="flex flex-col">
-                  <label className="text-white text-sm font-semibold block mb-3">
-                    Database user
-                  </label>
-                  <input
-                    type="text"
-                    name="username"
-                    className="border-none bg-zinc-900 text-white placeholder:text-white/20 text-sm rounded-lg focus:outline-primary-button active:outline-primary-button outline-none block w-full p-2.5"
-                    placeholder="root"
-                    required={true}
-                    autoComplete="off"
-                    spellCheck={false}
-                  />
-                </div>
+              {engine === "sqlite" ? (
                 <div className="flex flex-col">
                   <label className="text-white text-sm font-semibold block mb-3">
-                    Database user password
+                    Database file
                   </label>
                   <input
                     type="text"
-                    name="password"
+                    name="filePath"
                     className="border-none bg-zinc-900 text-white placeholder:text-white/20 text-sm rounded-lg focus:outline-primary-button active:outline-primary-button outline-none block w-full p-2.5"
-                    placeholder="password123"
+                    placeholder="absolute path to the .db file on the server"
                     required={true}
                     autoComplete="off"
                     spellCheck={false}
                   />
                 </div>
-              </div>
+              ) : (
+                <>
+                  <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+                    <div className="flex flex-col">
+                      <label className="text-white text-sm font-semibold block mb-3">
+                        Database user
+                      </label>
+                      <input
+                        type="text"
+                        name="username"
+                        className="border-none bg-zinc-900 text-white placeholder:text-white/20 text-sm rounded-lg focus:outline-primary-button active:outline-primary-button outline-none block w-full p-2.5"
+                        placeholder="root"
+                        required={true}
+                        autoComplete="off"
+                        spellCheck={false}
+                      />
+                    </div>
+                    <div className="flex flex-col">
+                      <label className="text-white text-sm font-semibold block mb-3">
+                        Database user password
+                      </label>
+                      <input
+                        type="text"
+                        name="password"
+                        className="border-none bg-zinc-900 text-white placeholder:text-white/20 text-sm rounded-lg focus:outline-primary-button active:outline-primary-button outline-none block w-full p-2.5"
+                        placeholder="password123"
+                        required={true}
+                        autoComplete="off"
+                        spellCheck={false}
+                      />
+                    </div>
+                  </div>
+
+                  <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+                    <div className="sm:col-span-2">
+                      <label className="text-white text-sm font-semibold block mb-3">
+                        Server endpoint
+                      </label>
+                      <input
+                        type="text"
+                        name="host"
+                        className="border-none bg-zinc-900 text-white placeholder:text-white/20 text-sm rounded-lg focus:outline-primary-button active:outline-primary-button outline-none block w-full p-2.5"
+                        placeholder="the hostname or endpoint for your database"
+                        required={true}
+                        autoComplete="off"
+                        spellCheck={false}
+                      />
+                    </div>
+                    <div>
+                      <label className="text-white text-sm font-semibold block mb-3">
+                        Port
+                      </label>
+                      <input
+                        type="text"
+                        name="port"
+                        className="border-none bg-zinc-900 text-white placeholder:text-white/20 text-sm rounded-lg focus:outline-primary-button active:outline-primary-button outline-none block w-full p-2.5"
+                        placeholder="3306"
+                        required={false}
+                        autoComplete="off"
+                        spellCheck={false}
+                      />
+                    </div>
+                  </div>
+
+                  <div className="flex flex-col">
+                    <label className="text-white text-sm font-semibold block mb-3">
+                      Database
+                    </label>
+                    <input
+                      type="text"
+                      name="database"
+                      className="border-none bg-zinc-900 text-white placeholder:text-white/20 text-sm rounded-lg focus:outline-primary-button active:outline-primary-button outline-none block w-full p-2.5"
+                      placeholder="the database the agent will interact with"
+                      required={true}
+                      autoComplete="off"
+                      spellCheck={false}
+                    />
+                  </div>
+                </>
+              )}
 
               <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
                 <div className="sm:col-span-2">
                   <label className="text-white text-sm font-semibold block mb-3">
-                    Server endpoint
+                    Allowed tables
                   </label>
                   <input
                     type="text"
-                    name="host"
+                    name="allowedTables"
                     className="border-none bg-zinc-900 text-white placeholder:text-white/20 text-sm rounded-lg focus:outline-primary-button active:outline-primary-button outline-none block w-full p-2.5"
-                    placeholder="the hostname or endpoint for your database"
-                    required={true}
+                    placeholder="orders, customers - leave empty to allow all"
                     autoComplete="off"
                     spellCheck={false}
                   />
                 </div>
                 <div>
                   <label className="text-white text-sm font-semibold block mb-3">
-                    Port
+                    Row limit
                   </label>
                   <input
-                    type="text"
-                    name="port"
+                    type="number"
+                    name="maxRows"
+                    min={1}
+                    max={1000}
+                    defaultValue={100}
                     className="border-none bg-zinc-900 text-white placeholder:text-white/20 text-sm rounded-lg focus:outline-primary-button active:outline-primary-button outline-none block w-full p-2.5"
-                    placeholder="3306"
-                    required={false}
-                    autoComplete="off"
-                    spellCheck={false}
                   />
                 </div>
               </div>
-
-              <div className="flex flex-col">
-                <label className="text-white text-sm font-semibold block mb-3">
-                  Database
-                </label>
-                <input
-                  type="text"
-                  name="database"
-                  className="border-none bg-zinc-900 text-white placeholder:text-white/20 text-sm rounded-lg focus:outline-primary-button active:outline-primary-button outline-none block w-full p-2.5"
-                  placeholder="the database the agent will interact with"
-                  required={true}
-                  autoComplete="off"
-                  spellCheck={false}
-                />
-              </div>
               <p className="text-white/40 text-sm">
                 {assembleConnectionString({ engine, ...config })}
               </p>
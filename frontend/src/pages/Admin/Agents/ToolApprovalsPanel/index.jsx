@@ -0,0 +1,96 @@
+import { useEffect, useState } from "react";
+import { ShieldCheck } from "@phosphor-icons/react";
+import Admin from "@/models/admin";
+
+const POLICIES = [
+  { value: "ask", label: "Ask every time" },
+  { value: "always", label: "Always allow" },
+  { value: "never", label: "Never allow" },
+];
+
+const SOURCE_LABELS = {
+  "built-in": "Built-in",
+  imported: "Imported skill",
+  flow: "Agent flow",
+  mcp: "MCP tool",
+};
+
+export default function ToolApprovalsPanel({ setHasChanges }) {
+  const [tools, setTools] = useState([]);
+  const [policies, setPolicies] = useState({});
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    async function fetchTools() {
+      const _tools = await Admin.agentToolApprovals();
+      setTools(_tools);
+      setPolicies(
+        Object.fromEntries(_tools.map((tool) => [tool.name, tool.policy]))
+      );
+      setLoading(false);
+    }
+    fetchTools();
+  }, []);
+
+  const updatePolicy = (name, policy) => {
+    setPolicies((prev) => ({ ...prev, [name]: policy }));
+    setHasChanges(true);
+  };
+
+  return (
+    <div className="p-2">
+      <div className="flex flex-col gap-y-[18px] max-w-[500px]">
+        {!loading && (
+          <input
+            type="hidden"
+            name="system::agent_skill_approvals"
+            value={JSON.stringify(policies)}
+          />
+        )}
+        <div className="flex items-center gap-x-2">
+          <ShieldCheck size={24} color="white" weight="bold" />
+          <label htmlFor="name" className="text-white text-md font-bold">
+            Tool approvals
+          </label>
+        </div>
+        <p className="text-white text-opacity-60 text-xs font-medium py-1.5">
+          Choose if agents can run tools that change data or files on their own.
+          With &quot;Ask every time&quot; the agent pauses and shows the call in
+          the chat so it can be approved, edited or denied. Sessions that cannot
+          ask, like the developer API, deny these calls.
+        </p>
+        {loading ? (
+          <p className="text-white text-opacity-60 text-xs">Loading tools...</p>
+        ) : (
+          <div className="flex flex-col gap-y-3">
+            {tools.map((tool) => (
+              <div
+                key={tool.name}
+                className="flex items-center justify-between gap-x-4"
+              >
+                <div className="flex flex-col">
+                  <p className="text-white text-sm">{tool.title}</p>
+                  <p className="text-white text-opacity-40 text-xs">
+                    {SOURCE_LABELS[tool.source] ?? tool.source} ·{" "}
+                    <span className="font-mono">{tool.name}</span>
+                  </p>
+                </div>
+                <select
+                  value={policies[tool.name] ?? "ask"}
+                  onChange={(e) => updatePolicy(tool.name, e.target.value)}
+                  className="bg-zinc-900 border-gray-500 text-white text-xs rounded-lg block p-2 shrink-0"
+                >
+                  {POLICIES.map((policy) => (
+                    <option key={policy.value} value={policy.value}>
+                      {policy.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
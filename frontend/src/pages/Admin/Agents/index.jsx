@@ -4,18 +4,32 @@ import { isMobile } from "react-device-detect";
 import Admin from "@/models/admin";
 import System from "@/models/system";
 import showToast from "@/utils/toast";
-import { CaretLeft, CaretRight, Robot } from "@phosphor-icons/react";
+import { CaretLeft, CaretRight, Plus, Robot } from "@phosphor-icons/react";
 import ContextualSaveBar from "@/components/ContextualSaveBar";
 import { castToType } from "@/utils/types";
 import { FullScreenLoader } from "@/components/Preloader";
 import { defaultSkills, configurableSkills } from "./skills";
 import { DefaultBadge } from "./Badges/default";
+import ImportedSkillPanel from "./ImportedSkillPanel";
+import MCPServerPanel from "./MCPServerPanel";
+import NewMCPServerModal from "./MCPServerPanel/NewMCPServerModal";
+import ToolApprovalsPanel from "./ToolApprovalsPanel";
+import NamedAgentsPanel from "./NamedAgentsPanel";
+import AgentFlowPanel from "./AgentFlowPanel";
+import AgentFlows from "@/models/agentFlows";
+import paths from "@/utils/paths";
+import { Link } from "react-router-dom";
+import { useModal } from "@/hooks/useModal";
+import ModalWrapper from "@/components/ModalWrapper";
 
 export default function AdminAgents() {
   const [hasChanges, setHasChanges] = useState(false);
   const [settings, setSettings] = useState({});
   const [selectedSkill, setSelectedSkill] = useState("");
   const [agentSkills, setAgentSkills] = useState([]);
+  const [importedSkills, setImportedSkills] = useState({});
+  const [mcpServers, setMcpServers] = useState([]);
+  const [agentFlows, setAgentFlows] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showSkillModal, setShowSkillModal] = useState(false);
   const formEl = useRef(null);
@@ -40,6 +54,11 @@ export default function AdminAgents() {
       const _preferences = await Admin.systemPreferences();
       setSettings({ ..._settings, preferences: _preferences.settings } ?? {});
       setAgentSkills(_preferences.settings?.default_agent_skills ?? []);
+      setImportedSkills(
+        importedSkillsConfig(await Admin.importedAgentSkills())
+      );
+      setMcpServers(await Admin.mcpServers());
+      setAgentFlows(await AgentFlows.list());
       setLoading(false);
     }
     fetchSettings();
@@ -97,9 +116,23 @@ export default function AdminAgents() {
     setHasChanges(false);
   };
 
-  const SelectedSkillComponent =
-    configurableSkills[selectedSkill]?.component ||
-    defaultSkills[selectedSkill]?.component;
+  const mcpSkills = mcpServersConfig(mcpServers, setMcpServers);
+  const runningMcpServers = Object.keys(mcpSkills).filter(
+    (key) => mcpSkills[key].status === "running"
+  );
+  const flowSkills = agentFlowsConfig(agentFlows, setAgentFlows);
+  const activeFlows = Object.keys(flowSkills).filter(
+    (key) => flowSkills[key].active
+  );
+  const selectedSkillConfig =
+    configurableSkills[selectedSkill] ||
+    importedSkills[selectedSkill] ||
+    flowSkills[selectedSkill] ||
+    mcpSkills[selectedSkill] ||
+    approvalSettings[selectedSkill] ||
+    namedAgentSettings[selectedSkill] ||
+    defaultSkills[selectedSkill];
+  const SelectedSkillComponent = selectedSkillConfig?.component;
 
   if (loading) {
     return (
@@ -157,6 +190,59 @@ export default function AdminAgents() {
               }}
               activeSkills={agentSkills}
             />
+            {/* Imported skills */}
+            <SkillList
+              skills={importedSkills}
+              selectedSkill={selectedSkill}
+              handleClick={(skill) => {
+                setSelectedSkill(skill);
+                setShowSkillModal(true);
+              }}
+              activeSkills={agentSkills}
+            />
+            {/* Agent flows */}
+            <SkillList
+              skills={flowSkills}
+              selectedSkill={selectedSkill}
+              handleClick={(skill) => {
+                setSelectedSkill(skill);
+                setShowSkillModal(true);
+              }}
+              activeSkills={activeFlows}
+            />
+            <NewFlowLink />
+            {/* MCP servers */}
+            <SkillList
+              skills={mcpSkills}
+              selectedSkill={selectedSkill}
+              handleClick={(skill) => {
+                setSelectedSkill(skill);
+                setShowSkillModal(true);
+              }}
+              activeSkills={runningMcpServers}
+            />
+            <NewMCPServerLink
+              setServers={setMcpServers}
+              multiUserMode={!!settings?.MultiUserMode}
+            />
+            {/* Approval policies of tools with side effects */}
+            <SkillList
+              skills={approvalSettings}
+              selectedSkill={selectedSkill}
+              handleClick={(skill) => {
+                setSelectedSkill(skill);
+                setShowSkillModal(true);
+              }}
+            />
+            {/* Named agents and channels */}
+            <SkillList
+              skills={namedAgentSettings}
+              selectedSkill={selectedSkill}
+              handleClick={(skill) => {
+                setSelectedSkill(skill);
+                setShowSkillModal(true);
+              }}
+            />
           </div>
 
           {/* Selected agent skill modal */}
@@ -182,15 +268,14 @@ export default function AdminAgents() {
                   <div className="bg-[#303237] text-white rounded-xl p-4">
                     {SelectedSkillComponent ? (
                       <SelectedSkillComponent
-                        skill={configurableSkills[selectedSkill]?.skill}
+                        skill={selectedSkillConfig?.skill}
                         settings={settings}
                         toggleSkill={toggleAgentSkill}
                         enabled={agentSkills.includes(
-                          configurableSkills[selectedSkill]?.skill
+                          selectedSkillConfig?.skill
                         )}
                         setHasChanges={setHasChanges}
-                        {...(configurableSkills[selectedSkill] ||
-                          defaultSkills[selectedSkill])}
+                        {...selectedSkillConfig}
                       />
                     ) : (
                       <div className="flex flex-col items-center justify-center h-full text-white/60">
@@ -247,6 +332,44 @@ export default function AdminAgents() {
             handleClick={setSelectedSkill}
             activeSkills={agentSkills}
           />
+          {/* Imported skills */}
+          <SkillList
+            skills={importedSkills}
+            selectedSkill={selectedSkill}
+            handleClick={setSelectedSkill}
+            activeSkills={agentSkills}
+          />
+          {/* Agent flows */}
+          <SkillList
+            skills={flowSkills}
+            selectedSkill={selectedSkill}
+            handleClick={setSelectedSkill}
+            activeSkills={activeFlows}
+          />
+          <NewFlowLink />
+          {/* MCP servers */}
+          <SkillList
+            skills={mcpSkills}
+            selectedSkill={selectedSkill}
+            handleClick={setSelectedSkill}
+            activeSkills={runningMcpServers}
+          />
+          <NewMCPServerLink
+            setServers={setMcpServers}
+            multiUserMode={!!settings?.MultiUserMode}
+          />
+          {/* Approval policies of tools with side effects */}
+          <SkillList
+            skills={approvalSettings}
+            selectedSkill={selectedSkill}
+            handleClick={setSelectedSkill}
+          />
+          {/* Named agents and channels */}
+          <SkillList
+            skills={namedAgentSettings}
+            selectedSkill={selectedSkill}
+            handleClick={setSelectedSkill}
+          />
         </div>
 
         {/* Selected agent skill setting panel */}
@@ -254,15 +377,12 @@ export default function AdminAgents() {
           <div className="bg-[#303237] text-white rounded-xl flex-1 p-4">
             {SelectedSkillComponent ? (
               <SelectedSkillComponent
-                skill={configurableSkills[selectedSkill]?.skill}
+                skill={selectedSkillConfig?.skill}
                 settings={settings}
                 toggleSkill={toggleAgentSkill}
-                enabled={agentSkills.includes(
-                  configurableSkills[selectedSkill]?.skill
-                )}
+                enabled={agentSkills.includes(selectedSkillConfig?.skill)}
                 setHasChanges={setHasChanges}
-                {...(configurableSkills[selectedSkill] ||
-                  defaultSkills[selectedSkill])}
+                {...selectedSkillConfig}
               />
             ) : (
               <div className="flex flex-col items-center justify-center h-full text-white/60">
@@ -277,6 +397,103 @@ export default function AdminAgents() {
   );
 }
 
+// Imported skills are toggled in `default_agent_skills` by their `@@<hubId>` name.
+function importedSkillsConfig(skills = []) {
+  return Object.fromEntries(
+    skills.map((skill) => [
+      `@@${skill.hubId}`,
+      {
+        ...skill,
+        title: skill.name,
+        component: ImportedSkillPanel,
+        skill: `@@${skill.hubId}`,
+      },
+    ])
+  );
+}
+
+const approvalSettings = {
+  "tool-approvals": {
+    title: "Tool approvals",
+    badge: "Policies",
+    component: ToolApprovalsPanel,
+  },
+};
+
+const namedAgentSettings = {
+  "named-agents": {
+    title: "Named agents & channels",
+    badge: "Multi-agent",
+    component: NamedAgentsPanel,
+  },
+};
+
+// Flows are turned on and off right away, they are edited in the flow builder.
+function agentFlowsConfig(flows = [], setFlows) {
+  return Object.fromEntries(
+    flows.map((flow) => [
+      `@@flow_${flow.uuid}`,
+      {
+        ...flow,
+        title: `Flow: ${flow.name}`,
+        component: AgentFlowPanel,
+        setFlows,
+      },
+    ])
+  );
+}
+
+function NewFlowLink() {
+  return (
+    <Link
+      to={paths.settings.agentFlow()}
+      className="flex items-center gap-x-2 w-fit px-4 text-sm text-white/60 hover:text-white"
+    >
+      <Plus size={14} weight="bold" />
+      Build an agent flow
+    </Link>
+  );
+}
+
+function NewMCPServerLink({ setServers, multiUserMode }) {
+  const { isOpen, openModal, closeModal } = useModal();
+  return (
+    <>
+      <button
+        type="button"
+        onClick={openModal}
+        className="flex items-center gap-x-2 w-fit px-4 text-sm text-white/60 hover:text-white"
+      >
+        <Plus size={14} weight="bold" />
+        Add an MCP server
+      </button>
+      <ModalWrapper isOpen={isOpen}>
+        <NewMCPServerModal
+          onAdded={setServers}
+          multiUserMode={multiUserMode}
+          closeModal={closeModal}
+        />
+      </ModalWrapper>
+    </>
+  );
+}
+
+// MCP servers are turned on and off right away instead of through the save bar
+// since that starts or stops the server process.
+function mcpServersConfig(servers = [], setServers) {
+  return Object.fromEntries(
+    servers.map((server) => [
+      `mcp:${server.name}`,
+      {
+        ...server,
+        title: `MCP: ${server.name}`,
+        component: MCPServerPanel,
+        setServers,
+      },
+    ])
+  );
+}
+
 function SkillLayout({ children, hasChanges, handleSubmit, handleCancel }) {
   return (
     <div
@@ -306,7 +523,7 @@ function SkillList({
   handleClick = null,
   activeSkills = [],
 }) {
-  if (skills.length === 0) return null;
+  if (Object.keys(skills).length === 0) return null;
 
   return (
     <div
@@ -334,7 +551,8 @@ function SkillList({
               <DefaultBadge title={skill} />
             ) : (
               <div className="text-sm text-white/60 font-medium">
-                {activeSkills.includes(skill) ? "On" : "Off"}
+                {settings.badge ??
+                  (activeSkills.includes(skill) ? "On" : "Off")}
               </div>
             )}
             <CaretRight size={14} weight="bold" className="text-white/80" />
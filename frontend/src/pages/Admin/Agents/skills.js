@@ -1,13 +1,16 @@
 import AgentWebSearchSelection from "./WebSearchSelection";
 import AgentSQLConnectorSelection from "./SQLConnectorSelection";
+import AgentAPIConnectorSelection from "./APIConnectorSelection";
 import GenericSkillPanel from "./GenericSkillPanel";
 import DefaultSkillPanel from "./DefaultSkillPanel";
+import CodeInterpreterPanel from "./CodeInterpreterPanel";
 import {
   Brain,
   File,
   Browser,
   ChartBar,
   FileMagnifyingGlass,
+  Code,
 } from "@phosphor-icons/react";
 import RAGImage from "@/media/agents/rag-memory.png";
 import SummarizeImage from "@/media/agents/view-summarize.png";
@@ -60,6 +63,14 @@ export const configurableSkills = {
     icon: ChartBar,
     image: GenerateChartsImage,
   },
+  "code-interpreter": {
+    title: "Code interpreter",
+    description:
+      "Enable the default agent to run JavaScript, or Python when installed on the server, in a sandbox without network access to calculate, analyze workspace documents and generate files to download. Needs bubblewrap (bwrap) on the server.",
+    component: CodeInterpreterPanel,
+    skill: "code-interpreter",
+    icon: Code,
+  },
   "web-browsing": {
     title: "Web Search",
     component: AgentWebSearchSelection,
@@ -70,4 +81,9 @@ export const configurableSkills = {
     component: AgentSQLConnectorSelection,
     skill: "sql-agent",
   },
+  "api-call": {
+    title: "API Calls",
+    component: AgentAPIConnectorSelection,
+    skill: "api-call",
+  },
 };
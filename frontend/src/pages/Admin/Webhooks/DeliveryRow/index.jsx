@@ -0,0 +1,113 @@
+import { useState } from "react";
+import { CaretDown, CaretUp } from "@phosphor-icons/react";
+import moment from "moment";
+import Admin from "@/models/admin";
+import showToast from "@/utils/toast";
+
+const STATUS_STYLES = {
+  success: "bg-green-600/20 text-green-400",
+  failed: "bg-red-600/20 text-red-400",
+  pending: "bg-yellow-600/20 text-yellow-400",
+};
+
+export default function DeliveryRow({ delivery, webhookName, onRetried }) {
+  const [expanded, setExpanded] = useState(false);
+  const [retrying, setRetrying] = useState(false);
+
+  const handleRetry = async (e) => {
+    e.stopPropagation();
+    setRetrying(true);
+    const { delivery: updated, error } = await Admin.retryWebhookDelivery(
+      delivery.id
+    );
+    setRetrying(false);
+    if (!updated) {
+      showToast(`Could not retry delivery. ${error ?? ""}`, "error", {
+        clear: true,
+      });
+      return;
+    }
+    onRetried(updated);
+  };
+
+  return (
+    <>
+      <tr
+        onClick={() => setExpanded(!expanded)}
+        className="bg-transparent text-white text-opacity-80 text-sm font-medium cursor-pointer hover:bg-white/5"
+      >
+        <td className="px-6 py-4 whitespace-nowrap">
+          <span className="rounded-full bg-sky-600/20 px-2 py-0.5 text-sm font-medium text-sky-400 shadow-sm">
+            {delivery.event}
+          </span>
+        </td>
+        <td className="px-6 py-4">{webhookName}</td>
+        <td className="px-6 py-4">
+          <span
+            className={`rounded-full px-2 py-0.5 text-xs font-medium ${
+              STATUS_STYLES[delivery.status] ?? STATUS_STYLES.pending
+            }`}
+          >
+            {delivery.status}
+            {delivery.responseStatus ? ` · ${delivery.responseStatus}` : ""}
+          </span>
+        </td>
+        <td className="px-6 py-4">
+          {delivery.attempts}/{delivery.maxAttempts}
+          {delivery.status === "pending" && delivery.nextAttemptAt && (
+            <p className="text-xs text-white/40">
+              Next {moment(delivery.nextAttemptAt).fromNow()}
+            </p>
+          )}
+        </td>
+        <td className="px-6 py-4">
+          {moment(delivery.createdAt).format("lll")}
+        </td>
+        <td className="px-6 py-4">
+          <div className="flex items-center gap-x-4">
+            {delivery.status !== "success" && (
+              <button
+                type="button"
+                onClick={handleRetry}
+                disabled={retrying}
+                className="font-medium text-blue-300 rounded-lg hover:text-white hover:text-opacity-60 hover:underline disabled:opacity-50"
+              >
+                {retrying ? "Retrying..." : "Retry now"}
+              </button>
+            )}
+            {expanded ? (
+              <CaretUp weight="bold" size={20} />
+            ) : (
+              <CaretDown weight="bold" size={20} />
+            )}
+          </div>
+        </td>
+      </tr>
+      {expanded && (
+        <tr className="bg-sidebar">
+          <td
+            colSpan="2"
+            className="px-6 py-4 font-medium text-white rounded-l-2xl align-top"
+          >
+            <p>Payload</p>
+            <p className="text-xs text-white/40 font-normal mt-1">
+              {delivery.uuid}
+            </p>
+            {delivery.error && (
+              <p className="text-xs text-red-400 font-normal mt-2 whitespace-pre-wrap">
+                {delivery.error}
+              </p>
+            )}
+          </td>
+          <td colSpan="4" className="px-6 py-4 rounded-r-2xl">
+            <div className="w-full rounded-lg bg-main-2 p-2 text-white shadow-sm border-white border bg-opacity-10">
+              <pre className="overflow-scroll">
+                {JSON.stringify(delivery.payload, null, 2)}
+              </pre>
+            </div>
+          </td>
+        </tr>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,213 @@
+import { useState } from "react";
+import { X } from "@phosphor-icons/react";
+import Admin from "@/models/admin";
+
+const INPUT_CLASS =
+  "bg-zinc-900 text-white placeholder:text-white/20 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5";
+
+export default function WebhookModal({
+  webhook = null,
+  events = [],
+  onSaved,
+  closeModal,
+}) {
+  const [name, setName] = useState(webhook?.name ?? "");
+  const [url, setUrl] = useState(webhook?.url ?? "");
+  const [selectedEvents, setSelectedEvents] = useState(webhook?.events ?? []);
+  const [pattern, setPattern] = useState("");
+  const [secret, setSecret] = useState(null);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  const toggleEvent = (event) =>
+    setSelectedEvents((prev) =>
+      prev.includes(event) ? prev.filter((e) => e !== event) : [...prev, event]
+    );
+
+  const addPattern = () => {
+    const value = pattern.trim();
+    if (value && !selectedEvents.includes(value))
+      setSelectedEvents([...selectedEvents, value]);
+    setPattern("");
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSaving(true);
+    const data = { name, url, events: selectedEvents };
+    const result = webhook
+      ? await Admin.updateWebhook(webhook.id, data)
+      : await Admin.createWebhook(data);
+    setSaving(false);
+    if (!result.webhook) {
+      setError(result.error);
+      return;
+    }
+
+    onSaved(result.webhook);
+    if (result.secret) {
+      setSecret(result.secret);
+      return;
+    }
+    closeModal();
+  };
+
+  const copySecret = () => {
+    window.navigator.clipboard.writeText(secret);
+    setCopied(true);
+  };
+
+  // Patterns and events that have not been logged yet are shown next to the known ones.
+  const eventOptions = [...new Set([...events, ...selectedEvents])];
+
+  return (
+    <div className="relative w-[560px] max-w-2xl max-h-full overflow-auto">
+      <div className="relative bg-main-gradient rounded-lg shadow">
+        <div className="flex items-start justify-between p-4 border-b rounded-t border-gray-500/50">
+          <h3 className="text-xl font-semibold text-white">
+            {webhook ? "Edit webhook" : "New webhook"}
+          </h3>
+          <button
+            onClick={closeModal}
+            type="button"
+            className="transition-all duration-300 text-gray-400 bg-transparent hover:border-white/60 rounded-lg text-sm p-1.5 ml-auto inline-flex items-center bg-sidebar-button hover:bg-menu-item-selected-gradient hover:border-slate-100 hover:border-opacity-50 border-transparent border"
+          >
+            <X className="text-gray-300 text-lg" />
+          </button>
+        </div>
+        {secret ? (
+          <div className="p-6 flex flex-col gap-y-4">
+            <p className="text-white text-sm">
+              Copy the signing secret now, it will not be shown again.
+            </p>
+            <input
+              type="text"
+              value={secret}
+              disabled={true}
+              className="rounded-lg px-4 py-2 text-white bg-zinc-900 border border-gray-500/50 font-mono text-xs"
+            />
+            <p className="text-white/60 text-xs">
+              Every request has an <code>X-AnythingLLM-Signature</code> header
+              of <code>t=&lt;timestamp&gt;,v1=&lt;signature&gt;</code>. The
+              signature is the hex HMAC-SHA256 of{" "}
+              <code>&lt;timestamp&gt;.&lt;raw body&gt;</code> using this secret.
+            </p>
+            <div className="flex w-full justify-between items-center pt-4 space-x-2 border-t border-gray-500/50">
+              <button
+                onClick={closeModal}
+                type="button"
+                className="px-4 py-2 rounded-lg text-white hover:bg-stone-900 transition-all duration-300"
+              >
+                Done
+              </button>
+              <button
+                onClick={copySecret}
+                type="button"
+                className="transition-all duration-300 border border-slate-200 px-4 py-2 rounded-lg text-white text-sm items-center flex gap-x-2 hover:bg-slate-200 hover:text-slate-800"
+              >
+                {copied ? "Copied" : "Copy secret"}
+              </button>
+            </div>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <div className="p-6 flex flex-col gap-y-4">
+              {error && <p className="text-red-400 text-sm">Error: {error}</p>}
+              <div className="flex flex-col gap-y-2">
+                <label className="text-sm font-medium text-white">Name</label>
+                <input
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  placeholder="Support tickets"
+                  className={INPUT_CLASS}
+                  required={true}
+                  autoComplete="off"
+                />
+              </div>
+              <div className="flex flex-col gap-y-2">
+                <label className="text-sm font-medium text-white">URL</label>
+                <input
+                  type="url"
+                  value={url}
+                  onChange={(e) => setUrl(e.target.value)}
+                  placeholder="https://example.com/hooks/anythingllm"
+                  className={INPUT_CLASS}
+                  required={true}
+                  autoComplete="off"
+                />
+              </div>
+              <div className="flex flex-col gap-y-2">
+                <label className="text-sm font-medium text-white">Events</label>
+                <p className="text-white/60 text-xs">
+                  Pick the events to send. Nothing picked sends every event. Add
+                  a pattern ending in <code>*</code> like{" "}
+                  <code>workspace_*</code> to match every event starting with
+                  it.
+                </p>
+                <div className="flex flex-wrap gap-2 max-h-[180px] overflow-y-auto">
+                  {eventOptions.map((event) => (
+                    <button
+                      key={event}
+                      type="button"
+                      onClick={() => toggleEvent(event)}
+                      className={`rounded-full px-2 py-0.5 text-xs font-medium border transition-all duration-300 ${
+                        selectedEvents.includes(event)
+                          ? "bg-sky-600/20 text-sky-400 border-sky-400"
+                          : "bg-white/10 text-white/60 border-transparent hover:border-white/60"
+                      }`}
+                    >
+                      {event}
+                    </button>
+                  ))}
+                </div>
+                <div className="flex gap-x-2">
+                  <input
+                    value={pattern}
+                    onChange={(e) => setPattern(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key !== "Enter") return;
+                      e.preventDefault();
+                      addPattern();
+                    }}
+                    placeholder="document_*"
+                    className={INPUT_CLASS}
+                    autoComplete="off"
+                  />
+                  <button
+                    type="button"
+                    onClick={addPattern}
+                    className="px-4 py-2 rounded-lg text-white text-sm border border-slate-200 hover:bg-slate-200 hover:text-slate-800 transition-all duration-300"
+                  >
+                    Add
+                  </button>
+                </div>
+              </div>
+            </div>
+            <div className="flex w-full justify-between items-center p-6 space-x-2 border-t rounded-b border-gray-500/50">
+              <button
+                onClick={closeModal}
+                type="button"
+                className="px-4 py-2 rounded-lg text-white hover:bg-stone-900 transition-all duration-300"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={saving}
+                className="transition-all duration-300 border border-slate-200 px-4 py-2 rounded-lg text-white text-sm items-center flex gap-x-2 hover:bg-slate-200 hover:text-slate-800 disabled:opacity-50"
+              >
+                {saving
+                  ? "Saving..."
+                  : webhook
+                    ? "Save webhook"
+                    : "Create webhook"}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
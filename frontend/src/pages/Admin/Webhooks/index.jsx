@@ -0,0 +1,377 @@
+import { useEffect, useState } from "react";
+import Sidebar from "@/components/SettingsSidebar";
+import { isMobile } from "react-device-detect";
+import * as Skeleton from "react-loading-skeleton";
+import "react-loading-skeleton/dist/skeleton.css";
+import {
+  PaperPlaneTilt,
+  PencilSimple,
+  Plus,
+  Trash,
+} from "@phosphor-icons/react";
+import Admin from "@/models/admin";
+import showToast from "@/utils/toast";
+import { useModal } from "@/hooks/useModal";
+import ModalWrapper from "@/components/ModalWrapper";
+import CTAButton from "@/components/lib/CTAButton";
+import WebhookModal from "./WebhookModal";
+import DeliveryRow from "./DeliveryRow";
+
+export default function AdminWebhooks() {
+  const { isOpen, openModal, closeModal } = useModal();
+  const [loading, setLoading] = useState(true);
+  const [webhooks, setWebhooks] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [logKey, setLogKey] = useState(0);
+
+  useEffect(() => {
+    async function fetchWebhooks() {
+      const { webhooks: _webhooks = [], events: _events = [] } =
+        await Admin.webhooks();
+      setWebhooks(_webhooks);
+      setEvents(_events);
+      setLoading(false);
+    }
+    fetchWebhooks();
+  }, []);
+
+  const openEditor = (webhook = null) => {
+    setEditing(webhook);
+    openModal();
+  };
+
+  const handleSaved = (webhook) => {
+    setWebhooks((prev) =>
+      prev.some((w) => w.id === webhook.id)
+        ? prev.map((w) => (w.id === webhook.id ? webhook : w))
+        : [...prev, webhook]
+    );
+  };
+
+  const toggleWebhook = async (webhook) => {
+    const { webhook: updated, error } = await Admin.updateWebhook(webhook.id, {
+      enabled: !webhook.enabled,
+    });
+    if (!updated) {
+      showToast(`Could not update webhook. ${error ?? ""}`, "error", {
+        clear: true,
+      });
+      return;
+    }
+    handleSaved(updated);
+  };
+
+  const testWebhook = async (webhook) => {
+    const { delivery, error } = await Admin.testWebhook(webhook.id);
+    setLogKey((key) => key + 1);
+    if (delivery?.status === "success") {
+      showToast(`Test delivery to ${webhook.name} succeeded.`, "success", {
+        clear: true,
+      });
+      return;
+    }
+    showToast(
+      `Test delivery to ${webhook.name} failed. ${delivery?.error ?? error ?? ""}`,
+      "error",
+      { clear: true }
+    );
+  };
+
+  const deleteWebhook = async (webhook) => {
+    if (
+      !window.confirm(
+        `Are you sure you want to delete the "${webhook.name}" webhook and its delivery log?\nThis action is irreversible.`
+      )
+    )
+      return;
+    if (!(await Admin.deleteWebhook(webhook.id))) {
+      showToast("Could not delete webhook.", "error", { clear: true });
+      return;
+    }
+    setWebhooks((prev) => prev.filter((w) => w.id !== webhook.id));
+    setLogKey((key) => key + 1);
+  };
+
+  return (
+    <div className="w-screen h-screen overflow-hidden bg-sidebar flex">
+      <Sidebar />
+      <div
+        style={{ height: isMobile ? "100%" : "calc(100% - 32px)" }}
+        className="relative md:ml-[2px] md:mr-[16px] md:my-[16px] md:rounded-[16px] bg-main-gradient w-full h-full overflow-y-scroll"
+      >
+        <div className="flex flex-col w-full px-1 md:pl-6 md:pr-[50px] md:py-6 py-16">
+          <div className="w-full flex flex-col gap-y-1 pb-6 border-white border-b-2 border-opacity-10">
+            <div className="items-center flex gap-x-4">
+              <p className="text-lg leading-6 font-bold text-white">Webhooks</p>
+            </div>
+            <p className="text-xs leading-[18px] font-base text-white text-opacity-60">
+              Send events like document uploads, workspace changes and completed
+              chats to other services. Every request is a signed JSON POST and
+              failed deliveries are retried with backoff.
+            </p>
+          </div>
+          <div className="w-full justify-end flex">
+            <CTAButton
+              onClick={() => openEditor(null)}
+              className="mt-3 mr-0 -mb-12 z-10"
+            >
+              <Plus className="h-4 w-4" weight="bold" /> New Webhook
+            </CTAButton>
+          </div>
+          {loading ? (
+            <Skeleton.default
+              height="40vh"
+              width="100%"
+              highlightColor="#3D4147"
+              baseColor="#2C2F35"
+              count={1}
+              className="w-full p-4 rounded-b-2xl rounded-tr-2xl rounded-tl-sm mt-6"
+              containerClassName="flex w-full"
+            />
+          ) : (
+            <WebhooksTable
+              webhooks={webhooks}
+              onToggle={toggleWebhook}
+              onTest={testWebhook}
+              onEdit={openEditor}
+              onDelete={deleteWebhook}
+            />
+          )}
+          <DeliveryLog key={logKey} webhooks={webhooks} />
+        </div>
+        <ModalWrapper isOpen={isOpen}>
+          <WebhookModal
+            webhook={editing}
+            events={events}
+            onSaved={handleSaved}
+            closeModal={closeModal}
+          />
+        </ModalWrapper>
+      </div>
+    </div>
+  );
+}
+
+function WebhooksTable({ webhooks, onToggle, onTest, onEdit, onDelete }) {
+  return (
+    <table className="w-full text-sm text-left rounded-lg mt-6">
+      <thead className="text-white text-opacity-80 text-xs leading-[18px] font-bold uppercase border-white border-b border-opacity-60">
+        <tr>
+          <th scope="col" className="px-6 py-3 rounded-tl-lg">
+            Name
+          </th>
+          <th scope="col" className="px-6 py-3">
+            URL
+          </th>
+          <th scope="col" className="px-6 py-3">
+            Events
+          </th>
+          <th scope="col" className="px-6 py-3">
+            Enabled
+          </th>
+          <th scope="col" className="px-6 py-3 rounded-tr-lg">
+            {" "}
+          </th>
+        </tr>
+      </thead>
+      <tbody>
+        {webhooks.length === 0 && (
+          <tr>
+            <td colSpan="5" className="px-6 py-4 text-white/60 text-sm">
+              No webhooks have been added yet.
+            </td>
+          </tr>
+        )}
+        {webhooks.map((webhook) => (
+          <tr
+            key={webhook.id}
+            className="bg-transparent text-white text-opacity-80 text-sm font-medium"
+          >
+            <td className="px-6 py-4 whitespace-nowrap">{webhook.name}</td>
+            <td className="px-6 py-4 max-w-[280px] truncate">{webhook.url}</td>
+            <td className="px-6 py-4 text-xs text-white/60">
+              {webhook.events.length === 0
+                ? "All events"
+                : webhook.events.join(", ")}
+            </td>
+            <td className="px-6 py-4">
+              <label className="border-none relative inline-flex items-center cursor-pointer">
+                <input
+                  type="checkbox"
+                  className="peer sr-only"
+                  checked={webhook.enabled}
+                  onChange={() => onToggle(webhook)}
+                />
+                <div className="pointer-events-none peer h-6 w-11 rounded-full bg-stone-400 after:absolute after:left-[2px] after:top-[2px] after:h-5 after:w-5 after:rounded-full after:shadow-xl after:border after:border-gray-600 after:bg-white after:box-shadow-md after:transition-all after:content-[''] peer-checked:bg-lime-300 peer-checked:after:translate-x-full peer-checked:after:border-white peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-800"></div>
+              </label>
+            </td>
+            <td className="px-6 py-4">
+              <div className="flex items-center gap-x-4">
+                <button
+                  type="button"
+                  onClick={() => onTest(webhook)}
+                  className="text-white/60 hover:text-white"
+                  aria-label="Send test delivery"
+                  title="Send test delivery"
+                >
+                  <PaperPlaneTilt className="h-5 w-5" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onEdit(webhook)}
+                  className="text-white/60 hover:text-white"
+                  aria-label="Edit webhook"
+                >
+                  <PencilSimple className="h-5 w-5" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onDelete(webhook)}
+                  className="font-medium text-red-300 px-2 py-1 rounded-lg hover:bg-red-800 hover:bg-opacity-20"
+                  aria-label="Delete webhook"
+                >
+                  <Trash className="h-5 w-5" />
+                </button>
+              </div>
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function DeliveryLog({ webhooks = [] }) {
+  const [loading, setLoading] = useState(true);
+  const [deliveries, setDeliveries] = useState([]);
+  const [offset, setOffset] = useState(0);
+  const [canNext, setCanNext] = useState(false);
+  const [webhookId, setWebhookId] = useState("");
+
+  useEffect(() => {
+    async function fetchDeliveries() {
+      const { deliveries: _deliveries = [], hasPages = false } =
+        await Admin.webhookDeliveries(offset, webhookId || null);
+      setDeliveries(_deliveries);
+      setCanNext(hasPages);
+      setLoading(false);
+    }
+    fetchDeliveries();
+  }, [offset, webhookId]);
+
+  const handleClear = async () => {
+    if (
+      !window.confirm(
+        "Are you sure you want to clear the delivery log? Pending retries are cleared too.\nThis action is irreversible."
+      )
+    )
+      return;
+    if (!(await Admin.clearWebhookDeliveries())) {
+      showToast("Could not clear the delivery log.", "error", { clear: true });
+      return;
+    }
+    setDeliveries([]);
+    setCanNext(false);
+    setOffset(0);
+  };
+
+  const replaceDelivery = (delivery) =>
+    setDeliveries((prev) =>
+      prev.map((d) => (d.id === delivery.id ? delivery : d))
+    );
+
+  const webhookName = (id) =>
+    webhooks.find((webhook) => webhook.id === id)?.name ?? "deleted webhook";
+
+  return (
+    <div className="flex flex-col w-full mt-10">
+      <div className="flex items-center justify-between pb-2 border-white border-b-2 border-opacity-10">
+        <p className="text-base leading-6 font-bold text-white">Delivery log</p>
+        <div className="flex items-center gap-x-4">
+          <select
+            value={webhookId}
+            onChange={(e) => {
+              setOffset(0);
+              setWebhookId(e.target.value);
+            }}
+            className="bg-zinc-900 border-gray-500 text-white text-sm rounded-lg block p-2"
+          >
+            <option value="">All webhooks</option>
+            {webhooks.map((webhook) => (
+              <option key={webhook.id} value={webhook.id}>
+                {webhook.name}
+              </option>
+            ))}
+          </select>
+          <CTAButton onClick={handleClear}>Clear log</CTAButton>
+        </div>
+      </div>
+      {loading ? (
+        <p className="text-white text-opacity-60 text-xs mt-4">
+          Loading deliveries...
+        </p>
+      ) : (
+        <>
+          <table className="w-full text-sm text-left rounded-lg mt-4">
+            <thead className="text-white text-opacity-80 text-xs leading-[18px] font-bold uppercase border-white border-b border-opacity-60">
+              <tr>
+                <th scope="col" className="px-6 py-3 rounded-tl-lg">
+                  Event
+                </th>
+                <th scope="col" className="px-6 py-3">
+                  Webhook
+                </th>
+                <th scope="col" className="px-6 py-3">
+                  Status
+                </th>
+                <th scope="col" className="px-6 py-3">
+                  Attempts
+                </th>
+                <th scope="col" className="px-6 py-3">
+                  Created
+                </th>
+                <th scope="col" className="px-6 py-3 rounded-tr-lg">
+                  {" "}
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {deliveries.length === 0 && (
+                <tr>
+                  <td colSpan="6" className="px-6 py-4 text-white/60 text-sm">
+                    No deliveries yet.
+                  </td>
+                </tr>
+              )}
+              {deliveries.map((delivery) => (
+                <DeliveryRow
+                  key={delivery.id}
+                  delivery={delivery}
+                  webhookName={webhookName(delivery.webhookId)}
+                  onRetried={replaceDelivery}
+                />
+              ))}
+            </tbody>
+          </table>
+          <div className="flex w-full justify-between items-center mt-6">
+            <button
+              onClick={() => setOffset(Math.max(offset - 1, 0))}
+              className="px-4 py-2 rounded-lg border border-slate-200 text-slate-200 text-sm items-center flex gap-x-2 hover:bg-slate-200 hover:text-slate-800 disabled:invisible"
+              disabled={offset === 0}
+            >
+              Previous
+            </button>
+            <button
+              onClick={() => setOffset(offset + 1)}
+              className="px-4 py-2 rounded-lg border border-slate-200 text-slate-200 text-sm items-center flex gap-x-2 hover:bg-slate-200 hover:text-slate-800 disabled:invisible"
+              disabled={!canNext}
+            >
+              Next
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
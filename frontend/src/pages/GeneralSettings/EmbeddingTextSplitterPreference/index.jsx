@@ -7,6 +7,7 @@ import Admin from "@/models/admin";
 import showToast from "@/utils/toast";
 import { nFormatter, numberWithCommas } from "@/utils/numbers";
 import { useTranslation } from "react-i18next";
+import { TEXT_SPLITTERS } from "@/pages/WorkspaceSettings/VectorDatabase/TextSplitterSelection";
 
 function isNullOrNaN(value) {
   if (value === null) return true;
@@ -47,6 +48,7 @@ export default function EmbeddingTextSplitterPreference() {
       )
         ? 1000
         : Number(form.get("text_splitter_chunk_overlap")),
+      text_splitter_strategy: form.get("text_splitter_strategy") || "auto",
     });
     setSaving(false);
     setHasChanges(false);
@@ -168,6 +170,31 @@ export default function EmbeddingTextSplitterPreference() {
                   />
                 </div>
               </div>
+
+              <div className="flex flex-col gap-y-4 mt-8">
+                <div className="flex flex-col max-w-[300px]">
+                  <div className="flex flex-col gap-y-2 mb-4">
+                    <label className="text-white text-sm font-semibold block">
+                      {t("text.splitter.title")}
+                    </label>
+                    <p className="text-xs text-white/60">
+                      {t("text.splitter.description")}
+                    </p>
+                  </div>
+                  <select
+                    name="text_splitter_strategy"
+                    defaultValue={settings?.text_splitter_strategy || "auto"}
+                    className="border-none bg-zinc-900 text-white text-sm rounded-lg focus:outline-primary-button active:outline-primary-button outline-none block w-full p-2.5"
+                    required={true}
+                  >
+                    {TEXT_SPLITTERS.map((splitter) => (
+                      <option key={splitter} value={splitter}>
+                        {t(`text.splitter.${splitter}`)}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
             </div>
           </form>
         </div>
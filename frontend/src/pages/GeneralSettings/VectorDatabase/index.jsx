@@ -11,6 +11,7 @@ import QDrantLogo from "@/media/vectordbs/qdrant.png";
 import MilvusLogo from "@/media/vectordbs/milvus.png";
 import ZillizLogo from "@/media/vectordbs/zilliz.png";
 import AstraDBLogo from "@/media/vectordbs/astraDB.png";
+import Neo4jLogo from "@/media/vectordbs/neo4j.png";
 import PreLoader from "@/components/Preloader";
 import ChangeWarningModal from "@/components/ChangeWarning";
 import { CaretUpDown, MagnifyingGlass, X } from "@phosphor-icons/react";
@@ -25,6 +26,7 @@ import ZillizCloudOptions from "@/components/VectorDBSelection/ZillizCloudOption
 import { useModal } from "@/hooks/useModal";
 import ModalWrapper from "@/components/ModalWrapper";
 import AstraDBOptions from "@/components/VectorDBSelection/AstraDBOptions";
+import Neo4jDBOptions from "@/components/VectorDBSelection/Neo4jDBOptions";
 import CTAButton from "@/components/lib/CTAButton";
 import { useTranslation } from "react-i18next";
 
@@ -166,6 +168,14 @@ export default function GeneralVectorDatabase() {
       options: <AstraDBOptions settings={settings} />,
       description: "Vector Search for Real-world GenAI.",
     },
+    {
+      name: "Neo4j",
+      value: "neo4j",
+      logo: Neo4jLogo,
+      options: <Neo4jDBOptions settings={settings} />,
+      description:
+        "Graph database with native vector search you can host yourself or on the cloud.",
+    },
   ];
 
   const selectedVDBObject = VECTOR_DBS.find((vdb) => vdb.value === selectedVDB);
@@ -29,6 +29,7 @@ import LanceDbLogo from "@/media/vectordbs/lancedb.png";
 import WeaviateLogo from "@/media/vectordbs/weaviate.png";
 import QDrantLogo from "@/media/vectordbs/qdrant.png";
 import MilvusLogo from "@/media/vectordbs/milvus.png";
+import Neo4jLogo from "@/media/vectordbs/neo4j.png";
 import VoyageAiLogo from "@/media/embeddingprovider/voyageai.png";
 
 import React, { useState, useEffect } from "react";
@@ -241,6 +242,13 @@ export const VECTOR_DB_PRIVACY = {
     ],
     logo: AstraDBLogo,
   },
+  neo4j: {
+    name: "Neo4j",
+    description: [
+      "Your vectors and document text are stored on your Neo4j instance (cloud or self-hosted)",
+    ],
+    logo: Neo4jLogo,
+  },
   lancedb: {
     name: "LanceDB",
     description: [
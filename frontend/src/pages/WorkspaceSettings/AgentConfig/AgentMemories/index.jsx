@@ -0,0 +1,97 @@
+import { useEffect, useState } from "react";
+import { Trash } from "@phosphor-icons/react";
+import moment from "moment";
+import Workspace from "@/models/workspace";
+import showToast from "@/utils/toast";
+
+export default function AgentMemories({ workspace }) {
+  const [memories, setMemories] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    async function fetchMemories() {
+      setMemories(await Workspace.agentMemories(workspace.slug));
+      setLoading(false);
+    }
+    fetchMemories();
+  }, [workspace.slug]);
+
+  const forget = async (memoryId = null) => {
+    if (
+      !memoryId &&
+      !window.confirm(
+        "Are you sure you want the agent to forget everything it remembers about you in this workspace?\nThis action is irreversible."
+      )
+    )
+      return;
+
+    const success = await Workspace.forgetAgentMemory(workspace.slug, memoryId);
+    if (!success) {
+      showToast("Could not delete the memory.", "error", { clear: true });
+      return;
+    }
+    setMemories((prev) =>
+      memoryId ? prev.filter((memory) => memory.id !== memoryId) : []
+    );
+  };
+
+  return (
+    <div className="w-1/2 flex flex-col gap-y-4">
+      <div className="flex flex-col">
+        <label className="block input-label">Agent memory</label>
+        <p className="text-white text-opacity-60 text-xs font-medium py-1.5">
+          Facts you asked @agent to remember in this workspace. They are
+          recalled at the start of every agent session and are only visible to
+          you.
+        </p>
+      </div>
+      {loading ? (
+        <p className="text-white text-opacity-60 text-xs">
+          Loading memories...
+        </p>
+      ) : memories.length === 0 ? (
+        <p className="text-white text-opacity-60 text-xs">
+          The agent does not remember anything yet. Ask @agent to remember
+          something to see it here.
+        </p>
+      ) : (
+        <>
+          <div className="flex flex-col gap-y-2">
+            {memories.map((memory) => (
+              <div
+                key={memory.id}
+                className="flex items-start justify-between gap-x-4 rounded-lg bg-zinc-900 px-4 py-3"
+              >
+                <div className="flex flex-col gap-y-1">
+                  <p className="text-white text-sm whitespace-pre-wrap">
+                    {memory.fact}
+                  </p>
+                  <p className="text-white text-opacity-40 text-xs">
+                    Remembered {moment(memory.createdAt).fromNow()}
+                    {!!memory.sourceChatId &&
+                      ` in chat #${memory.sourceChatId}`}
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => forget(memory.id)}
+                  className="text-white/60 hover:text-red-400 shrink-0"
+                  aria-label="Forget this memory"
+                >
+                  <Trash size={16} />
+                </button>
+              </div>
+            ))}
+          </div>
+          <button
+            type="button"
+            onClick={() => forget()}
+            className="w-fit transition-all duration-300 border border-red-500 px-5 py-2.5 rounded-lg text-red-400 text-sm items-center flex gap-x-2 hover:bg-red-500 hover:text-white"
+          >
+            Forget everything
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
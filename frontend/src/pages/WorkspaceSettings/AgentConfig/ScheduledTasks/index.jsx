@@ -0,0 +1,275 @@
+import { useEffect, useState } from "react";
+import { CaretDown, CaretRight, Trash } from "@phosphor-icons/react";
+import moment from "moment";
+import ScheduledAgentTask from "@/models/scheduledAgentTask";
+import WorkspaceThread from "@/models/workspaceThread";
+import showToast from "@/utils/toast";
+
+const STATUS_STYLES = {
+  success: "bg-green-500/20 text-green-400",
+  failed: "bg-red-500/20 text-red-400",
+  unknown: "bg-white/10 text-white/60",
+};
+
+export default function ScheduledTasks({ workspace }) {
+  const [tasks, setTasks] = useState([]);
+  const [threads, setThreads] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    async function fetchTasks() {
+      const [_tasks, { threads: _threads = [] }] = await Promise.all([
+        ScheduledAgentTask.all(workspace.slug),
+        WorkspaceThread.all(workspace.slug),
+      ]);
+      setTasks(_tasks);
+      setThreads(_threads);
+      setLoading(false);
+    }
+    fetchTasks();
+  }, [workspace.slug]);
+
+  const replaceTask = (task) =>
+    setTasks((prev) => prev.map((t) => (t.id === task.id ? task : t)));
+
+  const toggleTask = async (task) => {
+    const { task: updatedTask, error } = await ScheduledAgentTask.update(
+      workspace.slug,
+      task.id,
+      { enabled: !task.enabled }
+    );
+    if (!updatedTask) {
+      showToast(`Could not update task. ${error ?? ""}`, "error", {
+        clear: true,
+      });
+      return;
+    }
+    replaceTask(updatedTask);
+  };
+
+  const deleteTask = async (task) => {
+    if (
+      !window.confirm(
+        `Are you sure you want to delete the "${task.name}" task and its run history?\nThis action is irreversible.`
+      )
+    )
+      return;
+    if (!(await ScheduledAgentTask.delete(workspace.slug, task.id))) {
+      showToast("Could not delete task.", "error", { clear: true });
+      return;
+    }
+    setTasks((prev) => prev.filter((t) => t.id !== task.id));
+  };
+
+  return (
+    <div className="w-1/2 flex flex-col gap-y-4">
+      <div className="flex flex-col">
+        <label className="block input-label">Scheduled tasks</label>
+        <p className="text-white text-opacity-60 text-xs font-medium py-1.5">
+          Run an @agent prompt on a schedule. Results are saved as a chat in the
+          workspace or the thread you pick. Skills that need approval are denied
+          since nobody is there to approve them.
+        </p>
+      </div>
+      {loading ? (
+        <p className="text-white text-opacity-60 text-xs">Loading tasks...</p>
+      ) : (
+        <>
+          {tasks.map((task) => (
+            <TaskRow
+              key={task.id}
+              slug={workspace.slug}
+              task={task}
+              onToggle={() => toggleTask(task)}
+              onDelete={() => deleteTask(task)}
+            />
+          ))}
+          <NewTaskForm
+            slug={workspace.slug}
+            threads={threads}
+            onCreated={(task) => setTasks((prev) => [...prev, task])}
+          />
+        </>
+      )}
+    </div>
+  );
+}
+
+function TaskRow({ slug, task, onToggle, onDelete }) {
+  const [showRuns, setShowRuns] = useState(false);
+  const [runs, setRuns] = useState(null);
+
+  const toggleRuns = async () => {
+    if (!showRuns && runs === null)
+      setRuns(await ScheduledAgentTask.runs(slug, task.id));
+    setShowRuns(!showRuns);
+  };
+
+  return (
+    <div className="flex flex-col gap-y-2 rounded-lg bg-zinc-900 px-4 py-3">
+      <div className="flex items-start justify-between gap-x-4">
+        <div className="flex flex-col gap-y-1">
+          <p className="text-white text-sm font-semibold">{task.name}</p>
+          <p className="text-white text-opacity-60 text-xs whitespace-pre-wrap">
+            {task.prompt}
+          </p>
+          <p className="text-white text-opacity-40 text-xs">
+            <code>{task.cron}</code> ·{" "}
+            {task.thread ? `Thread "${task.thread.name}"` : "Workspace chat"}
+            {task.enabled && task.nextRunAt
+              ? ` · Next run ${moment(task.nextRunAt).fromNow()}`
+              : ""}
+          </p>
+        </div>
+        <div className="flex items-center gap-x-3 shrink-0">
+          <label className="border-none relative inline-flex items-center cursor-pointer">
+            <input
+              type="checkbox"
+              className="peer sr-only"
+              checked={task.enabled}
+              onChange={onToggle}
+            />
+            <div className="pointer-events-none peer h-6 w-11 rounded-full bg-stone-400 after:absolute after:left-[2px] after:top-[2px] after:h-5 after:w-5 after:rounded-full after:shadow-xl after:border after:border-gray-600 after:bg-white after:box-shadow-md after:transition-all after:content-[''] peer-checked:bg-lime-300 peer-checked:after:translate-x-full peer-checked:after:border-white peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-800"></div>
+          </label>
+          <button
+            type="button"
+            onClick={onDelete}
+            className="text-white/60 hover:text-red-400"
+            aria-label="Delete task"
+          >
+            <Trash size={16} />
+          </button>
+        </div>
+      </div>
+      <button
+        type="button"
+        onClick={toggleRuns}
+        className="flex items-center gap-x-1 w-fit text-white/60 hover:text-white text-xs"
+      >
+        {showRuns ? <CaretDown size={12} /> : <CaretRight size={12} />}
+        Run history
+        {task.lastRun && <RunStatus status={task.lastRun.status} />}
+      </button>
+      {showRuns && (
+        <div className="flex flex-col gap-y-1 pl-4">
+          {runs?.length === 0 && (
+            <p className="text-white text-opacity-40 text-xs">
+              This task has not run yet.
+            </p>
+          )}
+          {runs?.map((run) => (
+            <div key={run.id} className="flex items-center gap-x-2 text-xs">
+              <RunStatus status={run.status} />
+              <span className="text-white/60">
+                {moment(run.createdAt).format("lll")}
+              </span>
+              <span className="text-white/40 truncate">
+                {run.status === "failed"
+                  ? run.result?.reason
+                  : `Saved to chat #${run.chatId}`}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function RunStatus({ status }) {
+  return (
+    <span
+      className={`rounded-full px-2 py-0.5 text-xs font-medium ${
+        STATUS_STYLES[status] ?? STATUS_STYLES.unknown
+      }`}
+    >
+      {status}
+    </span>
+  );
+}
+
+function NewTaskForm({ slug, threads = [], onCreated }) {
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    const form = new FormData(e.target);
+    const { task, error } = await ScheduledAgentTask.create(slug, {
+      name: form.get("name"),
+      prompt: form.get("prompt"),
+      cron: form.get("cron"),
+      threadSlug: form.get("threadSlug") || null,
+    });
+    setSaving(false);
+
+    if (!task) {
+      showToast(`Could not create task. ${error ?? ""}`, "error", {
+        clear: true,
+      });
+      return;
+    }
+    e.target.reset();
+    onCreated(task);
+    showToast("Task scheduled.", "success", { clear: true });
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="flex flex-col gap-y-3 rounded-lg border border-white/10 p-4"
+    >
+      <p className="text-white text-sm font-semibold">New task</p>
+      <input
+        name="name"
+        type="text"
+        required={true}
+        autoComplete="off"
+        placeholder="Daily news digest"
+        className="bg-zinc-900 text-white placeholder:text-white/20 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+      />
+      <textarea
+        name="prompt"
+        required={true}
+        rows={3}
+        placeholder="@agent summarize the latest AI news on the web"
+        className="bg-zinc-900 text-white placeholder:text-white/20 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+      />
+      <div className="flex gap-x-3">
+        <div className="flex flex-col gap-y-1 w-1/2">
+          <input
+            name="cron"
+            type="text"
+            required={true}
+            autoComplete="off"
+            placeholder="0 9 * * 1-5"
+            className="bg-zinc-900 text-white placeholder:text-white/20 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5 font-mono"
+          />
+          <p className="text-white text-opacity-40 text-xs">
+            Cron schedule in server time, eg: <code>0 9 * * 1-5</code> runs at
+            9am on weekdays.
+          </p>
+        </div>
+        <select
+          name="threadSlug"
+          defaultValue=""
+          className="bg-zinc-900 text-white text-sm rounded-lg block w-1/2 p-2.5 h-fit"
+        >
+          <option value="">Workspace chat</option>
+          {threads.map((thread) => (
+            <option key={thread.slug} value={thread.slug}>
+              {thread.name}
+            </option>
+          ))}
+        </select>
+      </div>
+      <button
+        type="submit"
+        disabled={saving}
+        className="w-fit transition-all duration-300 border border-slate-200 px-5 py-2.5 rounded-lg text-white text-sm items-center flex gap-x-2 hover:bg-slate-200 hover:text-slate-800 disabled:opacity-50"
+      >
+        {saving ? "Scheduling..." : "Schedule task"}
+      </button>
+    </form>
+  );
+}
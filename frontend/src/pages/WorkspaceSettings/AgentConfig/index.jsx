@@ -4,12 +4,16 @@ import showToast from "@/utils/toast";
 import { castToType } from "@/utils/types";
 import { useEffect, useRef, useState } from "react";
 import AgentLLMSelection from "./AgentLLMSelection";
+import AgentMemories from "./AgentMemories";
+import ScheduledTasks from "./ScheduledTasks";
+import useUser from "@/hooks/useUser";
 import Admin from "@/models/admin";
 import * as Skeleton from "react-loading-skeleton";
 import "react-loading-skeleton/dist/skeleton.css";
 import paths from "@/utils/paths";
 
 export default function WorkspaceAgentConfiguration({ workspace }) {
+  const { user } = useUser();
   const [settings, setSettings] = useState({});
   const [hasChanges, setHasChanges] = useState(false);
   const [saving, setSaving] = useState(false);
@@ -109,6 +113,14 @@ export default function WorkspaceAgentConfiguration({ workspace }) {
           </button>
         )}
       </form>
+      <div className="bg-white/10 h-[1px] w-1/2 my-8" />
+      <AgentMemories workspace={workspace} />
+      {(!user || ["admin", "manager"].includes(user.role)) && (
+        <>
+          <div className="bg-white/10 h-[1px] w-1/2 my-8" />
+          <ScheduledTasks workspace={workspace} />
+        </>
+      )}
     </div>
   );
 }
@@ -1,6 +1,10 @@
 import { useState } from "react";
 import { useTranslation } from "react-i18next";
-export default function ChatModeSelection({ workspace, setHasChanges }) {
+export default function ChatModeSelection({
+  settings,
+  workspace,
+  setHasChanges,
+}) {
   const [chatMode, setChatMode] = useState(workspace?.chatMode || "chat");
   const { t } = useTranslation();
   return (
@@ -36,6 +40,19 @@ export default function ChatModeSelection({ workspace, setHasChanges }) {
           >
             {t("chat.mode.query.title")}
           </button>
+          {(settings?.VectorDB === "neo4j" || chatMode === "graph") && (
+            <button
+              type="button"
+              disabled={chatMode === "graph"}
+              onClick={() => {
+                setChatMode("graph");
+                setHasChanges(true);
+              }}
+              className="transition-bg duration-200 px-6 py-1 text-md text-white/60 disabled:text-white bg-transparent disabled:bg-[#687280] rounded-md"
+            >
+              {t("chat.mode.graph.title")}
+            </button>
+          )}
         </div>
         <p className="text-sm text-white/60">
           {chatMode === "chat" ? (
@@ -45,6 +62,11 @@ export default function ChatModeSelection({ workspace, setHasChanges }) {
               <i className="font-semibold">{t("chat.mode.chat.and")}</i>{" "}
               {t("chat.mode.chat.desc-end")}
             </>
+          ) : chatMode === "graph" ? (
+            <>
+              <b>{t("chat.mode.graph.title")}</b>{" "}
+              {t("chat.mode.graph.desc-start")} {t("chat.mode.graph.desc-end")}
+            </>
           ) : (
             <>
               <b>{t("chat.mode.query.title")}</b>{" "}
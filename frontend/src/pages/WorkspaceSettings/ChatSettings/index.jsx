@@ -58,6 +58,7 @@ export default function ChatSettings({ workspace }) {
           setHasChanges={setHasChanges}
         />
         <ChatModeSelection
+          settings={settings}
           workspace={workspace}
           setHasChanges={setHasChanges}
         />
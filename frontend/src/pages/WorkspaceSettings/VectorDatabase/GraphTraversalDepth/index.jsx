@@ -0,0 +1,39 @@
+import { useTranslation } from "react-i18next";
+
+export default function GraphTraversalDepth({
+  workspace,
+  vectorDB,
+  setHasChanges,
+}) {
+  const { t } = useTranslation();
+  if (vectorDB !== "neo4j") return null;
+
+  return (
+    <div>
+      <div className="flex flex-col">
+        <label htmlFor="graphHops" className="block input-label">
+          {t("vector-workspace.graph.hops.title")}
+        </label>
+        <p className="text-white text-opacity-60 text-xs font-medium py-1.5">
+          {t("vector-workspace.graph.hops.description")}
+          <br />
+          <i>{t("vector-workspace.graph.hops.recommend")}</i>
+        </p>
+      </div>
+      <input
+        name="graphHops"
+        type="number"
+        min={1}
+        max={4}
+        step={1}
+        onWheel={(e) => e.target.blur()}
+        defaultValue={workspace?.graphHops ?? 2}
+        className="bg-zinc-900 text-white placeholder:text-white/20 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5 mt-2"
+        placeholder="2"
+        required={true}
+        autoComplete="off"
+        onChange={() => setHasChanges(true)}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+import { useState } from "react";
+import { useTranslation } from "react-i18next";
+
+export default function HybridSearch({ workspace, setHasChanges }) {
+  const [enabled, setEnabled] = useState(workspace?.hybridSearch ?? false);
+  const { t } = useTranslation();
+
+  return (
+    <div>
+      <div className="flex flex-col">
+        <label htmlFor="hybridSearch" className="block input-label">
+          {t("vector-workspace.hybrid.title")}
+        </label>
+        <p className="text-white text-opacity-60 text-xs font-medium py-1.5">
+          {t("vector-workspace.hybrid.description")}
+        </p>
+      </div>
+      <input type="hidden" name="hybridSearch" value={enabled} />
+      <label className="relative inline-flex cursor-pointer items-center mt-2">
+        <input
+          type="checkbox"
+          onChange={() => {
+            setEnabled(!enabled);
+            setHasChanges(true);
+          }}
+          checked={enabled}
+          className="peer sr-only pointer-events-none"
+        />
+        <div className="pointer-events-none peer h-6 w-11 rounded-full bg-stone-400 after:absolute after:left-[2px] after:top-[2px] after:h-5 after:w-5 after:rounded-full after:shadow-xl after:border after:border-gray-600 after:bg-white after:box-shadow-md after:transition-all after:content-[''] peer-checked:bg-lime-300 peer-checked:after:translate-x-full peer-checked:after:border-white peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-800 peer-disabled:opacity-50" />
+      </label>
+    </div>
+  );
+}
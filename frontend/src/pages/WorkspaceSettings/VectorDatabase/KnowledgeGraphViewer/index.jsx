@@ -0,0 +1,257 @@
+import { useEffect, useMemo, useState } from "react";
+import { useTranslation } from "react-i18next";
+import Workspace from "@/models/workspace";
+import PreLoader from "@/components/Preloader";
+
+const WIDTH = 800;
+const HEIGHT = 500;
+const MARGIN = 30;
+const LABELED_NODES = 25;
+const TYPE_COLORS = [
+  "#38bdf8",
+  "#a3e635",
+  "#f472b6",
+  "#facc15",
+  "#fb923c",
+  "#c084fc",
+  "#2dd4bf",
+  "#f87171",
+];
+
+function typeColor(type = "") {
+  let hash = 0;
+  for (const char of String(type)) hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  return TYPE_COLORS[Math.abs(hash) % TYPE_COLORS.length];
+}
+
+/**
+ * Force directed layout (Fruchterman-Reingold) of the graph, nodes start on a circle
+ * so the same graph is always laid out the same way.
+ * @returns {Map<string, {x: number, y: number}>}
+ */
+function layoutGraph(nodes = [], edges = [], iterations = 200) {
+  const positions = new Map();
+  const k = Math.sqrt((WIDTH * HEIGHT) / Math.max(nodes.length, 1));
+  nodes.forEach((node, i) => {
+    const angle = (2 * Math.PI * i) / Math.max(nodes.length, 1);
+    positions.set(node.id, {
+      x: WIDTH / 2 + (WIDTH / 3) * Math.cos(angle),
+      y: HEIGHT / 2 + (HEIGHT / 3) * Math.sin(angle),
+    });
+  });
+
+  for (let i = 0; i < iterations; i++) {
+    const moves = new Map(nodes.map((node) => [node.id, { x: 0, y: 0 }]));
+    for (const a of nodes) {
+      for (const b of nodes) {
+        if (a.id === b.id) continue;
+        const pa = positions.get(a.id);
+        const pb = positions.get(b.id);
+        const dx = pa.x - pb.x;
+        const dy = pa.y - pb.y;
+        const distance = Math.max(Math.hypot(dx, dy), 0.01);
+        const force = (k * k) / distance;
+        moves.get(a.id).x += (dx / distance) * force;
+        moves.get(a.id).y += (dy / distance) * force;
+      }
+    }
+
+    for (const edge of edges) {
+      const ps = positions.get(edge.source);
+      const pt = positions.get(edge.target);
+      if (!ps || !pt) continue;
+      const dx = ps.x - pt.x;
+      const dy = ps.y - pt.y;
+      const distance = Math.max(Math.hypot(dx, dy), 0.01);
+      const force = (distance * distance) / k;
+      moves.get(edge.source).x -= (dx / distance) * force;
+      moves.get(edge.source).y -= (dy / distance) * force;
+      moves.get(edge.target).x += (dx / distance) * force;
+      moves.get(edge.target).y += (dy / distance) * force;
+    }
+
+    const temperature = (WIDTH / 10) * (1 - i / iterations);
+    for (const node of nodes) {
+      const move = moves.get(node.id);
+      const length = Math.max(Math.hypot(move.x, move.y), 0.01);
+      const position = positions.get(node.id);
+      const step = Math.min(length, temperature);
+      position.x = Math.min(
+        WIDTH - MARGIN,
+        Math.max(MARGIN, position.x + (move.x / length) * step)
+      );
+      position.y = Math.min(
+        HEIGHT - MARGIN,
+        Math.max(MARGIN, position.y + (move.y / length) * step)
+      );
+    }
+  }
+  return positions;
+}
+
+export default function KnowledgeGraphViewer({ workspace, vectorDB }) {
+  const { t } = useTranslation();
+  const [loading, setLoading] = useState(true);
+  const [graph, setGraph] = useState({ nodes: [], edges: [], error: null });
+  const [selected, setSelected] = useState(null);
+  const [search, setSearch] = useState("");
+  const supported = vectorDB === "neo4j";
+
+  async function fetchGraph() {
+    setLoading(true);
+    setSelected(null);
+    setGraph(await Workspace.knowledgeGraph(workspace.slug));
+    setLoading(false);
+  }
+
+  useEffect(() => {
+    if (supported) fetchGraph();
+  }, [supported, workspace.slug]);
+
+  const positions = useMemo(
+    () => layoutGraph(graph.nodes, graph.edges),
+    [graph]
+  );
+
+  if (!supported) return null;
+
+  const query = search.trim().toLowerCase();
+  const matches = (node) =>
+    !!query && String(node.name).toLowerCase().includes(query);
+  const labeled = new Set(
+    graph.nodes.slice(0, LABELED_NODES).map((node) => node.id)
+  );
+  const selectedNode = graph.nodes.find((node) => node.id === selected);
+  const selectedEdges = graph.edges.filter(
+    (edge) => edge.source === selected || edge.target === selected
+  );
+  const nameOf = (id) => graph.nodes.find((node) => node.id === id)?.name ?? id;
+
+  return (
+    <div>
+      <div className="flex flex-col">
+        <label className="block input-label">
+          {t("vector-workspace.graph.viewer.title")}
+        </label>
+        <p className="text-white text-opacity-60 text-xs font-medium py-1.5">
+          {t("vector-workspace.graph.viewer.description")}
+        </p>
+      </div>
+      <div className="flex gap-x-2 mt-2">
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder={t("vector-workspace.graph.viewer.search")}
+          className="bg-zinc-900 text-white placeholder:text-white/20 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+          autoComplete="off"
+        />
+        <button
+          type="button"
+          onClick={fetchGraph}
+          disabled={loading}
+          className="transition-all duration-300 border border-slate-200 px-4 py-2 rounded-lg text-white text-sm hover:bg-slate-200 hover:text-slate-800 disabled:opacity-50"
+        >
+          {t("vector-workspace.graph.viewer.refresh")}
+        </button>
+      </div>
+      <div className="mt-2 rounded-lg bg-zinc-900/50 border border-white/10">
+        {loading ? (
+          <div className="flex items-center justify-center h-[300px]">
+            <PreLoader size="8" />
+          </div>
+        ) : graph.error || graph.nodes.length === 0 ? (
+          <p className="flex items-center justify-center h-[120px] text-white/60 text-xs font-medium px-4 text-center">
+            {graph.error || t("vector-workspace.graph.viewer.empty")}
+          </p>
+        ) : (
+          <svg
+            viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+            className="w-full h-auto"
+            onClick={() => setSelected(null)}
+          >
+            {graph.edges.map((edge, i) => {
+              const source = positions.get(edge.source);
+              const target = positions.get(edge.target);
+              if (!source || !target) return null;
+              const active =
+                edge.source === selected || edge.target === selected;
+              return (
+                <line
+                  key={i}
+                  x1={source.x}
+                  y1={source.y}
+                  x2={target.x}
+                  y2={target.y}
+                  stroke={active ? "#ffffff" : "#ffffff33"}
+                  strokeWidth={active ? 1.5 : 1}
+                >
+                  <title>{`${nameOf(edge.source)} ${edge.type} ${nameOf(edge.target)}`}</title>
+                </line>
+              );
+            })}
+            {graph.nodes.map((node) => {
+              const position = positions.get(node.id);
+              const highlighted = node.id === selected || matches(node);
+              return (
+                <g
+                  key={node.id}
+                  className="cursor-pointer"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setSelected(node.id);
+                  }}
+                >
+                  <circle
+                    cx={position.x}
+                    cy={position.y}
+                    r={4 + Math.min(Math.sqrt(node.mentions || 0) * 2, 10)}
+                    fill={typeColor(node.type)}
+                    stroke={highlighted ? "#ffffff" : "none"}
+                    strokeWidth={2}
+                    opacity={query && !highlighted ? 0.3 : 1}
+                  >
+                    <title>{`${node.name} (${node.type})`}</title>
+                  </circle>
+                  {(labeled.has(node.id) || highlighted) && (
+                    <text
+                      x={position.x}
+                      y={position.y - 10}
+                      textAnchor="middle"
+                      fontSize={11}
+                      fill="#ffffffcc"
+                      pointerEvents="none"
+                    >
+                      {node.name}
+                    </text>
+                  )}
+                </g>
+              );
+            })}
+          </svg>
+        )}
+      </div>
+      {selectedNode && (
+        <div className="mt-2 rounded-lg bg-zinc-900/50 border border-white/10 p-3 flex flex-col gap-y-1">
+          <p className="text-white text-sm font-semibold">
+            {selectedNode.name}{" "}
+            <span
+              className="text-xs font-medium"
+              style={{ color: typeColor(selectedNode.type) }}
+            >
+              {selectedNode.type}
+            </span>
+          </p>
+          {selectedNode.description && (
+            <p className="text-white/60 text-xs">{selectedNode.description}</p>
+          )}
+          {selectedEdges.map((edge, i) => (
+            <p key={i} className="text-white/80 text-xs font-mono">
+              {nameOf(edge.source)} -[{edge.type}]-&gt; {nameOf(edge.target)}
+            </p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
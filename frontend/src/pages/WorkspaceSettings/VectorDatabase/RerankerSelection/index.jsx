@@ -0,0 +1,78 @@
+import { useState } from "react";
+import { useTranslation } from "react-i18next";
+
+export default function RerankerSelection({
+  workspace,
+  settings,
+  setHasChanges,
+}) {
+  const [provider, setProvider] = useState(workspace?.rerankProvider ?? "none");
+  const { t } = useTranslation();
+
+  return (
+    <div className="flex flex-col gap-y-4">
+      <div>
+        <div className="flex flex-col">
+          <label htmlFor="rerankProvider" className="block input-label">
+            {t("vector-workspace.rerank.title")}
+          </label>
+          <p className="text-white text-opacity-60 text-xs font-medium py-1.5">
+            {t("vector-workspace.rerank.description")}
+          </p>
+        </div>
+        <select
+          name="rerankProvider"
+          value={provider}
+          className="bg-zinc-900 text-white text-sm mt-2 rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+          onChange={(e) => {
+            setProvider(e.target.value);
+            setHasChanges(true);
+          }}
+          required={true}
+        >
+          <option value="none">{t("vector-workspace.rerank.none")}</option>
+          <option value="native">{t("vector-workspace.rerank.native")}</option>
+          <option value="cohere" disabled={!settings?.CohereApiKey}>
+            Cohere
+            {!settings?.CohereApiKey &&
+              ` (${t("vector-workspace.rerank.no-key")})`}
+          </option>
+          <option value="voyageai" disabled={!settings?.VoyageAiApiKey}>
+            Voyage AI
+            {!settings?.VoyageAiApiKey &&
+              ` (${t("vector-workspace.rerank.no-key")})`}
+          </option>
+        </select>
+      </div>
+
+      {provider !== "none" && (
+        <div>
+          <div className="flex flex-col">
+            <label htmlFor="rerankCandidates" className="block input-label">
+              {t("vector-workspace.rerank.candidates.title")}
+            </label>
+            <p className="text-white text-opacity-60 text-xs font-medium py-1.5">
+              {t("vector-workspace.rerank.candidates.description")}
+              <br />
+              <i>{t("vector-workspace.rerank.candidates.recommend")}</i>
+            </p>
+          </div>
+          <input
+            name="rerankCandidates"
+            type="number"
+            min={1}
+            max={200}
+            step={1}
+            onWheel={(e) => e.target.blur()}
+            defaultValue={workspace?.rerankCandidates ?? 20}
+            className="bg-zinc-900 text-white placeholder:text-white/20 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5 mt-2"
+            placeholder="20"
+            required={true}
+            autoComplete="off"
+            onChange={() => setHasChanges(true)}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
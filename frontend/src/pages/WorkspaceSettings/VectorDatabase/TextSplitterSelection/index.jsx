@@ -0,0 +1,42 @@
+import { useTranslation } from "react-i18next";
+
+export const TEXT_SPLITTERS = [
+  "auto",
+  "recursive",
+  "markdown",
+  "code",
+  "sentence",
+];
+
+export default function TextSplitterSelection({ workspace, setHasChanges }) {
+  const { t } = useTranslation();
+
+  return (
+    <div>
+      <div className="flex flex-col">
+        <label htmlFor="textSplitter" className="block input-label">
+          {t("vector-workspace.splitter.title")}
+        </label>
+        <p className="text-white text-opacity-60 text-xs font-medium py-1.5">
+          {t("vector-workspace.splitter.description")}
+        </p>
+      </div>
+      <select
+        name="textSplitter"
+        defaultValue={workspace?.textSplitter ?? "default"}
+        className="bg-zinc-900 text-white text-sm mt-2 rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5"
+        onChange={() => setHasChanges(true)}
+        required={true}
+      >
+        <option value="default">
+          {t("vector-workspace.splitter.default")}
+        </option>
+        {TEXT_SPLITTERS.map((splitter) => (
+          <option key={splitter} value={splitter}>
+            {t(`text.splitter.${splitter}`)}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
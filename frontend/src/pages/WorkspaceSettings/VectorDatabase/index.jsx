@@ -1,18 +1,36 @@
+import System from "@/models/system";
 import Workspace from "@/models/workspace";
 import showToast from "@/utils/toast";
 import { castToType } from "@/utils/types";
-import { useRef, useState } from "react";
+import { useEffect, useRef, useState } from "react";
 import VectorDBIdentifier from "./VectorDBIdentifier";
 import MaxContextSnippets from "./MaxContextSnippets";
 import DocumentSimilarityThreshold from "./DocumentSimilarityThreshold";
 import ResetDatabase from "./ResetDatabase";
 import VectorCount from "./VectorCount";
+import HybridSearch from "./HybridSearch";
+import KnowledgeGraphExtraction from "./KnowledgeGraphExtraction";
+import RerankerSelection from "./RerankerSelection";
+import TextSplitterSelection from "./TextSplitterSelection";
+import GraphTraversalDepth from "./GraphTraversalDepth";
+import KnowledgeGraphViewer from "./KnowledgeGraphViewer";
 
 export default function VectorDatabase({ workspace }) {
   const [hasChanges, setHasChanges] = useState(false);
   const [saving, setSaving] = useState(false);
+  const [vectorDB, setVectorDB] = useState(null);
+  const [settings, setSettings] = useState({});
   const formEl = useRef(null);
 
+  useEffect(() => {
+    async function fetchKeys() {
+      const _settings = await System.keys();
+      setVectorDB(_settings?.VectorDB || "lancedb");
+      setSettings(_settings ?? {});
+    }
+    fetchKeys();
+  }, []);
+
   const handleUpdate = async (e) => {
     setSaving(true);
     e.preventDefault();
@@ -48,6 +66,27 @@ export default function VectorDatabase({ workspace }) {
         workspace={workspace}
         setHasChanges={setHasChanges}
       />
+      <HybridSearch workspace={workspace} setHasChanges={setHasChanges} />
+      <RerankerSelection
+        workspace={workspace}
+        settings={settings}
+        setHasChanges={setHasChanges}
+      />
+      <TextSplitterSelection
+        workspace={workspace}
+        setHasChanges={setHasChanges}
+      />
+      <KnowledgeGraphExtraction
+        workspace={workspace}
+        vectorDB={vectorDB}
+        setHasChanges={setHasChanges}
+      />
+      <GraphTraversalDepth
+        workspace={workspace}
+        vectorDB={vectorDB}
+        setHasChanges={setHasChanges}
+      />
+      <KnowledgeGraphViewer workspace={workspace} vectorDB={vectorDB} />
       <ResetDatabase workspace={workspace} />
       {hasChanges && (
         <button
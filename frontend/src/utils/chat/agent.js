@@ -6,12 +6,14 @@ import { useEffect, useState } from "react";
 
 export const AGENT_SESSION_START = "agentSessionStart";
 export const AGENT_SESSION_END = "agentSessionEnd";
+export const AGENT_TOOL_APPROVAL_EVENT = "agentToolApproval";
 const handledEvents = [
   "statusResponse",
   "fileDownload",
   "awaitingFeedback",
   "wssFailure",
   "rechartVisualize",
+  "toolApprovalRequest",
 ];
 
 export function websocketURI() {
@@ -34,6 +36,7 @@ export default function handleSocketResponse(event, setChatHistory) {
           uuid: v4(),
           content: data.content,
           role: "assistant",
+          agentName: data.from,
           sources: [],
           closed: true,
           error: null,
@@ -123,12 +123,18 @@ export default {
     agentSkills: () => {
       return "/settings/agents";
     },
+    agentFlow: (uuid = null) => {
+      return uuid ? `/settings/agents/flows/${uuid}` : "/settings/agents/flows";
+    },
     apiKeys: () => {
       return "/settings/api-keys";
     },
     logs: () => {
       return "/settings/event-logs";
     },
+    webhooks: () => {
+      return "/settings/webhooks";
+    },
     privacy: () => {
       return "/settings/privacy";
     },
@@ -12,6 +12,18 @@ export function castToType(key, value) {
     topN: {
       cast: (value) => Number(value),
     },
+    graphHops: {
+      cast: (value) => Number(value),
+    },
+    graphExtraction: {
+      cast: (value) => value === "true",
+    },
+    hybridSearch: {
+      cast: (value) => value === "true",
+    },
+    rerankCandidates: {
+      cast: (value) => Number(value),
+    },
   };
 
   if (!definitions.hasOwnProperty(key)) return value;
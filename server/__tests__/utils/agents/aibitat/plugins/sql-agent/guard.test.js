@@ -0,0 +1,60 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const {
+  checkReadOnlyQuery,
+} = require("../../../../../../utils/agents/aibitat/plugins/sql-agent/guard");
+
+const options = { allowedTables: ["allowed"] };
+
+describe("checkReadOnlyQuery allowed tables", () => {
+  it("reads tables listed after a subquery", () => {
+    const result = checkReadOnlyQuery(
+      "SELECT * FROM (SELECT 1) AS x, secret",
+      options
+    );
+    assert.strictEqual(result.ok, false);
+    assert.match(result.reason, /secret/);
+  });
+
+  it("reads tables listed after a parenthesized table", () => {
+    const result = checkReadOnlyQuery(
+      "SELECT * FROM (allowed), secret",
+      options
+    );
+    assert.strictEqual(result.ok, false);
+    assert.match(result.reason, /secret/);
+  });
+
+  it("does not let a CTE hide the table it reads in its own definition", () => {
+    const result = checkReadOnlyQuery(
+      "WITH secret AS (SELECT * FROM secret) SELECT * FROM secret",
+      options
+    );
+    assert.strictEqual(result.ok, false);
+    assert.match(result.reason, /secret/);
+  });
+
+  it("does not let a CTE hide tables outside of its subquery", () => {
+    const result = checkReadOnlyQuery(
+      "SELECT * FROM (WITH secret AS (SELECT * FROM allowed) SELECT * FROM secret) s, secret",
+      options
+    );
+    assert.strictEqual(result.ok, false);
+  });
+
+  it("allows CTEs in later CTEs and the statement body", () => {
+    const result = checkReadOnlyQuery(
+      "WITH a AS (SELECT * FROM allowed), b (id) AS (SELECT id FROM a) SELECT * FROM b JOIN a ON a.id = b.id",
+      options
+    );
+    assert.strictEqual(result.ok, true);
+  });
+
+  it("does not read columns after the table list as tables", () => {
+    const result = checkReadOnlyQuery(
+      "SELECT a, b FROM allowed WHERE x IN (1, 2) GROUP BY a, b ORDER BY a, b",
+      options
+    );
+    assert.strictEqual(result.ok, true);
+  });
+});
@@ -17,13 +17,30 @@ const {
   canModifyAdmin,
   validCanModify,
 } = require("../utils/helpers/admin");
-const { reqBody, userFromSession, safeJsonParse } = require("../utils/http");
+const {
+  reqBody,
+  userFromSession,
+  safeJsonParse,
+  multiUserMode,
+} = require("../utils/http");
 const {
   strictMultiUserRoleValid,
   flexUserRoleValid,
   ROLES,
 } = require("../utils/middleware/multiUserProtected");
 const { validatedRequest } = require("../utils/middleware/validatedRequest");
+const { ImportedPlugin } = require("../utils/agents/imported");
+const { MCPHypervisor } = require("../utils/MCP");
+const { approvableTools } = require("../utils/agents/approvals");
+const {
+  CodeSandbox,
+} = require("../utils/agents/aibitat/plugins/code-interpreter/sandbox");
+const { WORKSPACE_AGENT } = require("../utils/agents/defaults");
+const { AgentDefinition } = require("../models/agentDefinitions");
+const { AgentChannel } = require("../models/agentChannels");
+const { Webhook } = require("../models/webhooks");
+const { WebhookDelivery } = require("../models/webhookDeliveries");
+const { Webhooks, MAX_ATTEMPTS } = require("../utils/webhooks");
 
 function adminEndpoints(app) {
   if (!app) return;
@@ -340,18 +357,24 @@ function adminEndpoints(app) {
           text_splitter_chunk_overlap:
             (await SystemSettings.get({ label: "text_splitter_chunk_overlap" }))
               ?.value || null,
+          text_splitter_strategy:
+            (await SystemSettings.get({ label: "text_splitter_strategy" }))
+              ?.value || "auto",
           max_embed_chunk_size: embedder?.embeddingMaxChunkLength || 1000,
           agent_search_provider:
             (await SystemSettings.get({ label: "agent_search_provider" }))
               ?.value || null,
           agent_sql_connections:
             await SystemSettings.brief.agent_sql_connections(),
+          agent_api_connections:
+            await SystemSettings.brief.agent_api_connections(),
           default_agent_skills:
             safeJsonParse(
               (await SystemSettings.get({ label: "default_agent_skills" }))
                 ?.value,
               []
             ) || [],
+          code_sandbox_error: (await CodeSandbox.check()).isolationError,
           custom_app_name:
             (await SystemSettings.get({ label: "custom_app_name" }))?.value ||
             null,
@@ -379,6 +402,16 @@ function adminEndpoints(app) {
     async (request, response) => {
       try {
         const updates = reqBody(request);
+        // Code is never run without a sandbox, so the skill cannot be turned on without one.
+        if (
+          typeof updates.default_agent_skills === "string" &&
+          (await CodeSandbox.check()).isolationError
+        ) {
+          updates.default_agent_skills = updates.default_agent_skills
+            .split(",")
+            .filter((skill) => skill !== "code-interpreter")
+            .join(",");
+        }
         await SystemSettings.updateSettings(updates);
         response.status(200).json({ success: true, error: null });
       } catch (e) {
@@ -388,6 +421,529 @@ function adminEndpoints(app) {
     }
   );
 
+  app.get(
+    "/admin/imported-agent-skills",
+    [validatedRequest, flexUserRoleValid([ROLES.admin, ROLES.manager])],
+    async (_, response) => {
+      try {
+        const skills = ImportedPlugin.listImportedPlugins().map((skill) => ({
+          hubId: skill.hubId,
+          name: skill.name,
+          description: skill.description ?? null,
+          version: skill.version ?? null,
+          author: skill.author ?? null,
+          params: skill.entrypoint?.params?.properties ?? {},
+          valid: skill.valid,
+          error: skill.error,
+        }));
+        response.status(200).json({ skills, error: null });
+      } catch (e) {
+        console.error(e);
+        response.status(500).json({ skills: [], error: e.message });
+      }
+    }
+  );
+
+  app.get(
+    "/admin/agent-tool-approvals",
+    [validatedRequest, flexUserRoleValid([ROLES.admin, ROLES.manager])],
+    async (_, response) => {
+      try {
+        const tools = await approvableTools();
+        response.status(200).json({ tools, error: null });
+      } catch (e) {
+        console.error(e);
+        response.status(500).json({ tools: [], error: e.message });
+      }
+    }
+  );
+
+  app.get(
+    "/admin/mcp-servers",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (_, response) => {
+      try {
+        const servers = await new MCPHypervisor().servers();
+        response.status(200).json({ servers, error: null });
+      } catch (e) {
+        console.error(e);
+        response.status(500).json({ servers: [], error: e.message });
+      }
+    }
+  );
+
+  app.post(
+    "/admin/mcp-servers/reload",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (_, response) => {
+      try {
+        const hypervisor = new MCPHypervisor();
+        await hypervisor.reload();
+        response
+          .status(200)
+          .json({ servers: await hypervisor.servers(), error: null });
+      } catch (e) {
+        console.error(e);
+        response.status(500).json({ servers: [], error: e.message });
+      }
+    }
+  );
+
+  app.post(
+    "/admin/mcp-servers/:name/toggle",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        const { name } = request.params;
+        const { enabled = true } = reqBody(request);
+        const { success, error } = await new MCPHypervisor().toggleMCPServer(
+          name,
+          !!enabled
+        );
+        response.status(200).json({ success, error });
+      } catch (e) {
+        console.error(e);
+        response.status(500).json({ success: false, error: e.message });
+      }
+    }
+  );
+
+  app.post(
+    "/admin/mcp-servers/:name/tools/:tool/toggle",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        const { name, tool } = request.params;
+        const { enabled = true } = reqBody(request);
+        const { success, error } = new MCPHypervisor().toggleMCPTool(
+          name,
+          tool,
+          !!enabled
+        );
+        response.status(200).json({ success, error });
+      } catch (e) {
+        console.error(e);
+        response.status(500).json({ success: false, error: e.message });
+      }
+    }
+  );
+
+  app.post(
+    "/admin/mcp-servers/new",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        const {
+          name,
+          definition,
+          confirmHostCommand = false,
+        } = reqBody(request);
+        // Command servers run anything on the host, so only signed in admins can add them.
+        if (MCPHypervisor.runsHostCommand(definition)) {
+          if (!multiUserMode(response))
+            return response.status(403).json({
+              success: false,
+              error:
+                "Command servers can only be added from the UI in multi-user mode.",
+            });
+          if (confirmHostCommand !== true)
+            return response.status(400).json({
+              success: false,
+              error: "Confirm that this server runs a command on the host.",
+            });
+        }
+        const hypervisor = new MCPHypervisor();
+        const { success, error } = await hypervisor.addMCPServer(
+          name,
+          definition
+        );
+        response
+          .status(200)
+          .json({ success, error, servers: await hypervisor.servers() });
+      } catch (e) {
+        console.error(e);
+        response.status(500).json({ success: false, error: e.message });
+      }
+    }
+  );
+
+  app.delete(
+    "/admin/mcp-servers/:name",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        const { name } = request.params;
+        const { success, error } = await new MCPHypervisor().removeMCPServer(
+          name
+        );
+        response.status(200).json({ success, error });
+      } catch (e) {
+        console.error(e);
+        response.status(500).json({ success: false, error: e.message });
+      }
+    }
+  );
+
+  app.get(
+    "/admin/agent-definitions",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (_, response) => {
+      try {
+        const [agents, channels, workspaceAgent] = await Promise.all([
+          AgentDefinition.where({}, null, { handle: "asc" }),
+          AgentChannel.where({}, null, { handle: "asc" }),
+          WORKSPACE_AGENT.getDefinition(),
+        ]);
+        response.status(200).json({
+          agents: agents.map(formatAgentDefinition),
+          channels: channels.map(formatAgentChannel),
+          skills: workspaceAgent.functions,
+          error: null,
+        });
+      } catch (e) {
+        console.error(e);
+        response
+          .status(500)
+          .json({ agents: [], channels: [], skills: [], error: e.message });
+      }
+    }
+  );
+
+  app.post(
+    "/admin/agent-definitions/new",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        const { agent, message } = await AgentDefinition.create(
+          reqBody(request)
+        );
+        if (!agent) {
+          response.status(400).json({ agent: null, error: message });
+          return;
+        }
+
+        await EventLogs.logEvent(
+          "named_agent_created",
+          { handle: `@${agent.handle}` },
+          response.locals?.user?.id
+        );
+        response
+          .status(200)
+          .json({ agent: formatAgentDefinition(agent), error: null });
+      } catch (e) {
+        console.error(e);
+        response.status(500).json({ agent: null, error: e.message });
+      }
+    }
+  );
+
+  app.post(
+    "/admin/agent-definitions/:id/update",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        const { agent, message } = await AgentDefinition.update(
+          request.params.id,
+          reqBody(request)
+        );
+        if (!agent) {
+          response.status(400).json({ agent: null, error: message });
+          return;
+        }
+        response
+          .status(200)
+          .json({ agent: formatAgentDefinition(agent), error: null });
+      } catch (e) {
+        console.error(e);
+        response.status(500).json({ agent: null, error: e.message });
+      }
+    }
+  );
+
+  app.delete(
+    "/admin/agent-definitions/:id",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        const success = await AgentDefinition.delete(request.params.id);
+        response.status(200).json({ success, error: null });
+      } catch (e) {
+        console.error(e);
+        response.status(500).json({ success: false, error: e.message });
+      }
+    }
+  );
+
+  app.post(
+    "/admin/agent-channels/new",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        const { channel, message } = await AgentChannel.create(
+          reqBody(request)
+        );
+        if (!channel) {
+          response.status(400).json({ channel: null, error: message });
+          return;
+        }
+
+        await EventLogs.logEvent(
+          "agent_channel_created",
+          { handle: `@${channel.handle}` },
+          response.locals?.user?.id
+        );
+        response
+          .status(200)
+          .json({ channel: formatAgentChannel(channel), error: null });
+      } catch (e) {
+        console.error(e);
+        response.status(500).json({ channel: null, error: e.message });
+      }
+    }
+  );
+
+  app.post(
+    "/admin/agent-channels/:id/update",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        const { channel, message } = await AgentChannel.update(
+          request.params.id,
+          reqBody(request)
+        );
+        if (!channel) {
+          response.status(400).json({ channel: null, error: message });
+          return;
+        }
+        response
+          .status(200)
+          .json({ channel: formatAgentChannel(channel), error: null });
+      } catch (e) {
+        console.error(e);
+        response.status(500).json({ channel: null, error: e.message });
+      }
+    }
+  );
+
+  app.delete(
+    "/admin/agent-channels/:id",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        const success = await AgentChannel.delete(request.params.id);
+        response.status(200).json({ success, error: null });
+      } catch (e) {
+        console.error(e);
+        response.status(500).json({ success: false, error: e.message });
+      }
+    }
+  );
+
+  app.get(
+    "/admin/webhooks",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (_, response) => {
+      try {
+        const [webhooks, events] = await Promise.all([
+          Webhook.where({}, null, { createdAt: "asc" }),
+          Webhook.knownEvents(),
+        ]);
+        response.status(200).json({
+          webhooks: webhooks.map(formatWebhook),
+          events,
+          error: null,
+        });
+      } catch (e) {
+        console.error(e);
+        response
+          .status(500)
+          .json({ webhooks: [], events: [], error: e.message });
+      }
+    }
+  );
+
+  app.post(
+    "/admin/webhooks/new",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        const { webhook, secret, message } = await Webhook.create(
+          reqBody(request)
+        );
+        if (!webhook) {
+          response
+            .status(400)
+            .json({ webhook: null, secret: null, error: message });
+          return;
+        }
+
+        await EventLogs.logEvent(
+          "webhook_created",
+          { name: webhook.name, url: webhook.url },
+          response.locals?.user?.id
+        );
+        response
+          .status(200)
+          .json({ webhook: formatWebhook(webhook), secret, error: null });
+      } catch (e) {
+        console.error(e);
+        response
+          .status(500)
+          .json({ webhook: null, secret: null, error: e.message });
+      }
+    }
+  );
+
+  // Registered before the routes with an :id so "deliveries" is not read as one.
+  app.post(
+    "/admin/webhooks/deliveries",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        const { offset = 0, limit = 20, webhookId = null } = reqBody(request);
+        const clause = webhookId ? { webhookId: Number(webhookId) } : {};
+        const [deliveries, totalDeliveries] = await Promise.all([
+          WebhookDelivery.where(clause, limit, { id: "desc" }, offset * limit),
+          WebhookDelivery.count(clause),
+        ]);
+        response.status(200).json({
+          deliveries: deliveries.map(formatWebhookDelivery),
+          hasPages: totalDeliveries > (offset + 1) * limit,
+          totalDeliveries,
+          error: null,
+        });
+      } catch (e) {
+        console.error(e);
+        response
+          .status(500)
+          .json({ deliveries: [], hasPages: false, error: e.message });
+      }
+    }
+  );
+
+  app.delete(
+    "/admin/webhooks/deliveries",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (_, response) => {
+      try {
+        const success = await WebhookDelivery.delete();
+        response.status(200).json({ success, error: null });
+      } catch (e) {
+        console.error(e);
+        response.status(500).json({ success: false, error: e.message });
+      }
+    }
+  );
+
+  app.post(
+    "/admin/webhooks/deliveries/:id/retry",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        const delivery = await WebhookDelivery.get({
+          id: Number(request.params.id),
+        });
+        const webhook = delivery
+          ? await Webhook.get({ id: delivery.webhookId })
+          : null;
+        if (!delivery || !webhook) {
+          response
+            .status(404)
+            .json({ delivery: null, error: "Delivery not found." });
+          return;
+        }
+
+        // A manual retry starts the backoff over from the first attempt.
+        const result = await Webhooks.deliver({
+          ...delivery,
+          attempts: 0,
+          webhook,
+        });
+        response
+          .status(200)
+          .json({ delivery: formatWebhookDelivery(result), error: null });
+      } catch (e) {
+        console.error(e);
+        response.status(500).json({ delivery: null, error: e.message });
+      }
+    }
+  );
+
+  app.post(
+    "/admin/webhooks/:id/update",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        const { webhook, message } = await Webhook.update(
+          request.params.id,
+          reqBody(request)
+        );
+        if (!webhook) {
+          response.status(400).json({ webhook: null, error: message });
+          return;
+        }
+        response
+          .status(200)
+          .json({ webhook: formatWebhook(webhook), error: null });
+      } catch (e) {
+        console.error(e);
+        response.status(500).json({ webhook: null, error: e.message });
+      }
+    }
+  );
+
+  app.post(
+    "/admin/webhooks/:id/test",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        const webhook = await Webhook.get({ id: Number(request.params.id) });
+        if (!webhook) {
+          response
+            .status(404)
+            .json({ delivery: null, error: "Webhook not found." });
+          return;
+        }
+
+        const delivery = await WebhookDelivery.create(
+          webhook.id,
+          "webhook_test",
+          { message: "This is a test delivery from AnythingLLM." }
+        );
+        if (!delivery)
+          throw new Error("The test delivery could not be created.");
+        const result = await Webhooks.deliver({ ...delivery, webhook });
+        response
+          .status(200)
+          .json({ delivery: formatWebhookDelivery(result), error: null });
+      } catch (e) {
+        console.error(e);
+        response.status(500).json({ delivery: null, error: e.message });
+      }
+    }
+  );
+
+  app.delete(
+    "/admin/webhooks/:id",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        const webhook = await Webhook.get({ id: Number(request.params.id) });
+        const success = webhook ? await Webhook.delete(webhook.id) : false;
+        if (success)
+          await EventLogs.logEvent(
+            "webhook_deleted",
+            { name: webhook.name, url: webhook.url },
+            response.locals?.user?.id
+          );
+        response.status(200).json({ success, error: null });
+      } catch (e) {
+        console.error(e);
+        response.status(500).json({ success: false, error: e.message });
+      }
+    }
+  );
+
   app.get(
     "/admin/api-keys",
     [validatedRequest, strictMultiUserRoleValid([ROLES.admin])],
@@ -455,4 +1011,54 @@ function adminEndpoints(app) {
   );
 }
 
+function formatAgentDefinition(agent) {
+  return {
+    id: agent.id,
+    handle: agent.handle,
+    role: agent.role,
+    provider: agent.provider,
+    model: agent.model,
+    skills: AgentDefinition.skills(agent),
+  };
+}
+
+function formatAgentChannel(channel) {
+  return {
+    id: channel.id,
+    handle: channel.handle,
+    members: AgentChannel.members(channel),
+    role: channel.role,
+    maxRounds: channel.maxRounds,
+  };
+}
+
+function formatWebhook(webhook) {
+  return {
+    id: webhook.id,
+    name: webhook.name,
+    url: webhook.url,
+    events: Webhook.events(webhook),
+    enabled: webhook.enabled,
+    createdAt: webhook.createdAt,
+  };
+}
+
+function formatWebhookDelivery(delivery) {
+  if (!delivery) return null;
+  return {
+    id: delivery.id,
+    uuid: delivery.uuid,
+    webhookId: delivery.webhookId,
+    event: delivery.event,
+    payload: safeJsonParse(delivery.payload, {}),
+    status: delivery.status,
+    attempts: delivery.attempts,
+    maxAttempts: MAX_ATTEMPTS,
+    responseStatus: delivery.responseStatus,
+    error: delivery.error,
+    nextAttemptAt: delivery.nextAttemptAt,
+    createdAt: delivery.createdAt,
+  };
+}
+
 module.exports = { adminEndpoints };
@@ -0,0 +1,150 @@
+const { AgentFlows } = require("../utils/agentFlows");
+const {
+  FLOW_STEPS,
+  CONDITION_OPERATORS,
+} = require("../utils/agentFlows/steps");
+const {
+  listSQLConnections,
+} = require("../utils/agents/aibitat/plugins/sql-agent/SQLConnectors");
+const { EventLogs } = require("../models/eventLogs");
+const { reqBody } = require("../utils/http");
+const { validatedRequest } = require("../utils/middleware/validatedRequest");
+const {
+  flexUserRoleValid,
+  ROLES,
+} = require("../utils/middleware/multiUserProtected");
+
+function agentFlowEndpoints(app) {
+  if (!app) return;
+
+  app.get(
+    "/agent-flows",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (_, response) => {
+      try {
+        response.status(200).json({ flows: AgentFlows.listFlows() });
+      } catch (e) {
+        console.error(e);
+        response.status(500).json({ flows: [], error: e.message });
+      }
+    }
+  );
+
+  // Step types and SQL connections the builder can offer.
+  app.get(
+    "/agent-flows/options",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (_, response) => {
+      try {
+        const connections = await listSQLConnections();
+        response.status(200).json({
+          steps: Object.fromEntries(
+            Object.entries(FLOW_STEPS).map(
+              ([type, { fields, sideEffects }]) => [
+                type,
+                { fields, sideEffects },
+              ]
+            )
+          ),
+          operators: CONDITION_OPERATORS,
+          databases: connections.map((db) => db.database_id),
+        });
+      } catch (e) {
+        console.error(e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.get(
+    "/agent-flows/:uuid",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        const flow = AgentFlows.loadFlow(request.params.uuid);
+        if (!flow) {
+          response.status(404).json({ flow: null, error: "Flow not found." });
+          return;
+        }
+        response.status(200).json({ flow, error: null });
+      } catch (e) {
+        console.error(e);
+        response.status(500).json({ flow: null, error: e.message });
+      }
+    }
+  );
+
+  app.post(
+    "/agent-flows/save",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        const { uuid = null, config = {} } = reqBody(request);
+        const { flow, error } = AgentFlows.saveFlow(config, uuid);
+        if (!flow) {
+          response.status(400).json({ flow: null, error });
+          return;
+        }
+
+        await EventLogs.logEvent(
+          uuid ? "agent_flow_updated" : "agent_flow_created",
+          { flowName: flow.config.name },
+          response.locals?.user?.id
+        );
+        response.status(200).json({ flow, error: null });
+      } catch (e) {
+        console.error(e);
+        response.status(500).json({ flow: null, error: e.message });
+      }
+    }
+  );
+
+  app.post(
+    "/agent-flows/:uuid/toggle",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        const existing = AgentFlows.loadFlow(request.params.uuid);
+        if (!existing) {
+          response
+            .status(404)
+            .json({ success: false, error: "Flow not found." });
+          return;
+        }
+
+        const { active = true } = reqBody(request);
+        const { flow, error } = AgentFlows.saveFlow(
+          { ...existing.config, active: !!active },
+          existing.uuid
+        );
+        response.status(200).json({ success: !!flow, error });
+      } catch (e) {
+        console.error(e);
+        response.status(500).json({ success: false, error: e.message });
+      }
+    }
+  );
+
+  app.delete(
+    "/agent-flows/:uuid",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        const flow = AgentFlows.loadFlow(request.params.uuid);
+        const success = AgentFlows.deleteFlow(request.params.uuid);
+        if (success)
+          await EventLogs.logEvent(
+            "agent_flow_deleted",
+            { flowName: flow.config.name },
+            response.locals?.user?.id
+          );
+        response.status(200).json({ success, error: null });
+      } catch (e) {
+        console.error(e);
+        response.status(500).json({ success: false, error: e.message });
+      }
+    }
+  );
+}
+
+module.exports = { agentFlowEndpoints };
@@ -1,6 +1,9 @@
 const { Telemetry } = require("../../../models/telemetry");
 const { validApiKey } = require("../../../utils/middleware/validApiKey");
-const { handleFileUpload } = require("../../../utils/files/multer");
+const {
+  handleFileUpload,
+  handleFileUploads,
+} = require("../../../utils/files/multer");
 const {
   viewLocalFiles,
   findDocumentInDocuments,
@@ -13,6 +16,12 @@ const { CollectorApi } = require("../../../utils/collectorApi");
 const fs = require("fs");
 const path = require("path");
 const { Document } = require("../../../models/documents");
+const {
+  DocumentIngestionJob,
+} = require("../../../models/documentIngestionJob");
+const {
+  DocumentIngestionQueue,
+} = require("../../../utils/DocumentIngestionQueue");
 const documentsPath =
   process.env.NODE_ENV === "development"
     ? path.resolve(__dirname, "../../../storage/documents")
@@ -121,6 +130,265 @@ function apiDocumentEndpoints(app) {
     }
   );
 
+  app.post(
+    "/v1/document/jobs",
+    [validApiKey, handleFileUploads],
+    async (request, response) => {
+      /*
+    #swagger.tags = ['Documents']
+    #swagger.description = 'Upload one or more files to be parsed and prepared for embedding in the background. Returns right away with a job to follow the progress of every file with GET /v1/document/jobs/{id}.'
+    #swagger.requestBody = {
+      description: 'Files to be uploaded.',
+      required: true,
+      type: 'file',
+      content: {
+        "multipart/form-data": {
+          schema: {
+            type: 'object',
+            properties: {
+              files: {
+                type: 'array',
+                items: {
+                  type: 'string',
+                  format: 'binary',
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+    #swagger.responses[200] = {
+      content: {
+        "application/json": {
+          schema: {
+            type: 'object',
+            example: {
+              success: true,
+              error: null,
+              job: {
+                id: "5e2c3f43-9a6b-4b3e-8d0c-7f0a4c1f2b9d",
+                status: "queued",
+                progress: {
+                  total: 2,
+                  queued: 2,
+                  processing: 0,
+                  success: 0,
+                  failed: 0,
+                  percent: 0
+                },
+                files: [
+                  {
+                    name: "anythingllm.txt",
+                    status: "queued",
+                    attempts: 0,
+                    error: null,
+                    documents: []
+                  },
+                  {
+                    name: "handbook.pdf",
+                    status: "queued",
+                    attempts: 0,
+                    error: null,
+                    documents: []
+                  }
+                ],
+                createdAt: "2024-10-01T12:00:00.000Z",
+                lastUpdatedAt: "2024-10-01T12:00:00.000Z"
+              }
+            }
+          }
+        }
+      }
+    }
+    #swagger.responses[403] = {
+      schema: {
+        "$ref": "#/definitions/InvalidAPIKey"
+      }
+    }
+    */
+      try {
+        const { job, message } = await DocumentIngestionJob.create({
+          files: (request.files || []).map((file) => ({
+            filename: file.filename,
+            originalName: file.originalname,
+          })),
+        });
+        if (!job) {
+          response.status(400).json({ success: false, error: message, job });
+          return;
+        }
+
+        DocumentIngestionQueue.wake();
+        await Telemetry.sendTelemetry("document_ingestion_job_created");
+        await EventLogs.logEvent("api_document_ingestion_job_created", {
+          jobId: job.uuid,
+          files: job.files.length,
+        });
+        response.status(200).json({
+          success: true,
+          error: null,
+          job: DocumentIngestionJob.summarize(job),
+        });
+      } catch (e) {
+        console.error(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.get("/v1/document/jobs/:id", [validApiKey], async (request, response) => {
+    /*
+    #swagger.tags = ['Documents']
+    #swagger.description = 'Get the progress of a document upload job and the status, error and resulting documents of each of its files.'
+    #swagger.parameters['id'] = {
+        in: 'path',
+        description: 'Id of the job returned when the files were uploaded',
+        required: true,
+        type: 'string'
+    }
+    #swagger.responses[200] = {
+      content: {
+        "application/json": {
+          schema: {
+            type: 'object',
+            example: {
+              job: {
+                id: "5e2c3f43-9a6b-4b3e-8d0c-7f0a4c1f2b9d",
+                status: "completed_with_errors",
+                progress: {
+                  total: 2,
+                  queued: 0,
+                  processing: 0,
+                  success: 1,
+                  failed: 1,
+                  percent: 100
+                },
+                files: [
+                  {
+                    name: "anythingllm.txt",
+                    status: "success",
+                    attempts: 1,
+                    error: null,
+                    documents: [
+                      {
+                        location: "custom-documents/anythingllm.txt-6e8be64c-c162-4b43-9997-b068c0071e8b.json",
+                        title: "anythingllm.txt"
+                      }
+                    ]
+                  },
+                  {
+                    name: "handbook.pdf",
+                    status: "failed",
+                    attempts: 3,
+                    error: "No text content found in handbook.pdf.",
+                    documents: []
+                  }
+                ],
+                createdAt: "2024-10-01T12:00:00.000Z",
+                lastUpdatedAt: "2024-10-01T12:00:42.000Z"
+              }
+            }
+          }
+        }
+      }
+    }
+    #swagger.responses[403] = {
+      schema: {
+        "$ref": "#/definitions/InvalidAPIKey"
+      }
+    }
+    */
+    try {
+      const job = await DocumentIngestionJob.get({
+        uuid: String(request.params.id),
+      });
+      if (!job) {
+        response.sendStatus(404).end();
+        return;
+      }
+      response.status(200).json({ job: DocumentIngestionJob.summarize(job) });
+    } catch (e) {
+      console.error(e.message, e);
+      response.sendStatus(500).end();
+    }
+  });
+
+  app.post(
+    "/v1/document/jobs/:id/retry",
+    [validApiKey],
+    async (request, response) => {
+      /*
+    #swagger.tags = ['Documents']
+    #swagger.description = 'Queue the failed files of a document upload job again. Files the document processor already removed cannot be retried and have to be uploaded again.'
+    #swagger.parameters['id'] = {
+        in: 'path',
+        description: 'Id of the job returned when the files were uploaded',
+        required: true,
+        type: 'string'
+    }
+    #swagger.responses[200] = {
+      content: {
+        "application/json": {
+          schema: {
+            type: 'object',
+            example: {
+              success: true,
+              error: null,
+              requeued: 1,
+              job: {
+                id: "5e2c3f43-9a6b-4b3e-8d0c-7f0a4c1f2b9d",
+                status: "processing",
+                progress: {
+                  total: 2,
+                  queued: 1,
+                  processing: 0,
+                  success: 1,
+                  failed: 0,
+                  percent: 50
+                },
+                files: [],
+                createdAt: "2024-10-01T12:00:00.000Z",
+                lastUpdatedAt: "2024-10-01T12:00:42.000Z"
+              }
+            }
+          }
+        }
+      }
+    }
+    #swagger.responses[403] = {
+      schema: {
+        "$ref": "#/definitions/InvalidAPIKey"
+      }
+    }
+    */
+      try {
+        const clause = { uuid: String(request.params.id) };
+        const job = await DocumentIngestionJob.get(clause);
+        if (!job) {
+          response.sendStatus(404).end();
+          return;
+        }
+
+        const requeued = await DocumentIngestionQueue.retryFailed(job);
+        response.status(200).json({
+          success: requeued > 0,
+          error:
+            requeued > 0
+              ? null
+              : "No failed files of this job can be retried. Upload them again instead.",
+          requeued,
+          job: DocumentIngestionJob.summarize(
+            await DocumentIngestionJob.get(clause)
+          ),
+        });
+      } catch (e) {
+        console.error(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
   app.post(
     "/v1/document/upload-link",
     [validApiKey],
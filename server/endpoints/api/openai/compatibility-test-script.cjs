@@ -55,6 +55,28 @@ const client = new OpenAI({
     console.log({ message });
   }
 
+  // Test tool calling, the tool call is returned for the client to run.
+  console.log("Running chat message with tools");
+  const toolCompletion = await client.chat.completions.create({
+    messages: [{ role: "user", content: "What is the weather in Paris?" }],
+    model: "anythingllm", // must be workspace-slug
+    tools: [
+      {
+        type: "function",
+        function: {
+          name: "get_weather",
+          description: "Get the current weather in a city",
+          parameters: {
+            type: "object",
+            properties: { city: { type: "string" } },
+            required: ["city"],
+          },
+        },
+      },
+    ],
+  });
+  console.log(toolCompletion.choices[0].message.tool_calls);
+
   // Vector DB functionality
   console.log("Fetching /vector_stores");
   const vectorDBList = await client.beta.vectorStores.list();
@@ -1,13 +1,31 @@
 const { v4: uuidv4 } = require("uuid");
+const fs = require("fs");
+const path = require("path");
 const { Document } = require("../../../models/documents");
 const { Telemetry } = require("../../../models/telemetry");
 const { Workspace } = require("../../../models/workspace");
+const { WorkspaceChats } = require("../../../models/workspaceChats");
+const { DocumentVectors } = require("../../../models/vectors");
 const {
   getLLMProvider,
   getEmbeddingEngineSelection,
+  getVectorDbClass,
 } = require("../../../utils/helpers");
-const { reqBody } = require("../../../utils/http");
+const {
+  multiUserMode,
+  reqBody,
+  safeJsonParse,
+} = require("../../../utils/http");
 const { validApiKey } = require("../../../utils/middleware/validApiKey");
+const { handleFileUpload } = require("../../../utils/files/multer");
+const {
+  documentsPath,
+  findDocumentInDocuments,
+  viewLocalFiles,
+} = require("../../../utils/files");
+const { purgeDocument } = require("../../../utils/files/purgeDocument");
+const { CollectorApi } = require("../../../utils/collectorApi");
+const { sourceIdentifier } = require("../../../utils/chats");
 const { EventLogs } = require("../../../models/eventLogs");
 const {
   OpenAICompatibleChat,
@@ -86,9 +104,9 @@ function apiOpenAICompatibleEndpoints(app) {
     async (request, response) => {
       /*
       #swagger.tags = ['OpenAI Compatible Endpoints']
-      #swagger.description = 'Execute a chat with a workspace with OpenAI compatibility. Supports streaming as well. Model must be a workspace slug from /models.'
+      #swagger.description = 'Execute a chat with a workspace with OpenAI compatibility. Supports streaming as well. Model must be a workspace slug from /models. Tools, tool_choice and response_format are sent to LLM providers with an OpenAI compatible API, tool calls are returned and streamed in OpenAI format. Set agent_skills to true to also give the model the agent skills of the workspace, which run on the server.'
       #swagger.requestBody = {
-          description: 'Send a prompt to the workspace with full use of documents as if sending a chat in AnythingLLM. Only supports some values of OpenAI API. See example below.',
+          description: 'Send a prompt to the workspace with full use of documents as if sending a chat in AnythingLLM. Only supports some values of OpenAI API. See example below. To answer tool calls send the assistant tool calls and the tool results after the last user message.',
           required: true,
           type: 'object',
           content: {
@@ -102,7 +120,23 @@ function apiOpenAICompatibleEndpoints(app) {
                 ],
                 model: "sample-workspace",
                 stream: true,
-                temperature: 0.7
+                temperature: 0.7,
+                tools: [
+                  {
+                    type: "function",
+                    function: {
+                      name: "get_weather",
+                      description: "Get the current weather in a city",
+                      parameters: {
+                        type: "object",
+                        properties: { city: { type: "string" } },
+                        required: ["city"]
+                      }
+                    }
+                  }
+                ],
+                tool_choice: "auto",
+                agent_skills: false
               }
             }
           }
@@ -119,12 +153,22 @@ function apiOpenAICompatibleEndpoints(app) {
           messages = [],
           temperature,
           stream = false,
+          tools = [],
+          tool_choice: toolChoice = null,
+          response_format: responseFormat = null,
+          agent_skills: agentSkills = false,
         } = reqBody(request);
         const workspace = await Workspace.get({ slug: String(model) });
         if (!workspace) return response.status(401).end();
 
-        const userMessage = messages.pop();
-        if (userMessage.role !== "user") {
+        // When the client sends back tool results the prompt is the last user message
+        // and the assistant tool calls and tool results follow it.
+        const promptIndex =
+          messages.at(-1)?.role === "tool"
+            ? messages.findLastIndex((chat) => chat.role === "user")
+            : messages.length - 1;
+        const userMessage = messages[promptIndex];
+        if (userMessage?.role !== "user") {
           return response.status(400).json({
             id: uuidv4(),
             type: "abort",
@@ -132,13 +176,23 @@ function apiOpenAICompatibleEndpoints(app) {
             sources: [],
             close: true,
             error:
-              "No user prompt found. Must be last element in message array with 'user' role.",
+              "No user prompt found. Must be last element in message array with 'user' role, or be followed only by assistant tool calls and their 'tool' results.",
           });
         }
+        const toolMessages = messages.slice(promptIndex + 1);
+        const toolOptions = {
+          tools: Array.isArray(tools) ? tools : [],
+          toolChoice,
+          responseFormat,
+          agentSkills: !!agentSkills,
+          toolMessages,
+        };
 
+        const priorMessages = messages.slice(0, promptIndex);
         const systemPrompt =
-          messages.find((chat) => chat.role === "system")?.content ?? null;
-        const history = messages.filter((chat) => chat.role !== "system") ?? [];
+          priorMessages.find((chat) => chat.role === "system")?.content ?? null;
+        const history =
+          priorMessages.filter((chat) => chat.role !== "system") ?? [];
 
         if (!stream) {
           const chatResult = await OpenAICompatibleChat.chatSync({
@@ -147,6 +201,7 @@ function apiOpenAICompatibleEndpoints(app) {
             history,
             prompt: userMessage.content,
             temperature: Number(temperature),
+            toolOptions,
           });
 
           await Telemetry.sendTelemetry("sent_chat", {
@@ -175,6 +230,7 @@ function apiOpenAICompatibleEndpoints(app) {
           history,
           prompt: userMessage.content,
           temperature: Number(temperature),
+          toolOptions,
           response,
         });
         await Telemetry.sendTelemetry("sent_chat", {
@@ -300,22 +356,9 @@ function apiOpenAICompatibleEndpoints(app) {
         }
 
         const data = [];
-        const VectorDBProvider = process.env.VECTOR_DB || "lancedb";
         const workspaces = await Workspace.where();
-
-        for (const workspace of workspaces) {
-          data.push({
-            id: workspace.slug,
-            object: "vector_store",
-            name: workspace.name,
-            file_counts: {
-              total: await Document.count({
-                workspaceId: Number(workspace.id),
-              }),
-            },
-            provider: VectorDBProvider,
-          });
-        }
+        for (const workspace of workspaces)
+          data.push(await openAIVectorStore(workspace));
         return response.status(200).json({
           first_id: [...data].splice(0)?.[0]?.id,
           last_id: [...data].splice(-1)?.[0]?.id ?? data.splice(1)?.[0]?.id,
@@ -328,6 +371,859 @@ function apiOpenAICompatibleEndpoints(app) {
       }
     }
   );
+  app.post(
+    "/v1/openai/files",
+    [validApiKey, handleFileUpload],
+    async (request, response) => {
+      /*
+      #swagger.tags = ['OpenAI Compatible Endpoints']
+      #swagger.description = 'Upload a file to be parsed and stored as a document so it can be added to vector stores. The id of the returned file is the unique AnythingLLM document name.'
+      #swagger.requestBody = {
+        description: 'File to be uploaded. The purpose is accepted for compatibility but every file can be used in any vector store.',
+        required: true,
+        content: {
+          "multipart/form-data": {
+            schema: {
+              type: 'object',
+              properties: {
+                file: {
+                  type: 'string',
+                  format: 'binary',
+                },
+                purpose: {
+                  type: 'string',
+                  example: 'assistants',
+                }
+              }
+            }
+          }
+        }
+      }
+      #swagger.responses[200] = {
+        content: {
+          "application/json": {
+            schema: {
+              type: 'object',
+              example: {
+                "id": "anythingllm.txt-6e8be64c-c162-4b43-9997-b068c0071e8b.json",
+                "object": "file",
+                "bytes": 1024,
+                "created_at": 1705417620,
+                "filename": "anythingllm.txt",
+                "purpose": "assistants",
+                "status": "processed"
+              }
+            }
+          }
+        }
+      }
+      #swagger.responses[403] = {
+        schema: {
+          "$ref": "#/definitions/InvalidAPIKey"
+        }
+      }
+      */
+      try {
+        if (!request.file)
+          return openAIError(response, 400, "A file is required.");
+
+        const Collector = new CollectorApi();
+        const { originalname } = request.file;
+        if (!(await Collector.online()))
+          return openAIError(
+            response,
+            500,
+            `Document processing API is not online. File ${originalname} was not processed.`
+          );
+
+        const {
+          success,
+          reason,
+          documents = [],
+        } = await Collector.processDocument(originalname);
+        if (!success || documents.length === 0)
+          return openAIError(
+            response,
+            400,
+            reason || `File ${originalname} could not be processed.`
+          );
+
+        Collector.log(
+          `Document ${originalname} uploaded processed and successfully. It is now available in documents.`
+        );
+        await Telemetry.sendTelemetry("document_uploaded");
+        await EventLogs.logEvent("api_document_uploaded", {
+          documentName: originalname,
+        });
+        return response
+          .status(200)
+          .json(openAIFile(documents[0], documents[0].location));
+      } catch (e) {
+        console.error(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.get("/v1/openai/files", [validApiKey], async (_, response) => {
+    /*
+    #swagger.tags = ['OpenAI Compatible Endpoints']
+    #swagger.description = 'List all the documents stored in AnythingLLM as OpenAI files.'
+    #swagger.responses[200] = {
+      content: {
+        "application/json": {
+          schema: {
+            type: 'object',
+            example: {
+              "object": "list",
+              "data": [
+                {
+                  "id": "anythingllm.txt-6e8be64c-c162-4b43-9997-b068c0071e8b.json",
+                  "object": "file",
+                  "bytes": 1024,
+                  "created_at": 1705417620,
+                  "filename": "anythingllm.txt",
+                  "purpose": "assistants",
+                  "status": "processed"
+                }
+              ],
+              "has_more": false
+            }
+          }
+        }
+      }
+    }
+    #swagger.responses[403] = {
+      schema: {
+        "$ref": "#/definitions/InvalidAPIKey"
+      }
+    }
+    */
+    try {
+      const data = [];
+      const localFiles = await viewLocalFiles();
+      for (const folder of localFiles.items) {
+        for (const document of folder.items)
+          data.push(openAIFile(document, `${folder.name}/${document.name}`));
+      }
+      return response
+        .status(200)
+        .json({ object: "list", data, has_more: false });
+    } catch (e) {
+      console.error(e.message, e);
+      response.sendStatus(500).end();
+    }
+  });
+
+  app.get(
+    "/v1/openai/files/:fileId",
+    [validApiKey],
+    async (request, response) => {
+      /*
+      #swagger.tags = ['OpenAI Compatible Endpoints']
+      #swagger.description = 'Get a single file by its id, the unique AnythingLLM document name.'
+      #swagger.parameters['fileId'] = {
+        in: 'path',
+        description: 'Unique document name of the file',
+        required: true,
+        type: 'string'
+      }
+      #swagger.responses[403] = {
+        schema: {
+          "$ref": "#/definitions/InvalidAPIKey"
+        }
+      }
+      */
+      try {
+        const document = await findDocumentInDocuments(request.params.fileId);
+        if (!document)
+          return openAIError(
+            response,
+            404,
+            `No file with id ${request.params.fileId} was found.`
+          );
+        return response
+          .status(200)
+          .json(openAIFile(document, document.location));
+      } catch (e) {
+        console.error(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.delete(
+    "/v1/openai/files/:fileId",
+    [validApiKey],
+    async (request, response) => {
+      /*
+      #swagger.tags = ['OpenAI Compatible Endpoints']
+      #swagger.description = 'Delete a file from AnythingLLM. The document is removed from every workspace it was embedded in.'
+      #swagger.parameters['fileId'] = {
+        in: 'path',
+        description: 'Unique document name of the file',
+        required: true,
+        type: 'string'
+      }
+      #swagger.responses[200] = {
+        content: {
+          "application/json": {
+            schema: {
+              type: 'object',
+              example: {
+                "id": "anythingllm.txt-6e8be64c-c162-4b43-9997-b068c0071e8b.json",
+                "object": "file",
+                "deleted": true
+              }
+            }
+          }
+        }
+      }
+      #swagger.responses[403] = {
+        schema: {
+          "$ref": "#/definitions/InvalidAPIKey"
+        }
+      }
+      */
+      try {
+        const { fileId } = request.params;
+        const document = await findDocumentInDocuments(fileId);
+        if (!document)
+          return openAIError(
+            response,
+            404,
+            `No file with id ${fileId} was found.`
+          );
+
+        await purgeDocument(document.location);
+        return response
+          .status(200)
+          .json({ id: fileId, object: "file", deleted: true });
+      } catch (e) {
+        console.error(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.post(
+    "/v1/openai/vector_stores",
+    [validApiKey],
+    async (request, response) => {
+      /*
+      #swagger.tags = ['OpenAI Compatible Endpoints']
+      #swagger.description = 'Create a vector store. This creates a new workspace and embeds the given files in it.'
+      #swagger.requestBody = {
+        description: 'Name of the vector store and optionally the ids of files to add to it.',
+        required: true,
+        content: {
+          "application/json": {
+            example: {
+              name: "My knowledge base",
+              file_ids: ["anythingllm.txt-6e8be64c-c162-4b43-9997-b068c0071e8b.json"]
+            }
+          }
+        }
+      }
+      #swagger.responses[200] = {
+        content: {
+          "application/json": {
+            schema: {
+              type: 'object',
+              example: {
+                "id": "my-knowledge-base",
+                "object": "vector_store",
+                "name": "My knowledge base",
+                "created_at": 1705417620,
+                "status": "completed",
+                "file_counts": {
+                  "in_progress": 0,
+                  "completed": 1,
+                  "failed": 0,
+                  "cancelled": 0,
+                  "total": 1
+                },
+                "provider": "lancedb"
+              }
+            }
+          }
+        }
+      }
+      #swagger.responses[403] = {
+        schema: {
+          "$ref": "#/definitions/InvalidAPIKey"
+        }
+      }
+      */
+      try {
+        const { name = null, file_ids: fileIds = [] } = reqBody(request);
+        const { workspace, message } = await Workspace.new(name);
+        if (!workspace) return openAIError(response, 400, message);
+
+        await Telemetry.sendTelemetry("workspace_created", {
+          multiUserMode: multiUserMode(response),
+          LLMSelection: process.env.LLM_PROVIDER || "openai",
+          Embedder: process.env.EMBEDDING_ENGINE || "inherit",
+          VectorDbSelection: process.env.VECTOR_DB || "lancedb",
+          TTSSelection: process.env.TTS_PROVIDER || "native",
+        });
+        await EventLogs.logEvent("api_workspace_created", {
+          workspaceName: workspace.name,
+        });
+
+        const failed = [];
+        for (const fileId of [fileIds].flat()) {
+          const { status } = await attachFile(workspace, fileId);
+          if (status !== "completed") failed.push(fileId);
+        }
+        return response
+          .status(200)
+          .json(await openAIVectorStore(workspace, { failed: failed.length }));
+      } catch (e) {
+        console.error(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.get(
+    "/v1/openai/vector_stores/:vectorStoreId",
+    [validApiKey],
+    async (request, response) => {
+      /*
+      #swagger.tags = ['OpenAI Compatible Endpoints']
+      #swagger.description = 'Get a single vector store by its id, the workspace slug.'
+      #swagger.parameters['vectorStoreId'] = {
+        in: 'path',
+        description: 'Slug of the workspace',
+        required: true,
+        type: 'string'
+      }
+      #swagger.responses[403] = {
+        schema: {
+          "$ref": "#/definitions/InvalidAPIKey"
+        }
+      }
+      */
+      try {
+        const workspace = await Workspace.get({
+          slug: String(request.params.vectorStoreId),
+        });
+        if (!workspace) return vectorStoreNotFound(request, response);
+        return response.status(200).json(await openAIVectorStore(workspace));
+      } catch (e) {
+        console.error(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.delete(
+    "/v1/openai/vector_stores/:vectorStoreId",
+    [validApiKey],
+    async (request, response) => {
+      /*
+      #swagger.tags = ['OpenAI Compatible Endpoints']
+      #swagger.description = 'Delete a vector store. This deletes the workspace, its chats and its embeddings. The files stay available in AnythingLLM.'
+      #swagger.parameters['vectorStoreId'] = {
+        in: 'path',
+        description: 'Slug of the workspace',
+        required: true,
+        type: 'string'
+      }
+      #swagger.responses[200] = {
+        content: {
+          "application/json": {
+            schema: {
+              type: 'object',
+              example: {
+                "id": "my-knowledge-base",
+                "object": "vector_store.deleted",
+                "deleted": true
+              }
+            }
+          }
+        }
+      }
+      #swagger.responses[403] = {
+        schema: {
+          "$ref": "#/definitions/InvalidAPIKey"
+        }
+      }
+      */
+      try {
+        const workspace = await Workspace.get({
+          slug: String(request.params.vectorStoreId),
+        });
+        if (!workspace) return vectorStoreNotFound(request, response);
+
+        const workspaceId = Number(workspace.id);
+        await WorkspaceChats.delete({ workspaceId });
+        await DocumentVectors.deleteForWorkspace(workspaceId);
+        await Document.delete({ workspaceId });
+        await Workspace.delete({ id: workspaceId });
+        await EventLogs.logEvent("api_workspace_deleted", {
+          workspaceName: workspace.name,
+        });
+        try {
+          await getVectorDbClass()["delete-namespace"]({
+            namespace: workspace.slug,
+          });
+        } catch (e) {
+          console.error(e.message);
+        }
+        return response.status(200).json({
+          id: workspace.slug,
+          object: "vector_store.deleted",
+          deleted: true,
+        });
+      } catch (e) {
+        console.error(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.get(
+    "/v1/openai/vector_stores/:vectorStoreId/files",
+    [validApiKey],
+    async (request, response) => {
+      /*
+      #swagger.tags = ['OpenAI Compatible Endpoints']
+      #swagger.description = 'List the files embedded in a vector store.'
+      #swagger.parameters['vectorStoreId'] = {
+        in: 'path',
+        description: 'Slug of the workspace',
+        required: true,
+        type: 'string'
+      }
+      #swagger.responses[200] = {
+        content: {
+          "application/json": {
+            schema: {
+              type: 'object',
+              example: {
+                "object": "list",
+                "data": [
+                  {
+                    "id": "anythingllm.txt-6e8be64c-c162-4b43-9997-b068c0071e8b.json",
+                    "object": "vector_store.file",
+                    "created_at": 1705417620,
+                    "vector_store_id": "my-knowledge-base",
+                    "status": "completed",
+                    "last_error": null
+                  }
+                ],
+                "has_more": false
+              }
+            }
+          }
+        }
+      }
+      #swagger.responses[403] = {
+        schema: {
+          "$ref": "#/definitions/InvalidAPIKey"
+        }
+      }
+      */
+      try {
+        const workspace = await Workspace.get({
+          slug: String(request.params.vectorStoreId),
+        });
+        if (!workspace) return vectorStoreNotFound(request, response);
+
+        const documents = await Document.forWorkspace(workspace.id);
+        return response.status(200).json({
+          object: "list",
+          data: documents.map((document) =>
+            openAIVectorStoreFile(workspace, document.filename, {
+              createdAt: document.createdAt,
+            })
+          ),
+          has_more: false,
+        });
+      } catch (e) {
+        console.error(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.post(
+    "/v1/openai/vector_stores/:vectorStoreId/files",
+    [validApiKey],
+    async (request, response) => {
+      /*
+      #swagger.tags = ['OpenAI Compatible Endpoints']
+      #swagger.description = 'Add a file to a vector store by embedding the document in the workspace. Embedding happens before the response is sent so the returned status is final.'
+      #swagger.parameters['vectorStoreId'] = {
+        in: 'path',
+        description: 'Slug of the workspace',
+        required: true,
+        type: 'string'
+      }
+      #swagger.requestBody = {
+        description: 'Id of the file to add.',
+        required: true,
+        content: {
+          "application/json": {
+            example: {
+              file_id: "anythingllm.txt-6e8be64c-c162-4b43-9997-b068c0071e8b.json"
+            }
+          }
+        }
+      }
+      #swagger.responses[403] = {
+        schema: {
+          "$ref": "#/definitions/InvalidAPIKey"
+        }
+      }
+      */
+      try {
+        const { file_id: fileId = null } = reqBody(request);
+        const workspace = await Workspace.get({
+          slug: String(request.params.vectorStoreId),
+        });
+        if (!workspace) return vectorStoreNotFound(request, response);
+        if (!(await findDocumentInDocuments(fileId)))
+          return openAIError(
+            response,
+            404,
+            `No file with id ${fileId} was found.`
+          );
+
+        return response.status(200).json(await attachFile(workspace, fileId));
+      } catch (e) {
+        console.error(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.delete(
+    "/v1/openai/vector_stores/:vectorStoreId/files/:fileId",
+    [validApiKey],
+    async (request, response) => {
+      /*
+      #swagger.tags = ['OpenAI Compatible Endpoints']
+      #swagger.description = 'Remove a file from a vector store. The file itself is not deleted.'
+      #swagger.parameters['vectorStoreId'] = {
+        in: 'path',
+        description: 'Slug of the workspace',
+        required: true,
+        type: 'string'
+      }
+      #swagger.parameters['fileId'] = {
+        in: 'path',
+        description: 'Unique document name of the file',
+        required: true,
+        type: 'string'
+      }
+      #swagger.responses[200] = {
+        content: {
+          "application/json": {
+            schema: {
+              type: 'object',
+              example: {
+                "id": "anythingllm.txt-6e8be64c-c162-4b43-9997-b068c0071e8b.json",
+                "object": "vector_store.file.deleted",
+                "deleted": true
+              }
+            }
+          }
+        }
+      }
+      #swagger.responses[403] = {
+        schema: {
+          "$ref": "#/definitions/InvalidAPIKey"
+        }
+      }
+      */
+      try {
+        const { fileId } = request.params;
+        const workspace = await Workspace.get({
+          slug: String(request.params.vectorStoreId),
+        });
+        if (!workspace) return vectorStoreNotFound(request, response);
+
+        const document = await Document.get({
+          workspaceId: Number(workspace.id),
+          filename: String(fileId),
+        });
+        if (!document)
+          return openAIError(
+            response,
+            404,
+            `No file with id ${fileId} was found in vector store ${workspace.slug}.`
+          );
+
+        await Document.removeDocuments(workspace, [document.docpath]);
+        return response.status(200).json({
+          id: fileId,
+          object: "vector_store.file.deleted",
+          deleted: true,
+        });
+      } catch (e) {
+        console.error(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.post(
+    "/v1/openai/vector_stores/:vectorStoreId/search",
+    [validApiKey],
+    async (request, response) => {
+      /*
+      #swagger.tags = ['OpenAI Compatible Endpoints']
+      #swagger.description = 'Search a vector store for the chunks most similar to a query. Uses the workspace embedder and similarity threshold unless a score threshold is given.'
+      #swagger.parameters['vectorStoreId'] = {
+        in: 'path',
+        description: 'Slug of the workspace',
+        required: true,
+        type: 'string'
+      }
+      #swagger.requestBody = {
+        description: 'The query to search for and optionally how many results to return (1-50, default 10).',
+        required: true,
+        content: {
+          "application/json": {
+            example: {
+              query: "What is AnythingLLM?",
+              max_num_results: 10,
+              ranking_options: {
+                score_threshold: 0.25
+              }
+            }
+          }
+        }
+      }
+      #swagger.responses[200] = {
+        content: {
+          "application/json": {
+            schema: {
+              type: 'object',
+              example: {
+                "object": "vector_store.search_results.page",
+                "search_query": "What is AnythingLLM?",
+                "data": [
+                  {
+                    "file_id": "anythingllm.txt-6e8be64c-c162-4b43-9997-b068c0071e8b.json",
+                    "filename": "anythingllm.txt",
+                    "score": 0.82,
+                    "attributes": {
+                      "url": "file:///Users/tim/Documents/anything-llm/collector/hotdir/anythingllm.txt",
+                      "docAuthor": "Unknown",
+                      "published": "1/16/2024, 3:07:00 PM"
+                    },
+                    "content": [
+                      {
+                        "type": "text",
+                        "text": "AnythingLLM is..."
+                      }
+                    ]
+                  }
+                ],
+                "has_more": false,
+                "next_page": null
+              }
+            }
+          }
+        }
+      }
+      #swagger.responses[403] = {
+        schema: {
+          "$ref": "#/definitions/InvalidAPIKey"
+        }
+      }
+      */
+      try {
+        const {
+          query = "",
+          max_num_results: maxNumResults = 10,
+          ranking_options: rankingOptions = {},
+        } = reqBody(request);
+        const searchQuery = [query].flat().join(" ").trim();
+        if (!searchQuery)
+          return openAIError(response, 400, "A query is required.");
+
+        const workspace = await Workspace.get({
+          slug: String(request.params.vectorStoreId),
+        });
+        if (!workspace) return vectorStoreNotFound(request, response);
+
+        const documents = await Document.forWorkspace(workspace.id);
+        const data = [];
+        if (documents.length > 0) {
+          const { sources = [], message } =
+            await getVectorDbClass().performSimilaritySearch({
+              namespace: workspace.slug,
+              input: searchQuery,
+              LLMConnector: getLLMProvider({
+                provider: workspace?.chatProvider,
+                model: workspace?.chatModel,
+              }),
+              similarityThreshold:
+                rankingOptions?.score_threshold ??
+                workspace?.similarityThreshold,
+              topN: Math.min(Math.max(Number(maxNumResults) || 10, 1), 50),
+            });
+          if (message) return openAIError(response, 400, message);
+
+          // Chunks only carry the metadata of their document so we match them to files like pinning does.
+          const filenames = Object.fromEntries(
+            documents.map((document) => [
+              sourceIdentifier(safeJsonParse(document.metadata, {})),
+              document.filename,
+            ])
+          );
+          for (const source of sources) {
+            const { text = "", score = null, title, ...attributes } = source;
+            data.push({
+              file_id: filenames[sourceIdentifier(source)] ?? null,
+              filename: title ?? null,
+              score,
+              attributes,
+              content: [{ type: "text", text }],
+            });
+          }
+        }
+
+        return response.status(200).json({
+          object: "vector_store.search_results.page",
+          search_query: searchQuery,
+          data,
+          has_more: false,
+          next_page: null,
+        });
+      } catch (e) {
+        console.error(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+}
+
+/**
+ * Responds with an error in the shape the OpenAI SDKs expect.
+ * @param {import("express").Response} response
+ * @param {number} status
+ * @param {string} message
+ */
+function openAIError(response, status, message) {
+  return response.status(status).json({
+    error: {
+      message,
+      type: status === 404 ? "not_found_error" : "invalid_request_error",
+    },
+  });
+}
+
+function vectorStoreNotFound(request, response) {
+  return openAIError(
+    response,
+    404,
+    `No vector store with id ${request.params.vectorStoreId} was found.`
+  );
+}
+
+// Timestamps are seconds since epoch in the OpenAI API.
+function unixTime(date) {
+  const time = new Date(date).getTime();
+  return isNaN(time) ? 0 : Math.floor(time / 1_000);
+}
+
+/**
+ * A stored document as an OpenAI file. Its id is the unique document name.
+ * @param {Object} document - metadata of the stored document
+ * @param {string} location - folder and name of the document in the documents folder
+ */
+function openAIFile(document, location) {
+  const fullPath = path.resolve(documentsPath, location);
+  const stats = fs.existsSync(fullPath) ? fs.statSync(fullPath) : null;
+  return {
+    id: document.name,
+    object: "file",
+    bytes: stats?.size ?? 0,
+    created_at: unixTime(stats?.birthtime ?? document.published),
+    filename: document.title ?? document.name,
+    purpose: "assistants",
+    status: "processed",
+  };
+}
+
+/**
+ * A workspace as an OpenAI vector store. Its id is the workspace slug.
+ * @param {import("@prisma/client").workspaces} workspace
+ * @param {{failed?: number}} fileCounts - files that could not be embedded
+ */
+async function openAIVectorStore(workspace, { failed = 0 } = {}) {
+  const completed = await Document.count({
+    workspaceId: Number(workspace.id),
+  });
+  return {
+    id: workspace.slug,
+    object: "vector_store",
+    name: workspace.name,
+    created_at: unixTime(workspace.createdAt),
+    status: "completed",
+    file_counts: {
+      in_progress: 0,
+      completed,
+      failed,
+      cancelled: 0,
+      total: completed + failed,
+    },
+    provider: process.env.VECTOR_DB || "lancedb",
+  };
+}
+
+function openAIVectorStoreFile(
+  workspace,
+  fileId,
+  { createdAt = new Date(), error = null } = {}
+) {
+  return {
+    id: fileId,
+    object: "vector_store.file",
+    created_at: unixTime(createdAt),
+    vector_store_id: workspace.slug,
+    status: error ? "failed" : "completed",
+    last_error: error ? { code: "server_error", message: error } : null,
+  };
+}
+
+/**
+ * Embeds a stored document in a workspace unless it already is.
+ * @param {import("@prisma/client").workspaces} workspace
+ * @param {string} fileId - unique document name
+ * @returns {Promise<Object>} the vector store file
+ */
+async function attachFile(workspace, fileId) {
+  const document = await findDocumentInDocuments(fileId);
+  if (!document)
+    return openAIVectorStoreFile(workspace, fileId, {
+      error: `No file with id ${fileId} was found.`,
+    });
+
+  const existing = await Document.get({
+    workspaceId: Number(workspace.id),
+    docpath: document.location,
+  });
+  if (existing)
+    return openAIVectorStoreFile(workspace, fileId, {
+      createdAt: existing.createdAt,
+    });
+
+  const { embedded = [], errors = [] } = await Document.addDocuments(
+    workspace,
+    [document.location]
+  );
+  if (!embedded.includes(document.location))
+    return openAIVectorStoreFile(workspace, fileId, {
+      error: errors[0] || "The file could not be embedded.",
+    });
+  return openAIVectorStoreFile(workspace, fileId);
 }
 
 module.exports = { apiOpenAICompatibleEndpoints };
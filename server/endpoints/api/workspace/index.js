@@ -14,6 +14,12 @@ const {
   writeResponseChunk,
 } = require("../../../utils/helpers/chat/responses");
 const { ApiChatHandler } = require("../../../utils/chats/apiChatHandler");
+const {
+  parseMetadataFilter,
+} = require("../../../utils/helpers/metadataFilter");
+const {
+  invalidJsonSchema,
+} = require("../../../utils/helpers/chat/structuredOutput");
 
 function apiWorkspaceEndpoints(app) {
   if (!app) return;
@@ -543,14 +549,29 @@ function apiWorkspaceEndpoints(app) {
    #swagger.tags = ['Workspaces']
    #swagger.description = 'Execute a chat with a workspace'
    #swagger.requestBody = {
-       description: 'Send a prompt to the workspace and the type of conversation (query or chat).<br/><b>Query:</b> Will not use LLM unless there are relevant sources from vectorDB & does not recall chat history.<br/><b>Chat:</b> Uses LLM general knowledge w/custom embeddings to produce output, uses rolling chat history.',
+       description: 'Send a prompt to the workspace and the type of conversation (query or chat).<br/><b>Query:</b> Will not use LLM unless there are relevant sources from vectorDB & does not recall chat history.<br/><b>Chat:</b> Uses LLM general knowledge w/custom embeddings to produce output, uses rolling chat history.<br/><b>Filters:</b> Optional. Only use context from documents whose metadata matches every given property. See /v1/document/metadata-schema for the available metadata.<br/><b>jsonSchema:</b> Optional. A JSON schema the answer must match. The parsed answer is returned as structuredOutput, or null with an error when the LLM could not answer in that shape.',
        required: true,
        type: 'object',
        content: {
          "application/json": {
            example: {
              message: "What is AnythingLLM?",
-             mode: "query | chat",
+             mode: "query | chat | graph",
+             filters: {
+               sourceType: ["file", "link"],
+               author: "Jane Doe",
+               publishedAfter: "2024-01-01",
+               publishedBefore: "2024-12-31",
+               folder: "custom-documents"
+             },
+             jsonSchema: {
+               type: "object",
+               properties: {
+                 name: { type: "string" },
+                 features: { type: "array", items: { type: "string" } }
+               },
+               required: ["name", "features"]
+             },
              sessionId: "identifier-to-partition-chats-by-external-id"
            }
          }
@@ -565,6 +586,7 @@ function apiWorkspaceEndpoints(app) {
               id: 'chat-uuid',
               type: "abort | textResponse",
               textResponse: "Response to your query",
+              structuredOutput: { name: "AnythingLLM", features: ["RAG", "Agents"] },
               sources: [{title: "anythingllm.txt", chunk: "This is a context chunk used in the answer of the prompt by the LLM,"}],
               close: true,
               error: "null | text string of the failure mode."
@@ -581,7 +603,13 @@ function apiWorkspaceEndpoints(app) {
    */
       try {
         const { slug } = request.params;
-        const { message, mode = "query", sessionId = null } = reqBody(request);
+        const {
+          message,
+          mode = "query",
+          sessionId = null,
+          filters = null,
+          jsonSchema = null,
+        } = reqBody(request);
         const workspace = await Workspace.get({ slug: String(slug) });
 
         if (!workspace) {
@@ -610,6 +638,19 @@ function apiWorkspaceEndpoints(app) {
           return;
         }
 
+        const schemaError = jsonSchema ? invalidJsonSchema(jsonSchema) : null;
+        if (schemaError) {
+          response.status(400).json({
+            id: uuidv4(),
+            type: "abort",
+            textResponse: null,
+            sources: [],
+            close: true,
+            error: schemaError,
+          });
+          return;
+        }
+
         const result = await ApiChatHandler.chatSync({
           workspace,
           message,
@@ -617,6 +658,8 @@ function apiWorkspaceEndpoints(app) {
           user: null,
           thread: null,
           sessionId: !!sessionId ? String(sessionId) : null,
+          filters: parseMetadataFilter(filters),
+          jsonSchema,
         });
 
         await Telemetry.sendTelemetry("sent_chat", {
@@ -653,14 +696,21 @@ function apiWorkspaceEndpoints(app) {
    #swagger.tags = ['Workspaces']
    #swagger.description = 'Execute a streamable chat with a workspace'
    #swagger.requestBody = {
-       description: 'Send a prompt to the workspace and the type of conversation (query or chat).<br/><b>Query:</b> Will not use LLM unless there are relevant sources from vectorDB & does not recall chat history.<br/><b>Chat:</b> Uses LLM general knowledge w/custom embeddings to produce output, uses rolling chat history.',
+       description: 'Send a prompt to the workspace and the type of conversation (query or chat).<br/><b>Query:</b> Will not use LLM unless there are relevant sources from vectorDB & does not recall chat history.<br/><b>Chat:</b> Uses LLM general knowledge w/custom embeddings to produce output, uses rolling chat history.<br/><b>Filters:</b> Optional. Only use context from documents whose metadata matches every given property. See /v1/document/metadata-schema for the available metadata.',
        required: true,
        type: 'object',
        content: {
          "application/json": {
            example: {
              message: "What is AnythingLLM?",
-             mode: "query | chat",
+             mode: "query | chat | graph",
+             filters: {
+               sourceType: ["file", "link"],
+               author: "Jane Doe",
+               publishedAfter: "2024-01-01",
+               publishedBefore: "2024-12-31",
+               folder: "custom-documents"
+             },
              sessionId: "identifier-to-partition-chats-by-external-id"
            }
          }
@@ -709,7 +759,12 @@ function apiWorkspaceEndpoints(app) {
    */
       try {
         const { slug } = request.params;
-        const { message, mode = "query", sessionId = null } = reqBody(request);
+        const {
+          message,
+          mode = "query",
+          sessionId = null,
+          filters = null,
+        } = reqBody(request);
         const workspace = await Workspace.get({ slug: String(slug) });
 
         if (!workspace) {
@@ -752,6 +807,7 @@ function apiWorkspaceEndpoints(app) {
           user: null,
           thread: null,
           sessionId: !!sessionId ? String(sessionId) : null,
+          filters: parseMetadataFilter(filters),
         });
         await Telemetry.sendTelemetry("sent_chat", {
           LLMSelection:
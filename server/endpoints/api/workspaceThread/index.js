@@ -16,6 +16,9 @@ const {
 const { WorkspaceChats } = require("../../../models/workspaceChats");
 const { User } = require("../../../models/user");
 const { ApiChatHandler } = require("../../../utils/chats/apiChatHandler");
+const {
+  parseMetadataFilter,
+} = require("../../../utils/helpers/metadataFilter");
 
 function apiWorkspaceThreadEndpoints(app) {
   if (!app) return;
@@ -334,14 +337,21 @@ function apiWorkspaceThreadEndpoints(app) {
           type: 'string'
       }
       #swagger.requestBody = {
-        description: 'Send a prompt to the workspace thread and the type of conversation (query or chat).',
+        description: 'Send a prompt to the workspace thread and the type of conversation (query or chat).<br/><b>Filters:</b> Optional. Only use context from documents whose metadata matches every given property. See /v1/document/metadata-schema for the available metadata.',
         required: true,
         type: 'object',
         content: {
           "application/json": {
             example: {
               message: "What is AnythingLLM?",
-              mode: "query | chat",
+              mode: "query | chat | graph",
+              filters: {
+                sourceType: ["file", "link"],
+                author: "Jane Doe",
+                publishedAfter: "2024-01-01",
+                publishedBefore: "2024-12-31",
+                folder: "custom-documents"
+              },
               userId: 1
             }
           }
@@ -372,7 +382,12 @@ function apiWorkspaceThreadEndpoints(app) {
       */
       try {
         const { slug, threadSlug } = request.params;
-        const { message, mode = "query", userId } = reqBody(request);
+        const {
+          message,
+          mode = "query",
+          userId,
+          filters = null,
+        } = reqBody(request);
         const workspace = await Workspace.get({ slug });
         const thread = await WorkspaceThread.get({
           slug: threadSlug,
@@ -412,6 +427,7 @@ function apiWorkspaceThreadEndpoints(app) {
           mode,
           user,
           thread,
+          filters: parseMetadataFilter(filters),
         });
         await Telemetry.sendTelemetry("sent_chat", {
           LLMSelection: process.env.LLM_PROVIDER || "openai",
@@ -460,14 +476,21 @@ function apiWorkspaceThreadEndpoints(app) {
           type: 'string'
       }
       #swagger.requestBody = {
-        description: 'Send a prompt to the workspace thread and the type of conversation (query or chat).',
+        description: 'Send a prompt to the workspace thread and the type of conversation (query or chat).<br/><b>Filters:</b> Optional. Only use context from documents whose metadata matches every given property. See /v1/document/metadata-schema for the available metadata.',
         required: true,
         type: 'object',
         content: {
           "application/json": {
             example: {
               message: "What is AnythingLLM?",
-              mode: "query | chat",
+              mode: "query | chat | graph",
+              filters: {
+                sourceType: ["file", "link"],
+                author: "Jane Doe",
+                publishedAfter: "2024-01-01",
+                publishedBefore: "2024-12-31",
+                folder: "custom-documents"
+              },
               userId: 1
             }
           }
@@ -516,7 +539,12 @@ function apiWorkspaceThreadEndpoints(app) {
       */
       try {
         const { slug, threadSlug } = request.params;
-        const { message, mode = "query", userId } = reqBody(request);
+        const {
+          message,
+          mode = "query",
+          userId,
+          filters = null,
+        } = reqBody(request);
         const workspace = await Workspace.get({ slug });
         const thread = await WorkspaceThread.get({
           slug: threadSlug,
@@ -564,6 +592,7 @@ function apiWorkspaceThreadEndpoints(app) {
           mode,
           user,
           thread,
+          filters: parseMetadataFilter(filters),
         });
         await Telemetry.sendTelemetry("sent_chat", {
           LLMSelection: process.env.LLM_PROVIDER || "openai",
@@ -15,6 +15,7 @@ const {
   validWorkspaceSlug,
 } = require("../utils/middleware/validWorkspace");
 const { writeResponseChunk } = require("../utils/helpers/chat/responses");
+const { parseMetadataFilter } = require("../utils/helpers/metadataFilter");
 const { WorkspaceThread } = require("../models/workspaceThread");
 const truncate = require("truncate");
 
@@ -27,7 +28,7 @@ function chatEndpoints(app) {
     async (request, response) => {
       try {
         const user = await userFromSession(request, response);
-        const { message, attachments = [] } = reqBody(request);
+        const { message, attachments = [], filters = null } = reqBody(request);
         const workspace = response.locals.workspace;
 
         if (!message?.length) {
@@ -90,7 +91,8 @@ function chatEndpoints(app) {
           workspace?.chatMode,
           user,
           null,
-          attachments
+          attachments,
+          parseMetadataFilter(filters)
         );
         await Telemetry.sendTelemetry("sent_chat", {
           multiUserMode: multiUserMode(response),
@@ -135,7 +137,7 @@ function chatEndpoints(app) {
     async (request, response) => {
       try {
         const user = await userFromSession(request, response);
-        const { message, attachments = [] } = reqBody(request);
+        const { message, attachments = [], filters = null } = reqBody(request);
         const workspace = response.locals.workspace;
         const thread = response.locals.thread;
 
@@ -201,7 +203,8 @@ function chatEndpoints(app) {
           workspace?.chatMode,
           user,
           thread,
-          attachments
+          attachments,
+          parseMetadataFilter(filters)
         );
 
         // If thread was renamed emit event to frontend via special `action` response.
@@ -1,6 +1,10 @@
 const { Document } = require("../models/documents");
+const { DocumentIngestionJob } = require("../models/documentIngestionJob");
+const { Telemetry } = require("../models/telemetry");
 const { normalizePath, documentsPath, isWithin } = require("../utils/files");
 const { reqBody } = require("../utils/http");
+const { handleFileUploads } = require("../utils/files/multer");
+const { DocumentIngestionQueue } = require("../utils/DocumentIngestionQueue");
 const {
   flexUserRoleValid,
   ROLES,
@@ -106,6 +110,92 @@ function documentEndpoints(app) {
       }
     }
   );
+
+  app.post(
+    "/document/jobs",
+    [
+      validatedRequest,
+      flexUserRoleValid([ROLES.admin, ROLES.manager]),
+      handleFileUploads,
+    ],
+    async (request, response) => {
+      try {
+        const { job, message } = await DocumentIngestionJob.create({
+          files: (request.files || []).map((file) => ({
+            filename: file.filename,
+            originalName: file.originalname,
+          })),
+          userId: response.locals?.user?.id,
+        });
+        if (!job) {
+          response.status(400).json({ success: false, error: message, job });
+          return;
+        }
+
+        DocumentIngestionQueue.wake();
+        await Telemetry.sendTelemetry("document_ingestion_job_created");
+        response.status(200).json({
+          success: true,
+          error: null,
+          job: DocumentIngestionJob.summarize(job),
+        });
+      } catch (e) {
+        console.error(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.get(
+    "/document/jobs/:id",
+    [validatedRequest, flexUserRoleValid([ROLES.admin, ROLES.manager])],
+    async (request, response) => {
+      try {
+        const job = await DocumentIngestionJob.get({
+          uuid: String(request.params.id),
+        });
+        if (!job) {
+          response.sendStatus(404).end();
+          return;
+        }
+        response.status(200).json({ job: DocumentIngestionJob.summarize(job) });
+      } catch (e) {
+        console.error(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.post(
+    "/document/jobs/:id/retry",
+    [validatedRequest, flexUserRoleValid([ROLES.admin, ROLES.manager])],
+    async (request, response) => {
+      try {
+        const clause = { uuid: String(request.params.id) };
+        const job = await DocumentIngestionJob.get(clause);
+        if (!job) {
+          response.sendStatus(404).end();
+          return;
+        }
+
+        const requeued = await DocumentIngestionQueue.retryFailed(job);
+        response.status(200).json({
+          success: requeued > 0,
+          error:
+            requeued > 0
+              ? null
+              : "No failed files of this job can be retried. Upload them again instead.",
+          requeued,
+          job: DocumentIngestionJob.summarize(
+            await DocumentIngestionJob.get(clause)
+          ),
+        });
+      } catch (e) {
+        console.error(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
 }
 
 module.exports = { documentEndpoints };
@@ -0,0 +1,243 @@
+const { ScheduledAgentTask } = require("../models/scheduledAgentTask");
+const { ScheduledAgentTaskRun } = require("../models/scheduledAgentTaskRun");
+const { WorkspaceThread } = require("../models/workspaceThread");
+const { EventLogs } = require("../models/eventLogs");
+const { reqBody, userFromSession, safeJsonParse } = require("../utils/http");
+const { validatedRequest } = require("../utils/middleware/validatedRequest");
+const {
+  flexUserRoleValid,
+  ROLES,
+} = require("../utils/middleware/multiUserProtected");
+const { validWorkspaceSlug } = require("../utils/middleware/validWorkspace");
+
+function scheduledAgentTaskEndpoints(app) {
+  if (!app) return;
+
+  app.get(
+    "/workspace/:slug/scheduled-tasks",
+    [
+      validatedRequest,
+      flexUserRoleValid([ROLES.admin, ROLES.manager]),
+      validWorkspaceSlug,
+    ],
+    async (_, response) => {
+      try {
+        const tasks = await ScheduledAgentTask.where(
+          { workspace_id: response.locals.workspace.id },
+          null,
+          { createdAt: "asc" },
+          {
+            thread: true,
+            runs: { take: 1, orderBy: { createdAt: "desc" } },
+          }
+        );
+        response.status(200).json({ tasks: tasks.map(formatTask) });
+      } catch (e) {
+        console.error(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.post(
+    "/workspace/:slug/scheduled-tasks/new",
+    [
+      validatedRequest,
+      flexUserRoleValid([ROLES.admin, ROLES.manager]),
+      validWorkspaceSlug,
+    ],
+    async (request, response) => {
+      try {
+        const user = await userFromSession(request, response);
+        const workspace = response.locals.workspace;
+        const { name, prompt, cron, threadSlug = null } = reqBody(request);
+        const { thread, error } = await taskThread(workspace, user, threadSlug);
+        if (error) {
+          response.status(400).json({ task: null, error });
+          return;
+        }
+
+        const { task, message } = await ScheduledAgentTask.create({
+          workspaceId: workspace.id,
+          userId: user?.id,
+          name,
+          prompt,
+          cron,
+          threadId: thread?.id,
+        });
+        if (!task) {
+          response.status(400).json({ task: null, error: message });
+          return;
+        }
+
+        await EventLogs.logEvent(
+          "scheduled_agent_task_created",
+          { workspaceName: workspace.name, taskName: task.name },
+          user?.id
+        );
+        response
+          .status(200)
+          .json({ task: formatTask({ ...task, thread }), error: null });
+      } catch (e) {
+        console.error(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.post(
+    "/workspace/:slug/scheduled-tasks/:id/update",
+    [
+      validatedRequest,
+      flexUserRoleValid([ROLES.admin, ROLES.manager]),
+      validWorkspaceSlug,
+    ],
+    async (request, response) => {
+      try {
+        const user = await userFromSession(request, response);
+        const workspace = response.locals.workspace;
+        const prevTask = await ScheduledAgentTask.get({
+          id: Number(request.params.id),
+          workspace_id: workspace.id,
+        });
+        if (!prevTask) {
+          response.status(404).json({ task: null, error: "Task not found." });
+          return;
+        }
+
+        const { threadSlug, ...updates } = reqBody(request);
+        // Threads are only set by slug so their owner is checked.
+        delete updates.thread_id;
+        if (threadSlug !== undefined) {
+          const { thread, error } = await taskThread(
+            workspace,
+            user,
+            threadSlug
+          );
+          if (error) {
+            response.status(400).json({ task: null, error });
+            return;
+          }
+          updates.thread_id = thread?.id ?? null;
+        }
+
+        const { task, message } = await ScheduledAgentTask.update(
+          prevTask,
+          updates
+        );
+        if (message) {
+          response.status(400).json({ task: null, error: message });
+          return;
+        }
+
+        const updatedTask = await ScheduledAgentTask.get(
+          { id: task.id },
+          { thread: true, runs: { take: 1, orderBy: { createdAt: "desc" } } }
+        );
+        response
+          .status(200)
+          .json({ task: formatTask(updatedTask), error: null });
+      } catch (e) {
+        console.error(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.delete(
+    "/workspace/:slug/scheduled-tasks/:id",
+    [
+      validatedRequest,
+      flexUserRoleValid([ROLES.admin, ROLES.manager]),
+      validWorkspaceSlug,
+    ],
+    async (request, response) => {
+      try {
+        const success = await ScheduledAgentTask.delete({
+          id: Number(request.params.id),
+          workspace_id: response.locals.workspace.id,
+        });
+        response.status(200).json({ success });
+      } catch (e) {
+        console.error(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.get(
+    "/workspace/:slug/scheduled-tasks/:id/runs",
+    [
+      validatedRequest,
+      flexUserRoleValid([ROLES.admin, ROLES.manager]),
+      validWorkspaceSlug,
+    ],
+    async (request, response) => {
+      try {
+        const task = await ScheduledAgentTask.get({
+          id: Number(request.params.id),
+          workspace_id: response.locals.workspace.id,
+        });
+        if (!task) {
+          response.status(404).json({ runs: [] });
+          return;
+        }
+
+        const runs = await ScheduledAgentTaskRun.where(
+          { taskId: task.id },
+          50,
+          { createdAt: "desc" }
+        );
+        response.status(200).json({ runs: runs.map(formatRun) });
+      } catch (e) {
+        console.error(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+}
+
+/**
+ * Finds the thread a task should post into. Results are saved as chats of the user
+ * that created the task so in multi-user mode the thread must be theirs.
+ * @returns {Promise<{thread: Object|null, error: string|null}>}
+ */
+async function taskThread(workspace, user = null, threadSlug = null) {
+  if (!threadSlug) return { thread: null, error: null };
+  const thread = await WorkspaceThread.get({
+    slug: String(threadSlug),
+    workspace_id: workspace.id,
+    user_id: user?.id ?? null,
+  });
+  if (!thread) return { thread: null, error: "Thread not found." };
+  return { thread, error: null };
+}
+
+function formatRun(run = null) {
+  if (!run) return null;
+  return {
+    id: run.id,
+    status: run.status,
+    chatId: run.chatId,
+    result: safeJsonParse(run.result, {}),
+    createdAt: run.createdAt,
+  };
+}
+
+function formatTask(task) {
+  return {
+    id: task.id,
+    name: task.name,
+    prompt: task.prompt,
+    cron: task.cron,
+    enabled: task.enabled,
+    thread: task.thread
+      ? { slug: task.thread.slug, name: task.thread.name }
+      : null,
+    nextRunAt: task.nextRunAt,
+    lastRunAt: task.lastRunAt,
+    lastRun: formatRun(task.runs?.[0]),
+  };
+}
+
+module.exports = { scheduledAgentTaskEndpoints };
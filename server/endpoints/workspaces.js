@@ -34,6 +34,8 @@ const { getTTSProvider } = require("../utils/TextToSpeech");
 const { WorkspaceThread } = require("../models/workspaceThread");
 const truncate = require("truncate");
 const { purgeDocument } = require("../utils/files/purgeDocument");
+const { KnowledgeGraph } = require("../utils/KnowledgeGraph");
+const { AgentMemory } = require("../models/agentMemory");
 
 function workspaceEndpoints(app) {
   if (!app) return;
@@ -392,6 +394,34 @@ function workspaceEndpoints(app) {
     }
   );
 
+  app.get(
+    "/workspace/:slug/knowledge-graph",
+    [validatedRequest, flexUserRoleValid([ROLES.all]), validWorkspaceSlug],
+    async (request, response) => {
+      try {
+        const workspace = response.locals.workspace;
+        if (!KnowledgeGraph.supported()) {
+          response.status(200).json({
+            nodes: [],
+            edges: [],
+            error: "Knowledge graphs require Neo4j as the vector database.",
+          });
+          return;
+        }
+
+        const { limit = 500 } = request.query;
+        const user = await userFromSession(request, response);
+        const { nodes, edges } = await new KnowledgeGraph({
+          workspace,
+        }).graph({ limit: Math.min(Number(limit) || 500, 5_000), user });
+        response.status(200).json({ nodes, edges, error: null });
+      } catch (e) {
+        console.error(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
   app.delete(
     "/workspace/:slug/delete-chats",
     [validatedRequest, flexUserRoleValid([ROLES.all]), validWorkspaceSlug],
@@ -447,6 +477,53 @@ function workspaceEndpoints(app) {
     }
   );
 
+  app.get(
+    "/workspace/:slug/agent-memories",
+    [validatedRequest, flexUserRoleValid([ROLES.all]), validWorkspaceSlug],
+    async (request, response) => {
+      try {
+        const user = await userFromSession(request, response);
+        const memories = await AgentMemory.forUser({
+          workspaceId: response.locals.workspace.id,
+          userId: user?.id,
+        });
+        response.status(200).json({
+          memories: memories.map((memory) => ({
+            id: memory.id,
+            fact: memory.fact,
+            sourceChatId: memory.source_chat_id,
+            createdAt: memory.createdAt,
+            lastUpdatedAt: memory.lastUpdatedAt,
+          })),
+        });
+      } catch (e) {
+        console.error(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  // Users can only forget their own memories, :id is optional to forget everything.
+  app.delete(
+    "/workspace/:slug/agent-memories/:id?",
+    [validatedRequest, flexUserRoleValid([ROLES.all]), validWorkspaceSlug],
+    async (request, response) => {
+      try {
+        const { id = null } = request.params;
+        const user = await userFromSession(request, response);
+        const success = await AgentMemory.delete({
+          workspace_id: response.locals.workspace.id,
+          user_id: user?.id ?? null,
+          ...(id !== null ? { id: Number(id) } : {}),
+        });
+        response.status(200).json({ success });
+      } catch (e) {
+        console.error(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
   app.post(
     "/workspace/:slug/update-chat",
     [validatedRequest, flexUserRoleValid([ROLES.all]), validWorkspaceSlug],
@@ -587,6 +664,48 @@ function workspaceEndpoints(app) {
     }
   );
 
+  app.post(
+    "/workspace/:slug/update-access",
+    [
+      validatedRequest,
+      flexUserRoleValid([ROLES.admin, ROLES.manager]),
+      validWorkspaceSlug,
+    ],
+    async (request, response) => {
+      try {
+        const {
+          docPath,
+          allowedUsers = [],
+          allowedRoles = [],
+        } = reqBody(request);
+        const workspace = response.locals.workspace;
+
+        const document = await Document.get({
+          workspaceId: workspace.id,
+          docpath: docPath,
+        });
+        if (!document) return response.sendStatus(404).end();
+
+        const { document: updatedDocument, message } =
+          await Document.updateAccess(document.id, {
+            allowedUsers,
+            allowedRoles,
+          });
+        if (!updatedDocument)
+          return response.status(500).json({ success: false, error: message });
+
+        return response.status(200).json({
+          success: true,
+          error: null,
+          ...Document.accessList(updatedDocument),
+        });
+      } catch (error) {
+        console.error("Error processing the document access update:", error);
+        return response.status(500).end();
+      }
+    }
+  );
+
   app.get(
     "/workspace/:slug/tts/:chatId",
     [validatedRequest, flexUserRoleValid([ROLES.all]), validWorkspaceSlug],
@@ -0,0 +1,29 @@
+const { WebhookDelivery } = require('../models/webhookDeliveries.js');
+const { Webhooks } = require('../utils/webhooks/index.js');
+const { log, conclude } = require('./helpers/index.js');
+
+// Deliveries are kept in the delivery log for this long.
+const RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+(async () => {
+  try {
+    await WebhookDelivery.delete({ createdAt: { lt: new Date(Date.now() - RETENTION_MS) } });
+
+    const deliveries = await WebhookDelivery.due();
+    if (deliveries.length === 0) {
+      log('No webhook deliveries are due for a retry. Exiting.');
+      return;
+    }
+
+    log(`Retrying ${deliveries.length} webhook deliveries.`);
+    for (const delivery of deliveries) {
+      const result = await Webhooks.deliver(delivery);
+      log(`Delivery ${delivery.uuid} of ${delivery.event} to ${delivery.webhook.name} is now ${result?.status ?? 'unknown'}.`);
+    }
+  } catch (e) {
+    console.error(e)
+    log(`errored with ${e.message}`)
+  } finally {
+    conclude();
+  }
+})();
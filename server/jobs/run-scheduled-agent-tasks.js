@@ -0,0 +1,88 @@
+const { v4 } = require('uuid');
+const { ScheduledAgentTask } = require('../models/scheduledAgentTask.js');
+const { ScheduledAgentTaskRun } = require('../models/scheduledAgentTaskRun.js');
+const { WorkspaceChats } = require('../models/workspaceChats.js');
+const { EphemeralAgentHandler, EphemeralEventListener } = require('../utils/agents/ephemeral.js');
+const { log, conclude } = require('./helpers/index.js');
+
+// Max time an agent run can take before it is recorded as failed.
+const RUN_TIMEOUT_MS = 10 * 60 * 1000;
+
+(async () => {
+  try {
+    const tasks = await ScheduledAgentTask.dueTasks();
+    if (tasks.length === 0) {
+      log('No scheduled agent tasks are due. Exiting.');
+      return;
+    }
+
+    log(`${tasks.length} scheduled agent tasks are due and will be run now.`);
+    for (const task of tasks) {
+      const startedAt = Date.now();
+      try {
+        const prompt = task.prompt.startsWith('@agent') ? task.prompt : `@agent ${task.prompt}`;
+        const { textResponse, thoughts } = await runAgent(task, prompt);
+        if (!textResponse) throw new Error('The agent finished without a response.');
+
+        // Saved like a regular agent chat so the result shows up in the workspace or thread.
+        const { chat } = await WorkspaceChats.new({
+          workspaceId: task.workspace_id,
+          prompt,
+          response: {
+            text: textResponse,
+            sources: [],
+            type: 'chat',
+            thoughts,
+          },
+          user: { id: task.user_id },
+          threadId: task.thread_id,
+        });
+
+        log(`Task "${task.name}" completed and its result was saved to chat ${chat?.id}.`);
+        await ScheduledAgentTask.saveRun(task, ScheduledAgentTaskRun.statuses.success, {
+          chatId: chat?.id ?? null,
+          thoughts,
+          durationMs: Date.now() - startedAt,
+        });
+      } catch (e) {
+        log(`Task "${task.name}" failed: ${e.message}`);
+        await ScheduledAgentTask.saveRun(task, ScheduledAgentTaskRun.statuses.failed, {
+          reason: e.message,
+          durationMs: Date.now() - startedAt,
+        });
+      }
+    }
+  } catch (e) {
+    console.error(e)
+    log(`errored with ${e.message}`)
+  } finally {
+    conclude();
+  }
+})();
+
+/**
+ * Runs the prompt with the ephemeral agent handler the developer API uses since
+ * there is no websocket to talk to. Functions that ask for approval are denied.
+ * @returns {Promise<{thoughts: string[], textResponse: string|null}>}
+ */
+async function runAgent(task, prompt) {
+  const agentHandler = new EphemeralAgentHandler({
+    uuid: v4(),
+    workspace: task.workspace,
+    prompt,
+    userId: task.user_id,
+    threadId: task.thread_id,
+  });
+  const eventListener = new EphemeralEventListener();
+  await agentHandler.init();
+  await agentHandler.createAIbitat({ handler: eventListener });
+  agentHandler.startAgentCluster();
+
+  let timeout;
+  return Promise.race([
+    eventListener.waitForClose(),
+    new Promise((_, reject) => {
+      timeout = setTimeout(() => reject(new Error('Timed out waiting on the agent to respond.')), RUN_TIMEOUT_MS);
+    }),
+  ]).finally(() => clearTimeout(timeout));
+}
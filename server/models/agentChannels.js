@@ -0,0 +1,156 @@
+const prisma = require("../utils/prisma");
+const { safeJsonParse } = require("../utils/http");
+
+const AgentChannel = {
+  writable: ["handle", "members", "role", "maxRounds"],
+  defaultMaxRounds: 10,
+
+  /**
+   * @returns {Promise<{data: Object, error: string|null}>}
+   */
+  validate: async function (fields = {}, channelId = null) {
+    const { AgentDefinition } = require("./agentDefinitions");
+    const data = {};
+    for (const [key, value] of Object.entries(fields)) {
+      if (!this.writable.includes(key)) continue;
+      data[key] = value;
+    }
+
+    if (data.hasOwnProperty("handle")) {
+      data.handle = String(data.handle ?? "")
+        .trim()
+        .replace(/^@/, "")
+        .toLowerCase();
+      const error = await AgentDefinition.validateHandle(data.handle, {
+        channelId,
+      });
+      if (error) return { data, error };
+    }
+    if (data.hasOwnProperty("members")) {
+      if (!Array.isArray(data.members))
+        return { data, error: "Members must be a list of agent handles." };
+      const handles = [
+        ...new Set(data.members.map((m) => String(m).replace(/^@/, ""))),
+      ];
+      if (handles.length < 2)
+        return { data, error: "A channel needs at least two agents." };
+
+      const agents = await AgentDefinition.where({ handle: { in: handles } });
+      const unknown = handles.filter(
+        (handle) => !agents.some((agent) => agent.handle === handle)
+      );
+      if (unknown.length > 0)
+        return {
+          data,
+          error: `Unknown agents: ${unknown.map((h) => `@${h}`).join(", ")}`,
+        };
+      data.members = JSON.stringify(handles);
+    }
+    if (data.hasOwnProperty("role"))
+      data.role = String(data.role ?? "").trim() || null;
+    if (data.hasOwnProperty("maxRounds")) {
+      const maxRounds = Number(data.maxRounds);
+      if (!Number.isInteger(maxRounds) || maxRounds < 1 || maxRounds > 50)
+        return { data, error: "Max rounds must be between 1 and 50." };
+      data.maxRounds = maxRounds;
+    }
+    return { data, error: null };
+  },
+
+  create: async function (fields = {}) {
+    const { data, error } = await this.validate({ members: [], ...fields });
+    if (error) return { channel: null, message: error };
+    try {
+      const channel = await prisma.agent_channels.create({ data });
+      return { channel, message: null };
+    } catch (error) {
+      console.error(error.message);
+      return { channel: null, message: error.message };
+    }
+  },
+
+  update: async function (channelId = null, fields = {}) {
+    const prevChannel = await this.get({ id: Number(channelId) });
+    if (!prevChannel) return { channel: null, message: "Channel not found." };
+
+    const { data, error } = await this.validate(fields, prevChannel.id);
+    if (error) return { channel: null, message: error };
+    try {
+      const channel = await prisma.agent_channels.update({
+        where: { id: prevChannel.id },
+        data: { ...data, lastUpdatedAt: new Date() },
+      });
+      return { channel, message: null };
+    } catch (error) {
+      console.error(error.message);
+      return { channel: null, message: error.message };
+    }
+  },
+
+  /**
+   * Renames an agent in every channel it belongs to, or removes it when
+   * the new handle is null.
+   * @param {string} handle
+   * @param {string|null} newHandle
+   */
+  renameMember: async function (handle, newHandle = null) {
+    const channels = await this.where({ members: { contains: `"${handle}"` } });
+    for (const channel of channels) {
+      const members = this.members(channel)
+        .map((member) => (member === handle ? newHandle : member))
+        .filter(Boolean);
+      await prisma.agent_channels.update({
+        where: { id: channel.id },
+        data: { members: JSON.stringify(members), lastUpdatedAt: new Date() },
+      });
+    }
+  },
+
+  get: async function (clause = {}) {
+    try {
+      const channel = await prisma.agent_channels.findFirst({
+        where: clause,
+      });
+      return channel || null;
+    } catch (error) {
+      console.error(error.message);
+      return null;
+    }
+  },
+
+  where: async function (clause = {}, limit = null, orderBy = null) {
+    try {
+      return await prisma.agent_channels.findMany({
+        where: clause,
+        ...(limit !== null ? { take: limit } : {}),
+        ...(orderBy !== null ? { orderBy } : {}),
+      });
+    } catch (error) {
+      console.error(error.message);
+      return [];
+    }
+  },
+
+  delete: async function (channelId = null) {
+    try {
+      await prisma.agent_channels.delete({
+        where: { id: Number(channelId) },
+      });
+      return true;
+    } catch (error) {
+      console.error(error.message);
+      return false;
+    }
+  },
+
+  /**
+   * @param {Object} channel - agent_channels record
+   * @returns {string[]} handles of the member agents without the leading @
+   */
+  members: function (channel = null) {
+    const members = safeJsonParse(channel?.members, []);
+    return Array.isArray(members) ? members : [];
+  },
+};
+
+module.exports = { AgentChannel };
@@ -0,0 +1,170 @@
+const prisma = require("../utils/prisma");
+const { safeJsonParse } = require("../utils/http");
+
+const HANDLE_REGEX = new RegExp(/^[a-z0-9_-]{2,32}$/);
+// Handles already used by the built-in USER and @agent nodes of the agent cluster.
+const RESERVED_HANDLES = ["agent", "user"];
+
+const AgentDefinition = {
+  writable: ["handle", "role", "provider", "model", "skills"],
+
+  /**
+   * Checks a handle is well formed and not used by another named agent or channel.
+   * @param {string} handle - handle without the leading @
+   * @param {{agentId?: number, channelId?: number}} ignore - record being updated
+   * @returns {Promise<string|null>} why the handle cannot be used
+   */
+  validateHandle: async function (handle = "", { agentId, channelId } = {}) {
+    if (!HANDLE_REGEX.test(handle))
+      return "Handles must be 2-32 lowercase letters, numbers, dashes or underscores.";
+    if (RESERVED_HANDLES.includes(handle))
+      return `@${handle} is reserved and cannot be used.`;
+
+    const [agent, channel] = await Promise.all([
+      prisma.agent_definitions.findFirst({
+        where: { handle, ...(agentId ? { id: { not: Number(agentId) } } : {}) },
+      }),
+      prisma.agent_channels.findFirst({
+        where: {
+          handle,
+          ...(channelId ? { id: { not: Number(channelId) } } : {}),
+        },
+      }),
+    ]);
+    if (agent || channel) return `@${handle} is already in use.`;
+    return null;
+  },
+
+  /**
+   * @returns {Promise<{data: Object, error: string|null}>}
+   */
+  validate: async function (fields = {}, agentId = null) {
+    const data = {};
+    for (const [key, value] of Object.entries(fields)) {
+      if (!this.writable.includes(key)) continue;
+      data[key] = value;
+    }
+
+    if (data.hasOwnProperty("handle")) {
+      data.handle = String(data.handle ?? "")
+        .trim()
+        .replace(/^@/, "")
+        .toLowerCase();
+      const error = await this.validateHandle(data.handle, { agentId });
+      if (error) return { data, error };
+    }
+    if (data.hasOwnProperty("role")) {
+      data.role = String(data.role ?? "").trim();
+      if (!data.role) return { data, error: "A role prompt is required." };
+    }
+    for (const key of ["provider", "model"]) {
+      if (!data.hasOwnProperty(key)) continue;
+      data[key] = String(data[key] ?? "").trim() || null;
+    }
+    if (data.hasOwnProperty("skills")) {
+      if (!Array.isArray(data.skills))
+        return { data, error: "Skills must be a list of skill names." };
+      data.skills = JSON.stringify([...new Set(data.skills.map(String))]);
+    }
+    return { data, error: null };
+  },
+
+  create: async function (fields = {}) {
+    const { data, error } = await this.validate({ skills: [], ...fields });
+    if (error) return { agent: null, message: error };
+    try {
+      const agent = await prisma.agent_definitions.create({ data });
+      return { agent, message: null };
+    } catch (error) {
+      console.error(error.message);
+      return { agent: null, message: error.message };
+    }
+  },
+
+  update: async function (agentId = null, fields = {}) {
+    const prevAgent = await this.get({ id: Number(agentId) });
+    if (!prevAgent) return { agent: null, message: "Agent not found." };
+
+    const { data, error } = await this.validate(fields, prevAgent.id);
+    if (error) return { agent: null, message: error };
+    try {
+      const agent = await prisma.agent_definitions.update({
+        where: { id: prevAgent.id },
+        data: { ...data, lastUpdatedAt: new Date() },
+      });
+
+      // Keep channels pointing at the agent when its handle changes.
+      if (data.handle && data.handle !== prevAgent.handle) {
+        const { AgentChannel } = require("./agentChannels");
+        await AgentChannel.renameMember(prevAgent.handle, data.handle);
+      }
+      return { agent, message: null };
+    } catch (error) {
+      console.error(error.message);
+      return { agent: null, message: error.message };
+    }
+  },
+
+  get: async function (clause = {}) {
+    try {
+      const agent = await prisma.agent_definitions.findFirst({
+        where: clause,
+      });
+      return agent || null;
+    } catch (error) {
+      console.error(error.message);
+      return null;
+    }
+  },
+
+  where: async function (clause = {}, limit = null, orderBy = null) {
+    try {
+      return await prisma.agent_definitions.findMany({
+        where: clause,
+        ...(limit !== null ? { take: limit } : {}),
+        ...(orderBy !== null ? { orderBy } : {}),
+      });
+    } catch (error) {
+      console.error(error.message);
+      return [];
+    }
+  },
+
+  delete: async function (agentId = null) {
+    try {
+      const agent = await prisma.agent_definitions.delete({
+        where: { id: Number(agentId) },
+      });
+      const { AgentChannel } = require("./agentChannels");
+      await AgentChannel.renameMember(agent.handle, null);
+      return true;
+    } catch (error) {
+      console.error(error.message);
+      return false;
+    }
+  },
+
+  /**
+   * @param {Object} agent - agent_definitions record
+   * @returns {string[]} function names the agent is allowed to use
+   */
+  skills: function (agent = null) {
+    const skills = safeJsonParse(agent?.skills, []);
+    return Array.isArray(skills) ? skills : [];
+  },
+
+  /**
+   * Every @handle of named agents and channels that can start an agent session.
+   * @returns {Promise<string[]>}
+   */
+  invocableHandles: async function () {
+    const { AgentChannel } = require("./agentChannels");
+    const [agents, channels] = await Promise.all([
+      this.where(),
+      AgentChannel.where(),
+    ]);
+    return [...agents, ...channels].map(({ handle }) => `@${handle}`);
+  },
+};
+
+module.exports = { AgentDefinition };
@@ -0,0 +1,149 @@
+const prisma = require("../utils/prisma");
+
+// Max number of memories recalled into the agent prompt at the start of an invocation.
+const RECALL_LIMIT = 50;
+
+const AgentMemory = {
+  /**
+   * Lowercases and collapses whitespace and trailing punctuation so the same
+   * fact worded with different casing or spacing is only stored once.
+   * @param {string} text
+   * @returns {string}
+   */
+  normalize: function (text = "") {
+    return String(text)
+      .toLowerCase()
+      .replace(/\s+/g, " ")
+      .replace(/[.!?\s]+$/, "")
+      .trim();
+  },
+
+  /**
+   * Stores a fact for the user in a workspace. When the fact is already known
+   * the existing memory is touched instead of creating a duplicate.
+   * @param {{fact: string, workspaceId: number, userId?: number|null, invocationUuid?: string|null}} params
+   * @returns {Promise<{memory: Object|null, duplicate: boolean, message: string|null}>}
+   */
+  remember: async function ({
+    fact = "",
+    workspaceId,
+    userId = null,
+    invocationUuid = null,
+  }) {
+    try {
+      const text = String(fact).trim();
+      if (!text) throw new Error("Cannot remember an empty fact.");
+
+      const existing = (
+        await this.where({
+          workspace_id: Number(workspaceId),
+          user_id: userId ? Number(userId) : null,
+        })
+      ).find((memory) => this.normalize(memory.fact) === this.normalize(text));
+
+      if (existing) {
+        const memory = await prisma.agent_memories.update({
+          where: { id: existing.id },
+          data: { lastUpdatedAt: new Date() },
+        });
+        return { memory, duplicate: true, message: null };
+      }
+
+      const memory = await prisma.agent_memories.create({
+        data: {
+          fact: text,
+          workspace_id: Number(workspaceId),
+          user_id: userId ? Number(userId) : null,
+          invocation_uuid: invocationUuid ? String(invocationUuid) : null,
+        },
+      });
+      return { memory, duplicate: false, message: null };
+    } catch (error) {
+      console.error("Failed to store agent memory", error.message);
+      return { memory: null, duplicate: false, message: error.message };
+    }
+  },
+
+  /**
+   * Memories of a user in a workspace, most recently used first.
+   * @param {{workspaceId: number, userId?: number|null}} params
+   * @param {number|null} limit
+   * @returns {Promise<Object[]>}
+   */
+  forUser: async function ({ workspaceId, userId = null }, limit = null) {
+    return await this.where(
+      {
+        workspace_id: Number(workspaceId),
+        user_id: userId ? Number(userId) : null,
+      },
+      limit,
+      { lastUpdatedAt: "desc" }
+    );
+  },
+
+  /**
+   * Memories to recall at the start of an invocation. Facts that are already in the
+   * loaded chat history are left out so the agent does not get them twice.
+   * @param {{workspaceId: number, userId?: number|null}} params
+   * @param {{content: string}[]} agentHistory - chats loaded into the agent
+   * @returns {Promise<Object[]>}
+   */
+  recall: async function ({ workspaceId, userId = null }, agentHistory = []) {
+    const history = agentHistory.map((chat) => this.normalize(chat.content));
+    return (await this.forUser({ workspaceId, userId }, RECALL_LIMIT)).filter(
+      (memory) => {
+        const fact = this.normalize(memory.fact);
+        return !history.some((content) => content.includes(fact));
+      }
+    );
+  },
+
+  /**
+   * Sets the source chat of memories stored during an invocation once the
+   * agent reply they were stored in has been saved.
+   * @param {string} invocationUuid
+   * @param {number} chatId
+   * @returns {Promise<boolean>}
+   */
+  linkToChat: async function (invocationUuid = null, chatId = null) {
+    if (!invocationUuid || !chatId) return false;
+    try {
+      await prisma.agent_memories.updateMany({
+        where: {
+          invocation_uuid: String(invocationUuid),
+          source_chat_id: null,
+        },
+        data: { source_chat_id: Number(chatId) },
+      });
+      return true;
+    } catch (error) {
+      console.error("Failed to link agent memories", error.message);
+      return false;
+    }
+  },
+
+  where: async function (clause = {}, limit = null, orderBy = null) {
+    try {
+      return await prisma.agent_memories.findMany({
+        where: clause,
+        ...(limit !== null ? { take: limit } : {}),
+        ...(orderBy !== null ? { orderBy } : {}),
+      });
+    } catch (error) {
+      console.error(error.message);
+      return [];
+    }
+  },
+
+  delete: async function (clause = {}) {
+    try {
+      await prisma.agent_memories.deleteMany({ where: clause });
+      return true;
+    } catch (error) {
+      console.error(error.message);
+      return false;
+    }
+  },
+};
+
+module.exports = { AgentMemory };
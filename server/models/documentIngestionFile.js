@@ -0,0 +1,92 @@
+const prisma = require("../utils/prisma");
+
+const DocumentIngestionFile = {
+  statuses: {
+    queued: "queued",
+    processing: "processing",
+    success: "success",
+    failed: "failed",
+  },
+
+  update: async function (fileId = null, data = {}) {
+    try {
+      return await prisma.document_ingestion_files.update({
+        where: { id: Number(fileId) },
+        data: { ...data, lastUpdatedAt: new Date() },
+      });
+    } catch (error) {
+      console.error(error.message);
+      return null;
+    }
+  },
+
+  /**
+   * The oldest queued file whose next attempt is due.
+   * @returns {Promise<Object|null>} document_ingestion_files record including its job
+   */
+  next: async function () {
+    try {
+      const file = await prisma.document_ingestion_files.findFirst({
+        where: {
+          status: this.statuses.queued,
+          nextAttemptAt: { lte: new Date() },
+        },
+        include: { job: true },
+        orderBy: { id: "asc" },
+      });
+      return file || null;
+    } catch (error) {
+      console.error(error.message);
+      return null;
+    }
+  },
+
+  /**
+   * @returns {Promise<Date|null>} when the next queued file is due, null when nothing is queued
+   */
+  nextAttemptAt: async function () {
+    try {
+      const file = await prisma.document_ingestion_files.findFirst({
+        where: { status: this.statuses.queued },
+        orderBy: { nextAttemptAt: "asc" },
+        select: { nextAttemptAt: true },
+      });
+      return file?.nextAttemptAt ?? null;
+    } catch (error) {
+      console.error(error.message);
+      return null;
+    }
+  },
+
+  /**
+   * Puts files that were being processed when the server stopped back in the queue.
+   * @returns {Promise<number>} how many files were requeued
+   */
+  requeueInterrupted: async function () {
+    try {
+      const { count } = await prisma.document_ingestion_files.updateMany({
+        where: { status: this.statuses.processing },
+        data: { status: this.statuses.queued, lastUpdatedAt: new Date() },
+      });
+      return count;
+    } catch (error) {
+      console.error(error.message);
+      return 0;
+    }
+  },
+
+  where: async function (clause = {}, limit = null, orderBy = null) {
+    try {
+      return await prisma.document_ingestion_files.findMany({
+        where: clause,
+        ...(limit !== null ? { take: limit } : {}),
+        ...(orderBy !== null ? { orderBy } : {}),
+      });
+    } catch (error) {
+      console.error(error.message);
+      return [];
+    }
+  },
+};
+
+module.exports = { DocumentIngestionFile };
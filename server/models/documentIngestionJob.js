@@ -0,0 +1,113 @@
+const { v4 } = require("uuid");
+const prisma = require("../utils/prisma");
+const { safeJsonParse } = require("../utils/http");
+const { DocumentIngestionFile } = require("./documentIngestionFile");
+
+const DocumentIngestionJob = {
+  /**
+   * Queues uploaded files for processing.
+   * @param {{files: {filename: string, originalName?: string}[], userId?: number|null}} param0
+   * each file's name in the hotdir and the name it was uploaded as
+   * @returns {Promise<{job: Object|null, message: string|null}>} job includes its files
+   */
+  create: async function ({ files = [], userId = null }) {
+    if (files.length === 0)
+      return { job: null, message: "No files were uploaded." };
+
+    try {
+      const job = await prisma.document_ingestion_jobs.create({
+        data: {
+          uuid: v4(),
+          userId: userId ? Number(userId) : null,
+          files: {
+            create: files.map(({ filename, originalName = null }) => ({
+              filename,
+              originalName,
+            })),
+          },
+        },
+        include: { files: { orderBy: { id: "asc" } } },
+      });
+      return { job, message: null };
+    } catch (error) {
+      console.error(error.message);
+      return { job: null, message: error.message };
+    }
+  },
+
+  /**
+   * @returns {Promise<Object|null>} job including its files
+   */
+  get: async function (clause = {}) {
+    try {
+      const job = await prisma.document_ingestion_jobs.findFirst({
+        where: clause,
+        include: { files: { orderBy: { id: "asc" } } },
+      });
+      return job || null;
+    } catch (error) {
+      console.error(error.message);
+      return null;
+    }
+  },
+
+  /**
+   * The status of a job and its files as returned by the API. A job is `queued` until its
+   * first file is picked up and `processing` until every file succeeded or failed, then
+   * `completed`, `completed_with_errors` or `failed` when no file could be processed.
+   * @param {Object} job - document_ingestion_jobs record including its files
+   * @returns {Object}
+   */
+  summarize: function (job) {
+    const { statuses } = DocumentIngestionFile;
+    const counts = Object.fromEntries(
+      Object.values(statuses).map((status) => [status, 0])
+    );
+    for (const file of job.files) counts[file.status]++;
+
+    const total = job.files.length;
+    const finished = counts[statuses.success] + counts[statuses.failed];
+    let status = "processing";
+    if (finished === total) {
+      status = "completed";
+      if (counts[statuses.failed] > 0)
+        status =
+          counts[statuses.failed] === total
+            ? "failed"
+            : "completed_with_errors";
+    } else if (finished === 0 && counts[statuses.processing] === 0)
+      status = "queued";
+
+    return {
+      id: job.uuid,
+      status,
+      progress: {
+        total,
+        ...counts,
+        percent: total === 0 ? 100 : Math.floor((finished / total) * 100),
+      },
+      files: job.files.map((file) => ({
+        name: file.originalName ?? file.filename,
+        status: file.status,
+        attempts: file.attempts,
+        error: file.error,
+        documents: safeJsonParse(file.documents, []),
+      })),
+      createdAt: job.createdAt,
+      lastUpdatedAt: job.lastUpdatedAt,
+    };
+  },
+
+  touch: async function (jobId = null) {
+    try {
+      await prisma.document_ingestion_jobs.update({
+        where: { id: Number(jobId) },
+        data: { lastUpdatedAt: new Date() },
+      });
+    } catch (error) {
+      console.error(error.message);
+    }
+  },
+};
+
+module.exports = { DocumentIngestionJob };
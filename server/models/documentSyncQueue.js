@@ -19,8 +19,9 @@ const DocumentSyncQueue = {
     new BackgroundService().boot();
   },
 
+  // Rebooting drops the sync job while other background jobs keep running.
   killWorkers: function () {
-    new BackgroundService().stop();
+    new BackgroundService().boot();
   },
 
   /** Check is the Document Sync/Watch feature is enabled and can be used. */
@@ -4,9 +4,21 @@ const prisma = require("../utils/prisma");
 const { Telemetry } = require("./telemetry");
 const { EventLogs } = require("./eventLogs");
 const { safeJsonParse } = require("../utils/http");
+const { KnowledgeGraph } = require("../utils/KnowledgeGraph");
+const { ROLES } = require("../utils/middleware/multiUserProtected");
 
 const Document = {
-  writable: ["pinned", "watched", "lastUpdatedAt"],
+  writable: [
+    "pinned",
+    "watched",
+    "allowedUsers",
+    "allowedRoles",
+    "lastUpdatedAt",
+  ],
+
+  // Stand-in user for public chat embeds so they can only access documents without an allowlist.
+  PUBLIC_USER: { id: null, role: null },
+
   /**
    * @param {import("@prisma/client").workspace_documents} document - Document PrismaRecord
    * @returns {{
@@ -136,6 +148,10 @@ const Document = {
       } catch (error) {
         console.error(error.message);
       }
+
+      // Optionally build out the workspace knowledge graph from the chunks we just embedded.
+      if (KnowledgeGraph.enabledFor(workspace))
+        KnowledgeGraph.queueExtraction(workspace, docId);
     }
 
     await Telemetry.sendTelemetry("documents_embedded_in_workspace", {
@@ -174,9 +190,8 @@ const Document = {
         await prisma.workspace_documents.delete({
           where: { id: document.id, workspaceId: workspace.id },
         });
-        await prisma.document_vectors.deleteMany({
-          where: { docId: document.docId },
-        });
+        const { DocumentVectors } = require("./vectors");
+        await DocumentVectors.deleteForDocument(document.docId);
       } catch (error) {
         console.error(error.message);
       }
@@ -243,6 +258,77 @@ const Document = {
       return false;
     }
   },
+  /**
+   * Whether document access has to be checked for a user. Admins and requests not made
+   * on behalf of a user (single-user mode, developer API) can access every document.
+   * @param {import("@prisma/client").users|null} user
+   * @returns {boolean}
+   */
+  restrictsAccess: function (user = null) {
+    return !!user && user.role !== ROLES.admin;
+  },
+
+  /**
+   * @param {import("@prisma/client").workspace_documents} document
+   * @returns {{allowedUsers: number[], allowedRoles: string[]}}
+   */
+  accessList: function (document) {
+    return {
+      allowedUsers: safeJsonParse(document?.allowedUsers, []) ?? [],
+      allowedRoles: safeJsonParse(document?.allowedRoles, []) ?? [],
+    };
+  },
+
+  /**
+   * Document level access control inside of a workspace.
+   * Documents without an allowlist can be accessed by every member of the workspace.
+   * @param {import("@prisma/client").workspace_documents} document
+   * @param {import("@prisma/client").users|null} user
+   * @returns {boolean}
+   */
+  canAccess: function (document, user = null) {
+    if (!this.restrictsAccess(user)) return true;
+    const { allowedUsers, allowedRoles } = this.accessList(document);
+    if (allowedUsers.length === 0 && allowedRoles.length === 0) return true;
+    return (
+      allowedUsers.includes(Number(user.id)) || allowedRoles.includes(user.role)
+    );
+  },
+
+  /**
+   * Sets the users and roles that can access a document.
+   * Empty allowlists make the document accessible to the whole workspace again.
+   * @param {number} id - workspace_documents id
+   * @param {{allowedUsers: number[], allowedRoles: string[]}} access
+   */
+  updateAccess: async function (
+    id = null,
+    { allowedUsers = [], allowedRoles = [] } = {}
+  ) {
+    const users = [
+      ...new Set(
+        [allowedUsers]
+          .flat()
+          .map(Number)
+          .filter((userId) => Number.isInteger(userId) && userId > 0)
+      ),
+    ];
+    const roles = [
+      ...new Set(
+        [allowedRoles]
+          .flat()
+          .filter((role) =>
+            [ROLES.admin, ROLES.manager, ROLES.default].includes(role)
+          )
+      ),
+    ];
+
+    return await this.update(id, {
+      allowedUsers: users.length > 0 ? JSON.stringify(users) : null,
+      allowedRoles: roles.length > 0 ? JSON.stringify(roles) : null,
+    });
+  },
+
   content: async function (docId) {
     if (!docId) throw new Error("No workspace docId provided!");
     const document = await this.get({ docId: String(docId) });
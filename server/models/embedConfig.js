@@ -1,6 +1,6 @@
 const { v4 } = require("uuid");
 const prisma = require("../utils/prisma");
-const { VALID_CHAT_MODE } = require("../utils/chats/stream");
+const { VALID_EMBED_CHAT_MODE } = require("../utils/chats/stream");
 
 const EmbedConfig = {
   writable: [
@@ -195,7 +195,7 @@ const NUMBER_KEYS = [
 // Helper to validate a data object strictly into the proper format
 function validatedCreationData(value, field) {
   if (field === "chat_mode") {
-    if (!value || !VALID_CHAT_MODE.includes(value)) return "query";
+    if (!value || !VALID_EMBED_CHAT_MODE.includes(value)) return "query";
     return value;
   }
 
@@ -12,6 +12,13 @@ const EventLogs = {
         },
       });
       console.log(`\x1b[32m[Event Logged]\x1b[0m - ${event}`);
+
+      // Not awaited so a slow webhook never holds up the caller.
+      const { Webhooks } = require("../utils/webhooks");
+      Webhooks.dispatch(event, {
+        userId: eventLog.userId,
+        metadata: metadata ?? {},
+      });
       return { eventLog, message: null };
     } catch (error) {
       console.error(
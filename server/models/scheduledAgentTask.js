@@ -0,0 +1,229 @@
+const later = require("@breejs/later");
+const cronValidate = require("cron-validate").default;
+const { BackgroundService } = require("../utils/BackgroundWorkers");
+const prisma = require("../utils/prisma");
+const { ScheduledAgentTaskRun } = require("./scheduledAgentTaskRun");
+
+// Cron expressions are read in the server timezone.
+later.date.localTime();
+
+const ScheduledAgentTask = {
+  writable: ["name", "prompt", "cron", "enabled", "thread_id"],
+
+  /**
+   * Restarts the background workers so the scheduler job is only
+   * running while there are enabled tasks.
+   */
+  bootWorkers: function () {
+    new BackgroundService().boot();
+  },
+
+  /**
+   * @param {string} cron - five field cron expression, eg: `0 9 * * 1-5`
+   * @returns {string|null} why the expression is invalid
+   */
+  validateCron: function (cron = "") {
+    const result = cronValidate(String(cron).trim());
+    if (result.isValid()) return null;
+    return result.getError().join(" ");
+  },
+
+  /**
+   * @param {string} cron
+   * @param {Date} from
+   * @returns {Date|null} null when the expression never runs again
+   */
+  calcNextRun: function (cron = "", from = new Date()) {
+    if (this.validateCron(cron)) return null;
+    const next = later
+      .schedule(later.parse.cron(String(cron).trim()))
+      .next(1, new Date(Number(from) + 1_000));
+    return next instanceof Date ? next : null;
+  },
+
+  /**
+   * Validates and picks the fields that can be written by users.
+   * @returns {{data: Object, error: string|null}}
+   */
+  validate: function (fields = {}) {
+    const data = {};
+    for (const [key, value] of Object.entries(fields)) {
+      if (!this.writable.includes(key)) continue;
+      data[key] = value;
+    }
+
+    if (data.hasOwnProperty("name")) {
+      data.name = String(data.name ?? "").trim();
+      if (!data.name) return { data, error: "A name is required." };
+    }
+    if (data.hasOwnProperty("prompt")) {
+      data.prompt = String(data.prompt ?? "").trim();
+      if (!data.prompt) return { data, error: "A prompt is required." };
+    }
+    if (data.hasOwnProperty("cron")) {
+      data.cron = String(data.cron ?? "").trim();
+      const error = this.validateCron(data.cron);
+      if (error) return { data, error: `Invalid schedule. ${error}` };
+    }
+    if (data.hasOwnProperty("enabled")) data.enabled = !!data.enabled;
+    if (data.hasOwnProperty("thread_id"))
+      data.thread_id = data.thread_id ? Number(data.thread_id) : null;
+    return { data, error: null };
+  },
+
+  /**
+   * @param {{workspaceId: number, userId?: number|null, name: string, prompt: string, cron: string, threadId?: number|null}} params
+   * @returns {Promise<{task: Object|null, message: string|null}>}
+   */
+  create: async function ({
+    workspaceId,
+    userId = null,
+    name = "",
+    prompt = "",
+    cron = "",
+    threadId = null,
+  }) {
+    const { data, error } = this.validate({
+      name,
+      prompt,
+      cron,
+      thread_id: threadId,
+    });
+    if (error) return { task: null, message: error };
+
+    try {
+      const task = await prisma.scheduled_agent_tasks.create({
+        data: {
+          ...data,
+          workspace_id: Number(workspaceId),
+          user_id: userId ? Number(userId) : null,
+          nextRunAt: this.calcNextRun(data.cron),
+        },
+      });
+      this.bootWorkers();
+      return { task, message: null };
+    } catch (error) {
+      console.error(error.message);
+      return { task: null, message: error.message };
+    }
+  },
+
+  update: async function (prevTask = null, fields = {}) {
+    if (!prevTask) throw new Error("No task provided for update");
+    const { data, error } = this.validate(fields);
+    if (error) return { task: prevTask, message: error };
+    if (Object.keys(data).length === 0)
+      return { task: prevTask, message: "No valid fields to update!" };
+
+    try {
+      const cron = data.cron ?? prevTask.cron;
+      const enabled = data.enabled ?? prevTask.enabled;
+      const task = await prisma.scheduled_agent_tasks.update({
+        where: { id: prevTask.id },
+        data: {
+          ...data,
+          nextRunAt: enabled ? this.calcNextRun(cron) : null,
+          lastUpdatedAt: new Date(),
+        },
+      });
+      if (data.hasOwnProperty("enabled")) this.bootWorkers();
+      return { task, message: null };
+    } catch (error) {
+      console.error(error.message);
+      return { task: prevTask, message: error.message };
+    }
+  },
+
+  get: async function (clause = {}, include = null) {
+    try {
+      const task = await prisma.scheduled_agent_tasks.findFirst({
+        where: clause,
+        ...(include !== null ? { include } : {}),
+      });
+      return task || null;
+    } catch (error) {
+      console.error(error.message);
+      return null;
+    }
+  },
+
+  where: async function (
+    clause = {},
+    limit = null,
+    orderBy = null,
+    include = null
+  ) {
+    try {
+      const results = await prisma.scheduled_agent_tasks.findMany({
+        where: clause,
+        ...(limit !== null ? { take: limit } : {}),
+        ...(orderBy !== null ? { orderBy } : {}),
+        ...(include !== null ? { include } : {}),
+      });
+      return results;
+    } catch (error) {
+      console.error(error.message);
+      return [];
+    }
+  },
+
+  count: async function (clause = {}) {
+    try {
+      return await prisma.scheduled_agent_tasks.count({ where: clause });
+    } catch (error) {
+      console.error(error.message);
+      return 0;
+    }
+  },
+
+  /** Check if the scheduler job needs to run at all. */
+  hasEnabledTasks: async function () {
+    return (await this.count({ enabled: true })) > 0;
+  },
+
+  /**
+   * Enabled tasks that were scheduled to run by now, with the workspace and thread they run in.
+   */
+  dueTasks: async function () {
+    return await this.where(
+      { enabled: true, nextRunAt: { lte: new Date() } },
+      null,
+      { nextRunAt: "asc" },
+      { workspace: true, thread: true }
+    );
+  },
+
+  /**
+   * Records a run of a task and schedules its next run.
+   * @param {import("@prisma/client").scheduled_agent_tasks} task
+   * @param {string} status - one of ScheduledAgentTaskRun.statuses
+   * @param {Object} result
+   */
+  saveRun: async function (task, status = null, result = {}) {
+    await ScheduledAgentTaskRun.save(task.id, status, result);
+    try {
+      await prisma.scheduled_agent_tasks.update({
+        where: { id: task.id },
+        data: {
+          lastRunAt: new Date(),
+          nextRunAt: this.calcNextRun(task.cron),
+        },
+      });
+    } catch (error) {
+      console.error(error.message);
+    }
+  },
+
+  delete: async function (clause = {}) {
+    try {
+      await prisma.scheduled_agent_tasks.deleteMany({ where: clause });
+      this.bootWorkers();
+      return true;
+    } catch (error) {
+      console.error(error.message);
+      return false;
+    }
+  },
+};
+
+module.exports = { ScheduledAgentTask };
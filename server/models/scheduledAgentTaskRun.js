@@ -0,0 +1,56 @@
+const prisma = require("../utils/prisma");
+const ScheduledAgentTaskRun = {
+  statuses: {
+    unknown: "unknown",
+    failed: "failed",
+    success: "success",
+  },
+
+  save: async function (taskId = null, status = null, result = {}) {
+    try {
+      if (!this.statuses.hasOwnProperty(status))
+        throw new Error(
+          `ScheduledAgentTaskRun status ${status} is not a valid status.`
+        );
+
+      const run = await prisma.scheduled_agent_task_runs.create({
+        data: {
+          taskId: Number(taskId),
+          status: String(status),
+          result: JSON.stringify(result),
+          chatId: result?.chatId ? Number(result.chatId) : null,
+        },
+      });
+      return run || null;
+    } catch (error) {
+      console.error(error.message);
+      return null;
+    }
+  },
+
+  where: async function (clause = {}, limit = null, orderBy = null) {
+    try {
+      const results = await prisma.scheduled_agent_task_runs.findMany({
+        where: clause,
+        ...(limit !== null ? { take: limit } : {}),
+        ...(orderBy !== null ? { orderBy } : {}),
+      });
+      return results;
+    } catch (error) {
+      console.error(error.message);
+      return [];
+    }
+  },
+
+  delete: async function (clause = {}) {
+    try {
+      await prisma.scheduled_agent_task_runs.deleteMany({ where: clause });
+      return true;
+    } catch (error) {
+      console.error(error.message);
+      return false;
+    }
+  },
+};
+
+module.exports = { ScheduledAgentTaskRun };
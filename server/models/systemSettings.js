@@ -25,9 +25,12 @@ const SystemSettings = {
 
     "text_splitter_chunk_size",
     "text_splitter_chunk_overlap",
+    "text_splitter_strategy",
     "agent_search_provider",
     "default_agent_skills",
+    "agent_skill_approvals",
     "agent_sql_connections",
+    "agent_api_connections",
     "custom_app_name",
 
     // Meta page customization
@@ -75,6 +78,23 @@ const SystemSettings = {
         return 20;
       }
     },
+    text_splitter_strategy: (update) => {
+      try {
+        const { TextSplitter } = require("../utils/TextSplitter");
+        if (
+          update !== "auto" &&
+          !Object.keys(TextSplitter.splitters).includes(update)
+        )
+          throw new Error("Invalid text splitter.");
+        return String(update);
+      } catch (e) {
+        console.error(
+          `Failed to run validation function on text_splitter_strategy`,
+          e.message
+        );
+        return "auto";
+      }
+    },
     agent_search_provider: (update) => {
       try {
         if (update === "none") return null;
@@ -106,6 +126,18 @@ const SystemSettings = {
         return JSON.stringify([]);
       }
     },
+    agent_skill_approvals: (updates) => {
+      try {
+        const policies = Object.entries(JSON.parse(updates)).filter(
+          ([name, policy]) =>
+            !!name && ["always", "never", "ask"].includes(policy)
+        );
+        return JSON.stringify(Object.fromEntries(policies));
+      } catch (e) {
+        console.error(`Could not validate agent skill approvals.`);
+        return JSON.stringify({});
+      }
+    },
     agent_sql_connections: async (updates) => {
       const existingConnections = safeJsonParse(
         (await SystemSettings.get({ label: "agent_sql_connections" }))?.value,
@@ -122,6 +154,22 @@ const SystemSettings = {
         return JSON.stringify(existingConnections ?? []);
       }
     },
+    agent_api_connections: async (updates) => {
+      const existingConnections = safeJsonParse(
+        (await SystemSettings.get({ label: "agent_api_connections" }))?.value,
+        []
+      );
+      try {
+        const updatedConnections = mergeAPIConnections(
+          existingConnections,
+          safeJsonParse(updates, [])
+        );
+        return JSON.stringify(updatedConnections);
+      } catch (e) {
+        console.error(`Failed to merge API connections`, e.message);
+        return JSON.stringify(existingConnections ?? []);
+      }
+    },
     experimental_live_file_sync: (update) => {
       if (typeof update === "boolean")
         return update === true ? "enabled" : "disabled";
@@ -198,6 +246,7 @@ const SystemSettings = {
       WhisperProvider: process.env.WHISPER_PROVIDER || "local",
       WhisperModelPref:
         process.env.WHISPER_MODEL_PREF || "Xenova/whisper-small",
+      TargetOcrLanguages: process.env.TARGET_OCR_LANG || "eng",
 
       // --------------------------------------------------------
       // TTS/STT  Selection Settings & Configs
@@ -373,6 +422,12 @@ const SystemSettings = {
       // AstraDB Keys
       AstraDBApplicationToken: process?.env?.ASTRA_DB_APPLICATION_TOKEN,
       AstraDBEndpoint: process?.env?.ASTRA_DB_ENDPOINT,
+
+      // Neo4j Keys
+      Neo4jUri: process.env.NEO4J_URI,
+      Neo4jUsername: process.env.NEO4J_USERNAME,
+      Neo4jPassword: !!process.env.NEO4J_PASSWORD,
+      Neo4jDatabase: process.env.NEO4J_DATABASE,
     };
   },
 
@@ -497,6 +552,16 @@ const SystemSettings = {
         return rest;
       });
     },
+    agent_api_connections: async function () {
+      const setting = await SystemSettings.get({
+        label: "agent_api_connections",
+      });
+      if (!setting) return [];
+      return safeJsonParse(setting.value, []).map((apiConfig) => {
+        const { authHeaderValue, ...rest } = apiConfig;
+        return { ...rest, hasAuth: !!authHeaderValue };
+      });
+    },
   },
   getFeatureFlags: async function () {
     return {
@@ -539,6 +604,71 @@ function mergeConnections(existingConnections = [], updates = []) {
         engine: update.engine,
         database_id: update.database_id,
         connectionString: update.connectionString,
+        allowedTables: (Array.isArray(update.allowedTables)
+          ? update.allowedTables
+          : []
+        )
+          .map((table) => String(table).trim())
+          .filter(Boolean),
+        maxRows: Math.min(Math.max(Number(update.maxRows) || 100, 1), 1000),
+      });
+    });
+
+  return updatedConnections;
+}
+
+/**
+ * Same as `mergeConnections` for registered APIs. Added APIs get their auth header
+ * encrypted and their OpenAPI spec, when given, reduced to the list of operations.
+ * Invalid additions are skipped so they never replace working connections.
+ */
+function mergeAPIConnections(existingConnections = [], updates = []) {
+  const { EncryptionManager } = require("../utils/EncryptionManager");
+  const {
+    parseOpenAPISpec,
+  } = require("../utils/agents/aibitat/plugins/api-call/APIConnections");
+  let updatedConnections = [...existingConnections];
+
+  const toRemove = updates
+    .filter((conn) => conn.action === "remove")
+    .map((conn) => conn.api_id);
+  updatedConnections = updatedConnections.filter(
+    (conn) => !toRemove.includes(conn.api_id)
+  );
+
+  updates
+    .filter((conn) => conn.action === "add")
+    .forEach((update) => {
+      let spec = { operations: [], baseUrl: null, description: null };
+      if (update.openApiSpec) {
+        try {
+          spec = parseOpenAPISpec(update.openApiSpec);
+        } catch (e) {
+          console.error(`Skipping API ${update.api_id}: ${e.message}`);
+          return;
+        }
+      }
+
+      const baseUrl = update.baseUrl || spec.baseUrl;
+      if (!isValidUrl(baseUrl)) return; // invalid base url
+
+      const apiId = slugify(String(update.api_id ?? ""), { lower: true });
+      if (!apiId) return;
+      const authHeaderValue = update.authHeaderValue
+        ? new EncryptionManager().encrypt(String(update.authHeaderValue))
+        : null;
+
+      updatedConnections.push({
+        api_id: updatedConnections.some((conn) => conn.api_id === apiId)
+          ? slugify(`${apiId}-${v4().slice(0, 4)}`)
+          : apiId,
+        baseUrl,
+        description: update.description || spec.description || "",
+        authHeaderName: authHeaderValue
+          ? update.authHeaderName || "Authorization"
+          : null,
+        authHeaderValue,
+        operations: spec.operations,
       });
     });
 
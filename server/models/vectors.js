@@ -1,3 +1,4 @@
+const { Prisma } = require("@prisma/client");
 const prisma = require("../utils/prisma");
 const { Document } = require("./documents");
 
@@ -17,7 +18,13 @@ const DocumentVectors = {
           })
         );
       });
-      await prisma.$transaction(inserts);
+      const records = await prisma.$transaction(inserts);
+      await this.indexKeywords(
+        records.map((record, i) => ({
+          ...record,
+          text: vectorRecords[i].text,
+        }))
+      );
       return { documentsInserted: inserts.length };
     } catch (error) {
       console.error("Bulk insert failed", error);
@@ -33,6 +40,8 @@ const DocumentVectors = {
       await prisma.document_vectors.deleteMany({
         where: { docId: { in: docIds } },
       });
+      if (docIds.length > 0)
+        await prisma.$executeRaw`DELETE FROM "document_vectors_fts" WHERE "docId" IN (${Prisma.join(docIds)})`;
       return true;
     } catch (error) {
       console.error("Delete for workspace failed", error);
@@ -40,6 +49,18 @@ const DocumentVectors = {
     }
   },
 
+  deleteForDocument: async function (docId = null) {
+    if (!docId) return false;
+    try {
+      await prisma.document_vectors.deleteMany({ where: { docId } });
+      await prisma.$executeRaw`DELETE FROM "document_vectors_fts" WHERE "docId" = ${docId}`;
+      return true;
+    } catch (error) {
+      console.error("Delete for document failed", error);
+      return false;
+    }
+  },
+
   where: async function (clause = {}, limit) {
     try {
       const results = await prisma.document_vectors.findMany({
@@ -58,12 +79,139 @@ const DocumentVectors = {
       await prisma.document_vectors.deleteMany({
         where: { id: { in: ids } },
       });
+      if (ids.length > 0)
+        await prisma.$executeRaw`DELETE FROM "document_vectors_fts" WHERE rowid IN (${Prisma.join(ids)})`;
       return true;
     } catch (error) {
       console.error("Delete IDs failed", error);
       return false;
     }
   },
+
+  /**
+   * Adds the text of newly inserted chunks to the full-text keyword index.
+   * Records without text are skipped. A failure here will not fail the embedding of a document
+   * since the keyword index is only supplemental to the vector database.
+   * @param {{id: number, docId: string, vectorId: string, text?: string}[]} records - document_vectors records
+   * @returns {Promise<void>}
+   */
+  indexKeywords: async function (records = []) {
+    const indexable = records.filter((record) => !!record.text);
+    if (indexable.length === 0) return;
+
+    try {
+      await prisma.$transaction(
+        indexable.map(
+          (record) =>
+            prisma.$executeRaw`INSERT INTO "document_vectors_fts" (rowid, "text", "docId", "vectorId") VALUES (${record.id}, ${record.text}, ${record.docId}, ${record.vectorId})`
+        )
+      );
+    } catch (error) {
+      console.error("Keyword indexing failed", error.message);
+    }
+  },
+
+  /**
+   * Adds documents embedded before the keyword index existed to it. The text of their chunks is
+   * read from the vector cache, which lists chunks in the order their records were inserted.
+   * Documents without a matching cache are skipped and only become searchable by keyword once re-embedded.
+   * @returns {Promise<number>} how many documents were added to the index
+   */
+  backfillKeywordIndex: async function () {
+    const { cachedVectorInformation } = require("../utils/files");
+    let backfilled = 0;
+
+    try {
+      const indexed = new Set(
+        (
+          await prisma.$queryRaw`SELECT DISTINCT "docId" FROM "document_vectors_fts"`
+        ).map((row) => row.docId)
+      );
+      const documents = (
+        await prisma.workspace_documents.findMany({
+          select: { docId: true, docpath: true },
+        })
+      ).filter((document) => !indexed.has(document.docId));
+
+      for (const document of documents) {
+        const records = await prisma.document_vectors.findMany({
+          where: { docId: document.docId },
+          orderBy: { id: "asc" },
+        });
+        if (records.length === 0) continue;
+
+        const { exists, chunks } = await cachedVectorInformation(
+          document.docpath
+        );
+        if (!exists) continue;
+        const texts = chunks
+          .flat()
+          .map(
+            (chunk) =>
+              chunk?.metadata?.text ??
+              chunk?.payload?.text ??
+              chunk?.properties?.text
+          );
+        if (texts.length !== records.length) continue;
+
+        await this.indexKeywords(
+          records.map((record, i) => ({ ...record, text: texts[i] }))
+        );
+        backfilled++;
+      }
+    } catch (error) {
+      console.error("Keyword index backfill failed", error.message);
+    }
+
+    if (backfilled > 0)
+      console.log(`Added ${backfilled} documents to the keyword index.`);
+    return backfilled;
+  },
+
+  /**
+   * Runs a BM25 ranked full-text search over the chunks of the documents embedded in a workspace.
+   * @param {Object} params
+   * @param {string} params.namespace - The workspace slug
+   * @param {string} params.input - The user prompt to search for
+   * @param {number} params.limit - The maximum number of chunks to return
+   * @returns {Promise<{id: string, docId: string, text: string, metadata: string|null}[]>} best matches first
+   */
+  keywordSearch: async function ({ namespace = null, input = "", limit = 4 }) {
+    const query = this.keywordQuery(input);
+    if (!namespace || !query) return [];
+
+    try {
+      return await prisma.$queryRaw`
+        SELECT "document_vectors_fts"."vectorId" AS "id", "document_vectors_fts"."docId" AS "docId", "document_vectors_fts"."text" AS "text", wd."metadata" AS "metadata"
+        FROM "document_vectors_fts"
+        INNER JOIN "document_vectors" AS dv ON dv."id" = "document_vectors_fts".rowid
+        INNER JOIN "workspace_documents" AS wd ON wd."docId" = "document_vectors_fts"."docId"
+        INNER JOIN "workspaces" AS w ON w."id" = wd."workspaceId"
+        WHERE "document_vectors_fts" MATCH ${query} AND w."slug" = ${namespace}
+        ORDER BY bm25("document_vectors_fts")
+        LIMIT ${Number(limit)}`;
+    } catch (error) {
+      console.error("Keyword search failed", error.message);
+      return [];
+    }
+  },
+
+  /**
+   * Converts free text into an FTS5 query that matches any of its terms.
+   * Each term is quoted so that FTS5 syntax in the prompt (AND, NEAR, *, -, etc) is matched literally
+   * and terms like part numbers (eg: AB-1234) are matched as a phrase.
+   * @param {string} input
+   * @returns {string|null}
+   */
+  keywordQuery: function (input = "") {
+    const terms = String(input).match(
+      /[\p{L}\p{N}]+(?:[-_.:/][\p{L}\p{N}]+)*/gu
+    );
+    if (!terms) return null;
+    return [...new Set(terms.map((term) => term.toLowerCase()))]
+      .map((term) => `"${term}"`)
+      .join(" OR ");
+  },
 };
 
 module.exports = { DocumentVectors };
@@ -0,0 +1,120 @@
+const { v4 } = require("uuid");
+const prisma = require("../utils/prisma");
+
+const WebhookDelivery = {
+  statuses: {
+    pending: "pending",
+    success: "success",
+    failed: "failed",
+  },
+
+  /**
+   * Queues an event for a webhook, it is sent right away by the caller and retried
+   * by the background workers if that fails.
+   * @returns {Promise<Object|null>} webhook_deliveries record
+   */
+  create: async function (webhookId = null, event = "", payload = {}) {
+    try {
+      const delivery = await prisma.webhook_deliveries.create({
+        data: {
+          uuid: v4(),
+          webhookId: Number(webhookId),
+          event: String(event),
+          payload: JSON.stringify(payload),
+          status: this.statuses.pending,
+          nextAttemptAt: new Date(),
+        },
+      });
+      return delivery || null;
+    } catch (error) {
+      console.error(error.message);
+      return null;
+    }
+  },
+
+  update: async function (deliveryId = null, data = {}) {
+    try {
+      return await prisma.webhook_deliveries.update({
+        where: { id: Number(deliveryId) },
+        data: { ...data, lastUpdatedAt: new Date() },
+      });
+    } catch (error) {
+      console.error(error.message);
+      return null;
+    }
+  },
+
+  get: async function (clause = {}) {
+    try {
+      const delivery = await prisma.webhook_deliveries.findFirst({
+        where: clause,
+      });
+      return delivery || null;
+    } catch (error) {
+      console.error(error.message);
+      return null;
+    }
+  },
+
+  /**
+   * Pending deliveries whose next attempt is due, with their webhook.
+   * @param {number} limit
+   * @returns {Promise<Object[]>}
+   */
+  due: async function (limit = 50) {
+    try {
+      return await prisma.webhook_deliveries.findMany({
+        where: {
+          status: this.statuses.pending,
+          nextAttemptAt: { lte: new Date() },
+        },
+        include: { webhook: true },
+        take: limit,
+        orderBy: { nextAttemptAt: "asc" },
+      });
+    } catch (error) {
+      console.error(error.message);
+      return [];
+    }
+  },
+
+  where: async function (
+    clause = {},
+    limit = null,
+    orderBy = null,
+    offset = null
+  ) {
+    try {
+      return await prisma.webhook_deliveries.findMany({
+        where: clause,
+        ...(limit !== null ? { take: limit } : {}),
+        ...(offset !== null ? { skip: offset } : {}),
+        ...(orderBy !== null ? { orderBy } : { orderBy: { id: "desc" } }),
+      });
+    } catch (error) {
+      console.error(error.message);
+      return [];
+    }
+  },
+
+  count: async function (clause = {}) {
+    try {
+      return await prisma.webhook_deliveries.count({ where: clause });
+    } catch (error) {
+      console.error(error.message);
+      return 0;
+    }
+  },
+
+  delete: async function (clause = {}) {
+    try {
+      await prisma.webhook_deliveries.deleteMany({ where: clause });
+      return true;
+    } catch (error) {
+      console.error(error.message);
+      return false;
+    }
+  },
+};
+
+module.exports = { WebhookDelivery };
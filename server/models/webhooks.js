@@ -0,0 +1,198 @@
+const crypto = require("crypto");
+const prisma = require("../utils/prisma");
+const { safeJsonParse, isValidUrl } = require("../utils/http");
+const { EncryptionManager } = require("../utils/EncryptionManager");
+const { BackgroundService } = require("../utils/BackgroundWorkers");
+
+// Events that are not written to the event logs but can still be subscribed to.
+const WEBHOOK_ONLY_EVENTS = ["chat_completed"];
+
+const Webhook = {
+  writable: ["name", "url", "events", "enabled"],
+
+  /**
+   * Restarts the background workers so the retry job is only
+   * running while there are enabled webhooks.
+   */
+  bootWorkers: function () {
+    new BackgroundService().boot();
+  },
+
+  /**
+   * @returns {{data: Object, error: string|null}}
+   */
+  validate: function (fields = {}) {
+    const data = {};
+    for (const [key, value] of Object.entries(fields)) {
+      if (!this.writable.includes(key)) continue;
+      data[key] = value;
+    }
+
+    if (data.hasOwnProperty("name")) {
+      data.name = String(data.name ?? "").trim();
+      if (!data.name) return { data, error: "A name is required." };
+    }
+    if (data.hasOwnProperty("url")) {
+      data.url = String(data.url ?? "").trim();
+      if (!isValidUrl(data.url))
+        return { data, error: "The URL must be a valid http(s) URL." };
+    }
+    if (data.hasOwnProperty("events")) {
+      if (!Array.isArray(data.events))
+        return { data, error: "Events must be a list of event names." };
+      data.events = JSON.stringify([
+        ...new Set(
+          data.events.map((event) => String(event).trim()).filter(Boolean)
+        ),
+      ]);
+    }
+    if (data.hasOwnProperty("enabled")) data.enabled = data.enabled === true;
+    return { data, error: null };
+  },
+
+  /**
+   * Creates a webhook with a new signing secret.
+   * @returns {Promise<{webhook: Object|null, secret: string|null, message: string|null}>}
+   * the secret is only ever returned here, after that it is stored encrypted.
+   */
+  create: async function (fields = {}) {
+    const { data, error } = this.validate({ events: [], ...fields });
+    if (error) return { webhook: null, secret: null, message: error };
+    if (!data.name || !data.url)
+      return {
+        webhook: null,
+        secret: null,
+        message: "A name and URL are required.",
+      };
+
+    try {
+      const secret = `whsec_${crypto.randomBytes(24).toString("hex")}`;
+      const webhook = await prisma.webhooks.create({
+        data: { ...data, secret: new EncryptionManager().encrypt(secret) },
+      });
+      this.bootWorkers();
+      return { webhook, secret, message: null };
+    } catch (error) {
+      console.error(error.message);
+      return { webhook: null, secret: null, message: error.message };
+    }
+  },
+
+  update: async function (webhookId = null, fields = {}) {
+    const { data, error } = this.validate(fields);
+    if (error) return { webhook: null, message: error };
+    try {
+      const webhook = await prisma.webhooks.update({
+        where: { id: Number(webhookId) },
+        data: { ...data, lastUpdatedAt: new Date() },
+      });
+      this.bootWorkers();
+      return { webhook, message: null };
+    } catch (error) {
+      console.error(error.message);
+      return { webhook: null, message: error.message };
+    }
+  },
+
+  get: async function (clause = {}) {
+    try {
+      const webhook = await prisma.webhooks.findFirst({ where: clause });
+      return webhook || null;
+    } catch (error) {
+      console.error(error.message);
+      return null;
+    }
+  },
+
+  where: async function (clause = {}, limit = null, orderBy = null) {
+    try {
+      return await prisma.webhooks.findMany({
+        where: clause,
+        ...(limit !== null ? { take: limit } : {}),
+        ...(orderBy !== null ? { orderBy } : {}),
+      });
+    } catch (error) {
+      console.error(error.message);
+      return [];
+    }
+  },
+
+  delete: async function (webhookId = null) {
+    try {
+      await prisma.webhooks.delete({ where: { id: Number(webhookId) } });
+      this.bootWorkers();
+      return true;
+    } catch (error) {
+      console.error(error.message);
+      return false;
+    }
+  },
+
+  hasEnabledWebhooks: async function () {
+    try {
+      return (await prisma.webhooks.count({ where: { enabled: true } })) > 0;
+    } catch (error) {
+      console.error(error.message);
+      return false;
+    }
+  },
+
+  /**
+   * @param {Object} webhook - webhooks record
+   * @returns {string[]} event names the webhook is subscribed to, empty for every event
+   */
+  events: function (webhook = null) {
+    const events = safeJsonParse(webhook?.events, []);
+    return Array.isArray(events) ? events : [];
+  },
+
+  /**
+   * Whether a webhook wants an event. Names ending in `*` match every event
+   * starting with the rest of the name, eg: `workspace_*`.
+   * @param {Object} webhook - webhooks record
+   * @param {string} event
+   * @returns {boolean}
+   */
+  subscribesTo: function (webhook = null, event = "") {
+    const events = this.events(webhook);
+    if (events.length === 0) return true;
+    return events.some((filter) =>
+      filter.endsWith("*")
+        ? event.startsWith(filter.slice(0, -1))
+        : filter === event
+    );
+  },
+
+  /**
+   * @param {Object} webhook - webhooks record
+   * @returns {string|null} the decrypted signing secret
+   */
+  secret: function (webhook = null) {
+    if (!webhook?.secret) return null;
+    return new EncryptionManager().decrypt(webhook.secret);
+  },
+
+  /**
+   * Names of events that can be subscribed to, taken from the events that have been logged so far.
+   * @returns {Promise<string[]>}
+   */
+  knownEvents: async function () {
+    try {
+      const logged = await prisma.event_logs.findMany({
+        distinct: ["event"],
+        select: { event: true },
+      });
+      return [
+        ...new Set([
+          ...WEBHOOK_ONLY_EVENTS,
+          ...logged.map(({ event }) => event),
+        ]),
+      ].sort();
+    } catch (error) {
+      console.error(error.message);
+      return WEBHOOK_ONLY_EVENTS;
+    }
+  },
+};
+
+module.exports = { Webhook };
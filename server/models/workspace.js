@@ -27,6 +27,12 @@ const Workspace = {
     "agentProvider",
     "agentModel",
     "queryRefusalResponse",
+    "graphExtraction",
+    "graphHops",
+    "hybridSearch",
+    "rerankProvider",
+    "rerankCandidates",
+    "textSplitter",
   ],
   /**
    * The default Slugify module requires some additional mapping to prevent downstream issues
@@ -103,6 +109,12 @@ const Workspace = {
       updates.chatModel = null;
     }
 
+    // Reranking is disabled by unsetting the rerankProvider.
+    if (updates?.rerankProvider === "none") updates.rerankProvider = null;
+
+    // Documents follow the system text splitter preference when unset.
+    if (updates?.textSplitter === "default") updates.textSplitter = null;
+
     return this._update(id, updates);
   },
 
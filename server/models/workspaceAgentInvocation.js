@@ -3,9 +3,14 @@ const { v4: uuidv4 } = require("uuid");
 
 const WorkspaceAgentInvocation = {
   // returns array of strings with their @ handle.
-  // must start with @agent for now.
-  parseAgents: function (promptString) {
-    if (!promptString.startsWith("@agent")) return [];
+  // must start with @agent or one of the named agent/channel handles passed in.
+  parseAgents: function (promptString, customHandles = []) {
+    const [firstToken] = promptString.split(/\s+/);
+    if (
+      !promptString.startsWith("@agent") &&
+      !customHandles.includes(firstToken)
+    )
+      return [];
     return promptString.split(/\s+/).filter((v) => v.startsWith("@"));
   },
 
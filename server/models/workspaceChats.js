@@ -22,6 +22,18 @@ const WorkspaceChats = {
           include,
         },
       });
+
+      const { Webhooks } = require("../utils/webhooks");
+      Webhooks.dispatch("chat_completed", {
+        chatId: chat.id,
+        workspaceId: chat.workspaceId,
+        threadId: chat.thread_id,
+        userId: chat.user_id,
+        apiSessionId: chat.api_session_id,
+        prompt: chat.prompt,
+        response: response?.text ?? null,
+        sources: (response?.sources ?? []).map((source) => source?.title),
+      });
       return { chat, message: null };
     } catch (error) {
       console.error(error.message);
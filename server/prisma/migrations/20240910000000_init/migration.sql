@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "workspaces" ADD COLUMN "graphExtraction" BOOLEAN DEFAULT false;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "workspaces" ADD COLUMN "hybridSearch" BOOLEAN DEFAULT false;
+
+-- CreateTable
+-- Full-text (BM25) index of every embedded chunk. The rowid of each entry is the id of its document_vectors record.
+CREATE VIRTUAL TABLE "document_vectors_fts" USING fts5("text", "docId" UNINDEXED, "vectorId" UNINDEXED, tokenize = 'porter unicode61');
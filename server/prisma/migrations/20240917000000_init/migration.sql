@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "workspaces" ADD COLUMN "rerankProvider" TEXT;
+ALTER TABLE "workspaces" ADD COLUMN "rerankCandidates" INTEGER DEFAULT 20;
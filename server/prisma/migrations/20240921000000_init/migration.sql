@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "workspace_documents" ADD COLUMN "allowedUsers" TEXT;
+ALTER TABLE "workspace_documents" ADD COLUMN "allowedRoles" TEXT;
@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "agent_memories" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "fact" TEXT NOT NULL,
+    "user_id" INTEGER,
+    "workspace_id" INTEGER NOT NULL,
+    "source_chat_id" INTEGER,
+    "invocation_uuid" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastUpdatedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "agent_memories_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "agent_memories_workspace_id_fkey" FOREIGN KEY ("workspace_id") REFERENCES "workspaces" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "agent_memories_workspace_id_idx" ON "agent_memories"("workspace_id");
+
+-- CreateIndex
+CREATE INDEX "agent_memories_user_id_idx" ON "agent_memories"("user_id");
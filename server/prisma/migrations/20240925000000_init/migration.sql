@@ -0,0 +1,35 @@
+-- CreateTable
+CREATE TABLE "scheduled_agent_tasks" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "name" TEXT NOT NULL,
+    "prompt" TEXT NOT NULL,
+    "cron" TEXT NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "workspace_id" INTEGER NOT NULL,
+    "thread_id" INTEGER,
+    "user_id" INTEGER,
+    "nextRunAt" DATETIME,
+    "lastRunAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastUpdatedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "scheduled_agent_tasks_workspace_id_fkey" FOREIGN KEY ("workspace_id") REFERENCES "workspaces" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "scheduled_agent_tasks_thread_id_fkey" FOREIGN KEY ("thread_id") REFERENCES "workspace_threads" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "scheduled_agent_tasks_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "scheduled_agent_task_runs" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "taskId" INTEGER NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'unknown',
+    "result" TEXT,
+    "chatId" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "scheduled_agent_task_runs_taskId_fkey" FOREIGN KEY ("taskId") REFERENCES "scheduled_agent_tasks" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "scheduled_agent_tasks_workspace_id_idx" ON "scheduled_agent_tasks"("workspace_id");
+
+-- CreateIndex
+CREATE INDEX "scheduled_agent_task_runs_taskId_idx" ON "scheduled_agent_task_runs"("taskId");
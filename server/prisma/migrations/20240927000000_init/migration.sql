@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "agent_definitions" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "handle" TEXT NOT NULL,
+    "role" TEXT NOT NULL,
+    "provider" TEXT,
+    "model" TEXT,
+    "skills" TEXT NOT NULL DEFAULT '[]',
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastUpdatedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateTable
+CREATE TABLE "agent_channels" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "handle" TEXT NOT NULL,
+    "members" TEXT NOT NULL DEFAULT '[]',
+    "role" TEXT,
+    "maxRounds" INTEGER NOT NULL DEFAULT 10,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastUpdatedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "agent_definitions_handle_key" ON "agent_definitions"("handle");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "agent_channels_handle_key" ON "agent_channels"("handle");
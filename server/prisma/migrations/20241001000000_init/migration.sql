@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE "document_ingestion_jobs" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "uuid" TEXT NOT NULL,
+    "userId" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastUpdatedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateTable
+CREATE TABLE "document_ingestion_files" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "jobId" INTEGER NOT NULL,
+    "filename" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "documents" TEXT,
+    "nextAttemptAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastUpdatedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "document_ingestion_files_jobId_fkey" FOREIGN KEY ("jobId") REFERENCES "document_ingestion_jobs" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "document_ingestion_jobs_uuid_key" ON "document_ingestion_jobs"("uuid");
+
+-- CreateIndex
+CREATE INDEX "document_ingestion_files_jobId_idx" ON "document_ingestion_files"("jobId");
+
+-- CreateIndex
+CREATE INDEX "document_ingestion_files_status_nextAttemptAt_idx" ON "document_ingestion_files"("status", "nextAttemptAt");
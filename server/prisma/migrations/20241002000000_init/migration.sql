@@ -0,0 +1,2 @@
+-- Embeds do not support the graph chat mode, fall back to query mode
+UPDATE "embed_configs" SET "chat_mode" = 'query' WHERE "chat_mode" = 'graph';
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "document_ingestion_files" ADD COLUMN "originalName" TEXT;
@@ -7,6 +7,8 @@ class BackgroundService {
   name = "BackgroundWorkerService";
   static _instance = null;
   #root = path.resolve(__dirname, "../../jobs");
+  #booting = Promise.resolve();
+  #jobNames = null;
 
   constructor() {
     if (BackgroundService._instance) {
@@ -22,10 +24,27 @@ class BackgroundService {
     console.log(`\x1b[36m[${this.name}]\x1b[0m ${text}`, ...args);
   }
 
+  /**
+   * Starts the jobs that are currently enabled, restarting the service if it is running.
+   * Overlapping calls are queued so only one scheduler is ever started.
+   */
   async boot() {
-    const { DocumentSyncQueue } = require("../../models/documentSyncQueue");
-    if (!(await DocumentSyncQueue.enabled())) {
-      this.#log("Feature is not enabled and will not be started.");
+    this.#booting = this.#booting
+      .then(() => this.#boot())
+      .catch((e) => this.#log(`Failed to boot. ${e.message}`));
+    return await this.#booting;
+  }
+
+  async #boot() {
+    const jobs = await this.jobs();
+    const jobNames = jobs.map((job) => job.name).join(", ");
+    // Leave running jobs alone when nothing was turned on or off.
+    if (!!this.bree && this.#jobNames === jobNames) return;
+    if (!!this.bree) await this.stop();
+
+    this.#jobNames = jobNames;
+    if (jobs.length === 0) {
+      this.#log("No jobs are enabled so the service will not be started.");
       return;
     }
 
@@ -33,7 +52,7 @@ class BackgroundService {
     this.bree = new Bree({
       logger: this.logger,
       root: this.#root,
-      jobs: this.jobs(),
+      jobs,
       errorHandler: this.onError,
       workerMessageHandler: this.onWorkerMessageHandler,
       runJobsAs: "process",
@@ -41,27 +60,48 @@ class BackgroundService {
     this.graceful = new Graceful({ brees: [this.bree], logger: this.logger });
     this.graceful.listen();
     this.bree.start();
-    this.#log("Service started");
+    this.#log(`Service started with ${jobNames}`);
   }
 
   async stop() {
     this.#log("Stopping...");
-    if (!!this.graceful && !!this.bree) this.graceful.stopBree(this.bree, 0);
+    if (!!this.graceful && !!this.bree)
+      await this.graceful.stopBree(this.bree, 0);
     this.bree = null;
     this.graceful = null;
+    this.#jobNames = null;
     this.#log("Service stopped");
   }
 
-  /** @returns {import("@mintplex-labs/bree").Job[]} */
-  jobs() {
-    return [
-      // Job for auto-sync of documents
-      // https://github.com/breejs/bree
-      {
+  /** @returns {Promise<import("@mintplex-labs/bree").Job[]>} */
+  async jobs() {
+    const { DocumentSyncQueue } = require("../../models/documentSyncQueue");
+    const { ScheduledAgentTask } = require("../../models/scheduledAgentTask");
+    const { Webhook } = require("../../models/webhooks");
+    const jobs = [];
+
+    // Job for auto-sync of documents
+    // https://github.com/breejs/bree
+    if (await DocumentSyncQueue.enabled())
+      jobs.push({
         name: "sync-watched-documents",
         interval: "1hr",
-      },
-    ];
+      });
+
+    // Job that runs the @agent prompts of scheduled tasks that are due.
+    if (await ScheduledAgentTask.hasEnabledTasks())
+      jobs.push({
+        name: "run-scheduled-agent-tasks",
+        interval: "1m",
+      });
+
+    // Job that retries webhook deliveries that failed and clears out old ones.
+    if (await Webhook.hasEnabledWebhooks())
+      jobs.push({
+        name: "retry-webhook-deliveries",
+        interval: "1m",
+      });
+    return jobs;
   }
 
   onError(error, _workerMetadata) {
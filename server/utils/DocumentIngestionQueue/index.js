@@ -0,0 +1,189 @@
+const fs = require("fs");
+const path = require("path");
+const { CollectorApi } = require("../collectorApi");
+const { hotdirPath } = require("../files/multer");
+const { normalizePath, isWithin } = require("../files");
+const { DocumentIngestionFile } = require("../../models/documentIngestionFile");
+const { DocumentIngestionJob } = require("../../models/documentIngestionJob");
+const { EventLogs } = require("../../models/eventLogs");
+
+// Attempts at processing a file before it is marked as failed, the first included.
+const MAX_ATTEMPTS = 3;
+// Wait before retrying a file, doubled after every failed attempt.
+const RETRY_BASE_MS = 10_000;
+// Wait before checking again when the collector is offline, attempts are not used up meanwhile.
+const OFFLINE_RETRY_MS = 30_000;
+
+/**
+ * Sends uploaded files to the collector one at a time in the order they were queued so
+ * uploads of large batches return right away instead of waiting on every conversion.
+ * Files are only retried while they are still in the hotdir, the collector removes
+ * files it could read but not convert so those fail on their first attempt.
+ */
+class DocumentIngestionQueue {
+  static #running = false;
+  static #wakeRequested = false;
+  static #timer = null;
+
+  static log(text, ...args) {
+    console.log(`\x1b[36m[DocumentIngestionQueue]\x1b[0m ${text}`, ...args);
+  }
+
+  /**
+   * Requeues files interrupted by a restart and starts working through the queue.
+   */
+  static async start() {
+    const requeued = await DocumentIngestionFile.requeueInterrupted();
+    if (requeued > 0)
+      this.log(`Requeued ${requeued} files interrupted by a restart.`);
+    this.wake();
+  }
+
+  /**
+   * Starts working through the queue if it is not already.
+   */
+  static wake() {
+    clearTimeout(this.#timer);
+    this.#timer = null;
+    if (this.#running) {
+      this.#wakeRequested = true;
+      return;
+    }
+    this.#work().catch((e) => this.log(`Stopped unexpectedly. ${e.message}`));
+  }
+
+  static #schedule(delayMs) {
+    clearTimeout(this.#timer);
+    this.#timer = setTimeout(() => this.wake(), delayMs);
+  }
+
+  static async #work() {
+    this.#running = true;
+    try {
+      do {
+        this.#wakeRequested = false;
+        let file;
+        while ((file = await DocumentIngestionFile.next())) {
+          const collector = new CollectorApi();
+          if (!(await collector.online())) {
+            this.log(
+              `Document processing API is not online, checking again in ${OFFLINE_RETRY_MS / 1000}s.`
+            );
+            this.#schedule(OFFLINE_RETRY_MS);
+            return;
+          }
+          await this.#process(file, collector);
+        }
+      } while (this.#wakeRequested);
+
+      const nextAttemptAt = await DocumentIngestionFile.nextAttemptAt();
+      if (nextAttemptAt)
+        this.#schedule(Math.max(new Date(nextAttemptAt) - Date.now(), 0));
+    } finally {
+      this.#running = false;
+    }
+  }
+
+  static async #process(file, collector) {
+    const attempts = file.attempts + 1;
+    await DocumentIngestionFile.update(file.id, {
+      status: DocumentIngestionFile.statuses.processing,
+      attempts,
+    });
+
+    const {
+      success,
+      reason,
+      documents = [],
+    } = await collector.processDocument(file.filename, file.originalName);
+    if (success) {
+      await DocumentIngestionFile.update(file.id, {
+        status: DocumentIngestionFile.statuses.success,
+        error: null,
+        documents: JSON.stringify(
+          documents.map(({ location, title }) => ({ location, title }))
+        ),
+      });
+      await EventLogs.logEvent(
+        "document_uploaded",
+        {
+          documentName: file.originalName ?? file.filename,
+          jobId: file.job.uuid,
+        },
+        file.job.userId
+      );
+    } else {
+      const retry = attempts < MAX_ATTEMPTS && this.inHotdir(file.filename);
+      this.log(
+        `${file.originalName ?? file.filename} failed (attempt ${attempts}/${MAX_ATTEMPTS})${retry ? ", will retry" : ""}. ${reason}`
+      );
+      await DocumentIngestionFile.update(file.id, {
+        status: retry
+          ? DocumentIngestionFile.statuses.queued
+          : DocumentIngestionFile.statuses.failed,
+        error: reason ?? "The document could not be processed.",
+        nextAttemptAt: new Date(
+          Date.now() + (retry ? RETRY_BASE_MS * 2 ** (attempts - 1) : 0)
+        ),
+      });
+    }
+
+    await DocumentIngestionJob.touch(file.jobId);
+    await this.#logIfFinished(file.jobId);
+  }
+
+  static async #logIfFinished(jobId) {
+    const job = await DocumentIngestionJob.get({ id: jobId });
+    if (!job) return;
+    const summary = DocumentIngestionJob.summarize(job);
+    if (["queued", "processing"].includes(summary.status)) return;
+
+    await EventLogs.logEvent(
+      "document_ingestion_job_finished",
+      {
+        jobId: summary.id,
+        status: summary.status,
+        total: summary.progress.total,
+        succeeded: summary.progress.success,
+        failed: summary.progress.failed,
+      },
+      job.userId
+    );
+  }
+
+  /**
+   * @param {string} filename
+   * @returns {boolean} whether the uploaded file is still waiting in the hotdir
+   */
+  static inHotdir(filename = "") {
+    try {
+      const filePath = path.resolve(hotdirPath, normalizePath(filename));
+      return isWithin(hotdirPath, filePath) && fs.existsSync(filePath);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Queues the failed files of a job that are still in the hotdir again.
+   * @param {Object} job - document_ingestion_jobs record including its files
+   * @returns {Promise<number>} how many files were requeued
+   */
+  static async retryFailed(job) {
+    let requeued = 0;
+    for (const file of job.files) {
+      if (file.status !== DocumentIngestionFile.statuses.failed) continue;
+      if (!this.inHotdir(file.filename)) continue;
+      await DocumentIngestionFile.update(file.id, {
+        status: DocumentIngestionFile.statuses.queued,
+        attempts: 0,
+        nextAttemptAt: new Date(),
+      });
+      requeued++;
+    }
+    if (requeued > 0) this.wake();
+    return requeued;
+  }
+}
+
+module.exports = { DocumentIngestionQueue };
@@ -7,8 +7,9 @@ const documentsPath =
     : path.resolve(process.env.STORAGE_DIR, `documents`);
 
 class DocumentManager {
-  constructor({ workspace = null, maxTokens = null }) {
+  constructor({ workspace = null, maxTokens = null, user = null }) {
     this.workspace = workspace;
+    this.user = user;
     this.maxTokens = maxTokens || Number.POSITIVE_INFINITY;
     this.documentStoragePath = documentsPath;
   }
@@ -20,10 +21,13 @@ class DocumentManager {
   async pinnedDocuments() {
     if (!this.workspace) return [];
     const { Document } = require("../../models/documents");
-    return await Document.where({
+    const documents = await Document.where({
       workspaceId: Number(this.workspace.id),
       pinned: true,
     });
+    return documents.filter((document) =>
+      Document.canAccess(document, this.user)
+    );
   }
 
   async pinnedDocs() {
@@ -0,0 +1,492 @@
+const { getLLMProvider } = require("../helpers");
+const { safeJsonParse } = require("../http");
+
+const EXTRACTION_PROMPT = `You extract a knowledge graph from text.
+Identify the important entities (people, organizations, products, places, concepts, events, etc.) in the text the user provides and the relationships between them.
+Respond ONLY with a JSON object in the following format and nothing else:
+{
+  "entities": [{ "name": "entity name", "type": "PERSON", "description": "short description from the text" }],
+  "relations": [{ "source": "entity name", "target": "entity name", "type": "WORKS_FOR", "description": "short description from the text" }]
+}
+Every relation source and target must be the name of an entity in the entities list.
+If there are no entities in the text respond with {"entities": [], "relations": []}.`;
+
+// Paths are cited as sources, only the first few are kept so they do not crowd out documents.
+const MAX_CITED_PATHS = 10;
+
+/**
+ * Builds and maintains a per-workspace knowledge graph of entities and relations
+ * extracted from the embedded chunks of a document. Entities are stored next to the chunks
+ * in Neo4j so every entity can be traced back to the chunk (and document) it came from.
+ *
+ * (:Document)-[:HAS_CHUNK]->(:Chunk)<-[:MENTIONED_IN]-(:Entity)-[:RELATED_TO]->(:Entity)
+ */
+class KnowledgeGraph {
+  static #extractions = Promise.resolve();
+
+  constructor({ workspace = null, LLMConnector = null }) {
+    this.workspace = workspace;
+    this.LLMConnector =
+      LLMConnector ||
+      getLLMProvider({
+        provider: workspace?.chatProvider,
+        model: workspace?.chatModel,
+      });
+  }
+
+  log(text, ...args) {
+    console.log(`\x1b[32m[KnowledgeGraph]\x1b[0m ${text}`, ...args);
+  }
+
+  /**
+   * The knowledge graph lives alongside the chunks so it is only available
+   * when Neo4j is the vector database of the instance.
+   * @returns {boolean}
+   */
+  static supported() {
+    return process.env.VECTOR_DB === "neo4j";
+  }
+
+  /**
+   * @param {import("@prisma/client").workspaces} workspace
+   * @returns {boolean}
+   */
+  static enabledFor(workspace = null) {
+    return this.supported() && workspace?.graphExtraction === true;
+  }
+
+  /**
+   * Queues graph extraction for a document that was just embedded. Documents are processed
+   * one at a time in the background so embedding does not wait on an LLM call per chunk.
+   * A failure here never fails the embedding of the document itself.
+   * @param {import("@prisma/client").workspaces} workspace
+   * @param {string} docId
+   */
+  static queueExtraction(workspace, docId) {
+    this.#extractions = this.#extractions.then(async () => {
+      try {
+        await new KnowledgeGraph({ workspace }).extractFromDocument(docId);
+      } catch (e) {
+        console.error("Knowledge graph extraction failed", e.message);
+      }
+    });
+  }
+
+  /**
+   * Normalized key used to merge entities that are mentioned across chunks.
+   * @param {string} name
+   * @returns {string}
+   */
+  static entityKey(name = "") {
+    return String(name).trim().toLowerCase().replace(/\s+/g, " ");
+  }
+
+  /**
+   * Whole word check if an entity key is mentioned in a (normalized) text.
+   * @param {string} key
+   * @param {string} text
+   * @returns {boolean}
+   */
+  static mentionedIn(key = "", text = "") {
+    const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    return new RegExp(
+      `(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`,
+      "u"
+    ).test(text);
+  }
+
+  static relationType(type = "") {
+    return (
+      String(type)
+        .trim()
+        .toUpperCase()
+        .replace(/[^A-Z0-9]+/g, "_")
+        .replace(/^_+|_+$/g, "") || "RELATED_TO"
+    );
+  }
+
+  /**
+   * Asks the workspace LLM for the entities and relations in a text chunk.
+   * @param {string} text
+   * @returns {Promise<{entities: object[], relations: object[]}>}
+   */
+  async extract(text = "") {
+    const textResponse = await this.LLMConnector.getChatCompletion(
+      [
+        { role: "system", content: EXTRACTION_PROMPT },
+        { role: "user", content: text },
+      ],
+      { temperature: 0 }
+    );
+
+    const result = safeJsonParse(
+      String(textResponse || "")
+        .replace(/^```(json)?/i, "")
+        .replace(/```$/, "")
+        .trim(),
+      {}
+    );
+
+    const entities = new Map();
+    for (const entity of Array.isArray(result?.entities)
+      ? result.entities
+      : []) {
+      if (!entity?.name) continue;
+      const key = KnowledgeGraph.entityKey(entity.name);
+      if (!key || entities.has(key)) continue;
+      entities.set(key, {
+        key,
+        name: String(entity.name).trim(),
+        type: String(entity.type || "CONCEPT").toUpperCase(),
+        description: entity.description ? String(entity.description) : null,
+      });
+    }
+
+    const relations = [];
+    for (const relation of Array.isArray(result?.relations)
+      ? result.relations
+      : []) {
+      const source = KnowledgeGraph.entityKey(relation?.source);
+      const target = KnowledgeGraph.entityKey(relation?.target);
+      if (!entities.has(source) || !entities.has(target)) continue;
+      if (source === target) continue;
+      relations.push({
+        source,
+        target,
+        type: KnowledgeGraph.relationType(relation.type),
+        description: relation.description ? String(relation.description) : null,
+      });
+    }
+
+    return { entities: Array.from(entities.values()), relations };
+  }
+
+  /**
+   * Runs entity and relation extraction over every chunk that was embedded for a document
+   * and merges the results into the workspace graph.
+   * @param {string} docId - the docId of the document that was just embedded.
+   * @returns {Promise<{entities: number, relations: number}>}
+   */
+  async extractFromDocument(docId) {
+    const { Neo4jDb } = require("../vectorDbProviders/neo4j");
+    const namespace = this.workspace.slug;
+    const { client } = await Neo4jDb.connect();
+    const totals = { entities: 0, relations: 0 };
+
+    try {
+      const chunks = await Neo4jDb.query(
+        client,
+        `MATCH (c:${Neo4jDb.chunkLabel} {namespace: $namespace, docId: $docId})
+        RETURN c.id AS id, c.text AS text`,
+        { namespace, docId }
+      );
+      this.log(`Extracting graph from ${chunks.length} chunks of ${docId}.`);
+
+      for (const [i, chunk] of chunks.entries()) {
+        try {
+          const { entities, relations } = await this.extract(chunk.text);
+          await this.#storeChunkGraph(client, namespace, chunk.id, {
+            entities,
+            relations,
+          });
+          totals.entities += entities.length;
+          totals.relations += relations.length;
+        } catch (e) {
+          this.log(
+            `Failed to extract graph for chunk ${i + 1}/${chunks.length}: ${e.message}`
+          );
+        }
+      }
+    } finally {
+      await client.close();
+    }
+
+    this.log(
+      `Found ${totals.entities} entities and ${totals.relations} relations in ${docId}.`
+    );
+    return totals;
+  }
+
+  async #storeChunkGraph(client, namespace, chunkId, { entities, relations }) {
+    const { Neo4jDb } = require("../vectorDbProviders/neo4j");
+    if (entities.length === 0) return;
+
+    await Neo4jDb.query(
+      client,
+      `MATCH (c:${Neo4jDb.chunkLabel} {namespace: $namespace, id: $chunkId})
+      UNWIND $entities AS entity
+      MERGE (e:${Neo4jDb.entityLabel} {namespace: $namespace, key: entity.key})
+      ON CREATE SET e.name = entity.name,
+        e.type = entity.type,
+        e.description = entity.description
+      MERGE (e)-[:MENTIONED_IN]->(c)`,
+      { namespace, chunkId, entities }
+    );
+
+    if (relations.length === 0) return;
+    await Neo4jDb.query(
+      client,
+      `UNWIND $relations AS relation
+      MATCH (s:${Neo4jDb.entityLabel} {namespace: $namespace, key: relation.source})
+      MATCH (t:${Neo4jDb.entityLabel} {namespace: $namespace, key: relation.target})
+      MERGE (s)-[r:RELATED_TO {type: relation.type}]->(t)
+      ON CREATE SET r.chunkIds = [], r.description = relation.description
+      SET r.chunkIds = CASE
+        WHEN $chunkId IN r.chunkIds THEN r.chunkIds
+        ELSE r.chunkIds + $chunkId
+      END`,
+      { namespace, chunkId, relations }
+    );
+  }
+
+  /**
+   * @param {import("neo4j-driver").Driver} client
+   * @param {string[]} chunkIds
+   * @param {(chunk: object) => boolean} isAllowed
+   * @returns {Promise<Set<string>>} ids of the chunks that are allowed
+   */
+  async #accessibleChunkIds(client, chunkIds = [], isAllowed) {
+    const { Neo4jDb } = require("../vectorDbProviders/neo4j");
+    if (chunkIds.length === 0) return new Set();
+    const chunks = await Neo4jDb.query(
+      client,
+      `MATCH (c:${Neo4jDb.chunkLabel} {namespace: $namespace})
+      WHERE c.id IN $chunkIds
+      RETURN c { .*, embedding: null, text: null } AS chunk`,
+      { namespace: this.workspace.slug, chunkIds: [...new Set(chunkIds)] }
+    );
+    return new Set(
+      chunks
+        .map(({ chunk }) => chunk)
+        .filter(isAllowed)
+        .map(({ id }) => id)
+    );
+  }
+
+  /**
+   * GraphRAG retrieval - finds the entities mentioned in the input, walks their neighborhood
+   * in the workspace graph up to `hops` relations away and returns the facts found along the way
+   * plus the chunks those entities and relations were extracted from.
+   * Facts and chunks that only come from documents the user cannot access are left out.
+   * @param {{input: string, hops: number, topN: number, filterIdentifiers: string[], user: import("@prisma/client").users|null}} params
+   * @returns {Promise<{contextTexts: string[], sources: object[], chunkIds: string[]}>}
+   */
+  async search({
+    input = "",
+    hops = 2,
+    topN = 4,
+    filterIdentifiers = [],
+    user = null,
+  }) {
+    const result = { contextTexts: [], sources: [], chunkIds: [] };
+    if (!KnowledgeGraph.supported() || !input) return result;
+
+    const { Neo4jDb } = require("../vectorDbProviders/neo4j");
+    const { sourceIdentifier } = require("../chats");
+    const {
+      resolveAllowedDocuments,
+      allowedByMetadataFilter,
+    } = require("../helpers/metadataFilter");
+    const neo4j = require("neo4j-driver");
+    const namespace = this.workspace.slug;
+    const allowedDocuments = await resolveAllowedDocuments(namespace, {
+      user,
+    });
+    const depth = Math.min(Math.max(Number(hops) || 1, 1), 4);
+    const prompt = KnowledgeGraph.entityKey(input);
+    const { client } = await Neo4jDb.connect();
+
+    try {
+      // CONTAINS narrows down the candidates, then we only keep whole word matches
+      // so short entities like "art" do not match on "party".
+      const candidates = await Neo4jDb.query(
+        client,
+        `MATCH (e:${Neo4jDb.entityLabel} {namespace: $namespace})
+        WHERE size(e.key) > 2 AND $prompt CONTAINS e.key
+        RETURN e.key AS key
+        ORDER BY size(e.key) DESC
+        LIMIT 50`,
+        { namespace, prompt }
+      );
+      const seeds = candidates
+        .map(({ key }) => key)
+        .filter((key) => KnowledgeGraph.mentionedIn(key, prompt))
+        .slice(0, 10);
+      if (seeds.length === 0) return result;
+      this.log(`Found ${seeds.length} entities in prompt.`, seeds);
+
+      const paths = await Neo4jDb.query(
+        client,
+        `MATCH (seed:${Neo4jDb.entityLabel} {namespace: $namespace})
+        WHERE seed.key IN $seeds
+        MATCH path = (seed)-[:RELATED_TO*1..${depth}]-(:${Neo4jDb.entityLabel})
+        RETURN [r IN relationships(path) | {
+          source: startNode(r).name,
+          target: endNode(r).name,
+          type: r.type,
+          description: r.description,
+          chunkIds: r.chunkIds
+        }] AS relations
+        LIMIT $limit`,
+        { namespace, seeds, limit: neo4j.int(100) }
+      );
+
+      const mentions = await Neo4jDb.query(
+        client,
+        `MATCH (seed:${Neo4jDb.entityLabel} {namespace: $namespace})-[:MENTIONED_IN]->(c:${Neo4jDb.chunkLabel})
+        WHERE seed.key IN $seeds
+        RETURN c.id AS id, count(seed) AS mentions`,
+        { namespace, seeds }
+      );
+
+      // A relation can be used when at least one of the chunks it was extracted from is accessible.
+      const accessibleChunkIds =
+        allowedDocuments === null
+          ? new Set()
+          : await this.#accessibleChunkIds(
+              client,
+              [
+                ...paths.flatMap(({ relations }) =>
+                  relations.flatMap((relation) => relation.chunkIds || [])
+                ),
+                ...mentions.map(({ id }) => id),
+              ],
+              (chunk) => allowedByMetadataFilter(allowedDocuments, chunk)
+            );
+      const accessible = (chunkId) =>
+        allowedDocuments === null || accessibleChunkIds.has(chunkId);
+
+      const facts = new Set();
+      const citedPaths = new Set();
+      const chunkScores = new Map();
+      for (const { relations } of paths) {
+        if (
+          !relations.every((relation) =>
+            (relation.chunkIds || []).some(accessible)
+          )
+        )
+          continue;
+
+        const steps = [];
+        for (const relation of relations) {
+          const fact = `${relation.source} ${relation.type} ${relation.target}${
+            relation.description ? ` (${relation.description})` : ""
+          }`;
+          facts.add(fact);
+          steps.push(
+            `${relation.source} -[${relation.type}]-> ${relation.target}`
+          );
+          // Chunks backing relations closer to the seed entities rank higher.
+          for (const chunkId of (relation.chunkIds || []).filter(accessible))
+            chunkScores.set(
+              chunkId,
+              (chunkScores.get(chunkId) || 0) + 1 / (steps.length + 1)
+            );
+        }
+        citedPaths.add(steps.join(" | "));
+      }
+
+      for (const { id, mentions: count } of mentions) {
+        if (!accessible(id)) continue;
+        chunkScores.set(id, (chunkScores.get(id) || 0) + count);
+      }
+
+      const rankedChunkIds = Array.from(chunkScores.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, topN || 4)
+        .map(([id]) => id);
+      const chunks = await Neo4jDb.query(
+        client,
+        `MATCH (c:${Neo4jDb.chunkLabel} {namespace: $namespace})
+        WHERE c.id IN $chunkIds
+        RETURN c { .*, embedding: null } AS chunk`,
+        { namespace, chunkIds: rankedChunkIds }
+      );
+
+      if (facts.size > 0) {
+        result.contextTexts.push(
+          `Knowledge graph facts:\n${Array.from(facts)
+            .map((fact) => `- ${fact}`)
+            .join("\n")}`
+        );
+      }
+
+      chunks
+        .map(({ chunk }) => chunk)
+        .sort(
+          (a, b) => rankedChunkIds.indexOf(a.id) - rankedChunkIds.indexOf(b.id)
+        )
+        .forEach(({ embedding: _, namespace: _ns, ...chunk }) => {
+          if (filterIdentifiers.includes(sourceIdentifier(chunk))) return;
+          result.chunkIds.push(chunk.id);
+          result.contextTexts.push(chunk.text);
+          result.sources.push(chunk);
+        });
+
+      for (const path of Array.from(citedPaths).slice(0, MAX_CITED_PATHS)) {
+        result.sources.push({
+          title: "Knowledge Graph",
+          chunkSource: `graph://${namespace}`,
+          text: path,
+        });
+      }
+    } finally {
+      await client.close();
+    }
+
+    return result;
+  }
+
+  /**
+   * Returns the entities and relations of the workspace graph. When the user cannot open every
+   * document only entities and relations extracted from chunks of documents they can open are
+   * returned, descriptions are left out when they may come from a document they cannot open.
+   * @param {{limit: number, user: import("@prisma/client").users|null}} options
+   * @returns {Promise<{nodes: object[], edges: object[]}>}
+   */
+  async graph({ limit = 500, user = null } = {}) {
+    const { Neo4jDb } = require("../vectorDbProviders/neo4j");
+    const { resolveAllowedDocuments } = require("../helpers/metadataFilter");
+    const neo4j = require("neo4j-driver");
+    const namespace = this.workspace.slug;
+    // Chunks in Neo4j always hold their docId so they are matched on it in the queries.
+    const docIds =
+      (await resolveAllowedDocuments(namespace, { user }))?.docIds ?? null;
+    const { client } = await Neo4jDb.connect();
+
+    try {
+      const nodes = await Neo4jDb.query(
+        client,
+        `MATCH (e:${Neo4jDb.entityLabel} {namespace: $namespace})
+        OPTIONAL MATCH (e)-[:MENTIONED_IN]->(c:${Neo4jDb.chunkLabel})
+        WITH e, count(c) AS total,
+          count(CASE WHEN $docIds IS NULL OR c.docId IN $docIds THEN c END) AS mentions
+        WHERE $docIds IS NULL OR mentions > 0
+        RETURN e.key AS id, e.name AS name, e.type AS type,
+          CASE WHEN mentions = total THEN e.description END AS description, mentions
+        ORDER BY mentions DESC
+        LIMIT $limit`,
+        { namespace, docIds, limit: neo4j.int(limit) }
+      );
+
+      const edges = await Neo4jDb.query(
+        client,
+        `MATCH (s:${Neo4jDb.entityLabel} {namespace: $namespace})-[r:RELATED_TO]->(t:${Neo4jDb.entityLabel})
+        WHERE s.key IN $keys AND t.key IN $keys
+        OPTIONAL MATCH (c:${Neo4jDb.chunkLabel} {namespace: $namespace})
+        WHERE c.id IN r.chunkIds AND ($docIds IS NULL OR c.docId IN $docIds)
+        WITH s, t, r, count(c) AS accessible
+        WHERE $docIds IS NULL OR accessible > 0
+        RETURN s.key AS source, t.key AS target, r.type AS type,
+          CASE WHEN $docIds IS NULL OR accessible = size(r.chunkIds)
+            THEN r.description END AS description`,
+        { namespace, docIds, keys: nodes.map((node) => node.id) }
+      );
+      return { nodes, edges };
+    } finally {
+      await client.close();
+    }
+  }
+}
+
+module.exports.KnowledgeGraph = KnowledgeGraph;
@@ -0,0 +1,496 @@
+const fs = require("fs");
+const path = require("path");
+const { safeJsonParse } = require("../http");
+
+// Max time to wait on a server to start and list its tools.
+const CONNECT_TIMEOUT_MS = 30_000;
+// Max length of a tool result shown in the agent status stream.
+const PREVIEW_LENGTH = 500;
+
+/**
+ * @typedef {Object} MCPServerDefinition
+ * @property {"stdio"|"sse"} [type] - assumed `sse` when a url is set, otherwise `stdio`
+ * @property {string} [command] - stdio: executable to run, eg: `npx`
+ * @property {string[]} [args] - stdio: arguments for the command
+ * @property {Object<string, string>} [env] - stdio: environment variables for the process, the server's own are not passed on
+ * @property {string} [url] - sse: endpoint of the server
+ * @property {Object<string, string>} [headers] - sse: headers sent with every request, eg: Authorization
+ * @property {{autoStart?: boolean, suppressedTools?: string[]}} [anythingllm] - set `autoStart` to false to keep the server off,
+ * tools named in `suppressedTools` are not loaded into agents
+ */
+
+/**
+ * Connects agents to Model Context Protocol servers configured by admins in
+ * `storage/plugins/anythingllm_mcp_servers.json`, which uses the same
+ * `{ "mcpServers": { "<name>": MCPServerDefinition } }` format as other MCP clients.
+ * Every tool of a running server that an admin has not turned off is loaded into the agent as an aibitat function.
+ */
+class MCPHypervisor {
+  name = "MCPHypervisor";
+  static _instance = null;
+  // Agent function names of MCP tools are `mcp:<server>#<function>`.
+  static prefix = "mcp:";
+
+  /** @type {Object<string, {client: import("@modelcontextprotocol/sdk/client/index.js").Client, tools: Object[]}>} */
+  mcps = {};
+  /** @type {Object<string, {status: "running"|"stopped"|"failed", message: string|null}>} */
+  mcpLoadingResults = {};
+  #booting = null;
+
+  constructor() {
+    if (MCPHypervisor._instance) return MCPHypervisor._instance;
+    MCPHypervisor._instance = this;
+  }
+
+  #log(text, ...args) {
+    console.log(`\x1b[36m[${this.name}]\x1b[0m ${text}`, ...args);
+  }
+
+  static mcpServerJSONPath() {
+    return process.env.NODE_ENV === "development"
+      ? path.resolve(
+          __dirname,
+          `../../storage/plugins/anythingllm_mcp_servers.json`
+        )
+      : path.resolve(
+          process.env.STORAGE_DIR,
+          `plugins`,
+          `anythingllm_mcp_servers.json`
+        );
+  }
+
+  static isMCPTool(name = "") {
+    return String(name).startsWith(this.prefix);
+  }
+
+  /**
+   * Whether a server is started by running its command on this host.
+   * @param {MCPServerDefinition} definition
+   * @returns {boolean}
+   */
+  static runsHostCommand(definition = {}) {
+    return (
+      (definition?.type ?? (definition?.url ? "sse" : "stdio")) === "stdio"
+    );
+  }
+
+  /**
+   * Reads the configured servers, creating an empty config on first use.
+   * @returns {Object<string, MCPServerDefinition>}
+   */
+  serverDefinitions() {
+    const file = MCPHypervisor.mcpServerJSONPath();
+    if (!fs.existsSync(file)) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({ mcpServers: {} }, null, 2));
+    }
+
+    const config = safeJsonParse(fs.readFileSync(file, "utf8"), null);
+    if (!config?.mcpServers || typeof config.mcpServers !== "object") {
+      this.#log(`${path.basename(file)} is missing the mcpServers object.`);
+      return {};
+    }
+    return config.mcpServers;
+  }
+
+  #saveServerDefinitions(mcpServers = {}) {
+    const file = MCPHypervisor.mcpServerJSONPath();
+    const config = safeJsonParse(fs.readFileSync(file, "utf8"), {}) ?? {};
+    fs.writeFileSync(file, JSON.stringify({ ...config, mcpServers }, null, 2));
+  }
+
+  /**
+   * Adds a server to the config file and starts it.
+   * @param {string} name
+   * @param {MCPServerDefinition} definition
+   * @returns {Promise<{success: boolean, error: string|null}>}
+   */
+  async addMCPServer(name = "", definition = {}) {
+    const error = validateDefinition(name, definition);
+    if (error) return { success: false, error };
+
+    const servers = this.serverDefinitions();
+    if (servers[name])
+      return {
+        success: false,
+        error: `A server named ${name} already exists.`,
+      };
+
+    this.#saveServerDefinitions({ ...servers, [name]: definition });
+    return await this.startMCPServer(name);
+  }
+
+  /**
+   * Stops a server and removes it from the config file.
+   * @param {string} name
+   * @returns {Promise<{success: boolean, error: string|null}>}
+   */
+  async removeMCPServer(name = "") {
+    const servers = this.serverDefinitions();
+    if (!servers[name])
+      return { success: false, error: `${name} is not a configured server.` };
+
+    await this.stopMCPServer(name);
+    delete this.mcpLoadingResults[name];
+    delete servers[name];
+    this.#saveServerDefinitions(servers);
+    return { success: true, error: null };
+  }
+
+  /**
+   * Starts every server that is not turned off. Only runs once until `reload` is called.
+   * @returns {Promise<void>}
+   */
+  async boot() {
+    if (!this.#booting) this.#booting = this.#startAll();
+    return await this.#booting;
+  }
+
+  async #startAll() {
+    for (const [name, definition] of Object.entries(this.serverDefinitions())) {
+      if (definition?.anythingllm?.autoStart === false) {
+        this.mcpLoadingResults[name] = { status: "stopped", message: null };
+        continue;
+      }
+      await this.startMCPServer(name);
+    }
+  }
+
+  /**
+   * Stops all servers and starts them again from the current config file.
+   */
+  async reload() {
+    for (const name of Object.keys(this.mcps)) await this.stopMCPServer(name);
+    this.mcpLoadingResults = {};
+    this.#booting = null;
+    await this.boot();
+  }
+
+  #transport(definition = {}) {
+    const type = definition.type ?? (definition.url ? "sse" : "stdio");
+    if (type === "sse") {
+      const {
+        SSEClientTransport,
+      } = require("@modelcontextprotocol/sdk/client/sse.js");
+      return new SSEClientTransport(new URL(definition.url), {
+        requestInit: { headers: definition.headers ?? {} },
+      });
+    }
+
+    if (type !== "stdio") throw new Error(`Unsupported transport ${type}.`);
+    if (!definition.command)
+      throw new Error("A command is required for stdio servers.");
+    const {
+      StdioClientTransport,
+    } = require("@modelcontextprotocol/sdk/client/stdio.js");
+    // The SDK only adds PATH, HOME, LOGNAME, SHELL, TERM and USER to these.
+    return new StdioClientTransport({
+      command: definition.command,
+      args: definition.args ?? [],
+      env: definition.env ?? {},
+    });
+  }
+
+  /**
+   * @param {string} name - server name in the config file
+   * @returns {Promise<{success: boolean, error: string|null}>}
+   */
+  async startMCPServer(name) {
+    const definition = this.serverDefinitions()[name];
+    if (!definition)
+      return { success: false, error: `${name} is not a configured server.` };
+    if (this.mcps[name]) await this.stopMCPServer(name);
+
+    const { Client } = require("@modelcontextprotocol/sdk/client/index.js");
+    const client = new Client({ name: "anythingllm", version: "1.0.0" });
+    let timeout;
+    try {
+      this.#log(`Starting ${name} MCP server.`);
+      await Promise.race([
+        client.connect(this.#transport(definition)),
+        new Promise((_, reject) => {
+          timeout = setTimeout(
+            () => reject(new Error("Timed out connecting to the server.")),
+            CONNECT_TIMEOUT_MS
+          );
+        }),
+      ]);
+      const { tools = [] } = await client.listTools();
+      this.mcps[name] = { client, tools };
+      // Drop the tools of servers that exit or disconnect on their own.
+      client.onclose = () => {
+        if (this.mcps[name]?.client !== client) return;
+        delete this.mcps[name];
+        this.mcpLoadingResults[name] = {
+          status: "failed",
+          message: "The server closed the connection.",
+        };
+      };
+      this.mcpLoadingResults[name] = {
+        status: "running",
+        message: `Loaded ${tools.length} tools.`,
+      };
+      this.#log(`${name} MCP server started with ${tools.length} tools.`);
+      return { success: true, error: null };
+    } catch (e) {
+      this.#log(`Failed to start ${name} MCP server.`, e.message);
+      await client.close().catch(() => null);
+      this.mcpLoadingResults[name] = { status: "failed", message: e.message };
+      return { success: false, error: e.message };
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  async stopMCPServer(name) {
+    const mcp = this.mcps[name];
+    delete this.mcps[name];
+    this.mcpLoadingResults[name] = { status: "stopped", message: null };
+    if (!mcp) return;
+    await mcp.client.close().catch(() => null);
+    this.#log(`Stopped ${name} MCP server.`);
+  }
+
+  /**
+   * Turns a server on or off and remembers the choice in the config file.
+   * @param {string} name
+   * @param {boolean} enabled
+   * @returns {Promise<{success: boolean, error: string|null}>}
+   */
+  async toggleMCPServer(name, enabled = true) {
+    const servers = this.serverDefinitions();
+    if (!servers[name])
+      return { success: false, error: `${name} is not a configured server.` };
+
+    servers[name] = {
+      ...servers[name],
+      anythingllm: { ...(servers[name].anythingllm ?? {}), autoStart: enabled },
+    };
+    this.#saveServerDefinitions(servers);
+
+    if (!enabled) {
+      await this.stopMCPServer(name);
+      return { success: true, error: null };
+    }
+    return await this.startMCPServer(name);
+  }
+
+  /**
+   * Turns a single tool of a server on or off for agents and remembers the choice in the config file.
+   * @param {string} name - server name in the config file
+   * @param {string} toolName - name of the tool as listed by the server
+   * @param {boolean} enabled
+   * @returns {{success: boolean, error: string|null}}
+   */
+  toggleMCPTool(name, toolName, enabled = true) {
+    const servers = this.serverDefinitions();
+    if (!servers[name])
+      return { success: false, error: `${name} is not a configured server.` };
+
+    const suppressed = new Set(suppressedTools(servers[name]));
+    if (enabled) suppressed.delete(toolName);
+    else suppressed.add(toolName);
+    servers[name] = {
+      ...servers[name],
+      anythingllm: {
+        ...(servers[name].anythingllm ?? {}),
+        suppressedTools: Array.from(suppressed),
+      },
+    };
+    this.#saveServerDefinitions(servers);
+    return { success: true, error: null };
+  }
+
+  /**
+   * Configured servers with their status and tools for the admin UI.
+   * Environment variables and headers are left out since they usually hold secrets.
+   */
+  async servers() {
+    await this.boot();
+    return Object.entries(this.serverDefinitions()).map(
+      ([name, definition]) => ({
+        name,
+        type: definition.type ?? (definition.url ? "sse" : "stdio"),
+        command: definition.command
+          ? [definition.command, ...(definition.args ?? [])].join(" ")
+          : null,
+        url: definition.url ?? null,
+        enabled: definition.anythingllm?.autoStart !== false,
+        status: this.mcpLoadingResults[name]?.status ?? "stopped",
+        message: this.mcpLoadingResults[name]?.message ?? null,
+        tools: (this.mcps[name]?.tools ?? []).map((tool) => ({
+          name: tool.name,
+          functionName: functionName(name, tool.name),
+          description: tool.description ?? null,
+          readOnly: tool.annotations?.readOnlyHint === true,
+          enabled: !suppressedTools(definition).includes(tool.name),
+        })),
+      })
+    );
+  }
+
+  /**
+   * Agent function names for every enabled tool of the running servers.
+   * @returns {Promise<string[]>}
+   */
+  async activeTools() {
+    await this.boot();
+    const definitions = this.serverDefinitions();
+    return Object.entries(this.mcps).flatMap(([server, { tools }]) =>
+      tools
+        .filter(
+          (tool) => !suppressedTools(definitions[server]).includes(tool.name)
+        )
+        .map(
+          (tool) =>
+            `${MCPHypervisor.prefix}${server}#${functionName(server, tool.name)}`
+        )
+    );
+  }
+
+  /**
+   * Builds an aibitat plugin that calls one MCP tool. Calls and results are
+   * sent to the agent status stream so users can follow what the tool did.
+   * @param {string} name - `mcp:<server>#<function>` agent function name
+   * @returns {Object|null} null when the server is not running, no longer has the tool or the tool is turned off.
+   */
+  pluginForTool(name = "") {
+    const [server, toolFunction] = name
+      .slice(MCPHypervisor.prefix.length)
+      .split("#");
+    const mcp = this.mcps[server];
+    const tool = mcp?.tools.find(
+      (tool) => functionName(server, tool.name) === toolFunction
+    );
+    if (!tool) return null;
+    if (suppressedTools(this.serverDefinitions()[server]).includes(tool.name))
+      return null;
+
+    return {
+      name,
+      setup(aibitat) {
+        aibitat.function({
+          super: aibitat,
+          name: toolFunction,
+          sideEffects: () => tool.annotations?.readOnlyHint !== true,
+          description:
+            tool.description || `${tool.name} tool from the ${server} server.`,
+          parameters: {
+            $schema: "http://json-schema.org/draft-07/schema#",
+            type: "object",
+            properties: {},
+            ...(tool.inputSchema ?? {}),
+          },
+          handler: async function (args = {}) {
+            this.super.introspect(
+              `${this.caller}: Calling ${tool.name} on the ${server} MCP server with ${JSON.stringify(args ?? {})}`
+            );
+            try {
+              const result = await mcp.client.callTool({
+                name: tool.name,
+                arguments: args ?? {},
+              });
+              const output = toolResultText(result);
+              this.super.introspect(
+                `${this.caller}: ${tool.name} ${result.isError ? "failed" : "returned"}: ${preview(output)}`
+              );
+              if (result.isError)
+                return `The tool returned an error. Let the user know this was the error: ${output}`;
+              return output;
+            } catch (error) {
+              this.super.introspect(
+                `${this.caller}: ${tool.name} failed: ${error.message}`
+              );
+              return `There was an error while calling the function. No data or response was found. Let the user know this was the error: ${error.message}`;
+            }
+          },
+        });
+      },
+    };
+  }
+}
+
+/**
+ * @param {MCPServerDefinition} definition
+ * @returns {string[]} names of the tools of a server that are turned off
+ */
+function suppressedTools(definition = {}) {
+  const tools = definition?.anythingllm?.suppressedTools;
+  return Array.isArray(tools) ? tools : [];
+}
+
+/**
+ * @param {string} name
+ * @param {MCPServerDefinition} definition
+ * @returns {string|null} why the server cannot be added, null when it can
+ */
+function validateDefinition(name = "", definition = {}) {
+  if (!/^[a-zA-Z0-9_-]+$/.test(String(name)))
+    return "Server names can only have letters, numbers, dashes and underscores.";
+  if (
+    !definition ||
+    typeof definition !== "object" ||
+    Array.isArray(definition)
+  )
+    return "The server definition must be a JSON object.";
+
+  const type = definition.type ?? (definition.url ? "sse" : "stdio");
+  if (type === "sse") {
+    try {
+      new URL(definition.url);
+    } catch {
+      return "A valid url is required for sse servers.";
+    }
+    return null;
+  }
+  if (type !== "stdio") return `Unsupported transport ${type}.`;
+  if (!definition.command || typeof definition.command !== "string")
+    return "A command is required for stdio servers.";
+  if (definition.args !== undefined && !Array.isArray(definition.args))
+    return "args must be a list of strings.";
+  return null;
+}
+
+/**
+ * LLM providers only accept function names of letters, numbers, dashes and underscores up to 64 characters.
+ * @param {string} server
+ * @param {string} toolName
+ * @returns {string}
+ */
+function functionName(server, toolName) {
+  return `${server}-${toolName}`.replace(/[^a-zA-Z0-9_-]/g, "_").slice(0, 64);
+}
+
+/**
+ * Flattens the content blocks of a tool result into text for the LLM.
+ * @param {Object} result - CallToolResult from the MCP client
+ * @returns {string}
+ */
+function toolResultText(result = {}) {
+  if (!Array.isArray(result.content))
+    return JSON.stringify(result.structuredContent ?? result.toolResult ?? "");
+
+  return result.content
+    .map((block) => {
+      switch (block.type) {
+        case "text":
+          return block.text;
+        case "resource":
+          return block.resource?.text ?? `[resource ${block.resource?.uri}]`;
+        case "resource_link":
+          return `[resource ${block.uri}]`;
+        default:
+          return block.mimeType
+            ? `[${block.type} ${block.mimeType}]`
+            : `[${block.type}]`;
+      }
+    })
+    .join("\n");
+}
+
+function preview(text = "") {
+  if (text.length <= PREVIEW_LENGTH) return text;
+  return `${text.slice(0, PREVIEW_LENGTH)}...`;
+}
+
+module.exports = { MCPHypervisor };
@@ -0,0 +1,35 @@
+class CohereReranker {
+  constructor() {
+    if (!process.env.COHERE_API_KEY)
+      throw new Error("No Cohere API key was set.");
+
+    const { CohereClient } = require("cohere-ai");
+    this.cohere = new CohereClient({
+      token: process.env.COHERE_API_KEY,
+    });
+    this.model = "rerank-english-v3.0";
+  }
+
+  /**
+   * Scores every document against the query.
+   * @param {string} query
+   * @param {string[]} documents
+   * @returns {Promise<{index: number, score: number}[]>} documents by relevance, most relevant first
+   */
+  async rerank(query, documents = []) {
+    const { results } = await this.cohere.rerank({
+      model: this.model,
+      query,
+      documents,
+      topN: documents.length,
+    });
+    return results.map(({ index, relevanceScore }) => ({
+      index,
+      score: relevanceScore,
+    }));
+  }
+}
+
+module.exports = {
+  CohereReranker,
+};
@@ -0,0 +1,107 @@
+const path = require("path");
+const fs = require("fs");
+const { toChunks } = require("../../helpers");
+
+/**
+ * On-instance cross-encoder reranker that runs on the same transformers runtime as the native embedder.
+ * A cross-encoder reads the query and a chunk together, which is slower than comparing embeddings
+ * but much better at judging if a chunk actually answers the query.
+ */
+class NativeReranker {
+  constructor() {
+    // Model Card: https://huggingface.co/Xenova/ms-marco-MiniLM-L-6-v2
+    this.model = "Xenova/ms-marco-MiniLM-L-6-v2";
+    this.cacheDir = path.resolve(
+      process.env.STORAGE_DIR
+        ? path.resolve(process.env.STORAGE_DIR, `models`)
+        : path.resolve(__dirname, `../../../storage/models`)
+    );
+    this.modelPath = path.resolve(
+      this.cacheDir,
+      "Xenova",
+      "ms-marco-MiniLM-L-6-v2"
+    );
+    this.modelDownloaded = fs.existsSync(this.modelPath);
+
+    // Limit of how many query/chunk pairs we score in a single pass to stay within resource limits
+    this.maxConcurrentChunks = 16;
+
+    // Make directory when it does not exist in existing installations
+    if (!fs.existsSync(this.cacheDir)) fs.mkdirSync(this.cacheDir);
+    this.log("Initialized");
+  }
+
+  log(text, ...args) {
+    console.log(`\x1b[36m[NativeReranker]\x1b[0m ${text}`, ...args);
+  }
+
+  async rerankerClient() {
+    if (!this.modelDownloaded)
+      this.log(
+        "The native reranking model has never been run and will be downloaded right now. Subsequent runs will be faster. (~23MB)"
+      );
+
+    // Convert ESM to CommonJS via import so we can load this library.
+    const { AutoTokenizer, AutoModelForSequenceClassification } = await import(
+      "@xenova/transformers"
+    );
+    const options = {
+      cache_dir: this.cacheDir,
+      ...(!this.modelDownloaded
+        ? {
+            // Show download progress if we need to download any files
+            progress_callback: (data) => {
+              if (!data.hasOwnProperty("progress")) return;
+              console.log(
+                `\x1b[36m[NativeReranker - Downloading model]\x1b[0m ${
+                  data.file
+                } ${~~data?.progress}%`
+              );
+            },
+          }
+        : {}),
+    };
+
+    const tokenizer = await AutoTokenizer.from_pretrained(this.model, options);
+    const model = await AutoModelForSequenceClassification.from_pretrained(
+      this.model,
+      options
+    );
+    this.modelDownloaded = true;
+    return { tokenizer, model };
+  }
+
+  /**
+   * Scores every document against the query.
+   * @param {string} query
+   * @param {string[]} documents
+   * @returns {Promise<{index: number, score: number}[]>} documents by relevance, most relevant first
+   */
+  async rerank(query, documents = []) {
+    const { tokenizer, model } = await this.rerankerClient();
+    const results = [];
+
+    for (const batch of toChunks(
+      documents.map((text, index) => ({ text, index })),
+      this.maxConcurrentChunks
+    )) {
+      const inputs = tokenizer(new Array(batch.length).fill(query), {
+        text_pair: batch.map(({ text }) => text),
+        padding: true,
+        truncation: true,
+      });
+      const { logits } = await model(inputs);
+
+      // The model outputs a single relevance logit per pair - squash it into 0-1.
+      batch.forEach(({ index }, i) => {
+        results.push({ index, score: 1 / (1 + Math.exp(-logits.data[i])) });
+      });
+    }
+
+    return results.sort((a, b) => b.score - a.score);
+  }
+}
+
+module.exports = {
+  NativeReranker,
+};
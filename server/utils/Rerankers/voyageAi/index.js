@@ -0,0 +1,46 @@
+class VoyageAiReranker {
+  constructor() {
+    if (!process.env.VOYAGEAI_API_KEY)
+      throw new Error("No Voyage AI API key was set.");
+
+    this.basePath = "https://api.voyageai.com/v1";
+    this.model = "rerank-lite-1";
+  }
+
+  /**
+   * Scores every document against the query.
+   * https://docs.voyageai.com/reference/reranker-api
+   * @param {string} query
+   * @param {string[]} documents
+   * @returns {Promise<{index: number, score: number}[]>} documents by relevance, most relevant first
+   */
+  async rerank(query, documents = []) {
+    const response = await fetch(`${this.basePath}/rerank`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${process.env.VOYAGEAI_API_KEY}`,
+      },
+      body: JSON.stringify({
+        model: this.model,
+        query,
+        documents,
+        truncation: true,
+      }),
+    });
+
+    if (!response.ok)
+      throw new Error(
+        `Voyage AI rerank failed with ${response.status}: ${await response.text()}`
+      );
+
+    const { data = [] } = await response.json();
+    return data
+      .map(({ index, relevance_score }) => ({ index, score: relevance_score }))
+      .sort((a, b) => b.score - a.score);
+  }
+}
+
+module.exports = {
+  VoyageAiReranker,
+};
@@ -1,8 +1,55 @@
+const path = require("path");
+
+const MARKDOWN_EXTENSIONS = [".md", ".mdx", ".markdown"];
+
+// File extensions mapped to the languages supported by Langchain's code splitter.
+const CODE_LANGUAGES = {
+  ".js": "js",
+  ".jsx": "js",
+  ".mjs": "js",
+  ".cjs": "js",
+  ".ts": "js",
+  ".tsx": "js",
+  ".py": "python",
+  ".go": "go",
+  ".java": "java",
+  ".kt": "java",
+  ".c": "cpp",
+  ".h": "cpp",
+  ".cc": "cpp",
+  ".cpp": "cpp",
+  ".hpp": "cpp",
+  ".cs": "cpp",
+  ".php": "php",
+  ".proto": "proto",
+  ".rb": "ruby",
+  ".rs": "rust",
+  ".scala": "scala",
+  ".swift": "swift",
+  ".sol": "sol",
+  ".rst": "rst",
+  ".tex": "latex",
+  ".html": "html",
+  ".htm": "html",
+};
+
 function isNullOrNaN(value) {
   if (value === null) return true;
   return isNaN(value);
 }
 
+function fileExtension(filename = null) {
+  if (!filename || typeof filename !== "string") return "";
+  return path.extname(filename).toLowerCase();
+}
+
+// Prepends the document metadata header to each chunk the same way Langchain does with `chunkHeader`.
+function withChunkHeader(chunks = [], chunkHeader = null) {
+  return chunks
+    .filter((chunk) => !!chunk.trim())
+    .map((chunk) => (chunkHeader ? `${chunkHeader}${chunk}` : chunk));
+}
+
 class TextSplitter {
   #splitter;
   constructor(config = {}) {
@@ -10,7 +57,8 @@ class TextSplitter {
       config can be a ton of things depending on what is required or optional by the specific splitter.
       Non-splitter related keys
       {
-        splitByFilename: string, // TODO
+        splitter: string | null, // Key of TextSplitter.splitters or "auto" to pick by filename
+        splitByFilename: string | null, // Filename or path of the document, used to pick a splitter when "auto"
       }
       ------
       Default: "RecursiveCharacterTextSplitter"
@@ -57,14 +105,53 @@ class TextSplitter {
     return `<document_metadata>\n${content}</document_metadata>\n\n`;
   }
 
+  /**
+   * The splitter to use for a document when the splitter preference is "auto".
+   * Markdown is split by its headers and source code by the syntax of its language,
+   * everything else uses the default recursive splitter.
+   * @param {string|null} filename
+   * @returns {keyof typeof TextSplitter.splitters}
+   */
+  static splitterForFilename(filename = null) {
+    const extension = fileExtension(filename);
+    if (MARKDOWN_EXTENSIONS.includes(extension)) return "markdown";
+    if (CODE_LANGUAGES.hasOwnProperty(extension)) return "code";
+    return "recursive";
+  }
+
+  /**
+   * The splitter preference for documents embedded into a workspace.
+   * The workspace choice takes priority over the system preference.
+   * @param {string|null} namespace - workspace slug
+   * @returns {Promise<string>} key of TextSplitter.splitters or "auto"
+   */
+  static async preferredSplitter(namespace = null) {
+    const { Workspace } = require("../../models/workspace");
+    const { SystemSettings } = require("../../models/systemSettings");
+    const workspace = namespace
+      ? await Workspace.get({ slug: String(namespace) })
+      : null;
+    if (workspace?.textSplitter) return workspace.textSplitter;
+    return await SystemSettings.getValueOrFallback(
+      { label: "text_splitter_strategy" },
+      "auto"
+    );
+  }
+
   #setSplitter(config = {}) {
-    // if (!config?.splitByFilename) {// TODO do something when specific extension is present? }
-    return new RecursiveSplitter({
+    const splitter =
+      !config?.splitter || config.splitter === "auto"
+        ? TextSplitter.splitterForFilename(config?.splitByFilename)
+        : config.splitter;
+    const Splitter = TextSplitter.splitters[splitter] ?? RecursiveSplitter;
+
+    return new Splitter({
       chunkSize: isNaN(config?.chunkSize) ? 1_000 : Number(config?.chunkSize),
       chunkOverlap: isNaN(config?.chunkOverlap)
         ? 20
         : Number(config?.chunkOverlap),
       chunkHeader: this.stringifyHeader(),
+      language: CODE_LANGUAGES[fileExtension(config?.splitByFilename)] ?? null,
     });
   }
 
@@ -103,4 +190,186 @@ class RecursiveSplitter {
   }
 }
 
+// Splits markdown into sections by its headers so a chunk never spans two sections.
+// Each chunk is prefixed with the headers of the section it belongs to so the
+// chunk keeps its context once it is retrieved on its own.
+class MarkdownHeaderSplitter {
+  constructor({ chunkSize, chunkOverlap, chunkHeader = null }) {
+    this.log(`Will split with`, { chunkSize, chunkOverlap });
+    this.chunkSize = chunkSize;
+    this.chunkOverlap = chunkOverlap;
+    this.chunkHeader = chunkHeader;
+  }
+
+  log(text, ...args) {
+    console.log(`\x1b[35m[MarkdownHeaderSplitter]\x1b[0m ${text}`, ...args);
+  }
+
+  /**
+   * @param {string} documentText
+   * @returns {{headers: string[], content: string}[]}
+   */
+  sections(documentText = "") {
+    const sections = [];
+    let headers = [];
+    let lines = [];
+    let inCodeBlock = false;
+
+    const pushSection = () => {
+      const content = lines.join("\n").trim();
+      if (content)
+        sections.push({ headers: headers.map((h) => h.text), content });
+      lines = [];
+    };
+
+    for (const line of documentText.split("\n")) {
+      if (/^\s*(```|~~~)/.test(line)) inCodeBlock = !inCodeBlock;
+      const match = inCodeBlock ? null : line.match(/^(#{1,6})\s+(.+?)\s*#*$/);
+      if (!match) {
+        lines.push(line);
+        continue;
+      }
+
+      pushSection();
+      const level = match[1].length;
+      headers = [
+        ...headers.filter((header) => header.level < level),
+        { level, text: line.trim() },
+      ];
+    }
+    pushSection();
+    return sections;
+  }
+
+  async _splitText(documentText) {
+    const {
+      RecursiveCharacterTextSplitter,
+    } = require("@langchain/textsplitters");
+    const chunks = [];
+
+    for (const { headers, content } of this.sections(documentText)) {
+      const breadcrumb = headers.length > 0 ? `${headers.join("\n")}\n` : "";
+      // Leave room for the section headers so chunks stay within the embedder limit.
+      const chunkSize = Math.max(
+        this.chunkSize - breadcrumb.length,
+        Math.ceil(this.chunkSize / 2)
+      );
+      const engine = RecursiveCharacterTextSplitter.fromLanguage("markdown", {
+        chunkSize,
+        chunkOverlap: Math.min(this.chunkOverlap, chunkSize - 1),
+      });
+
+      for (const chunk of await engine.splitText(content))
+        chunks.push(`${breadcrumb}${chunk}`);
+    }
+
+    return withChunkHeader(chunks, this.chunkHeader);
+  }
+}
+
+// Splits source code along the syntax of its language (classes, functions, blocks)
+// instead of at arbitrary characters. Unknown languages fall back to recursive splitting.
+class CodeSplitter {
+  constructor({
+    chunkSize,
+    chunkOverlap,
+    chunkHeader = null,
+    language = null,
+  }) {
+    const {
+      RecursiveCharacterTextSplitter,
+    } = require("@langchain/textsplitters");
+    this.log(`Will split with`, { chunkSize, chunkOverlap, language });
+    this.chunkHeader = chunkHeader;
+    this.engine = language
+      ? RecursiveCharacterTextSplitter.fromLanguage(language, {
+          chunkSize,
+          chunkOverlap,
+        })
+      : new RecursiveCharacterTextSplitter({ chunkSize, chunkOverlap });
+  }
+
+  log(text, ...args) {
+    console.log(`\x1b[35m[CodeSplitter]\x1b[0m ${text}`, ...args);
+  }
+
+  async _splitText(documentText) {
+    const chunks = await this.engine.splitText(documentText);
+    return withChunkHeader(chunks, this.chunkHeader);
+  }
+}
+
+// Packs whole sentences into chunks so that no sentence is cut in half.
+// The overlap is made of the trailing sentences of the previous chunk.
+class SentenceSplitter {
+  constructor({ chunkSize, chunkOverlap, chunkHeader = null }) {
+    const {
+      RecursiveCharacterTextSplitter,
+    } = require("@langchain/textsplitters");
+    this.log(`Will split with`, { chunkSize, chunkOverlap });
+    this.chunkSize = chunkSize;
+    this.chunkOverlap = chunkOverlap;
+    this.chunkHeader = chunkHeader;
+    this.segmenter = new Intl.Segmenter(undefined, { granularity: "sentence" });
+    // Used for sentences that are longer than a chunk on their own.
+    this.engine = new RecursiveCharacterTextSplitter({
+      chunkSize,
+      chunkOverlap,
+    });
+  }
+
+  log(text, ...args) {
+    console.log(`\x1b[35m[SentenceSplitter]\x1b[0m ${text}`, ...args);
+  }
+
+  async sentences(documentText = "") {
+    const sentences = [];
+    for (const { segment } of this.segmenter.segment(documentText)) {
+      const sentence = segment.trim();
+      if (!sentence) continue;
+      if (sentence.length <= this.chunkSize) {
+        sentences.push(sentence);
+        continue;
+      }
+      sentences.push(...(await this.engine.splitText(sentence)));
+    }
+    return sentences;
+  }
+
+  async _splitText(documentText) {
+    const chunks = [];
+    let current = [];
+    let length = 0;
+
+    for (const sentence of await this.sentences(documentText)) {
+      if (current.length > 0 && length + sentence.length + 1 > this.chunkSize) {
+        chunks.push(current.join(" "));
+
+        const overlap = [];
+        let overlapLength = 0;
+        for (const previous of [...current].reverse()) {
+          if (overlapLength + previous.length + 1 > this.chunkOverlap) break;
+          overlap.unshift(previous);
+          overlapLength += previous.length + 1;
+        }
+        current = overlap;
+        length = overlapLength;
+      }
+
+      current.push(sentence);
+      length += sentence.length + 1;
+    }
+    if (current.length > 0) chunks.push(current.join(" "));
+
+    return withChunkHeader(chunks, this.chunkHeader);
+  }
+}
+
+TextSplitter.splitters = {
+  recursive: RecursiveSplitter,
+  markdown: MarkdownHeaderSplitter,
+  code: CodeSplitter,
+  sentence: SentenceSplitter,
+};
+
 module.exports.TextSplitter = TextSplitter;
@@ -0,0 +1,134 @@
+const { FLOW_STEPS } = require("./steps");
+const { EncryptionManager } = require("../EncryptionManager");
+
+// Upper bound of steps one run can execute so a misbuilt flow cannot run forever.
+const MAX_STEPS_PER_RUN = 100;
+const VARIABLE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+/**
+ * @typedef {Object} FlowContext
+ * @property {import("../agents/aibitat")} aibitat - the agent cluster running the flow
+ * @property {(text: string) => void} introspect - shows progress in the agent chat
+ */
+
+/**
+ * Runs the steps of a flow in order. Every step can save its result in a variable
+ * that later steps use as `{{name}}` in their fields. Flow inputs are variables too.
+ */
+class FlowExecutor {
+  #variables = {};
+  #stepsRun = 0;
+
+  /**
+   * @param {import("./index").AgentFlowConfig} config
+   * @param {FlowContext} context
+   */
+  constructor(config, context) {
+    this.config = config;
+    this.context = context;
+  }
+
+  #lookup(path = "") {
+    return path
+      .split(".")
+      .reduce((value, key) => value?.[key], this.#variables);
+  }
+
+  #stringify(value) {
+    if (value === undefined || value === null) return "";
+    return typeof value === "string" ? value : JSON.stringify(value);
+  }
+
+  interpolate(template = "") {
+    return String(template).replace(VARIABLE_PATTERN, (_, path) =>
+      this.#stringify(this.#lookup(path))
+    );
+  }
+
+  // Fills in the variables of every text field of a step, including header values.
+  // Header values are saved encrypted and are only decrypted here, right before the call.
+  #fillStep(step) {
+    const filled = {};
+    for (const [key, value] of Object.entries(step)) {
+      if (typeof value === "string") filled[key] = this.interpolate(value);
+      else if (key === "headers" && Array.isArray(value))
+        filled[key] = value.map((header) => ({
+          key: this.interpolate(header?.key),
+          value: this.interpolate(
+            header?.encrypted
+              ? new EncryptionManager().decrypt(header.value)
+              : header?.value
+          ),
+        }));
+      else filled[key] = value;
+    }
+    return filled;
+  }
+
+  #conditionMet({ variable, operator, value = "" }) {
+    const actual = this.#stringify(this.#lookup(variable)).trim();
+    const expected = this.interpolate(value).trim();
+    switch (operator) {
+      case "equals":
+        return actual === expected;
+      case "notEquals":
+        return actual !== expected;
+      case "contains":
+        return actual.toLowerCase().includes(expected.toLowerCase());
+      case "notContains":
+        return !actual.toLowerCase().includes(expected.toLowerCase());
+      case "greaterThan":
+        return Number(actual) > Number(expected);
+      case "lessThan":
+        return Number(actual) < Number(expected);
+      case "isEmpty":
+        return actual.length === 0;
+      case "isNotEmpty":
+        return actual.length > 0;
+      default:
+        throw new Error(`Unknown condition operator ${operator}.`);
+    }
+  }
+
+  async #runSteps(steps = []) {
+    let lastResult = null;
+    for (const step of steps) {
+      if (++this.#stepsRun > MAX_STEPS_PER_RUN)
+        throw new Error(
+          `The flow ran more than ${MAX_STEPS_PER_RUN} steps and was stopped.`
+        );
+
+      if (step.type === "condition") {
+        const branch = this.#conditionMet(step) ? step.then : step.else;
+        lastResult = (await this.#runSteps(branch ?? [])) ?? lastResult;
+        continue;
+      }
+
+      const { execute } = FLOW_STEPS[step.type];
+      try {
+        lastResult = await execute(this.#fillStep(step), this.context);
+      } catch (error) {
+        throw new Error(`The ${step.type} step failed. ${error.message}`);
+      }
+      if (step.resultVariable)
+        this.#variables[step.resultVariable] = lastResult;
+    }
+    return lastResult;
+  }
+
+  /**
+   * @param {Object} inputs - arguments the agent called the flow with
+   * @returns {Promise<string>} the flow output, or the result of the last step when no output is set
+   */
+  async run(inputs = {}) {
+    for (const input of this.config.inputs ?? []) {
+      this.#variables[input.name] = inputs?.[input.name] ?? input.default ?? "";
+    }
+
+    const lastResult = await this.#runSteps(this.config.steps);
+    if (this.config.output) return this.interpolate(this.config.output);
+    return this.#stringify(lastResult);
+  }
+}
+
+module.exports = { FlowExecutor };
@@ -0,0 +1,322 @@
+const fs = require("fs");
+const path = require("path");
+const { v4 } = require("uuid");
+const { safeJsonParse } = require("../http");
+const { FLOW_STEPS, CONDITION_OPERATORS } = require("./steps");
+const { FlowExecutor } = require("./executor");
+const { EncryptionManager } = require("../EncryptionManager");
+
+const VALID_UUID = /^[a-f0-9-]{36}$/;
+// Dots are left out since they read nested values, eg: `{{response.data}}`.
+const VALID_VARIABLE = /^[a-zA-Z_][a-zA-Z0-9_-]*$/;
+
+/**
+ * @typedef {Object} AgentFlowConfig
+ * @property {string} name
+ * @property {string} description - tells the agent when to run the flow
+ * @property {boolean} active - only active flows are given to agents
+ * @property {{name: string, description?: string, required?: boolean, default?: string}[]} inputs
+ * - arguments the agent fills in when it runs the flow
+ * @property {Object[]} steps - see `FLOW_STEPS` for the types and their fields,
+ * header values of HTTP calls are saved encrypted and marked with `encrypted: true`
+ * @property {string} [output] - what the flow returns to the agent, defaults to the last step result
+ */
+
+/**
+ * Agent flows are automations admins build in the flow builder from fixed steps.
+ * Each flow is saved as `<uuid>.json` in `storage/plugins/agent-flows` and is
+ * given to agents as a single function that runs every step in order.
+ */
+class AgentFlows {
+  // Flows are referenced as `@@flow_<uuid>` in agent function lists, the `@@` is
+  // stripped by aibitat like it is for imported skills.
+  static prefix = "@@flow_";
+
+  static flowsPath() {
+    return process.env.NODE_ENV === "development"
+      ? path.resolve(__dirname, `../../storage/plugins/agent-flows`)
+      : path.resolve(process.env.STORAGE_DIR, `plugins`, `agent-flows`);
+  }
+
+  static isAgentFlow(name = "") {
+    return String(name).startsWith(this.prefix);
+  }
+
+  static checkFlowFolderExists() {
+    const folder = this.flowsPath();
+    if (!fs.existsSync(folder)) fs.mkdirSync(folder, { recursive: true });
+    return folder;
+  }
+
+  /**
+   * @param {Object[]} steps
+   * @returns {boolean} whether any step, including ones in branches, has side effects
+   */
+  static hasSideEffects(steps = []) {
+    return steps.some(
+      (step) =>
+        FLOW_STEPS[step?.type]?.sideEffects ||
+        this.hasSideEffects(step?.then ?? []) ||
+        this.hasSideEffects(step?.else ?? [])
+    );
+  }
+
+  /**
+   * @param {AgentFlowConfig} config
+   * @returns {string|null} the first problem found with the flow
+   */
+  static validate(config = {}) {
+    if (typeof config?.name !== "string" || !config.name.trim())
+      return "The flow must have a name.";
+    if (typeof config.description !== "string" || !config.description.trim())
+      return "The flow must have a description so agents know when to use it.";
+
+    const inputs = config.inputs ?? [];
+    if (!Array.isArray(inputs)) return "Inputs must be a list.";
+    for (const input of inputs) {
+      if (!VALID_VARIABLE.test(input?.name ?? ""))
+        return `Input "${input?.name}" can only contain letters, numbers, dashes and underscores.`;
+    }
+
+    if (!Array.isArray(config.steps) || config.steps.length === 0)
+      return "The flow must have at least one step.";
+    return validateSteps(config.steps);
+  }
+
+  /**
+   * @returns {{uuid: string, name: string, description: string, active: boolean, steps: number, sideEffects: boolean}[]}
+   */
+  static listFlows() {
+    const folder = this.checkFlowFolderExists();
+    const flows = [];
+    for (const file of fs.readdirSync(folder)) {
+      if (path.extname(file) !== ".json") continue;
+      const flow = this.loadFlow(path.basename(file, ".json"));
+      if (!flow) continue;
+      flows.push({
+        uuid: flow.uuid,
+        name: flow.config.name,
+        description: flow.config.description,
+        active: flow.config.active !== false,
+        steps: flow.config.steps?.length ?? 0,
+        sideEffects: this.hasSideEffects(flow.config.steps),
+      });
+    }
+    return flows.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * @param {string} uuid
+   * @returns {{uuid: string, config: AgentFlowConfig}|null}
+   */
+  static loadFlow(uuid = "") {
+    if (!VALID_UUID.test(uuid)) return null;
+    const flowPath = path.resolve(this.flowsPath(), `${uuid}.json`);
+    if (!fs.existsSync(flowPath)) return null;
+    const config = safeJsonParse(fs.readFileSync(flowPath, "utf8"), null);
+    if (!config || typeof config !== "object") return null;
+    return { uuid, config };
+  }
+
+  /**
+   * @param {AgentFlowConfig} config
+   * @param {string|null} uuid - uuid of the flow to overwrite, a new flow is made when empty
+   * @returns {{flow: {uuid: string, config: AgentFlowConfig}|null, error: string|null}}
+   */
+  static saveFlow(config = {}, uuid = null) {
+    if (uuid && !this.loadFlow(uuid))
+      return { flow: null, error: "Flow not found." };
+    const error = this.validate(config);
+    if (error) return { flow: null, error };
+
+    const flow = {
+      uuid: uuid || v4(),
+      config: {
+        name: config.name.trim(),
+        description: config.description.trim(),
+        active: config.active !== false,
+        inputs: config.inputs ?? [],
+        steps: encryptHeaders(config.steps),
+        output: config.output || "",
+      },
+    };
+    fs.writeFileSync(
+      path.resolve(this.checkFlowFolderExists(), `${flow.uuid}.json`),
+      JSON.stringify(flow.config, null, 2),
+      "utf8"
+    );
+    return { flow, error: null };
+  }
+
+  /**
+   * Encrypts the header values of flows saved before headers were encrypted.
+   */
+  static encryptStoredHeaders() {
+    try {
+      const folder = this.checkFlowFolderExists();
+      for (const file of fs.readdirSync(folder)) {
+        if (path.extname(file) !== ".json") continue;
+        const flow = this.loadFlow(path.basename(file, ".json"));
+        if (!flow || !hasPlainHeaders(flow.config.steps)) continue;
+        this.saveFlow(flow.config, flow.uuid);
+      }
+    } catch (e) {
+      console.error(
+        `\x1b[33m[AgentFlows]\x1b[0m Could not encrypt flow headers: ${e.message}`
+      );
+    }
+  }
+
+  static deleteFlow(uuid = "") {
+    if (!this.loadFlow(uuid)) return false;
+    fs.rmSync(path.resolve(this.flowsPath(), `${uuid}.json`));
+    return true;
+  }
+
+  /**
+   * @returns {string[]} `@@flow_<uuid>` names of the flows agents can use
+   */
+  static activeFlowNames() {
+    return this.listFlows()
+      .filter((flow) => flow.active)
+      .map((flow) => `${this.prefix}${flow.uuid}`);
+  }
+
+  /**
+   * Builds an aibitat plugin that runs the flow as one function call.
+   * @param {string} name - the `@@flow_<uuid>` name
+   * @returns {{name: string, setup: Function}|null} null when the flow does not exist or is invalid
+   */
+  static load(name = "") {
+    if (!this.isAgentFlow(name)) return null;
+    const flow = this.loadFlow(name.slice(this.prefix.length));
+    if (!flow) return null;
+    const error = this.validate(flow.config);
+    if (error) {
+      console.log(
+        `\x1b[33m[AgentFlows]\x1b[0m Skipping ${flow.config.name} flow: ${error}`
+      );
+      return null;
+    }
+
+    const { config } = flow;
+    const inputs = config.inputs ?? [];
+    const sideEffects = this.hasSideEffects(config.steps);
+    return {
+      name,
+      setup(aibitat) {
+        aibitat.function({
+          super: aibitat,
+          name: name.slice(2),
+          sideEffects: () => sideEffects,
+          description: config.description,
+          parameters: {
+            $schema: "http://json-schema.org/draft-07/schema#",
+            type: "object",
+            properties: Object.fromEntries(
+              inputs.map((input) => [
+                input.name,
+                {
+                  type: "string",
+                  description: input.description || input.name,
+                },
+              ])
+            ),
+            required: inputs
+              .filter((input) => input.required)
+              .map((input) => input.name),
+            additionalProperties: false,
+          },
+          handler: async function (args = {}) {
+            try {
+              this.super.introspect(
+                `${this.caller}: Running the ${config.name} flow.`
+              );
+              return await new FlowExecutor(config, {
+                aibitat: this.super,
+                introspect: (text) =>
+                  this.super.introspect(`${this.caller}: ${text}`),
+              }).run(args ?? {});
+            } catch (error) {
+              return `The ${config.name} flow could not finish. Let the user know this was the error: ${error.message}`;
+            }
+          },
+        });
+      },
+    };
+  }
+}
+
+/**
+ * Encrypts header values that are not encrypted yet, values the flow builder
+ * sends back unchanged are already encrypted and kept as they are.
+ * @param {Object[]} steps
+ * @returns {Object[]}
+ */
+function encryptHeaders(steps = []) {
+  return steps.map((step) => {
+    const encrypted = { ...step };
+    if (Array.isArray(step.headers))
+      encrypted.headers = step.headers.map((header) =>
+        header?.encrypted || !header?.value
+          ? header
+          : {
+              key: header.key,
+              value: new EncryptionManager().encrypt(String(header.value)),
+              encrypted: true,
+            }
+      );
+    for (const branch of ["then", "else"])
+      if (Array.isArray(step[branch]))
+        encrypted[branch] = encryptHeaders(step[branch]);
+    return encrypted;
+  });
+}
+
+/**
+ * @param {Object[]} steps
+ * @returns {boolean} whether any step, including ones in branches, has a plain text header value
+ */
+function hasPlainHeaders(steps = []) {
+  return (steps ?? []).some(
+    (step) =>
+      (step?.headers ?? []).some(
+        (header) => header?.value && !header.encrypted
+      ) ||
+      hasPlainHeaders(step?.then) ||
+      hasPlainHeaders(step?.else)
+  );
+}
+
+/**
+ * @param {Object[]} steps
+ * @returns {string|null}
+ */
+function validateSteps(steps = []) {
+  for (const [index, step] of steps.entries()) {
+    const label = `Step ${index + 1}`;
+    const definition = FLOW_STEPS[step?.type];
+    if (!definition) return `${label} has an unknown type ${step?.type}.`;
+
+    for (const field of definition.fields) {
+      if (typeof step[field] !== "string" || !step[field].trim())
+        return `${label} (${step.type}) is missing ${field}.`;
+    }
+    if (step.resultVariable && !VALID_VARIABLE.test(step.resultVariable))
+      return `${label} result variable can only contain letters, numbers, dashes and underscores.`;
+
+    if (step.type !== "condition") continue;
+    if (!CONDITION_OPERATORS.includes(step.operator))
+      return `${label} has an unknown operator ${step.operator}.`;
+    for (const branch of ["then", "else"]) {
+      if (step[branch] === undefined) continue;
+      if (!Array.isArray(step[branch]))
+        return `${label} ${branch} branch must be a list of steps.`;
+      const error = validateSteps(step[branch]);
+      if (error) return `${label} ${branch} branch: ${error}`;
+    }
+  }
+  return null;
+}
+
+module.exports = { AgentFlows };
@@ -0,0 +1,196 @@
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const { safeJsonParse } = require("../../http");
+
+const METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+const TIMEOUT_MS = 30_000;
+const MAX_REDIRECTS = 5;
+// Responses are kept in memory and handed to the next steps and the LLM.
+const MAX_RESPONSE_BYTES = 2 * 1024 * 1024;
+
+// Flows are run by agents with arguments from the chat, so calls may only reach
+// public addresses and never the server itself or the network it runs in.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+].forEach(([network, prefix]) =>
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4")
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([network, prefix]) =>
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6")
+);
+
+/**
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} whether the address is private, loopback, link-local or otherwise not public
+ */
+function isBlockedAddress(address = "") {
+  // IPv4 addresses mapped into IPv6 (::ffff:127.0.0.1 or ::ffff:7f00:1) are checked as IPv4.
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isBlockedAddress(mapped[1]);
+  const hexMapped = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(address);
+  if (hexMapped) {
+    const [high, low] = [hexMapped[1], hexMapped[2]].map((hex) =>
+      parseInt(hex, 16)
+    );
+    return isBlockedAddress(
+      [high >> 8, high & 255, low >> 8, low & 255].join(".")
+    );
+  }
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+/**
+ * dns.lookup that refuses hosts resolving to a blocked address. It is used as the
+ * socket lookup so the address that is connected to is the one that was checked.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    const blocked = addresses.find((entry) => isBlockedAddress(entry.address));
+    if (blocked)
+      return callback(
+        new Error(
+          `${hostname} resolves to ${blocked.address} which is not a public address.`
+        )
+      );
+    callback(null, address, family);
+  });
+}
+
+/**
+ * @param {string} url
+ * @returns {URL}
+ */
+function publicURL(url = "") {
+  let destination;
+  try {
+    destination = new URL(url);
+  } catch {
+    throw new Error(`${url} is not a valid URL.`);
+  }
+  if (!["http:", "https:"].includes(destination.protocol))
+    throw new Error(`${destination.protocol} URLs are not supported.`);
+
+  // IP literals skip the lookup so they are checked here.
+  const hostname = destination.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(hostname) && isBlockedAddress(hostname))
+    throw new Error(`${hostname} is not a public address.`);
+  return destination;
+}
+
+/**
+ * Bodies over `MAX_RESPONSE_BYTES` are not read further and the call fails.
+ * @returns {Promise<{status: number, headers: Object, text: string}>}
+ */
+function request(destination, { method, headers, body, signal }) {
+  const client = destination.protocol === "https:" ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.request(
+      destination,
+      { method, headers, signal, lookup: publicLookup },
+      (res) => {
+        const chunks = [];
+        let received = 0;
+        res.on("data", (chunk) => {
+          received += chunk.length;
+          if (received > MAX_RESPONSE_BYTES) {
+            req.destroy();
+            return reject(
+              new Error(
+                `${destination.host} responded with more than ${MAX_RESPONSE_BYTES / 1024 / 1024}MB.`
+              )
+            );
+          }
+          chunks.push(chunk);
+        });
+        res.on("error", reject);
+        res.on("end", () =>
+          resolve({
+            status: res.statusCode,
+            headers: res.headers,
+            text: Buffer.concat(chunks).toString("utf8"),
+          })
+        );
+      }
+    );
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Calls an HTTP endpoint. JSON responses are parsed so later steps can use
+ * their fields like `{{response.data.id}}`.
+ * Only public addresses can be called, redirects are followed and checked the same way.
+ * @param {{method?: string, url: string, headers?: {key: string, value: string}[], body?: string}} step
+ * @param {import("../executor").FlowContext} context
+ * @returns {Promise<Object|string>}
+ */
+async function httpCall(
+  { method = "GET", url, headers = [], body = "" },
+  { introspect }
+) {
+  method = String(method).toUpperCase();
+  if (!METHODS.includes(method))
+    throw new Error(`${method} is not a supported HTTP method.`);
+
+  introspect(`Calling ${method} ${url}`);
+  const signal = AbortSignal.timeout(TIMEOUT_MS);
+  let destination = publicURL(url);
+  let options = {
+    method,
+    headers: Object.fromEntries(
+      headers.filter((h) => h?.key).map((h) => [h.key, h.value ?? ""])
+    ),
+    body: ["GET", "DELETE"].includes(method) || !body ? undefined : body,
+    signal,
+  };
+
+  let response = await request(destination, options);
+  for (
+    let hops = 0;
+    [301, 302, 303, 307, 308].includes(response.status) &&
+    response.headers.location;
+    hops++
+  ) {
+    if (hops >= MAX_REDIRECTS)
+      throw new Error(`${method} ${url} redirected too many times.`);
+    const next = publicURL(new URL(response.headers.location, destination));
+    // Headers often hold credentials, they are only sent again to the same origin.
+    if (next.origin !== destination.origin) options.headers = {};
+    if (response.status === 303)
+      options = { ...options, method: "GET", body: undefined };
+    destination = next;
+    response = await request(destination, options);
+  }
+
+  const { status, text } = response;
+  if (status < 200 || status >= 300)
+    throw new Error(
+      `${method} ${url} failed with status ${status}. ${text.slice(0, 500)}`
+    );
+  return safeJsonParse(text, text);
+}
+
+module.exports = { httpCall, METHODS };
@@ -0,0 +1,46 @@
+const { ragSearch } = require("./ragSearch");
+const { webScrape } = require("./webScrape");
+const { llmInstruction } = require("./llmInstruction");
+const { httpCall } = require("./httpCall");
+const { sqlQuery } = require("./sqlQuery");
+const { writeFile } = require("./writeFile");
+
+/**
+ * Step types a flow can be built from. `fields` are the step properties that
+ * must be set, `sideEffects` marks steps that change something outside the flow.
+ * Conditional branches are run by the executor itself.
+ */
+const FLOW_STEPS = {
+  ragSearch: { fields: ["query"], sideEffects: false, execute: ragSearch },
+  webScrape: { fields: ["url"], sideEffects: false, execute: webScrape },
+  llmInstruction: {
+    fields: ["instruction"],
+    sideEffects: false,
+    execute: llmInstruction,
+  },
+  httpCall: { fields: ["url"], sideEffects: true, execute: httpCall },
+  sqlQuery: {
+    fields: ["databaseId", "query"],
+    sideEffects: true,
+    execute: sqlQuery,
+  },
+  writeFile: {
+    fields: ["filename", "content"],
+    sideEffects: true,
+    execute: writeFile,
+  },
+  condition: { fields: ["variable", "operator"], sideEffects: false },
+};
+
+const CONDITION_OPERATORS = [
+  "equals",
+  "notEquals",
+  "contains",
+  "notContains",
+  "greaterThan",
+  "lessThan",
+  "isEmpty",
+  "isNotEmpty",
+];
+
+module.exports = { FLOW_STEPS, CONDITION_OPERATORS };
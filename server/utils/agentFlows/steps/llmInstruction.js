@@ -0,0 +1,22 @@
+/**
+ * Sends an instruction to the agent's LLM and returns its answer.
+ * Variables in the instruction are filled in before it is sent.
+ * @param {{instruction: string}} step
+ * @param {import("../executor").FlowContext} context
+ * @returns {Promise<string>}
+ */
+async function llmInstruction({ instruction }, { aibitat, introspect }) {
+  introspect(`Asking the LLM: ${instruction.slice(0, 120)}`);
+  const provider = aibitat.getProviderForConfig(aibitat.defaultProvider);
+  const { result } = await provider.complete([
+    {
+      role: "system",
+      content:
+        "Follow the instruction exactly. Reply only with the requested output and no introduction or explanation.",
+    },
+    { role: "user", content: instruction },
+  ]);
+  return result ?? "";
+}
+
+module.exports = { llmInstruction };
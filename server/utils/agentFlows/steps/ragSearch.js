@@ -0,0 +1,30 @@
+const { getVectorDbClass, getLLMProvider } = require("../../helpers");
+const { User } = require("../../../models/user");
+
+/**
+ * Searches the documents embedded in the workspace the agent is running in.
+ * @param {{query: string}} step
+ * @param {import("../executor").FlowContext} context
+ * @returns {Promise<string>} the matching document snippets
+ */
+async function ragSearch({ query }, { aibitat, introspect }) {
+  const { workspace, user_id } = aibitat.handlerProps.invocation;
+  introspect(`Searching the workspace documents for "${query}"`);
+
+  const user = user_id ? await User.get({ id: Number(user_id) }) : null;
+  const { contextTexts = [] } =
+    await getVectorDbClass().performSimilaritySearch({
+      namespace: workspace.slug,
+      input: query,
+      LLMConnector: getLLMProvider({
+        provider: workspace?.chatProvider,
+        model: workspace?.chatModel,
+      }),
+      topN: workspace?.topN ?? 4,
+      user,
+    });
+  if (contextTexts.length === 0) return "No relevant documents were found.";
+  return contextTexts.join("\n\n");
+}
+
+module.exports = { ragSearch };
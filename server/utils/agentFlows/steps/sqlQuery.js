@@ -0,0 +1,41 @@
+const {
+  DEFAULT_MAX_ROWS,
+  getDBClient,
+  limitQuery,
+  listSQLConnections,
+} = require("../../agents/aibitat/plugins/sql-agent/SQLConnectors");
+const {
+  checkReadOnlyQuery,
+} = require("../../agents/aibitat/plugins/sql-agent/guard");
+
+/**
+ * Runs a query on one of the SQL connections set up for the SQL agent skill.
+ * The same read-only guard, allowed tables and row limit as the SQL agent apply
+ * since flow inputs filled in by the agent can end up in the query.
+ * @param {{databaseId: string, query: string}} step
+ * @param {import("../executor").FlowContext} context
+ * @returns {Promise<Object[]>} the returned rows
+ */
+async function sqlQuery({ databaseId, query }, { introspect }) {
+  const databaseConfig = (await listSQLConnections()).find(
+    (db) => db.database_id === databaseId
+  );
+  if (!databaseConfig)
+    throw new Error(`No database connection for ${databaseId} was found.`);
+
+  const check = checkReadOnlyQuery(query, {
+    allowedTables: databaseConfig.allowedTables ?? [],
+  });
+  if (!check.ok) throw new Error(check.reason);
+
+  const maxRows = databaseConfig.maxRows || DEFAULT_MAX_ROWS;
+  introspect(`Running SQL on ${databaseId}: ${check.query}`);
+  const result = await getDBClient(
+    databaseConfig.engine,
+    databaseConfig
+  ).runQuery(limitQuery(databaseConfig.engine, check.query, maxRows));
+  if (result.error) throw new Error(result.error);
+  return result.rows.slice(0, maxRows);
+}
+
+module.exports = { sqlQuery };
@@ -0,0 +1,17 @@
+const { CollectorApi } = require("../../collectorApi");
+
+/**
+ * Collects the text content of a web page.
+ * @param {{url: string}} step
+ * @param {import("../executor").FlowContext} context
+ * @returns {Promise<string>}
+ */
+async function webScrape({ url }, { introspect }) {
+  introspect(`Scraping the content of ${url}`);
+  const { success, content } = await new CollectorApi().getLinkContent(url);
+  if (!success || !content)
+    throw new Error(`${url} could not be scraped or had no content.`);
+  return content;
+}
+
+module.exports = { webScrape };
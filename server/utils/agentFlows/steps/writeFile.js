@@ -0,0 +1,18 @@
+/**
+ * Sends a text file to the user's browser the same way the save-file-to-browser skill does.
+ * @param {{filename: string, content: string}} step
+ * @param {import("../executor").FlowContext} context
+ * @returns {Promise<string>}
+ */
+async function writeFile({ filename, content }, { aibitat, introspect }) {
+  introspect(`Saving file ${filename}`);
+  aibitat.socket.send("fileDownload", {
+    filename,
+    b64Content:
+      "data:text/plain;base64," +
+      Buffer.from(String(content), "utf8").toString("base64"),
+  });
+  return `${filename} was saved and downloaded to the user's browser.`;
+}
+
+module.exports = { writeFile };
@@ -22,6 +22,11 @@ class AIbitat {
   channels = new Map();
   functions = new Map();
 
+  // Approval policy (always, never, ask) of functions with side effects by function name.
+  approvalPolicies = {};
+  // Set by plugins that can ask the user to approve a function call (eg: websocket).
+  requestApproval = null;
+
   constructor(props = {}) {
     const {
       chats = [],
@@ -29,9 +34,11 @@ class AIbitat {
       maxRounds = 100,
       provider = "openai",
       handlerProps = {}, // Inherited props we can spread so aibitat can access.
+      approvalPolicies = {},
       ...rest
     } = props;
     this._chats = chats;
+    this.approvalPolicies = approvalPolicies;
     this.defaultInterrupt = interrupt;
     this.maxRounds = maxRounds;
     this.handlerProps = handlerProps;
@@ -494,6 +501,10 @@ Only return the role.
     if (this.agents.get(name)) {
       return name;
     }
+    // agents registered with their @handle as the node name
+    if (this.agents.get(`@${name}`)) {
+      return `@${name}`;
+    }
 
     // if the name is not in the nodes, return a random node
     return availableNodes[Math.floor(Math.random() * availableNodes.length)];
@@ -506,6 +517,8 @@ Only return the role.
    * eg: sql-agent:list-database-connections
    */
   #parseFunctionName(pluginName = "") {
+    // Imported plugins register their function without the `@@` prefix.
+    if (pluginName.startsWith("@@")) return pluginName.slice(2);
     if (!pluginName.includes("#")) return pluginName;
     return pluginName.split("#")[1];
   }
@@ -627,8 +640,7 @@ ${this.getHistory({ to: route.to })
         );
       }
 
-      const result = await fn.handler(args);
-      Telemetry.sendTelemetry("agent_tool_call", { tool: name }, null, true);
+      const result = await this.callFunction(name, args, fn.caller);
       return await this.handleExecution(
         provider,
         [
@@ -647,6 +659,72 @@ ${this.getHistory({ to: route.to })
     return completion?.result;
   }
 
+  /**
+   * Runs a registered function once its call is approved.
+   * @param {string} name The name of the function
+   * @param {Object} args The arguments the provider called it with
+   * @param {string} caller The agent calling the function
+   * @returns {Promise<string>} The function result or why it did not run
+   */
+  async callFunction(name, args = {}, caller = "agent") {
+    const fn = this.functions.get(name);
+    if (!fn) return `Function "${name}" not found.`;
+
+    fn.caller = caller;
+    const approval = await this.#approveFunctionCall(fn, args);
+    if (!approval.approved)
+      return `${approval.reason} Do not call this function again and let the user know it did not run.`;
+
+    const result = await fn.handler(approval.args);
+    Telemetry.sendTelemetry("agent_tool_call", { tool: name }, null, true);
+    return result;
+  }
+
+  /**
+   * Checks if a function call can run. Functions declare `sideEffects(args)` to say if a
+   * call changes anything, calls without side effects always run.
+   * Otherwise the policy decides: `always` runs, `never` is blocked and `ask` waits
+   * on the user through `requestApproval`, who can also edit the arguments.
+   *
+   * @param fn The function being called
+   * @param args The arguments the provider called it with
+   * @returns {Promise<{approved: boolean, args: Object, reason: string|null}>}
+   */
+  async #approveFunctionCall(fn, args = {}) {
+    const hasSideEffects = !!fn.sideEffects?.(args ?? {});
+    if (!hasSideEffects) return { approved: true, args, reason: null };
+
+    const policy = this.approvalPolicies[fn.name] ?? "ask";
+    if (policy === "always") return { approved: true, args, reason: null };
+    if (policy === "never")
+      return {
+        approved: false,
+        args,
+        reason: `An admin has blocked the ${fn.name} function from running.`,
+      };
+    if (typeof this.requestApproval !== "function")
+      return {
+        approved: false,
+        args,
+        reason: `The ${fn.name} function needs approval from the user, which cannot be given in this session.`,
+      };
+
+    this.introspect?.(`${fn.caller}: Waiting for approval to run ${fn.name}.`);
+    const decision = await this.requestApproval({
+      name: fn.name,
+      caller: fn.caller,
+      description: fn.description,
+      args: args ?? {},
+    });
+    if (!decision?.approved)
+      return {
+        approved: false,
+        args,
+        reason: `The user denied running the ${fn.name} function.`,
+      };
+    return { approved: true, args: decision.args ?? args, reason: null };
+  }
+
   /**
    * Continue the chat from the last interruption.
    * If the last chat was not an interruption, it will throw an error.
@@ -0,0 +1,140 @@
+const { SystemSettings } = require("../../../../../../models/systemSettings");
+const { EncryptionManager } = require("../../../../../EncryptionManager");
+const { safeJsonParse } = require("../../../../../http");
+
+const HTTP_METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+// Caps how much of a spec is stored so huge specs do not bloat the agent prompt.
+const MAX_OPERATIONS = 200;
+
+/**
+ * @typedef {Object} APIParameter
+ * @property {string} name
+ * @property {('path'|'query'|'header')} in - where the value is sent
+ * @property {boolean} required
+ * @property {string} description
+ */
+
+/**
+ * @typedef {Object} APIOperation
+ * @property {string} operationId - Unique identifier of the operation in its API
+ * @property {string} method - Upper-cased HTTP method
+ * @property {string} path - Path relative to the API base URL, eg: /users/{id}
+ * @property {string} summary
+ * @property {APIParameter[]} parameters
+ * @property {boolean} hasBody - Whether the operation takes a request body
+ */
+
+/**
+ * A registered API the agent can call
+ * @typedef {Object} APIConnection
+ * @property {string} api_id - Unique identifier of the API connection
+ * @property {string} baseUrl - Every call is sent to a path under this URL
+ * @property {string} description - Tells the agent what the API is for
+ * @property {string|null} authHeaderName - eg: Authorization
+ * @property {string|null} authHeaderValue - Header value encrypted with the EncryptionManager
+ * @property {APIOperation[]} operations - Operations imported from an OpenAPI spec
+ */
+
+/**
+ * Lists all of the known API connections that can be used by the agent.
+ * @returns {Promise<APIConnection[]>}
+ */
+async function listAPIConnections() {
+  return safeJsonParse(
+    (await SystemSettings.get({ label: "agent_api_connections" }))?.value,
+    []
+  );
+}
+
+/**
+ * Decrypts the stored auth header of a connection so it can be sent with a call.
+ * @param {APIConnection} connection
+ * @returns {Object<string, string>}
+ */
+function authHeaders(connection = {}) {
+  if (!connection.authHeaderName || !connection.authHeaderValue) return {};
+  const value = new EncryptionManager().decrypt(connection.authHeaderValue);
+  if (!value) return {};
+  return { [connection.authHeaderName]: value };
+}
+
+/**
+ * Reads the operations out of an OpenAPI 3 or Swagger 2 spec in JSON.
+ * Parameters defined as a `$ref` are resolved against the spec itself.
+ * @param {string|Object} spec
+ * @returns {{operations: APIOperation[], baseUrl: string|null, description: string|null}}
+ */
+function parseOpenAPISpec(spec = null) {
+  const document = typeof spec === "string" ? safeJsonParse(spec, null) : spec;
+  if (!document || typeof document !== "object" || !document.paths)
+    throw new Error("The OpenAPI spec must be a JSON document with paths.");
+
+  const resolve = (item) => {
+    if (!item?.$ref || !item.$ref.startsWith("#/")) return item;
+    return item.$ref
+      .slice(2)
+      .split("/")
+      .reduce((value, key) => value?.[key], document);
+  };
+
+  const operations = [];
+  for (const [path, pathItem] of Object.entries(document.paths)) {
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem?.[method.toLowerCase()];
+      if (!operation) continue;
+
+      const parameters = [
+        ...(pathItem.parameters ?? []),
+        ...(operation.parameters ?? []),
+      ]
+        .map(resolve)
+        .filter((param) => ["path", "query", "header"].includes(param?.in))
+        .map((param) => ({
+          name: param.name,
+          in: param.in,
+          required: param.in === "path" || !!param.required,
+          description: String(param.description ?? "").slice(0, 200),
+        }));
+
+      operations.push({
+        operationId:
+          operation.operationId ||
+          `${method.toLowerCase()}${path.replace(/[^a-zA-Z0-9]+/g, "_")}`,
+        method,
+        path,
+        summary: String(operation.summary ?? operation.description ?? "").slice(
+          0,
+          300
+        ),
+        parameters,
+        // Swagger 2 describes bodies as `body` or `formData` parameters.
+        hasBody:
+          !!operation.requestBody ||
+          (operation.parameters ?? []).some((param) =>
+            ["body", "formData"].includes(resolve(param)?.in)
+          ),
+      });
+      if (operations.length >= MAX_OPERATIONS) break;
+    }
+    if (operations.length >= MAX_OPERATIONS) break;
+  }
+
+  let baseUrl = document.servers?.[0]?.url ?? null;
+  if (!baseUrl && document.host)
+    baseUrl = `${document.schemes?.[0] ?? "https"}://${document.host}${
+      document.basePath ?? ""
+    }`;
+
+  return {
+    operations,
+    baseUrl,
+    description: document.info?.description || document.info?.title || null,
+  };
+}
+
+module.exports = {
+  HTTP_METHODS,
+  authHeaders,
+  listAPIConnections,
+  parseOpenAPISpec,
+};
@@ -0,0 +1,314 @@
+const Provider = require("../../providers/ai-provider");
+const { summarizeContent } = require("../../utils/summarize");
+
+const TIMEOUT_MS = 30_000;
+const MAX_REDIRECTS = 5;
+const READ_ONLY_METHODS = ["GET", "HEAD"];
+
+/**
+ * Whether a URL is under the base URL of an API, the only place its credentials are sent.
+ * @param {string} baseUrl
+ * @param {URL} url
+ * @returns {boolean}
+ */
+function underBaseUrl(baseUrl, url) {
+  const base = new URL(baseUrl);
+  const basePath = base.pathname.replace(/\/+$/, "");
+  return url.origin === base.origin && url.pathname.startsWith(`${basePath}/`);
+}
+
+module.exports.ApiCallOperation = {
+  name: "api-call-operation",
+  plugin: function () {
+    const {
+      HTTP_METHODS,
+      authHeaders,
+      listAPIConnections,
+    } = require("./APIConnections");
+
+    return {
+      name: "api-call-operation",
+      setup(aibitat) {
+        aibitat.function({
+          super: aibitat,
+          name: this.name,
+          controller: new AbortController(),
+          sideEffects: ({ method = "GET" } = {}) =>
+            !READ_ONLY_METHODS.includes(String(method).toUpperCase()),
+          description:
+            "Call an operation of a registered REST API by its `api_id`. Use the `operation_id`, method and path returned by the API listing and fill in its parameters. Path parameters are put into the path, the other parameters are sent as the query string. Authentication is added for you.",
+          examples: [
+            {
+              prompt: "Look up the customer with id 42 in billing.",
+              call: JSON.stringify({
+                api_id: "billing",
+                operation_id: "getCustomer",
+                method: "GET",
+                path: "/customers/{customerId}",
+                parameters: { customerId: "42" },
+              }),
+            },
+            {
+              prompt:
+                "Open a ticket in the helpdesk saying the printer is out of ink.",
+              call: JSON.stringify({
+                api_id: "helpdesk",
+                operation_id: "createTicket",
+                method: "POST",
+                path: "/tickets",
+                body: { title: "Printer is out of ink", priority: "low" },
+              }),
+            },
+          ],
+          parameters: {
+            $schema: "http://json-schema.org/draft-07/schema#",
+            type: "object",
+            properties: {
+              api_id: {
+                type: "string",
+                description: "The identifier of the API to call.",
+              },
+              operation_id: {
+                type: "string",
+                description:
+                  "The identifier of the operation to call, when the API lists operations.",
+              },
+              method: {
+                type: "string",
+                enum: HTTP_METHODS,
+                description: "The HTTP method of the operation.",
+              },
+              path: {
+                type: "string",
+                description:
+                  "The path of the operation relative to the API, eg: /users/{id}",
+              },
+              parameters: {
+                type: "object",
+                description:
+                  "Values of the path, query and header parameters by name.",
+              },
+              body: {
+                type: ["object", "array", "string"],
+                description:
+                  "The JSON request body, only for operations that take one.",
+              },
+            },
+            required: ["api_id", "method", "path"],
+            additionalProperties: false,
+          },
+          handler: async function ({
+            api_id = "",
+            operation_id = null,
+            method = "GET",
+            path = "",
+            parameters = {},
+            body = null,
+          }) {
+            this.super.handlerProps.log(`Using the api-call-operation tool.`);
+            try {
+              const connection = (await listAPIConnections()).find(
+                (api) => api.api_id === api_id
+              );
+              if (!connection) {
+                this.super.handlerProps.log(
+                  `api-call-operation failed to find config!`,
+                  api_id
+                );
+                return `No API connection for ${api_id} was found!`;
+              }
+
+              const operation = this.findOperation(connection, {
+                operation_id,
+                method,
+                path,
+              });
+              const request = this.buildRequest(connection, operation, {
+                parameters: parameters ?? {},
+                body,
+              });
+
+              this.super.introspect(
+                `${this.caller}: Calling ${request.method} ${request.url.pathname} on ${api_id}.`
+              );
+              const response = await this.send(connection, request);
+
+              const content = await response.text();
+              if (!response.ok) {
+                this.super.introspect(
+                  `${this.caller}: ${api_id} responded with status ${response.status}.`
+                );
+                return `The API responded with status ${response.status}. ${content.slice(0, 1_000)}`;
+              }
+              if (!content)
+                return `The API responded with status ${response.status} and no content.`;
+              return await this.summarizeIfLong(content);
+            } catch (e) {
+              this.super.handlerProps.log(
+                `api-call-operation tool reported error`,
+                e.message
+              );
+              return `There was an error calling the API. Let the user know this was the error: ${e.message}`;
+            }
+          },
+
+          /**
+           * APIs with imported operations can only be called on those operations.
+           * The method has to match so approval policies see the real method.
+           * @returns {import("./APIConnections").APIOperation}
+           */
+          findOperation: function (connection, { operation_id, method, path }) {
+            method = String(method).toUpperCase();
+            if (!HTTP_METHODS.includes(method))
+              throw new Error(`${method} is not a supported HTTP method.`);
+            if (!connection.operations?.length)
+              return { method, path, parameters: [] };
+
+            const operation = connection.operations.find((op) =>
+              operation_id
+                ? op.operationId === operation_id
+                : op.method === method && op.path === path
+            );
+            if (!operation)
+              throw new Error(
+                `${connection.api_id} has no operation ${operation_id || `${method} ${path}`}.`
+              );
+            if (operation.method !== method)
+              throw new Error(
+                `${operation.operationId} must be called with ${operation.method}.`
+              );
+            return operation;
+          },
+
+          /**
+           * Fills in the path, query and headers of a call and makes sure it stays
+           * under the API base URL so credentials are never sent anywhere else.
+           * @returns {{method: string, url: URL, headers: Object, body?: string}}
+           */
+          buildRequest: function (connection, operation, { parameters, body }) {
+            const values = { ...parameters };
+            const declared = Object.fromEntries(
+              operation.parameters.map((param) => [param.name, param.in])
+            );
+
+            const filledPath = operation.path.replace(
+              /\{([^}]+)\}/g,
+              (_, name) => {
+                if (values[name] === undefined || values[name] === null)
+                  throw new Error(`Missing the ${name} path parameter.`);
+                const value = encodeURIComponent(String(values[name]));
+                delete values[name];
+                return value;
+              }
+            );
+
+            const baseUrl = new URL(connection.baseUrl);
+            const basePath = baseUrl.pathname.replace(/\/+$/, "");
+            const url = new URL(
+              `${basePath}/${filledPath.replace(/^\/+/, "")}`,
+              baseUrl.origin
+            );
+            if (!underBaseUrl(connection.baseUrl, url))
+              throw new Error(
+                `The path must stay under ${connection.baseUrl}.`
+              );
+
+            const headers = { Accept: "application/json" };
+            for (const [name, value] of Object.entries(values)) {
+              if (declared[name] === "header") headers[name] = String(value);
+              else url.searchParams.append(name, String(value));
+            }
+            Object.assign(headers, authHeaders(connection));
+
+            const request = { method: operation.method, url, headers };
+            if (
+              body !== null &&
+              body !== undefined &&
+              !READ_ONLY_METHODS.includes(operation.method)
+            ) {
+              request.body =
+                typeof body === "string" ? body : JSON.stringify(body);
+              headers["Content-Type"] = "application/json";
+            }
+            return request;
+          },
+
+          /**
+           * Sends a call and follows its redirects by hand, as fetch would keep sending
+           * the credentials wherever the API redirects to. Once a redirect leaves the
+           * API base URL only the Accept and Content-Type headers are sent.
+           * @returns {Promise<Response>}
+           */
+          send: async function (connection, { method, url, headers, body }) {
+            const signal = AbortSignal.timeout(TIMEOUT_MS);
+            for (let hops = 0; ; hops++) {
+              const response = await fetch(url, {
+                method,
+                headers,
+                body,
+                signal,
+                redirect: "manual",
+              });
+              const location = response.headers.get("location");
+              if (
+                ![301, 302, 303, 307, 308].includes(response.status) ||
+                !location
+              )
+                return response;
+              if (hops >= MAX_REDIRECTS)
+                throw new Error(
+                  `${connection.api_id} redirected too many times.`
+                );
+
+              await response.body?.cancel();
+              url = new URL(location, url);
+              if (!["http:", "https:"].includes(url.protocol))
+                throw new Error(
+                  `${connection.api_id} redirected to an unsupported URL.`
+                );
+              if (response.status === 303) {
+                method = "GET";
+                body = undefined;
+              }
+              if (!underBaseUrl(connection.baseUrl, url))
+                headers = {
+                  Accept: "application/json",
+                  ...(body === undefined
+                    ? {}
+                    : { "Content-Type": "application/json" }),
+                };
+            }
+          },
+
+          // Long responses are summarized the same way scraped pages are.
+          summarizeIfLong: async function (content) {
+            const { TokenManager } = require("../../../../helpers/tiktoken");
+            if (
+              new TokenManager(this.super.model).countFromString(content) <
+              Provider.contextLimit(this.super.provider, this.super.model)
+            ) {
+              return content;
+            }
+
+            this.super.introspect(
+              `${this.caller}: The response is way too long. I will summarize it right now.`
+            );
+            this.super.onAbort(() => {
+              this.super.handlerProps.log(
+                "Abort was triggered, exiting summarization early."
+              );
+              this.controller.abort();
+            });
+
+            return summarizeContent({
+              provider: this.super.provider,
+              model: this.super.model,
+              controllerSignal: this.controller.signal,
+              content,
+            });
+          },
+        });
+      },
+    };
+  },
+};
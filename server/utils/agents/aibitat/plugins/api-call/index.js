@@ -0,0 +1,14 @@
+const { ApiCallListApis } = require("./list-apis");
+const { ApiCallOperation } = require("./call-operation");
+
+const apiCall = {
+  name: "api-call",
+  startupConfig: {
+    params: {},
+  },
+  plugin: [ApiCallListApis, ApiCallOperation],
+};
+
+module.exports = {
+  apiCall,
+};
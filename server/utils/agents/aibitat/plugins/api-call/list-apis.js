@@ -0,0 +1,50 @@
+module.exports.ApiCallListApis = {
+  name: "api-list-apis",
+  plugin: function () {
+    const { listAPIConnections } = require("./APIConnections");
+    return {
+      name: "api-list-apis",
+      setup(aibitat) {
+        aibitat.function({
+          super: aibitat,
+          name: this.name,
+          description:
+            "List all of the registered REST APIs you can call and the operations they support. Returns a unique string identifier `api_id` for each API and the `operation_id`, method, path and parameters of each operation that can be used for future calls.",
+          examples: [
+            {
+              prompt: "What APIs can you access?",
+              call: JSON.stringify({}),
+            },
+            {
+              prompt: "Can you look up a customer in our billing system?",
+              call: JSON.stringify({}),
+            },
+          ],
+          parameters: {
+            $schema: "http://json-schema.org/draft-07/schema#",
+            type: "object",
+            properties: {},
+            additionalProperties: false,
+          },
+          handler: async function () {
+            this.super.handlerProps.log(`Using the api-list-apis tool.`);
+            this.super.introspect(
+              `${this.caller}: Checking what APIs are available.`
+            );
+
+            // Auth headers are left out, they are added to calls by the server.
+            const connections = (await listAPIConnections()).map(
+              ({ api_id, baseUrl, description, operations }) => ({
+                api_id,
+                baseUrl,
+                description,
+                operations,
+              })
+            );
+            return JSON.stringify(connections);
+          },
+        });
+      },
+    };
+  },
+};
@@ -1,4 +1,5 @@
 const { WorkspaceChats } = require("../../../../models/workspaceChats");
+const { AgentMemory } = require("../../../../models/agentMemory");
 
 /**
  * Plugin to save chat history to AnythingLLM DB.
@@ -22,6 +23,9 @@ const chatHistory = {
             // the USER and the last being from anyone other than the user.
             if (prev.from !== "USER" || last.from === "USER") return;
 
+            // Channel turns are saved as one transcript once the channel is done.
+            if (aibitat.channels.get(last.to)) return;
+
             // If we have a post-reply flow we should save the chat using this special flow
             // so that post save cleanup and other unique properties can be run as opposed to regular chat.
             if (aibitat.hasOwnProperty("_replySpecialAttributes")) {
@@ -40,10 +44,32 @@ const chatHistory = {
             });
           } catch {}
         });
+
+        aibitat.onTerminate(async () => {
+          try {
+            const promptIndex = aibitat.chats.findLastIndex(
+              (chat) => chat.from === "USER" && aibitat.channels.get(chat.to)
+            );
+            if (promptIndex === -1) return;
+
+            const prompt = aibitat.chats[promptIndex];
+            const turns = aibitat.chats
+              .slice(promptIndex + 1)
+              .filter((chat) => chat.to === prompt.to && chat.content);
+            if (turns.length === 0) return;
+
+            await this._store(aibitat, {
+              prompt: prompt.content,
+              response: turns
+                .map((chat) => `**${chat.from}**: ${chat.content}`)
+                .join("\n\n"),
+            });
+          } catch {}
+        });
       },
       _store: async function (aibitat, { prompt, response } = {}) {
         const invocation = aibitat.handlerProps.invocation;
-        await WorkspaceChats.new({
+        const { chat } = await WorkspaceChats.new({
           workspaceId: Number(invocation.workspace_id),
           prompt,
           response: {
@@ -54,13 +80,14 @@ const chatHistory = {
           user: { id: invocation?.user_id || null },
           threadId: invocation?.thread_id || null,
         });
+        await AgentMemory.linkToChat(invocation?.uuid, chat?.id);
       },
       _storeSpecial: async function (
         aibitat,
         { prompt, response, options = {} } = {}
       ) {
         const invocation = aibitat.handlerProps.invocation;
-        await WorkspaceChats.new({
+        const { chat } = await WorkspaceChats.new({
           workspaceId: Number(invocation.workspace_id),
           prompt,
           response: {
@@ -75,6 +102,7 @@ const chatHistory = {
           user: { id: invocation?.user_id || null },
           threadId: invocation?.thread_id || null,
         });
+        await AgentMemory.linkToChat(invocation?.uuid, chat?.id);
         options?.postSave();
       },
     };
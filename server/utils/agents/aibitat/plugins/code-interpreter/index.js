@@ -0,0 +1,155 @@
+const path = require("path");
+const { Document } = require("../../../../../models/documents");
+const { User } = require("../../../../../models/user");
+const { CodeSandbox, TIMEOUT_MS } = require("./sandbox");
+
+const MIME_TYPES = {
+  ".csv": "text/csv",
+  ".html": "text/html",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".json": "application/json",
+  ".md": "text/markdown",
+  ".pdf": "application/pdf",
+  ".png": "image/png",
+  ".svg": "image/svg+xml",
+  ".txt": "text/plain",
+};
+
+const codeInterpreter = {
+  name: "code-interpreter",
+  startupConfig: {
+    params: {},
+  },
+  plugin: function () {
+    return {
+      name: this.name,
+      setup(aibitat) {
+        if (!CodeSandbox.available()) {
+          aibitat.handlerProps.log(
+            `Skipping code-interpreter: ${CodeSandbox.isolationError()}`
+          );
+          return;
+        }
+
+        aibitat.function({
+          super: aibitat,
+          name: this.name,
+          sideEffects: () => true,
+          description: `Run ${CodeSandbox.languages.join(" or ")} code in a sandbox to calculate, analyze data or generate files. The sandbox has no network access and stops after ${TIMEOUT_MS / 1_000} seconds. Print results to stdout. The text of the workspace documents is in the \`files/\` folder and any file written to the \`output/\` folder is downloaded for the user. In JavaScript use \`readFile(path)\`, \`writeFile(path, content)\` and \`listFiles(folder)\` to work with files, top level await is supported.`,
+          examples: [
+            {
+              prompt:
+                "What is the compound interest on 5000 at 4% over 12 years?",
+              call: JSON.stringify({
+                language: "javascript",
+                code: "console.log((5000 * Math.pow(1.04, 12) - 5000).toFixed(2));",
+              }),
+            },
+            {
+              prompt:
+                "Turn the totals in sales.csv into a JSON file I can download.",
+              call: JSON.stringify({
+                language: "javascript",
+                code: "const rows = readFile('files/sales.csv').trim().split('\\n').map((line) => line.split(','));\nwriteFile('output/totals.json', JSON.stringify(rows));\nconsole.log(`Saved ${rows.length} rows.`);",
+              }),
+            },
+          ],
+          parameters: {
+            $schema: "http://json-schema.org/draft-07/schema#",
+            type: "object",
+            properties: {
+              language: {
+                type: "string",
+                enum: CodeSandbox.languages,
+                description: "The language the code is written in.",
+              },
+              code: {
+                type: "string",
+                description:
+                  "The complete program to run. Only what it prints is returned.",
+              },
+            },
+            required: ["language", "code"],
+            additionalProperties: false,
+          },
+          handler: async function ({ language = "javascript", code = "" }) {
+            try {
+              if (!code) return "No code was given so nothing was run.";
+              this.super.introspect(
+                `${this.caller}: Running ${language} code in the sandbox.`
+              );
+
+              const result = await CodeSandbox.run({
+                language,
+                code,
+                inputFiles: await this.workspaceFiles(),
+              });
+              for (const file of result.files) this.download(file);
+
+              if (result.timedOut)
+                this.super.introspect(
+                  `${this.caller}: The code took too long and was stopped.`
+                );
+              return JSON.stringify({
+                exitCode: result.exitCode,
+                timedOut: result.timedOut,
+                stdout: result.stdout,
+                stderr: result.stderr,
+                downloadedFiles: result.files.map((file) => file.filename),
+              });
+            } catch (error) {
+              this.super.handlerProps.log(
+                `code-interpreter raised an error. ${error.message}`
+              );
+              return `Let the user know the code could not be run. ${error.message}`;
+            }
+          },
+
+          /**
+           * Text of the workspace documents the invoking user can access.
+           * @returns {Promise<{filename: string, content: string}[]>}
+           */
+          workspaceFiles: async function () {
+            const { workspace_id, user_id } =
+              this.super.handlerProps.invocation ?? {};
+            if (!workspace_id) return [];
+
+            const user = user_id
+              ? await User.get({ id: Number(user_id) })
+              : null;
+            const documents = (
+              await Document.where({ workspaceId: workspace_id })
+            ).filter((document) => Document.canAccess(document, user));
+
+            const files = [];
+            for (const document of documents) {
+              const { title, content } = await Document.contentByDocPath(
+                document.docpath
+              );
+              if (content) files.push({ filename: title, content });
+            }
+            return files;
+          },
+
+          download: function ({ filename, content }) {
+            const mimeType =
+              MIME_TYPES[path.extname(filename).toLowerCase()] ??
+              "application/octet-stream";
+            this.super.socket.send("fileDownload", {
+              filename,
+              b64Content: `data:${mimeType};base64,${content.toString("base64")}`,
+            });
+            this.super.introspect(
+              `${this.caller}: Generated ${filename} for you to download.`
+            );
+          },
+        });
+      },
+    };
+  },
+};
+
+module.exports = {
+  codeInterpreter,
+};
@@ -0,0 +1,30 @@
+/**
+ * Runs `main.js` of a sandbox folder. Only run by `CodeSandbox` inside bubblewrap,
+ * never required by the server. Isolation comes from the sandbox around the process,
+ * this only adds file helpers relative to the sandbox folder and supports top level await.
+ */
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const SANDBOX = process.argv[2];
+
+function scoped(target = ".") {
+  return path.resolve(SANDBOX, String(target));
+}
+
+globalThis.readFile = (file, encoding = "utf8") =>
+  fs.readFileSync(scoped(file), encoding);
+globalThis.writeFile = (file, data) => {
+  fs.mkdirSync(path.dirname(scoped(file)), { recursive: true });
+  fs.writeFileSync(scoped(file), data);
+};
+globalThis.listFiles = (folder = ".") => fs.readdirSync(scoped(folder));
+
+const code = fs.readFileSync(path.join(SANDBOX, "main.js"), "utf8");
+vm.runInThisContext(`(async (require) => {\n${code}\n})`, {
+  filename: "main.js",
+})(require).catch((error) => {
+  console.error(error?.stack ?? String(error));
+  process.exitCode = 1;
+});
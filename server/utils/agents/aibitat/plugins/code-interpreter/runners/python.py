@@ -0,0 +1,15 @@
+"""
+Runs main.py of a sandbox folder. Only run by CodeSandbox inside bubblewrap.
+Isolation and the memory, file size and process limits come from the sandbox
+around the process, this only runs the code from the sandbox folder.
+"""
+import os
+import sys
+
+SANDBOX = sys.argv[1]
+
+os.chdir(SANDBOX)
+sys.path.insert(0, SANDBOX)
+with open(os.path.join(SANDBOX, "main.py"), encoding="utf-8") as main:
+    code = main.read()
+exec(compile(code, "main.py", "exec"), {"__name__": "__main__"})
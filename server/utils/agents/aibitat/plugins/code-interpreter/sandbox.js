@@ -0,0 +1,341 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+const { v4 } = require("uuid");
+const { seccompFilter } = require("./seccomp");
+
+const TIMEOUT_MS = 15_000;
+const MEMORY_LIMIT_MB = 256;
+const FILE_SIZE_LIMIT_MB = 50;
+const MAX_OUTPUT_CHARS = 20_000;
+const MAX_OUTPUT_FILES = 10;
+const MAX_OUTPUT_FILE_BYTES = 10 * 1024 * 1024;
+const MAX_INPUT_BYTES = 25 * 1024 * 1024;
+// Where the scratch folder and the runners are mounted inside the sandbox.
+const SANDBOX_DIR = "/sandbox";
+const RUNNER_DIR = "/runner";
+// System paths mounted read-only so the interpreters and their libraries can load.
+const SYSTEM_PATHS = [
+  "/usr",
+  "/lib",
+  "/lib64",
+  "/lib32",
+  "/bin",
+  "/sbin",
+  "/etc/alternatives",
+  "/etc/ld.so.cache",
+  "/etc/ld.so.conf",
+  "/etc/ld.so.conf.d",
+];
+
+const RUNNERS = {
+  javascript: { file: "javascript.js", main: "main.js" },
+  python: { file: "python.py", main: "main.py" },
+};
+
+/**
+ * @typedef {Object} SandboxFile
+ * @property {string} filename
+ * @property {Buffer} content
+ */
+
+/**
+ * @typedef {Object} SandboxResult
+ * @property {string} stdout
+ * @property {string} stderr
+ * @property {number|null} exitCode
+ * @property {boolean} timedOut - the run was stopped after `TIMEOUT_MS`
+ * @property {SandboxFile[]} files - files the code wrote to the `output` folder
+ */
+
+/**
+ * Runs code written by an agent in a throwaway scratch folder under bubblewrap (`bwrap`).
+ * The code runs as nobody in its own user, network, pid and ipc namespaces with a
+ * seccomp filter that also keeps it from starting processes, sees only read-only
+ * system folders and the scratch folder, gets no server environment variables and
+ * has time, memory and file size limits.
+ * Workspace files are copied into `files/`. Without bubblewrap nothing is run.
+ */
+class CodeSandbox {
+  /** @type {Promise<{isolationError: string|null, python: boolean}>|null} */
+  static #checking = null;
+  /** @type {{isolationError: string|null, python: boolean}|null} */
+  static #status = null;
+
+  static get languages() {
+    return this.#status?.python ? ["javascript", "python"] : ["javascript"];
+  }
+
+  /**
+   * Checks once, in the background, that bubblewrap can create the sandbox on this
+   * server and whether Python is installed. Bubblewrap is missing on most hosts unless
+   * installed and Docker blocks it unless the container is allowed to create user
+   * namespaces. Started at boot so the result is ready before anyone asks for it.
+   * @returns {Promise<{isolationError: string|null, python: boolean}>}
+   */
+  static check() {
+    if (!this.#checking) {
+      this.#checking = Promise.all([
+        this.#checkIsolation(),
+        this.#pythonAvailable(),
+      ]).then(([isolationError, python]) => {
+        this.#status = { isolationError, python };
+        return this.#status;
+      });
+    }
+    return this.#checking;
+  }
+
+  /**
+   * The result of `check` without waiting for it. Until it finishes code is not run.
+   * @returns {string|null} why code cannot be isolated, null when it can
+   */
+  static isolationError() {
+    if (this.#status) return this.#status.isolationError;
+    this.check();
+    return "The sandbox is still being checked, try again in a few seconds.";
+  }
+
+  static available() {
+    return this.isolationError() === null;
+  }
+
+  static async #checkIsolation() {
+    const folder = this.#scratchFolder();
+    try {
+      const { error, status, stderr } = await this.#settle(
+        this.#spawnIsolated(
+          folder,
+          this.#limited([process.execPath, "-e", ""])
+        ),
+        10_000
+      );
+      if (error) return `bubblewrap (bwrap) is not installed: ${error.message}`;
+      if (status !== 0)
+        return `bubblewrap (bwrap) could not create the sandbox: ${stderr.trim()}`;
+      return null;
+    } finally {
+      fs.rmSync(folder, { recursive: true, force: true });
+    }
+  }
+
+  static async #pythonAvailable() {
+    const { error, status } = await this.#settle(
+      spawn("python3", ["--version"], { stdio: "ignore" }),
+      5_000
+    );
+    return !error && status === 0;
+  }
+
+  /**
+   * Waits for a process to exit, killing it after `timeoutMs`.
+   * @param {import("child_process").ChildProcess} child
+   * @param {number} timeoutMs
+   * @returns {Promise<{error: Error|null, status: number|null, stderr: string}>}
+   */
+  static #settle(child, timeoutMs) {
+    return new Promise((resolve) => {
+      let stderr = "";
+      child.stderr?.on("data", (chunk) => (stderr += chunk.toString()));
+      const timer = setTimeout(() => child.kill("SIGKILL"), timeoutMs);
+      child.on("error", (error) => {
+        clearTimeout(timer);
+        resolve({ error, status: null, stderr });
+      });
+      child.on("close", (status) => {
+        clearTimeout(timer);
+        resolve({ error: null, status, stderr });
+      });
+    });
+  }
+
+  static #scratchFolder() {
+    return fs.realpathSync(
+      fs.mkdtempSync(
+        path.join(os.tmpdir(), `anythingllm-sandbox-${v4().slice(0, 8)}-`)
+      )
+    );
+  }
+
+  /**
+   * Sets the memory and file size limits of a command with `prlimit` before it starts so they
+   * apply to the interpreter and everything it allocates, including memory outside the JS heap.
+   * The data limit is used as interpreters reserve more address space than they use.
+   * @param {string[]} command
+   * @returns {string[]}
+   */
+  static #limited(command) {
+    return [
+      "prlimit",
+      `--data=${MEMORY_LIMIT_MB * 1024 * 1024}`,
+      `--fsize=${FILE_SIZE_LIMIT_MB * 1024 * 1024}`,
+      "--",
+      ...command,
+    ];
+  }
+
+  /**
+   * Runs a command inside bubblewrap with the scratch folder mounted at `SANDBOX_DIR`.
+   * The seccomp filter is handed to bwrap as fd 3.
+   * @param {string} folder - scratch folder
+   * @param {string[]} command - command and arguments to run in the sandbox
+   */
+  static #spawnIsolated(folder, [command, ...args]) {
+    const nodeDir = path.dirname(fs.realpathSync(process.execPath));
+    const filter = seccompFilter();
+    let filterFd = null;
+    if (filter) {
+      const filterPath = path.join(folder, ".seccomp");
+      fs.writeFileSync(filterPath, filter);
+      filterFd = fs.openSync(filterPath, "r");
+      fs.rmSync(filterPath);
+    }
+
+    try {
+      return spawn(
+        "bwrap",
+        [
+          "--unshare-all",
+          "--unshare-user",
+          "--uid",
+          "65534",
+          "--gid",
+          "65534",
+          "--hostname",
+          "sandbox",
+          "--die-with-parent",
+          "--new-session",
+          "--cap-drop",
+          "ALL",
+          ...SYSTEM_PATHS.flatMap((dir) => ["--ro-bind-try", dir, dir]),
+          ...(SYSTEM_PATHS.some((dir) => nodeDir.startsWith(`${dir}/`))
+            ? []
+            : ["--ro-bind", nodeDir, nodeDir]),
+          "--ro-bind",
+          path.resolve(__dirname, "runners"),
+          RUNNER_DIR,
+          "--bind",
+          folder,
+          SANDBOX_DIR,
+          "--proc",
+          "/proc",
+          "--dev",
+          "/dev",
+          "--chdir",
+          SANDBOX_DIR,
+          ...(filterFd === null ? [] : ["--seccomp", "3"]),
+          "--",
+          command,
+          ...args,
+        ],
+        {
+          cwd: folder,
+          env: {
+            PATH: `/usr/local/bin:/usr/bin:/bin:${nodeDir}`,
+            HOME: SANDBOX_DIR,
+            TMPDIR: SANDBOX_DIR,
+            LANG: "C.UTF-8",
+          },
+          stdio: ["ignore", "pipe", "pipe", filterFd ?? "ignore"],
+        }
+      );
+    } finally {
+      if (filterFd !== null) fs.closeSync(filterFd);
+    }
+  }
+
+  /**
+   * @param {{language: "javascript"|"python", code: string, inputFiles?: {filename: string, content: string}[]}} params
+   * @returns {Promise<SandboxResult>}
+   */
+  static async run({ language = "javascript", code = "", inputFiles = [] }) {
+    const runner = RUNNERS[language];
+    if (!runner || !this.languages.includes(language))
+      throw new Error(`${language} code cannot be run on this server.`);
+    if (!this.available())
+      throw new Error(
+        `Code cannot be run without a sandbox. ${this.isolationError()}`
+      );
+
+    const folder = this.#scratchFolder();
+    try {
+      fs.mkdirSync(path.join(folder, "files"));
+      fs.mkdirSync(path.join(folder, "output"));
+      fs.writeFileSync(path.join(folder, runner.main), code, "utf8");
+
+      let inputBytes = 0;
+      for (const { filename, content } of inputFiles) {
+        inputBytes += Buffer.byteLength(content);
+        if (inputBytes > MAX_INPUT_BYTES) break;
+        fs.writeFileSync(
+          path.join(folder, "files", path.basename(filename)),
+          content,
+          "utf8"
+        );
+      }
+
+      const runnerPath = `${RUNNER_DIR}/${runner.file}`;
+      const command =
+        language === "python"
+          ? ["python3", "-I", runnerPath, SANDBOX_DIR]
+          : [
+              process.execPath,
+              `--max-old-space-size=${MEMORY_LIMIT_MB}`,
+              runnerPath,
+              SANDBOX_DIR,
+            ];
+      const result = await this.#run(folder, this.#limited(command));
+      return { ...result, files: this.#collectOutput(folder) };
+    } finally {
+      fs.rmSync(folder, { recursive: true, force: true });
+    }
+  }
+
+  static #run(folder, command) {
+    return new Promise((resolve) => {
+      const child = this.#spawnIsolated(folder, command);
+
+      let stdout = "";
+      let stderr = "";
+      let timedOut = false;
+      const append = (current, chunk) =>
+        current.length >= MAX_OUTPUT_CHARS
+          ? current
+          : (current + chunk.toString()).slice(0, MAX_OUTPUT_CHARS);
+      child.stdout.on("data", (chunk) => (stdout = append(stdout, chunk)));
+      child.stderr.on("data", (chunk) => (stderr = append(stderr, chunk)));
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        child.kill("SIGKILL");
+      }, TIMEOUT_MS);
+
+      child.on("error", (error) => {
+        clearTimeout(timer);
+        resolve({ stdout, stderr: error.message, exitCode: null, timedOut });
+      });
+      child.on("close", (exitCode) => {
+        clearTimeout(timer);
+        resolve({ stdout, stderr, exitCode, timedOut });
+      });
+    });
+  }
+
+  /**
+   * @returns {SandboxFile[]}
+   */
+  static #collectOutput(folder) {
+    const outputFolder = path.join(folder, "output");
+    const files = [];
+    for (const entry of fs.readdirSync(outputFolder, { withFileTypes: true })) {
+      if (!entry.isFile() || files.length >= MAX_OUTPUT_FILES) continue;
+      const filePath = path.join(outputFolder, entry.name);
+      if (fs.statSync(filePath).size > MAX_OUTPUT_FILE_BYTES) continue;
+      files.push({ filename: entry.name, content: fs.readFileSync(filePath) });
+    }
+    return files;
+  }
+}
+
+module.exports = { CodeSandbox, TIMEOUT_MS };
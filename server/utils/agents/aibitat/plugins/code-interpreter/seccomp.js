@@ -0,0 +1,179 @@
+/**
+ * Builds the seccomp filter bubblewrap loads for sandboxed code. It is a deny list
+ * of system calls that sandboxed code has no use for and that are used to escape
+ * namespaces or attack the kernel, they fail with EPERM. New processes cannot be
+ * started either, `clone` is only allowed for threads. Everything else is allowed
+ * since the namespaces already keep the code away from the network and host files.
+ */
+
+const SECCOMP_RET_KILL_PROCESS = 0x80000000;
+const SECCOMP_RET_ERRNO = 0x00050000;
+const SECCOMP_RET_ALLOW = 0x7fff0000;
+const EPERM = 1;
+const ENOSYS = 38;
+const CLONE_THREAD = 0x00010000;
+
+// BPF instructions, see linux/filter.h
+const BPF_LD_W_ABS = 0x20;
+const BPF_JEQ_K = 0x15;
+const BPF_JGE_K = 0x35;
+const BPF_JSET_K = 0x45;
+const BPF_RET_K = 0x06;
+
+// Offsets in struct seccomp_data, the low word of the first argument on little endian.
+const NR_OFFSET = 0;
+const ARCH_OFFSET = 4;
+const ARG0_OFFSET = 16;
+
+const DENIED_SYSCALLS = [
+  "ptrace",
+  "process_vm_readv",
+  "process_vm_writev",
+  "mount",
+  "umount2",
+  "pivot_root",
+  "chroot",
+  "unshare",
+  "setns",
+  "open_by_handle_at",
+  "keyctl",
+  "add_key",
+  "request_key",
+  "bpf",
+  "perf_event_open",
+  "userfaultfd",
+  "io_uring_setup",
+  "kexec_load",
+  "init_module",
+  "finit_module",
+  "delete_module",
+  "reboot",
+  "swapon",
+  "swapoff",
+  "fork",
+  "vfork",
+];
+
+const ARCHITECTURES = {
+  x64: {
+    audit: 0xc000003e,
+    // Syscalls of the x32 ABI start at this number and are all denied.
+    x32Base: 0x40000000,
+    syscalls: {
+      ptrace: 101,
+      process_vm_readv: 310,
+      process_vm_writev: 311,
+      mount: 165,
+      umount2: 166,
+      pivot_root: 155,
+      chroot: 161,
+      unshare: 272,
+      setns: 308,
+      open_by_handle_at: 304,
+      keyctl: 250,
+      add_key: 248,
+      request_key: 249,
+      bpf: 321,
+      perf_event_open: 298,
+      userfaultfd: 323,
+      io_uring_setup: 425,
+      kexec_load: 246,
+      init_module: 175,
+      finit_module: 313,
+      delete_module: 176,
+      reboot: 169,
+      swapon: 167,
+      swapoff: 168,
+      fork: 57,
+      vfork: 58,
+      clone: 56,
+      clone3: 435,
+    },
+  },
+  arm64: {
+    audit: 0xc00000b7,
+    x32Base: null,
+    syscalls: {
+      ptrace: 117,
+      process_vm_readv: 270,
+      process_vm_writev: 271,
+      mount: 40,
+      umount2: 39,
+      pivot_root: 41,
+      chroot: 51,
+      unshare: 97,
+      setns: 268,
+      open_by_handle_at: 265,
+      keyctl: 219,
+      add_key: 217,
+      request_key: 218,
+      bpf: 280,
+      perf_event_open: 241,
+      userfaultfd: 282,
+      io_uring_setup: 425,
+      kexec_load: 104,
+      init_module: 105,
+      finit_module: 273,
+      delete_module: 106,
+      reboot: 142,
+      swapon: 224,
+      swapoff: 225,
+      clone: 220,
+      clone3: 435,
+    },
+  },
+};
+
+/**
+ * @param {string} arch - `process.arch` of the server
+ * @returns {Buffer|null} the compiled filter, null when the architecture is not supported
+ */
+function seccompFilter(arch = process.arch) {
+  const target = ARCHITECTURES[arch];
+  if (!target) return null;
+
+  // Jumps name the instruction they go to and are resolved into offsets below.
+  // fork and vfork only exist on some architectures, arm64 starts processes with clone.
+  const denied = DENIED_SYSCALLS.map((name) => target.syscalls[name]).filter(
+    (nr) => nr !== undefined
+  );
+  const program = [
+    [BPF_LD_W_ABS, 0, 0, ARCH_OFFSET],
+    // Syscall numbers of other architectures mean something else, kill the process.
+    [BPF_JEQ_K, "load", "kill", target.audit],
+    ["kill", BPF_RET_K, 0, 0, SECCOMP_RET_KILL_PROCESS],
+    ["load", BPF_LD_W_ABS, 0, 0, NR_OFFSET],
+    ...(target.x32Base === null
+      ? []
+      : [[BPF_JGE_K, "deny", 0, target.x32Base]]),
+    ...denied.map((nr) => [BPF_JEQ_K, "deny", 0, nr]),
+    // Without clone3 the C library falls back to clone, whose flags can be checked.
+    [BPF_JEQ_K, "nosys", 0, target.syscalls.clone3],
+    [BPF_JEQ_K, 0, "allow", target.syscalls.clone],
+    [BPF_LD_W_ABS, 0, 0, ARG0_OFFSET],
+    [BPF_JSET_K, "allow", "deny", CLONE_THREAD],
+    ["allow", BPF_RET_K, 0, 0, SECCOMP_RET_ALLOW],
+    ["deny", BPF_RET_K, 0, 0, SECCOMP_RET_ERRNO | EPERM],
+    ["nosys", BPF_RET_K, 0, 0, SECCOMP_RET_ERRNO | ENOSYS],
+  ].map((instruction) =>
+    typeof instruction[0] === "string"
+      ? { label: instruction[0], fields: instruction.slice(1) }
+      : { label: null, fields: instruction }
+  );
+  const offset = (target, from) => {
+    if (typeof target !== "string") return target;
+    return program.findIndex(({ label }) => label === target) - from - 1;
+  };
+
+  // struct sock_filter { __u16 code; __u8 jt; __u8 jf; __u32 k; }
+  const buffer = Buffer.alloc(program.length * 8);
+  program.forEach(({ fields: [code, jt, jf, k] }, i) => {
+    buffer.writeUInt16LE(code, i * 8);
+    buffer.writeUInt8(offset(jt, i), i * 8 + 2);
+    buffer.writeUInt8(offset(jf, i), i * 8 + 3);
+    buffer.writeUInt32LE(k >>> 0, i * 8 + 4);
+  });
+  return buffer;
+}
+
+module.exports = { seccompFilter };
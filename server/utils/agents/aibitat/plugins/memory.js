@@ -1,6 +1,7 @@
-const { v4 } = require("uuid");
 const { getVectorDbClass, getLLMProvider } = require("../../../helpers");
 const { Deduplicator } = require("../utils/dedupe");
+const { User } = require("../../../../models/user");
+const { AgentMemory } = require("../../../../models/agentMemory");
 
 const memory = {
   name: "rag-memory",
@@ -15,8 +16,10 @@ const memory = {
           super: aibitat,
           tracker: new Deduplicator(),
           name: this.name,
+          // Only storing to memory writes anything, searching is always allowed.
+          sideEffects: ({ action }) => action === "store",
           description:
-            "Search against local documents for context that is relevant to the query or store a snippet of text into memory for retrieval later. Storing information should only be done when the user specifically requests for information to be remembered or saved to long-term memory. You should use this tool before search the internet for information. Do not use this tool unless you are explicity told to 'remember' or 'store' information.",
+            "Search against local documents for context that is relevant to the query or store a fact about the user into long-term memory so it is remembered in future conversations. Storing information should only be done when the user specifically requests for information to be remembered or saved to long-term memory. You should use this tool before search the internet for information. Do not use this tool unless you are explicity told to 'remember' or 'store' information.",
           examples: [
             {
               prompt: "What is AnythingLLM?",
@@ -60,7 +63,7 @@ const memory = {
               content: {
                 type: "string",
                 description:
-                  "The plain text to search our local documents with or to store in our vector database.",
+                  "The plain text to search our local documents with or the fact to store in long-term memory.",
               },
             },
             additionalProperties: false,
@@ -83,7 +86,10 @@ const memory = {
           },
           search: async function (query = "") {
             try {
-              const workspace = this.super.handlerProps.invocation.workspace;
+              const { workspace, user_id } = this.super.handlerProps.invocation;
+              const user = user_id
+                ? await User.get({ id: Number(user_id) })
+                : null;
               const LLMConnector = getLLMProvider({
                 provider: workspace?.chatProvider,
                 model: workspace?.chatModel,
@@ -95,6 +101,7 @@ const memory = {
                   input: query,
                   LLMConnector,
                   topN: workspace?.topN ?? 4,
+                  user,
                 });
 
               if (contextTexts.length === 0) {
@@ -120,38 +127,33 @@ const memory = {
           },
           store: async function (content = "") {
             try {
-              const workspace = this.super.handlerProps.invocation.workspace;
-              const vectorDB = getVectorDbClass();
-              const { error } = await vectorDB.addDocumentToNamespace(
-                workspace.slug,
-                {
-                  docId: v4(),
-                  id: v4(),
-                  url: "file://embed-via-agent.txt",
-                  title: "agent-memory.txt",
-                  docAuthor: "@agent",
-                  description: "Unknown",
-                  docSource: "a text file stored by the workspace agent.",
-                  chunkSource: "",
-                  published: new Date().toLocaleString(),
-                  wordCount: content.split(" ").length,
-                  pageContent: content,
-                  token_count_estimate: 0,
-                },
-                null
-              );
+              const { uuid, workspace_id, user_id } =
+                this.super.handlerProps.invocation;
+              const { duplicate, message } = await AgentMemory.remember({
+                fact: content,
+                workspaceId: workspace_id,
+                userId: user_id,
+                invocationUuid: uuid,
+              });
+
+              if (!!message)
+                return `Let the user know this action was not successful. The memory could not be saved. ${message}`;
+              if (duplicate) {
+                this.super.introspect(
+                  `${this.caller}: I already had that in my long-term memory.`
+                );
+                return "This was already stored in long-term memory. There is nothing else to do.";
+              }
 
-              if (!!error)
-                return "The content was failed to be embedded properly.";
               this.super.introspect(
-                `${this.caller}: I saved the content to long-term memory in this workspaces vector database.`
+                `${this.caller}: I saved that to my long-term memory for future conversations.`
               );
-              return "The content given was successfully embedded. There is nothing else to do.";
+              return "The content given was successfully saved to long-term memory. There is nothing else to do.";
             } catch (error) {
               this.super.handlerProps.log(
                 `memory.store raised an error. ${error.message}`
               );
-              return `Let the user know this action was not successful. An error was raised while storing data in the vector database. ${error.message}`;
+              return `Let the user know this action was not successful. An error was raised while storing the memory. ${error.message}`;
             }
           },
         });
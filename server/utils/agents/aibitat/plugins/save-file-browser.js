@@ -14,6 +14,7 @@ const saveFileInBrowser = {
           super: aibitat,
           tracker: new Deduplicator(),
           name: this.name,
+          sideEffects: () => true,
           description:
             "Save content to a file when the user explicity asks for a download of the file.",
           examples: [
@@ -65,7 +65,13 @@ class MSSQLConnector {
     try {
       if (!this.#connected) await this.connect();
 
-      const query = await this._client.query(queryString);
+      // SQL Server has no read-only transactions, queries run in one that is always
+      // rolled back so writes are undone even if a query gets through.
+      const transaction = new mssql.Transaction(this._client);
+      await transaction.begin();
+      const query = await new mssql.Request(transaction)
+        .query(queryString)
+        .finally(() => transaction.rollback().catch(() => null));
       result.rows = query.recordset;
       result.count = query.rowsAffected.reduce((sum, a) => sum + a, 0);
     } catch (err) {
@@ -82,7 +88,7 @@ class MSSQLConnector {
     return `SELECT name FROM sysobjects WHERE xtype='U';`;
   }
   getTableSchemaSql(table_name) {
-    return `SELECT COLUMN_NAME,COLUMN_DEFAULT,IS_NULLABLE,DATA_TYPE FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_NAME='${table_name}'`;
+    return `SELECT COLUMN_NAME,COLUMN_DEFAULT,IS_NULLABLE,DATA_TYPE FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_NAME='${String(table_name).replace(/'/g, "''")}'`;
   }
 }
 
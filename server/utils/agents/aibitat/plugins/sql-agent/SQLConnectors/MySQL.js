@@ -35,7 +35,10 @@ class MySQLConnector {
     const result = { rows: [], count: 0, error: null };
     try {
       if (!this.#connected) await this.connect();
+      // Queries run in a read-only transaction so writes fail even if a query gets through.
+      await this._client.query("START TRANSACTION READ ONLY");
       const [query] = await this._client.query(queryString);
+      await this._client.query("ROLLBACK");
       result.rows = query;
       result.count = query?.length;
     } catch (err) {
@@ -52,7 +55,7 @@ class MySQLConnector {
     return `SELECT table_name FROM information_schema.tables WHERE table_schema = '${this.database_id}'`;
   }
   getTableSchemaSql(table_name) {
-    return `SHOW COLUMNS FROM ${this.database_id}.${table_name};`;
+    return `SHOW COLUMNS FROM \`${this.database_id}\`.\`${String(table_name).replace(/`/g, "``")}\`;`;
   }
 }
 
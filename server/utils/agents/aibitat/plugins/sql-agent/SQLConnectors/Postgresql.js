@@ -28,7 +28,10 @@ class PostgresSQLConnector {
     const result = { rows: [], count: 0, error: null };
     try {
       if (!this.#connected) await this.connect();
+      // Queries run in a read-only transaction so writes fail even if a query gets through.
+      await this._client.query("BEGIN TRANSACTION READ ONLY");
       const query = await this._client.query(queryString);
+      await this._client.query("ROLLBACK");
       result.rows = query.rows;
       result.count = query.rowCount;
     } catch (err) {
@@ -45,7 +48,7 @@ class PostgresSQLConnector {
     return `SELECT * FROM pg_catalog.pg_tables WHERE schemaname = 'public'`;
   }
   getTableSchemaSql(table_name) {
-    return ` select column_name, data_type, character_maximum_length, column_default, is_nullable from INFORMATION_SCHEMA.COLUMNS where table_name = '${table_name}'`;
+    return ` select column_name, data_type, character_maximum_length, column_default, is_nullable from INFORMATION_SCHEMA.COLUMNS where table_name = '${String(table_name).replace(/'/g, "''")}'`;
   }
 }
 
@@ -0,0 +1,65 @@
+const Database = require("better-sqlite3");
+
+class SQLiteConnector {
+  #connected = false;
+  database_id = "";
+  constructor(
+    config = {
+      // eg: sqlite:///absolute/path/to/database.db
+      connectionString: null,
+    }
+  ) {
+    this.connectionString = config.connectionString;
+    this._client = null;
+    this.filePath = this.#parseFilePath();
+  }
+
+  #parseFilePath() {
+    return String(this.connectionString ?? "").replace(/^sqlite:\/\//, "");
+  }
+
+  async connect() {
+    // The file is always opened read-only so writes fail even if a query gets through.
+    this._client = new Database(this.filePath, {
+      readonly: true,
+      fileMustExist: true,
+    });
+    this.#connected = true;
+    return this._client;
+  }
+
+  /**
+   *
+   * @param {string} queryString the SQL query to be run
+   * @returns {import(".").QueryResult}
+   */
+  async runQuery(queryString = "") {
+    const result = { rows: [], count: 0, error: null };
+    try {
+      if (!this.#connected) await this.connect();
+      const statement = this._client.prepare(queryString);
+      if (statement.reader) {
+        result.rows = statement.all();
+        result.count = result.rows.length;
+      } else {
+        result.count = statement.run().changes;
+      }
+    } catch (err) {
+      console.log(this.constructor.name, err);
+      result.error = err.message;
+    } finally {
+      this._client?.close();
+      this.#connected = false;
+    }
+    return result;
+  }
+
+  getTablesSql() {
+    return `SELECT name AS table_name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'`;
+  }
+  getTableSchemaSql(table_name) {
+    return `SELECT name, type, "notnull", dflt_value, pk FROM pragma_table_info('${String(table_name).replace(/'/g, "''")}')`;
+  }
+}
+
+module.exports.SQLiteConnector = SQLiteConnector;
@@ -2,9 +2,12 @@ const { SystemSettings } = require("../../../../../../models/systemSettings");
 const { safeJsonParse } = require("../../../../../http");
 
 /**
- * @typedef {('postgresql'|'mysql'|'sql-server')} SQLEngine
+ * @typedef {('postgresql'|'mysql'|'sql-server'|'sqlite')} SQLEngine
  */
 
+// Rows returned to the agent when a connection does not set its own limit.
+const DEFAULT_MAX_ROWS = 100;
+
 /**
  * @typedef {Object} QueryResult
  * @property {[number]} rows - The query result rows
@@ -18,6 +21,8 @@ const { safeJsonParse } = require("../../../../../http");
  * @property {string} database_id - Unique identifier of the database connection
  * @property {SQLEngine} engine - Engine used by connection
  * @property {string} connectionString - RFC connection string for db
+ * @property {string[]} [allowedTables] - Tables the agent can query, all tables when empty
+ * @property {number} [maxRows] - Most rows a query returns to the agent
  */
 
 /**
@@ -36,6 +41,9 @@ function getDBClient(identifier = "", connectionConfig = {}) {
     case "sql-server":
       const { MSSQLConnector } = require("./MSSQL");
       return new MSSQLConnector(connectionConfig);
+    case "sqlite":
+      const { SQLiteConnector } = require("./SQLite");
+      return new SQLiteConnector(connectionConfig);
     default:
       throw new Error(
         `There is no supported database connector for ${identifier}`
@@ -54,7 +62,23 @@ async function listSQLConnections() {
   );
 }
 
+/**
+ * Wraps a read-only query so the database stops after one row more than the limit,
+ * which tells us the result was cut. SQL Server cannot wrap queries that have
+ * an ORDER BY so its rows are only cut after the query runs.
+ * @param {SQLEngine} engine
+ * @param {string} sql - a single SELECT statement without a trailing semicolon
+ * @param {number} maxRows
+ * @returns {string}
+ */
+function limitQuery(engine, sql, maxRows = DEFAULT_MAX_ROWS) {
+  if (engine === "sql-server") return sql;
+  return `SELECT * FROM (\n${sql}\n) AS limited_query LIMIT ${Number(maxRows) + 1}`;
+}
+
 module.exports = {
+  DEFAULT_MAX_ROWS,
   getDBClient,
+  limitQuery,
   listSQLConnections,
 };
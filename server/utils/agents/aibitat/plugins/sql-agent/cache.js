@@ -0,0 +1,64 @@
+const crypto = require("crypto");
+
+const CACHE_TTL_MS = 5 * 60 * 1_000;
+const MAX_CACHED_QUERIES = 100;
+
+/**
+ * In-memory cache of successful query results so an agent asking the same thing
+ * twice in a short time does not run the query on the database again.
+ * Results are keyed by the connection string too, so a changed connection never
+ * returns results of the old one.
+ */
+class SQLQueryCache {
+  static #entries = new Map();
+
+  static #key(connection = {}, sql = "") {
+    return crypto
+      .createHash("sha256")
+      .update(JSON.stringify([connection.connectionString, sql]))
+      .digest("hex");
+  }
+
+  /**
+   * @param {import("./SQLConnectors").SQLConnection} connection
+   * @param {string} sql
+   * @returns {import("./SQLConnectors").QueryResult|null}
+   */
+  static get(connection, sql) {
+    const key = this.#key(connection, sql);
+    const entry = this.#entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt < Date.now()) {
+      this.#entries.delete(key);
+      return null;
+    }
+    return entry.result;
+  }
+
+  static set(connection, sql, result) {
+    if (result?.error) return;
+    if (this.#entries.size >= MAX_CACHED_QUERIES)
+      this.#entries.delete(this.#entries.keys().next().value);
+    this.#entries.set(this.#key(connection, sql), {
+      result,
+      expiresAt: Date.now() + CACHE_TTL_MS,
+    });
+  }
+
+  /**
+   * Runs a query through the cache.
+   * @param {import("./SQLConnectors").SQLConnection} connection
+   * @param {{runQuery: (sql: string) => Promise<import("./SQLConnectors").QueryResult>}} db
+   * @param {string} sql
+   * @returns {Promise<import("./SQLConnectors").QueryResult & {cached: boolean}>}
+   */
+  static async run(connection, db, sql) {
+    const cached = this.get(connection, sql);
+    if (cached) return { ...cached, cached: true };
+    const result = await db.runQuery(sql);
+    this.set(connection, sql, result);
+    return { ...result, cached: false };
+  }
+}
+
+module.exports = { SQLQueryCache };
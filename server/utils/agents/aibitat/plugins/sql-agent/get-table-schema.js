@@ -5,6 +5,8 @@ module.exports.SqlAgentGetTableSchema = {
       listSQLConnections,
       getDBClient,
     } = require("./SQLConnectors/index.js");
+    const { isTableAllowed } = require("./guard");
+    const { SQLQueryCache } = require("./cache");
 
     return {
       name: "sql-get-table-schema",
@@ -62,6 +64,8 @@ module.exports.SqlAgentGetTableSchema = {
                 );
                 return `No database connection for ${database_id} was found!`;
               }
+              if (!isTableAllowed(table_name, databaseConfig.allowedTables))
+                return `The ${table_name} table cannot be used. The tables of ${database_id} you can use are ${databaseConfig.allowedTables.join(", ")}.`;
 
               const db = getDBClient(databaseConfig.engine, databaseConfig);
               this.super.introspect(
@@ -70,7 +74,9 @@ module.exports.SqlAgentGetTableSchema = {
               this.super.introspect(
                 `Running SQL: ${db.getTableSchemaSql(table_name)}`
               );
-              const result = await db.runQuery(
+              const result = await SQLQueryCache.run(
+                databaseConfig,
+                db,
                 db.getTableSchemaSql(table_name)
               );
 
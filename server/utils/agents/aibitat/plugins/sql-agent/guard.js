@@ -0,0 +1,386 @@
+// Keywords that change data, schema, permissions or the session, in any SQL dialect we support.
+const WRITE_KEYWORDS = [
+  "ALTER",
+  "ANALYZE",
+  "ATTACH",
+  "CALL",
+  "COMMIT",
+  "COPY",
+  "CREATE",
+  "DELETE",
+  "DETACH",
+  "DO",
+  "DROP",
+  "EXEC",
+  "EXECUTE",
+  "GRANT",
+  "INSERT",
+  "INTO",
+  "LOCK",
+  "MERGE",
+  "PRAGMA",
+  "REINDEX",
+  "RENAME",
+  "REVOKE",
+  "ROLLBACK",
+  "SAVEPOINT",
+  "TRUNCATE",
+  "UPDATE",
+  "UPSERT",
+  "VACUUM",
+];
+
+// Functions that reach outside of the query even when called from a SELECT.
+const UNSAFE_FUNCTIONS = [
+  "CURSOR_TO_XML",
+  "CURSOR_TO_XMLSCHEMA",
+  "DATABASE_TO_XML",
+  "DATABASE_TO_XML_AND_XMLSCHEMA",
+  "DATABASE_TO_XMLSCHEMA",
+  "DBLINK",
+  "DBLINK_EXEC",
+  "LOAD_FILE",
+  "LO_EXPORT",
+  "LO_IMPORT",
+  "OPENDATASOURCE",
+  "OPENQUERY",
+  "OPENROWSET",
+  "PG_CANCEL_BACKEND",
+  "PG_READ_BINARY_FILE",
+  "PG_READ_FILE",
+  "PG_RELOAD_CONF",
+  "PG_TERMINATE_BACKEND",
+  "QUERY_TO_XML",
+  "QUERY_TO_XML_AND_XMLSCHEMA",
+  "QUERY_TO_XMLSCHEMA",
+  "SCHEMA_TO_XML",
+  "SCHEMA_TO_XML_AND_XMLSCHEMA",
+  "SCHEMA_TO_XMLSCHEMA",
+  "SET_CONFIG",
+  "TABLE_TO_XML",
+  "TABLE_TO_XML_AND_XMLSCHEMA",
+  "TABLE_TO_XMLSCHEMA",
+  "XP_CMDSHELL",
+];
+
+const TABLE_KEYWORDS = ["FROM", "JOIN"];
+// Reserved in every dialect we support, they end the list of tables after FROM.
+const TABLE_LIST_END_KEYWORDS = [
+  "EXCEPT",
+  "GROUP",
+  "HAVING",
+  "INTERSECT",
+  "ORDER",
+  "UNION",
+  "WHERE",
+];
+const SUBQUERY_KEYWORDS = ["SELECT", "VALUES", "WITH"];
+
+/**
+ * @typedef {Object} SQLToken
+ * @property {('word'|'identifier'|'string'|'number'|'symbol')} type
+ * @property {string} value - words are upper-cased, quoted identifiers are unquoted
+ * @property {string} raw - the token as written in the query
+ * @property {number} end - offset in the query right after the token
+ */
+
+function token(type, value, sql, start, end) {
+  return { type, value, raw: sql.slice(start, end), end };
+}
+
+/**
+ * Splits a query into tokens. Comments are dropped so they cannot hide statements
+ * and string literals are kept whole so their content is never read as SQL.
+ * Syntax that dialects read differently (backslash escapes, dollar quoting, `#` and
+ * executable comments) is rejected, otherwise a database could run as SQL what
+ * this reads as a string or comment.
+ * @param {string} sql
+ * @returns {SQLToken[]}
+ */
+function tokenize(sql = "") {
+  const tokens = [];
+  let i = 0;
+  while (i < sql.length) {
+    const char = sql[i];
+    const next = sql[i + 1];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === "-" && next === "-") {
+      if (i + 2 < sql.length && !/\s/.test(sql[i + 2]))
+        throw new Error("Comments must have a space after --.");
+      while (i < sql.length && !["\n", "\r"].includes(sql[i])) i++;
+    } else if (char === "/" && next === "*") {
+      if (sql[i + 2] === "!")
+        throw new Error("Executable comments are not allowed.");
+      const end = sql.indexOf("*/", i + 2);
+      if (end === -1) throw new Error("The query has an unclosed comment.");
+      i = end + 2;
+    } else if (char === "'") {
+      let end = i + 1;
+      while (end < sql.length) {
+        if (sql[end] === "'" && sql[end + 1] === "'") end += 2;
+        else if (sql[end] === "'") break;
+        else end++;
+      }
+      if (end >= sql.length)
+        throw new Error("The query has an unclosed string.");
+      if (sql.slice(i, end).includes("\\"))
+        throw new Error("Backslashes are not allowed in strings.");
+      tokens.push(token("string", "", sql, i, end + 1));
+      i = end + 1;
+    } else if (char === "[") {
+      // Quoted names in SQL Server, array subscripts in Postgres.
+      const end = sql.indexOf("]", i + 1);
+      const content = end === -1 ? "" : sql.slice(i + 1, end);
+      if (/['"`;\\]/.test(content))
+        throw new Error("Quotes and semicolons are not allowed in brackets.");
+      if (/^[\w\s.-]+$/.test(content)) {
+        tokens.push(token("identifier", content, sql, i, end + 1));
+        i = end + 1;
+      } else {
+        tokens.push(token("symbol", char, sql, i, i + 1));
+        i++;
+      }
+    } else if (['"', "`"].includes(char)) {
+      const end = sql.indexOf(char, i + 1);
+      if (end === -1)
+        throw new Error("The query has an unclosed quoted identifier.");
+      if (sql.slice(i, end).includes("\\"))
+        throw new Error("Backslashes are not allowed in quoted names.");
+      tokens.push(token("identifier", sql.slice(i + 1, end), sql, i, end + 1));
+      i = end + 1;
+    } else if (["#", "$"].includes(char)) {
+      throw new Error(`${char} is not allowed outside of strings.`);
+    } else if (/[a-zA-Z_@]/.test(char)) {
+      let end = i + 1;
+      while (end < sql.length && /[\w@]/.test(sql[end])) end++;
+      tokens.push(token("word", sql.slice(i, end).toUpperCase(), sql, i, end));
+      i = end;
+    } else if (/[0-9]/.test(char)) {
+      let end = i + 1;
+      while (end < sql.length && /[\w.]/.test(sql[end])) end++;
+      tokens.push(token("number", sql.slice(i, end), sql, i, end));
+      i = end;
+    } else {
+      tokens.push(token("symbol", char, sql, i, i + 1));
+      i++;
+    }
+  }
+  return tokens;
+}
+
+const isName = (token) =>
+  token?.type === "identifier" ||
+  (token?.type === "word" && !WRITE_KEYWORDS.includes(token.value));
+const isWord = (token, ...words) =>
+  token?.type === "word" && words.includes(token.value);
+const isSymbol = (token, symbol) =>
+  token?.type === "symbol" && token.value === symbol;
+
+// Reads a possibly qualified name, eg: public.orders, starting at `index`.
+function readName(tokens, index) {
+  const parts = [];
+  while (isName(tokens[index])) {
+    parts.push(
+      tokens[index].type === "identifier"
+        ? tokens[index].value
+        : tokens[index].raw
+    );
+    if (!isSymbol(tokens[index + 1], ".")) break;
+    index += 2;
+  }
+  return { name: parts.join("."), next: index + 1 };
+}
+
+// Index of the parenthesis closing the group `index` is in, the end of the query at the top level.
+function groupEnd(tokens, index) {
+  let depth = 0;
+  for (let cursor = index; cursor < tokens.length; cursor++) {
+    if (isSymbol(tokens[cursor], "(")) depth++;
+    else if (isSymbol(tokens[cursor], ")") && depth-- === 0) return cursor;
+  }
+  return tokens.length;
+}
+
+/**
+ * CTEs of every WITH clause in the query. A CTE name only stands for the CTE after
+ * its definition, so in later CTEs and the statement body, and only until the
+ * parenthesis around its WITH clause closes. Inside its own definition the name
+ * is read as a table.
+ * @param {SQLToken[]} tokens
+ * @returns {{name: string, from: number, to: number}[]} token indexes the name stands for the CTE in
+ */
+function commonTableExpressions(tokens = []) {
+  const ctes = [];
+  tokens.forEach((token, index) => {
+    if (!isWord(token, "WITH")) return;
+    const scopeEnd = groupEnd(tokens, index);
+    let cursor = isWord(tokens[index + 1], "RECURSIVE") ? index + 2 : index + 1;
+    while (cursor < tokens.length) {
+      const { name, next } = readName(tokens, cursor);
+      if (!name) return;
+      cursor = next;
+      if (isSymbol(tokens[cursor], "("))
+        cursor = groupEnd(tokens, cursor + 1) + 1;
+      if (!isWord(tokens[cursor], "AS")) return;
+      cursor++;
+      while (isWord(tokens[cursor], "NOT", "MATERIALIZED")) cursor++;
+      if (!isSymbol(tokens[cursor], "(")) return;
+      cursor = groupEnd(tokens, cursor + 1) + 1;
+      ctes.push({
+        name: name.toLowerCase(),
+        from: cursor,
+        to: scopeEnd,
+      });
+      if (!isSymbol(tokens[cursor], ",")) return;
+      cursor++;
+    }
+  });
+  return ctes;
+}
+
+// Reads one item of a table list: a table, a subquery or a parenthesized table list.
+function readTableItem(tokens, index, onTable) {
+  if (
+    isWord(tokens[index], "ONLY", "LATERAL") &&
+    (isName(tokens[index + 1]) || isSymbol(tokens[index + 1], "("))
+  )
+    index++;
+  if (isSymbol(tokens[index], "(")) {
+    if (!isWord(tokens[index + 1], ...SUBQUERY_KEYWORDS))
+      readTableList(tokens, index + 1, onTable);
+    return;
+  }
+  const { name, next } = readName(tokens, index);
+  if (!name || isSymbol(tokens[next], "(")) return; // table valued function
+  onTable(name, index);
+}
+
+// Reads every item of a table list, until the parenthesis around it closes or the clause ends.
+function readTableList(tokens, index, onTable) {
+  readTableItem(tokens, index, onTable);
+  let depth = 0;
+  for (let cursor = index; cursor < tokens.length; cursor++) {
+    const token = tokens[cursor];
+    if (isSymbol(token, "(")) depth++;
+    else if (isSymbol(token, ")") && depth-- === 0) return;
+    else if (depth > 0) continue;
+    else if (isSymbol(token, ",")) readTableItem(tokens, cursor + 1, onTable);
+    else if (isWord(token, ...TABLE_LIST_END_KEYWORDS)) return;
+  }
+}
+
+/**
+ * Names of the tables a query reads from, without the names of its CTEs.
+ * Subqueries are read through their own FROM, only what follows FROM and JOIN
+ * is read as a table.
+ * @param {SQLToken[]} tokens
+ * @returns {string[]}
+ */
+function referencedTables(tokens = []) {
+  const ctes = commonTableExpressions(tokens);
+  const tables = new Set();
+  const onTable = (name, index) => {
+    const isCTE = ctes.some(
+      (cte) =>
+        cte.name === name.toLowerCase() && index >= cte.from && index < cte.to
+    );
+    if (!isCTE) tables.add(name);
+  };
+  tokens.forEach((token, index) => {
+    if (isWord(token, ...TABLE_KEYWORDS))
+      readTableList(tokens, index + 1, onTable);
+  });
+  return [...tables];
+}
+
+/**
+ * Checks that a query is a single statement that only reads data and only from
+ * the allowed tables. This is a guard on top of the read-only transactions the
+ * connectors run queries in and database permissions, connect with a read-only user as well.
+ * @param {string} sql
+ * @param {{allowedTables?: string[]}} options - an empty list allows every table
+ * @returns {{ok: true, query: string}|{ok: false, reason: string}} the query without a trailing semicolon
+ */
+function checkReadOnlyQuery(sql = "", { allowedTables = [] } = {}) {
+  let tokens;
+  try {
+    tokens = tokenize(String(sql));
+  } catch (e) {
+    return { ok: false, reason: e.message };
+  }
+
+  while (tokens.at(-1)?.value === ";") tokens.pop();
+  if (tokens.length === 0) return { ok: false, reason: "The query is empty." };
+  if (tokens.some((token) => token.value === ";"))
+    return { ok: false, reason: "Only a single statement can be run." };
+  if (!isWord(tokens[0], "SELECT", "WITH"))
+    return {
+      ok: false,
+      reason: "Only SELECT statements can be run on this database.",
+    };
+
+  const words = tokens.filter((token) => token.type === "word");
+  const writeKeyword = words.find((token) =>
+    WRITE_KEYWORDS.includes(token.value)
+  );
+  if (writeKeyword)
+    return {
+      ok: false,
+      reason: `${writeKeyword.value} is not allowed, the query must only read data.`,
+    };
+  const unsafeFunction = words.find((token) =>
+    UNSAFE_FUNCTIONS.includes(token.value)
+  );
+  if (unsafeFunction)
+    return {
+      ok: false,
+      reason: `The ${unsafeFunction.raw} function is not allowed.`,
+    };
+  const lockingRead = tokens.some(
+    (token, index) =>
+      token.value === "FOR" && tokens[index + 1]?.value === "SHARE"
+  );
+  if (lockingRead)
+    return { ok: false, reason: "Locking reads are not allowed." };
+
+  if (allowedTables.length) {
+    const denied = referencedTables(tokens).filter(
+      (table) => !isTableAllowed(table, allowedTables)
+    );
+    if (denied.length)
+      return {
+        ok: false,
+        reason: `The query reads tables that are not allowed: ${denied.join(", ")}. Allowed tables are ${allowedTables.join(", ")}.`,
+      };
+  }
+
+  // Cut after the last token so trailing comments and semicolons are dropped.
+  return { ok: true, query: String(sql).slice(0, tokens.at(-1).end).trim() };
+}
+
+/**
+ * Allowed tables without a schema match in any schema. Allowed tables with a
+ * schema match that exact table, or the table name used without a schema.
+ * @param {string} table - eg: orders or public.orders
+ * @param {string[]} allowedTables - an empty list allows every table
+ * @returns {boolean}
+ */
+function isTableAllowed(table = "", allowedTables = []) {
+  if (!allowedTables.length) return true;
+  const name = String(table).toLowerCase();
+  return allowedTables.some((allowed) => {
+    allowed = String(allowed).toLowerCase();
+    if (allowed === name) return true;
+    if (!allowed.includes(".")) return name.split(".").at(-1) === allowed;
+    return !name.includes(".") && allowed.split(".").at(-1) === name;
+  });
+}
+
+module.exports = {
+  checkReadOnlyQuery,
+  isTableAllowed,
+  referencedTables,
+  tokenize,
+};
@@ -5,6 +5,8 @@ module.exports.SqlAgentListTables = {
       listSQLConnections,
       getDBClient,
     } = require("./SQLConnectors/index.js");
+    const { isTableAllowed } = require("./guard");
+    const { SQLQueryCache } = require("./cache");
 
     return {
       name: "sql-list-tables",
@@ -62,7 +64,11 @@ module.exports.SqlAgentListTables = {
               );
 
               this.super.introspect(`Running SQL: ${db.getTablesSql()}`);
-              const result = await db.runQuery(db.getTablesSql(database_id));
+              const result = await SQLQueryCache.run(
+                databaseConfig,
+                db,
+                db.getTablesSql(database_id)
+              );
               if (result.error) {
                 this.super.handlerProps.log(
                   `sql-list-tables tool reported error`,
@@ -72,7 +78,14 @@ module.exports.SqlAgentListTables = {
                 return `There was an error running the query: ${result.error}`;
               }
 
-              return JSON.stringify(result);
+              // Only show the agent the tables it is allowed to query.
+              const rows = result.rows.filter((row) =>
+                isTableAllowed(
+                  row.tablename ?? row.table_name ?? row.TABLE_NAME ?? row.name,
+                  databaseConfig.allowedTables
+                )
+              );
+              return JSON.stringify({ ...result, rows, count: rows.length });
             } catch (e) {
               console.error(e);
               return e.message;
@@ -2,9 +2,13 @@ module.exports.SqlAgentQuery = {
   name: "sql-query",
   plugin: function () {
     const {
+      DEFAULT_MAX_ROWS,
       getDBClient,
+      limitQuery,
       listSQLConnections,
     } = require("./SQLConnectors/index.js");
+    const { checkReadOnlyQuery } = require("./guard");
+    const { SQLQueryCache } = require("./cache");
 
     return {
       name: "sql-query",
@@ -12,8 +16,9 @@ module.exports.SqlAgentQuery = {
         aibitat.function({
           super: aibitat,
           name: this.name,
+          sideEffects: () => true,
           description:
-            "Run a read-only SQL query on a `database_id` which will return up rows of data related to the query. The query must only be SELECT statements which do not modify the table data. There should be a reasonable LIMIT on the return quantity to prevent long-running or queries which crash the db.",
+            "Run a read-only SQL query on a `database_id` which will return up rows of data related to the query. The query must be a single SELECT statement which does not modify the table data, other statements are rejected. Only a limited number of rows is returned so prefer aggregates and a reasonable LIMIT to prevent long-running or queries which crash the db.",
           examples: [
             {
               prompt: "How many customers are in dvd-rentals?",
@@ -72,13 +77,28 @@ module.exports.SqlAgentQuery = {
                 return `No database connection for ${database_id} was found!`;
               }
 
+              const check = checkReadOnlyQuery(sql_query, {
+                allowedTables: databaseConfig.allowedTables ?? [],
+              });
+              if (!check.ok) {
+                this.super.introspect(
+                  `${this.caller}: The query was blocked. ${check.reason}`
+                );
+                return `The query was not run. ${check.reason}`;
+              }
+
               this.super.introspect(
                 `${this.caller}: Im going to run a query on the ${database_id} to get an answer.`
               );
               const db = getDBClient(databaseConfig.engine, databaseConfig);
+              const maxRows = databaseConfig.maxRows || DEFAULT_MAX_ROWS;
 
-              this.super.introspect(`Running SQL: ${sql_query}`);
-              const result = await db.runQuery(sql_query);
+              this.super.introspect(`Running SQL: ${check.query}`);
+              const result = await SQLQueryCache.run(
+                databaseConfig,
+                db,
+                limitQuery(databaseConfig.engine, check.query, maxRows)
+              );
               if (result.error) {
                 this.super.handlerProps.log(
                   `sql-query tool reported error`,
@@ -87,8 +107,23 @@ module.exports.SqlAgentQuery = {
                 this.super.introspect(`Error: ${result.error}`);
                 return `There was an error running the query: ${result.error}`;
               }
+              if (result.cached)
+                this.super.introspect(
+                  `${this.caller}: Using the saved result of the same query run moments ago.`
+                );
 
-              return JSON.stringify(result);
+              const truncated = result.rows.length > maxRows;
+              const rows = result.rows.slice(0, maxRows);
+              return JSON.stringify({
+                rows,
+                count: rows.length,
+                truncated,
+                ...(truncated
+                  ? {
+                      note: `Only the first ${maxRows} rows were returned. Use aggregates or a narrower WHERE clause to see the rest.`,
+                    }
+                  : {}),
+              });
             } catch (e) {
               console.error(e);
               return e.message;
@@ -1,4 +1,5 @@
 const { Document } = require("../../../../models/documents");
+const { User } = require("../../../../models/user");
 const { safeJsonParse } = require("../../../http");
 const { summarizeContent } = require("../utils/summarize");
 const Provider = require("../providers/ai-provider");
@@ -65,7 +66,7 @@ const docSummarizer = {
           },
 
           /**
-           * List all documents available in a workspace
+           * List all documents in a workspace that the invoking user can access
            * @returns List of files and their descriptions if available.
            */
           listDocuments: async function () {
@@ -73,9 +74,14 @@ const docSummarizer = {
               this.super.introspect(
                 `${this.caller}: Looking at the available documents.`
               );
-              const documents = await Document.where({
-                workspaceId: this.super.handlerProps.invocation.workspace_id,
-              });
+              const { workspace_id, user_id } =
+                this.super.handlerProps.invocation;
+              const user = user_id
+                ? await User.get({ id: Number(user_id) })
+                : null;
+              const documents = (
+                await Document.where({ workspaceId: workspace_id })
+              ).filter((document) => Document.canAccess(document, user));
               if (documents.length === 0)
                 return "No documents found - nothing can be done. Stop.";
 
@@ -1,4 +1,5 @@
 const chalk = require("chalk");
+const { v4 } = require("uuid");
 const { RetryError } = require("../error");
 const { Telemetry } = require("../../../../models/telemetry");
 const SOCKET_TIMEOUT_MS = 300 * 1_000; // 5 mins
@@ -80,6 +81,65 @@ const websocket = {
           },
         };
 
+        /**
+         * Sends a proposed function call to the chat and waits for the user to approve,
+         * edit the arguments of, or deny it. No answer before the socket timeout is a denial.
+         *
+         * @param request The function call // { name: string; caller: string; description: string; args: object }
+         * @returns The user decision. // { approved: boolean; args?: object }
+         */
+        aibitat.requestApproval = (request) => {
+          const id = v4();
+          socket.send(
+            JSON.stringify({
+              type: "toolApprovalRequest",
+              content: { id, ...request },
+            })
+          );
+
+          return new Promise(function (resolve) {
+            let socketTimeout = null;
+            const finish = (decision) => {
+              delete socket.handleFeedback;
+              clearTimeout(socketTimeout);
+              resolve(decision);
+            };
+
+            socket.handleFeedback = (message) => {
+              const data = JSON.parse(message);
+              if (
+                data.type === "awaitingFeedback" &&
+                WEBSOCKET_BAIL_COMMANDS.includes(data.feedback)
+              ) {
+                finish({ approved: false });
+                aibitat.abort();
+                socket.close();
+                return;
+              }
+
+              if (data.type !== "toolApprovalResponse" || data.id !== id)
+                return;
+              const editedArgs =
+                !!data.args &&
+                typeof data.args === "object" &&
+                !Array.isArray(data.args);
+              finish({
+                approved: data.approved === true,
+                args: editedArgs ? data.args : request.args,
+              });
+            };
+
+            socketTimeout = setTimeout(() => {
+              console.log(
+                chalk.red(
+                  `Client took too long to approve ${request.name}, denying call after ${SOCKET_TIMEOUT_MS}ms`
+                )
+              );
+              finish({ approved: false });
+            }, SOCKET_TIMEOUT_MS);
+          });
+        };
+
         // aibitat.onStart(() => {
         //   console.log("🚀 starting chat ...");
         // });
@@ -0,0 +1,68 @@
+const { SystemSettings } = require("../../models/systemSettings");
+const { safeJsonParse } = require("../http");
+const { ImportedPlugin } = require("./imported");
+const { AgentFlows } = require("../agentFlows");
+const { MCPHypervisor } = require("../MCP");
+
+// Built-in functions with side effects, see `sideEffects` on their aibitat function.
+const BUILT_IN_APPROVABLE_TOOLS = [
+  { name: "rag-memory", title: "Store to long-term memory" },
+  { name: "save-file-to-browser", title: "Generate & save files to browser" },
+  { name: "sql-query", title: "Run SQL queries" },
+  { name: "api-call-operation", title: "Call registered APIs (except GET)" },
+  { name: "code-interpreter", title: "Run code in the sandbox" },
+];
+
+/**
+ * Approval policy (always, never, ask) set by admins for functions with side effects.
+ * Functions without a policy ask the user before running.
+ * @returns {Promise<Object<string, "always"|"never"|"ask">>}
+ */
+async function agentApprovalPolicies() {
+  const setting = await SystemSettings.get({ label: "agent_skill_approvals" });
+  return safeJsonParse(setting?.value, {}) ?? {};
+}
+
+/**
+ * Every function with side effects that a policy can be set for.
+ * @returns {Promise<{name: string, title: string, source: "built-in"|"imported"|"flow"|"mcp", policy: string}[]>}
+ */
+async function approvableTools() {
+  const policies = await agentApprovalPolicies();
+  const tools = BUILT_IN_APPROVABLE_TOOLS.map((tool) => ({
+    ...tool,
+    source: "built-in",
+  }));
+
+  for (const skill of ImportedPlugin.listImportedPlugins()) {
+    if (!skill.valid) continue;
+    tools.push({ name: skill.hubId, title: skill.name, source: "imported" });
+  }
+
+  for (const flow of AgentFlows.listFlows()) {
+    if (!flow.sideEffects) continue;
+    tools.push({
+      name: `${AgentFlows.prefix.slice(2)}${flow.uuid}`,
+      title: flow.name,
+      source: "flow",
+    });
+  }
+
+  for (const server of await new MCPHypervisor().servers()) {
+    for (const tool of server.tools) {
+      if (tool.readOnly) continue;
+      tools.push({
+        name: tool.functionName,
+        title: `${server.name}: ${tool.name}`,
+        source: "mcp",
+      });
+    }
+  }
+
+  return tools.map((tool) => ({
+    ...tool,
+    policy: policies[tool.name] ?? "ask",
+  }));
+}
+
+module.exports = { agentApprovalPolicies, approvableTools };
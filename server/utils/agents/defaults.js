@@ -2,6 +2,9 @@ const AgentPlugins = require("./aibitat/plugins");
 const { SystemSettings } = require("../../models/systemSettings");
 const { safeJsonParse } = require("../http");
 const Provider = require("./aibitat/providers/ai-provider");
+const { ImportedPlugin } = require("./imported");
+const { AgentFlows } = require("../agentFlows");
+const { MCPHypervisor } = require("../MCP");
 
 const USER_AGENT = {
   name: "USER",
@@ -27,6 +30,8 @@ const WORKSPACE_AGENT = {
       functions: [
         ...defaultFunctions,
         ...(await agentSkillsFromSystemSettings()),
+        ...(await agentSkillsFromMCPServers()),
+        ...AgentFlows.activeFlowNames(),
       ],
     };
   },
@@ -43,6 +48,12 @@ async function agentSkillsFromSystemSettings() {
     ?.value;
 
   safeJsonParse(_setting, []).forEach((skillName) => {
+    // User supplied skill from the plugins folder, only kept while it is still valid.
+    if (ImportedPlugin.isImportedPlugin(skillName)) {
+      if (ImportedPlugin.load(skillName)) systemFunctions.push(skillName);
+      return;
+    }
+
     if (!AgentPlugins.hasOwnProperty(skillName)) return;
 
     // This is a plugin module with many sub-children plugins who
@@ -62,8 +73,23 @@ async function agentSkillsFromSystemSettings() {
   return systemFunctions;
 }
 
+/**
+ * Fetches the names of every tool on the running MCP servers so they
+ * can be loaded as plugins later. Servers are started on first use.
+ * @returns {Promise<string[]>}
+ */
+async function agentSkillsFromMCPServers() {
+  try {
+    return await new MCPHypervisor().activeTools();
+  } catch (e) {
+    console.error("Could not load MCP server tools.", e.message);
+    return [];
+  }
+}
+
 module.exports = {
   USER_AGENT,
   WORKSPACE_AGENT,
   agentSkillsFromSystemSettings,
+  agentSkillsFromMCPServers,
 };
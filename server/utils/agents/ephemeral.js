@@ -7,8 +7,14 @@ const {
   USER_AGENT,
   WORKSPACE_AGENT,
   agentSkillsFromSystemSettings,
+  agentSkillsFromMCPServers,
 } = require("./defaults");
 const { AgentHandler } = require(".");
+const { ImportedPlugin } = require("./imported");
+const { AgentFlows } = require("../agentFlows");
+const { MCPHypervisor } = require("../MCP");
+const { agentApprovalPolicies } = require("./approvals");
+const { AgentMemory } = require("../../models/agentMemory");
 const {
   WorkspaceAgentInvocation,
 } = require("../../models/workspaceAgentInvocation");
@@ -26,6 +32,7 @@ class EphemeralAgentHandler extends AgentHandler {
   #sessionId = null;
   #prompt = null;
   #funcsToLoad = [];
+  #memories = [];
 
   aibitat = null;
   channel = null;
@@ -128,6 +135,57 @@ class EphemeralAgentHandler extends AgentHandler {
 
   #attachPlugins(args) {
     for (const name of this.#funcsToLoad) {
+      // Load tool from a running MCP server
+      if (MCPHypervisor.isMCPTool(name)) {
+        const mcpPlugin = new MCPHypervisor().pluginForTool(name);
+        if (!mcpPlugin) {
+          this.log(
+            `${name} is not an available MCP tool. Skipping inclusion to agent cluster.`
+          );
+          continue;
+        }
+
+        this.aibitat.use(mcpPlugin);
+        this.log(`Attached MCP tool ${name} to Agent cluster`);
+        continue;
+      }
+
+      // Load flow built in the agent flow builder
+      if (AgentFlows.isAgentFlow(name)) {
+        const flowPlugin = AgentFlows.load(name);
+        if (!flowPlugin) {
+          this.log(
+            `${name} is not a valid agent flow. Skipping inclusion to agent cluster.`
+          );
+          continue;
+        }
+
+        this.aibitat.use(flowPlugin);
+        this.log(`Attached agent flow ${name} to Agent cluster`);
+        continue;
+      }
+
+      // Load user supplied plugin from the plugins folder
+      if (ImportedPlugin.isImportedPlugin(name)) {
+        const importedPlugin = ImportedPlugin.load(name);
+        if (!importedPlugin) {
+          this.log(
+            `${name} is not a valid imported plugin. Skipping inclusion to agent cluster.`
+          );
+          continue;
+        }
+
+        try {
+          this.aibitat.use(importedPlugin.plugin());
+          this.log(`Attached imported ${name} plugin to Agent cluster`);
+        } catch (e) {
+          this.log(
+            `Could not attach imported ${name} plugin to Agent cluster. ${e.message}`
+          );
+        }
+        continue;
+      }
+
       // Load child plugin
       if (name.includes("#")) {
         const [parent, childPluginName] = name.split("#");
@@ -182,16 +240,18 @@ class EphemeralAgentHandler extends AgentHandler {
     // Default User agent and workspace agent
     this.log(`Attaching user and default agent to Agent cluster.`);
     this.aibitat.agent(USER_AGENT.name, await USER_AGENT.getDefinition());
-    this.aibitat.agent(
-      WORKSPACE_AGENT.name,
-      await WORKSPACE_AGENT.getDefinition(this.provider)
-    );
+    const workspaceAgent = await WORKSPACE_AGENT.getDefinition(this.provider);
+    this.aibitat.agent(WORKSPACE_AGENT.name, {
+      ...workspaceAgent,
+      role: AgentHandler.withMemories(workspaceAgent.role, this.#memories),
+    });
 
     this.#funcsToLoad = [
       AgentPlugins.memory.name,
       AgentPlugins.docSummarizer.name,
       AgentPlugins.webScraping.name,
       ...(await agentSkillsFromSystemSettings()),
+      ...(await agentSkillsFromMCPServers()),
     ];
   }
 
@@ -205,17 +265,28 @@ class EphemeralAgentHandler extends AgentHandler {
       handler,
     }
   ) {
+    const chats = await this.#chatHistory(20);
+    this.#memories = await AgentMemory.recall(
+      { workspaceId: this.#workspace.id, userId: this.#userId },
+      chats
+    );
+    if (this.#memories.length > 0)
+      this.log(`Recalled ${this.#memories.length} memories for invocation.`);
+
     this.aibitat = new AIbitat({
       provider: this.provider ?? "openai",
       model: this.model ?? "gpt-4o",
-      chats: await this.#chatHistory(20),
+      chats,
       handlerProps: {
         invocation: {
+          uuid: this.#invocationUUID,
           workspace: this.#workspace,
           workspace_id: this.#workspace.id,
+          user_id: this.#userId,
         },
         log: this.log,
       },
+      approvalPolicies: await agentApprovalPolicies(),
     });
 
     // Attach HTTP response object if defined for chunk streaming.
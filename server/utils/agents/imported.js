@@ -0,0 +1,301 @@
+const fs = require("fs");
+const path = require("path");
+
+// Skill folder names are used as the function name the LLM calls.
+const VALID_HUB_ID = /^[a-zA-Z0-9_-]+$/;
+const PARAM_TYPES = [
+  "string",
+  "number",
+  "integer",
+  "boolean",
+  "array",
+  "object",
+];
+
+/**
+ * @typedef {Object} ImportedSkillManifest
+ * @property {string} hubId - the skill folder name, set by the loader
+ * @property {string} name - display name of the skill
+ * @property {string} description - what the skill does, shown to the LLM
+ * @property {string} [version]
+ * @property {string} [author]
+ * @property {{prompt: string, call: string}[]} [examples] - example prompts and the JSON arguments they call the skill with
+ * @property {{file: string, params: Object}} entrypoint - handler file relative to the skill folder
+ * and the JSON-schema (`type: "object"`) of the arguments it accepts.
+ */
+
+/**
+ * Agent skills supplied by the user as folders in `storage/plugins/agent-skills`.
+ * Each folder holds a `plugin.json` manifest and the handler file it points to.
+ * The handler file must export `runtime.handler`, an async function that is
+ * called with the parsed arguments and returns a string for the agent.
+ *
+ * @example
+ * // storage/plugins/agent-skills/my-skill/handler.js
+ * module.exports.runtime = {
+ *   handler: async function ({ city }) {
+ *     this.super.introspect(`Looking up the weather in ${city}`);
+ *     return `It is sunny in ${city}`;
+ *   },
+ * };
+ */
+class ImportedPlugin {
+  // Imported skills are referenced as `@@<hubId>` in `default_agent_skills`
+  // so they never collide with built-in skill names.
+  static prefix = "@@";
+
+  /**
+   * @param {ImportedSkillManifest} manifest - a manifest that passed validation
+   */
+  constructor(manifest) {
+    this.manifest = manifest;
+    this.name = `${ImportedPlugin.prefix}${manifest.hubId}`;
+    this.handlerLocation = path.resolve(
+      ImportedPlugin.pluginsPath(),
+      manifest.hubId,
+      manifest.entrypoint.file
+    );
+  }
+
+  static pluginsPath() {
+    return process.env.NODE_ENV === "development"
+      ? path.resolve(__dirname, `../../storage/plugins/agent-skills`)
+      : path.resolve(process.env.STORAGE_DIR, `plugins`, `agent-skills`);
+  }
+
+  static isImportedPlugin(name = "") {
+    return String(name).startsWith(this.prefix);
+  }
+
+  static checkPluginFolderExists() {
+    const folder = this.pluginsPath();
+    if (!fs.existsSync(folder)) fs.mkdirSync(folder, { recursive: true });
+    return folder;
+  }
+
+  /**
+   * Reads and validates the manifest of a skill folder.
+   * @param {string} hubId
+   * @returns {{manifest: ImportedSkillManifest|null, error: string|null}}
+   */
+  static loadManifest(hubId = "") {
+    if (!VALID_HUB_ID.test(hubId))
+      return {
+        manifest: null,
+        error:
+          "Skill folder names can only contain letters, numbers, dashes and underscores.",
+      };
+
+    const folder = path.resolve(this.pluginsPath(), hubId);
+    const manifestPath = path.resolve(folder, "plugin.json");
+    if (!fs.existsSync(manifestPath))
+      return { manifest: null, error: "Skill is missing a plugin.json file." };
+
+    let manifest;
+    try {
+      manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+    } catch (e) {
+      return {
+        manifest: null,
+        error: `plugin.json is not valid JSON. ${e.message}`,
+      };
+    }
+
+    if (!manifest || typeof manifest !== "object" || Array.isArray(manifest))
+      return { manifest: null, error: "plugin.json must be a JSON object." };
+    return {
+      manifest: { ...manifest, hubId },
+      error: validateManifest(manifest, folder),
+    };
+  }
+
+  /**
+   * Lists every skill folder, including invalid ones with the reason they cannot be used.
+   * @returns {(ImportedSkillManifest & {valid: boolean, error: string|null})[]}
+   */
+  static listImportedPlugins() {
+    const folder = this.checkPluginFolderExists();
+    const plugins = [];
+    for (const entry of fs.readdirSync(folder, { withFileTypes: true })) {
+      if (!entry.isDirectory()) continue;
+      const { manifest, error } = this.loadManifest(entry.name);
+      plugins.push({
+        ...(manifest ?? { hubId: entry.name, name: entry.name }),
+        name: manifest?.name || entry.name,
+        valid: !error,
+        error,
+      });
+    }
+    return plugins;
+  }
+
+  /**
+   * @param {string} name - the `@@<hubId>` skill name
+   * @returns {ImportedPlugin|null} null when the skill does not exist or is invalid.
+   */
+  static load(name = "") {
+    if (!this.isImportedPlugin(name)) return null;
+    const hubId = name.slice(this.prefix.length);
+    const { manifest, error } = this.loadManifest(hubId);
+    if (error) {
+      console.log(
+        `\x1b[33m[ImportedPlugin]\x1b[0m Skipping ${hubId} skill: ${error}`
+      );
+      return null;
+    }
+    return new ImportedPlugin(manifest);
+  }
+
+  // The require cache is cleared so edits to a skill apply on the next agent run.
+  #loadHandler() {
+    delete require.cache[require.resolve(this.handlerLocation)];
+    const handler = require(this.handlerLocation)?.runtime?.handler;
+    if (typeof handler !== "function")
+      throw new Error(
+        `${this.manifest.entrypoint.file} must export runtime.handler as a function.`
+      );
+    return handler;
+  }
+
+  /**
+   * Builds an aibitat plugin in the same shape as the built-in skills.
+   * The handler is called with the aibitat function as `this` so it can use `this.super.introspect`.
+   */
+  plugin() {
+    const manifest = this.manifest;
+    const handler = this.#loadHandler();
+    return {
+      name: this.name,
+      setup(aibitat) {
+        aibitat.function({
+          super: aibitat,
+          name: manifest.hubId,
+          // User supplied code can do anything so it is treated as having side effects.
+          sideEffects: () => true,
+          description: manifest.description,
+          examples: manifest.examples ?? [],
+          parameters: {
+            $schema: "http://json-schema.org/draft-07/schema#",
+            ...manifest.entrypoint.params,
+          },
+          handler: async function (args = {}) {
+            const invalid = validateArguments(
+              manifest.entrypoint.params,
+              args ?? {}
+            );
+            if (invalid)
+              return `The ${manifest.hubId} function was called with invalid arguments: ${invalid} Fix the arguments and try again.`;
+
+            try {
+              this.super.introspect(
+                `${this.caller}: Using the ${manifest.name} skill.`
+              );
+              const result = await handler.call(this, args ?? {});
+              return typeof result === "string"
+                ? result
+                : JSON.stringify(result ?? null);
+            } catch (error) {
+              return `There was an error while calling the function. No data or response was found. Let the user know this was the error: ${error.message}`;
+            }
+          },
+        });
+      },
+    };
+  }
+}
+
+/**
+ * @param {Object} manifest
+ * @param {string} folder - absolute path of the skill folder
+ * @returns {string|null} the first problem found with the manifest
+ */
+function validateManifest(manifest, folder) {
+  if (typeof manifest.name !== "string" || !manifest.name.trim())
+    return "plugin.json must have a name.";
+  if (typeof manifest.description !== "string" || !manifest.description.trim())
+    return "plugin.json must have a description.";
+
+  const { file, params } = manifest.entrypoint ?? {};
+  if (typeof file !== "string" || path.extname(file) !== ".js")
+    return "entrypoint.file must be the path of a .js handler file.";
+  const handlerPath = path.resolve(folder, file);
+  if (!handlerPath.startsWith(folder + path.sep))
+    return "entrypoint.file must be inside the skill folder.";
+  if (!fs.existsSync(handlerPath)) return `Handler file ${file} was not found.`;
+
+  if (!params || params.type !== "object")
+    return 'entrypoint.params must be a JSON-schema with type "object".';
+  const properties = params.properties ?? {};
+  if (typeof properties !== "object" || Array.isArray(properties))
+    return "entrypoint.params.properties must be an object.";
+  for (const [param, definition] of Object.entries(properties)) {
+    if (!PARAM_TYPES.includes(definition?.type))
+      return `Parameter "${param}" must have a type of ${PARAM_TYPES.join(", ")}.`;
+  }
+
+  const required = params.required ?? [];
+  if (!Array.isArray(required) || required.some((key) => !properties[key]))
+    return "entrypoint.params.required must only list defined parameters.";
+
+  if (
+    manifest.examples !== undefined &&
+    (!Array.isArray(manifest.examples) ||
+      manifest.examples.some(
+        (example) =>
+          typeof example?.prompt !== "string" ||
+          typeof example?.call !== "string"
+      ))
+  )
+    return "examples must be a list of { prompt, call } strings.";
+  return null;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case "string":
+      return typeof value === "string";
+    case "number":
+      return typeof value === "number" && !isNaN(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "boolean":
+      return typeof value === "boolean";
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return !!value && typeof value === "object" && !Array.isArray(value);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Checks the arguments the LLM called a skill with against its params schema.
+ * @param {Object} schema
+ * @param {Object} args
+ * @returns {string|null} a description of the problem to send back to the LLM
+ */
+function validateArguments(schema, args) {
+  const properties = schema.properties ?? {};
+  for (const param of schema.required ?? []) {
+    if (args[param] === undefined || args[param] === null)
+      return `"${param}" is required.`;
+  }
+
+  for (const [param, value] of Object.entries(args)) {
+    const definition = properties[param];
+    if (!definition) {
+      if (schema.additionalProperties === false)
+        return `"${param}" is not a known parameter.`;
+      continue;
+    }
+    if (value === null || value === undefined) continue;
+    if (!matchesType(definition.type, value))
+      return `"${param}" must be of type ${definition.type}.`;
+    if (Array.isArray(definition.enum) && !definition.enum.includes(value))
+      return `"${param}" must be one of ${definition.enum.join(", ")}.`;
+  }
+  return null;
+}
+
+module.exports = { ImportedPlugin };
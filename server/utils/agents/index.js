@@ -4,12 +4,20 @@ const {
   WorkspaceAgentInvocation,
 } = require("../../models/workspaceAgentInvocation");
 const { WorkspaceChats } = require("../../models/workspaceChats");
+const { AgentMemory } = require("../../models/agentMemory");
+const { AgentDefinition } = require("../../models/agentDefinitions");
+const { AgentChannel } = require("../../models/agentChannels");
 const { safeJsonParse } = require("../http");
 const { USER_AGENT, WORKSPACE_AGENT } = require("./defaults");
+const { ImportedPlugin } = require("./imported");
+const { AgentFlows } = require("../agentFlows");
+const { MCPHypervisor } = require("../MCP");
+const { agentApprovalPolicies } = require("./approvals");
 
 class AgentHandler {
   #invocationUUID;
   #funcsToLoad = [];
+  #memories = [];
   noProviderModelDefault = {
     azure: "OPEN_MODEL_PREF",
     lmstudio: "LMSTUDIO_MODEL_PREF",
@@ -74,8 +82,43 @@ class AgentHandler {
     }
   }
 
-  checkSetup() {
-    switch (this.provider) {
+  /**
+   * Loads what the agent remembers about the user in this workspace so it can be
+   * added to the workspace agent prompt at the start of the invocation.
+   * @param {Object[]} agentHistory - chats loaded into the agent, facts already in them are skipped
+   */
+  async #recallMemories(agentHistory = []) {
+    this.#memories = await AgentMemory.recall(
+      {
+        workspaceId: this.invocation.workspace_id,
+        userId: this.invocation.user_id,
+      },
+      agentHistory
+    );
+    if (this.#memories.length > 0)
+      this.log(`Recalled ${this.#memories.length} memories for invocation.`);
+  }
+
+  #withMemories(role = "") {
+    return AgentHandler.withMemories(role, this.#memories);
+  }
+
+  /**
+   * Appends recalled memories to an agent role.
+   * @param {string} role
+   * @param {{fact: string}[]} memories
+   * @returns {string}
+   */
+  static withMemories(role = "", memories = []) {
+    if (memories.length === 0) return role;
+    return `${role}
+
+Here is what you remember about the user from previous conversations. Use it when it is relevant to the request:
+${memories.map((memory) => `- ${memory.fact}`).join("\n")}`;
+  }
+
+  checkSetup(provider = this.provider) {
+    switch (provider) {
       case "openai":
         if (!process.env.OPEN_AI_KEY)
           throw new Error("OpenAI API key must be provided to use agents.");
@@ -163,8 +206,8 @@ class AgentHandler {
     }
   }
 
-  providerDefault() {
-    switch (this.provider) {
+  providerDefault(provider = this.provider) {
+    switch (provider) {
       case "openai":
         return "gpt-4o";
       case "anthropic":
@@ -260,6 +303,57 @@ class AgentHandler {
 
   #attachPlugins(args) {
     for (const name of this.#funcsToLoad) {
+      // Load tool from a running MCP server
+      if (MCPHypervisor.isMCPTool(name)) {
+        const mcpPlugin = new MCPHypervisor().pluginForTool(name);
+        if (!mcpPlugin) {
+          this.log(
+            `${name} is not an available MCP tool. Skipping inclusion to agent cluster.`
+          );
+          continue;
+        }
+
+        this.aibitat.use(mcpPlugin);
+        this.log(`Attached MCP tool ${name} to Agent cluster`);
+        continue;
+      }
+
+      // Load flow built in the agent flow builder
+      if (AgentFlows.isAgentFlow(name)) {
+        const flowPlugin = AgentFlows.load(name);
+        if (!flowPlugin) {
+          this.log(
+            `${name} is not a valid agent flow. Skipping inclusion to agent cluster.`
+          );
+          continue;
+        }
+
+        this.aibitat.use(flowPlugin);
+        this.log(`Attached agent flow ${name} to Agent cluster`);
+        continue;
+      }
+
+      // Load user supplied plugin from the plugins folder
+      if (ImportedPlugin.isImportedPlugin(name)) {
+        const importedPlugin = ImportedPlugin.load(name);
+        if (!importedPlugin) {
+          this.log(
+            `${name} is not a valid imported plugin. Skipping inclusion to agent cluster.`
+          );
+          continue;
+        }
+
+        try {
+          this.aibitat.use(importedPlugin.plugin());
+          this.log(`Attached imported ${name} plugin to Agent cluster`);
+        } catch (e) {
+          this.log(
+            `Could not attach imported ${name} plugin to Agent cluster. ${e.message}`
+          );
+        }
+        continue;
+      }
+
       // Load child plugin
       if (name.includes("#")) {
         const [parent, childPluginName] = name.split("#");
@@ -314,15 +408,71 @@ class AgentHandler {
     // Default User agent and workspace agent
     this.log(`Attaching user and default agent to Agent cluster.`);
     this.aibitat.agent(USER_AGENT.name, await USER_AGENT.getDefinition());
-    this.aibitat.agent(
-      WORKSPACE_AGENT.name,
-      await WORKSPACE_AGENT.getDefinition(this.provider)
-    );
+    const workspaceAgent = await WORKSPACE_AGENT.getDefinition(this.provider);
+    this.aibitat.agent(WORKSPACE_AGENT.name, {
+      ...workspaceAgent,
+      role: this.#withMemories(workspaceAgent.role),
+    });
 
     this.#funcsToLoad = [
       ...((await USER_AGENT.getDefinition())?.functions || []),
       ...((await WORKSPACE_AGENT.getDefinition())?.functions || []),
     ];
+    await this.#loadNamedAgents(workspaceAgent.functions);
+  }
+
+  /**
+   * When the prompt starts with the @handle of a named agent or channel, adds those agents
+   * to the cluster and routes the prompt to them instead of the workspace agent.
+   * @param {string[]} availableFunctions - skills of the workspace agent, named agents can only use these
+   */
+  async #loadNamedAgents(availableFunctions = []) {
+    const handle = this.invocation.prompt.split(/\s+/)[0].replace(/^@/, "");
+    if (!handle || handle === "agent") return;
+
+    const channel = await AgentChannel.get({ handle });
+    const agents = channel
+      ? await AgentDefinition.where({
+          handle: { in: AgentChannel.members(channel) },
+        })
+      : [await AgentDefinition.get({ handle })].filter(Boolean);
+    if (agents.length === 0) return;
+
+    for (const agent of agents) {
+      const provider = agent.provider || this.provider;
+      this.checkSetup(provider);
+      this.aibitat.agent(`@${agent.handle}`, {
+        role: this.#withMemories(agent.role),
+        provider,
+        model:
+          agent.model ||
+          (provider === this.provider
+            ? this.model
+            : this.providerDefault(provider)),
+        functions: AgentDefinition.skills(agent).filter((name) =>
+          availableFunctions.includes(name)
+        ),
+      });
+      this.log(`Attached named agent @${agent.handle} to Agent cluster.`);
+    }
+
+    if (!channel) {
+      this.channel = `@${agents[0].handle}`;
+      return;
+    }
+
+    this.aibitat.channel(
+      `@${channel.handle}`,
+      agents.map((agent) => `@${agent.handle}`),
+      {
+        role:
+          channel.role ||
+          "You moderate a group chat of agents. Pick the agent best suited to move the conversation towards answering the user.",
+        maxRounds: channel.maxRounds,
+      }
+    );
+    this.channel = `@${channel.handle}`;
+    this.log(`Attached agent channel ${this.channel} to Agent cluster.`);
   }
 
   async init() {
@@ -336,14 +486,17 @@ class AgentHandler {
       socket,
     }
   ) {
+    const chats = await this.#chatHistory(20);
+    await this.#recallMemories(chats);
     this.aibitat = new AIbitat({
       provider: this.provider ?? "openai",
       model: this.model ?? "gpt-4o",
-      chats: await this.#chatHistory(20),
+      chats,
       handlerProps: {
         invocation: this.invocation,
         log: this.log,
       },
+      approvalPolicies: await agentApprovalPolicies(),
     });
 
     // Attach standard websocket plugin for frontend communication.
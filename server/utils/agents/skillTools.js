@@ -0,0 +1,81 @@
+const { v4: uuidv4 } = require("uuid");
+const {
+  EphemeralAgentHandler,
+  EphemeralEventListener,
+} = require("./ephemeral");
+const { WORKSPACE_AGENT } = require("./defaults");
+
+/**
+ * The agent skills enabled for a workspace as OpenAI tools. The OpenAI compatible
+ * chat endpoint sends these to the LLM with the tools of the client and runs the
+ * calls to them itself. Skills run with the same approval policies as in agent chats,
+ * so skills that need approval from a user are never run.
+ */
+class AgentSkillTools {
+  /** @type {import("./aibitat")} */
+  #aibitat = null;
+
+  constructor(aibitat) {
+    this.#aibitat = aibitat;
+  }
+
+  /**
+   * Loads the skills the agent of the workspace would have.
+   * Throws when the workspace agent provider is not set up.
+   * @param {{workspace: import("@prisma/client").workspaces, prompt: string}} param0
+   * @returns {Promise<AgentSkillTools>}
+   */
+  static async forWorkspace({ workspace, prompt = "" }) {
+    const agentHandler = await new EphemeralAgentHandler({
+      uuid: uuidv4(),
+      workspace,
+      prompt,
+    }).init();
+    await agentHandler.createAIbitat({ handler: new EphemeralEventListener() });
+    return new AgentSkillTools(agentHandler.aibitat);
+  }
+
+  /**
+   * @param {string[]} exclude - names of tools the client already sent, these take precedence
+   * @returns {{type: "function", function: {name: string, description: string, parameters: object}}[]}
+   */
+  definitions(exclude = []) {
+    return Array.from(this.#aibitat.functions.values())
+      .filter((fn) => !exclude.includes(fn.name))
+      .map((fn) => ({
+        type: "function",
+        function: {
+          name: fn.name,
+          description: fn.description,
+          parameters: fn.parameters,
+        },
+      }));
+  }
+
+  has(name) {
+    return this.#aibitat.functions.has(name);
+  }
+
+  /**
+   * Runs a tool call of the LLM on the server.
+   * @param {{id: string, function: {name: string, arguments: string}}} toolCall
+   * @returns {Promise<{role: "tool", tool_call_id: string, content: string}>} the message with the result
+   */
+  async call(toolCall) {
+    let content;
+    try {
+      const args = JSON.parse(toolCall.function.arguments || "{}");
+      const result = await this.#aibitat.callFunction(
+        toolCall.function.name,
+        args,
+        WORKSPACE_AGENT.name
+      );
+      content = typeof result === "string" ? result : JSON.stringify(result);
+    } catch (e) {
+      content = `The ${toolCall.function.name} tool failed to run. ${e.message}`;
+    }
+    return { role: "tool", tool_call_id: toolCall.id, content };
+  }
+}
+
+module.exports = { AgentSkillTools };
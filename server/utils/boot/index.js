@@ -1,7 +1,13 @@
 const { Telemetry } = require("../../models/telemetry");
+const { DocumentVectors } = require("../../models/vectors");
 const { BackgroundService } = require("../BackgroundWorkers");
+const { DocumentIngestionQueue } = require("../DocumentIngestionQueue");
 const { EncryptionManager } = require("../EncryptionManager");
+const { AgentFlows } = require("../agentFlows");
 const { CommunicationKey } = require("../comKey");
+const {
+  CodeSandbox,
+} = require("../agents/aibitat/plugins/code-interpreter/sandbox");
 const setupTelemetry = require("../telemetry");
 
 // Testing SSL? You can make a self signed certificate and point the ENVs to that location
@@ -31,6 +37,10 @@ function bootSSL(app, port = 3001) {
         new CommunicationKey(true);
         new EncryptionManager();
         new BackgroundService().boot();
+        DocumentIngestionQueue.start();
+        DocumentVectors.backfillKeywordIndex();
+        AgentFlows.encryptStoredHeaders();
+        CodeSandbox.check();
         console.log(`Primary server in HTTPS mode listening on port ${port}`);
       })
       .on("error", catchSigTerms);
@@ -60,6 +70,10 @@ function bootHTTP(app, port = 3001) {
       new CommunicationKey(true);
       new EncryptionManager();
       new BackgroundService().boot();
+      DocumentIngestionQueue.start();
+      DocumentVectors.backfillKeywordIndex();
+      AgentFlows.encryptStoredHeaders();
+      CodeSandbox.check();
       console.log(`Primary server in HTTP mode listening on port ${port}`);
     })
     .on("error", catchSigTerms);
@@ -2,6 +2,7 @@ const pluralize = require("pluralize");
 const {
   WorkspaceAgentInvocation,
 } = require("../../models/workspaceAgentInvocation");
+const { AgentDefinition } = require("../../models/agentDefinitions");
 const { writeResponseChunk } = require("../helpers/chat/responses");
 
 async function grepAgents({
@@ -12,7 +13,10 @@ async function grepAgents({
   user = null,
   thread = null,
 }) {
-  const agentHandles = WorkspaceAgentInvocation.parseAgents(message);
+  const agentHandles = WorkspaceAgentInvocation.parseAgents(
+    message,
+    await AgentDefinition.invocableHandles()
+  );
   if (agentHandles.length > 0) {
     const { invocation: newInvocation } = await WorkspaceAgentInvocation.new({
       prompt: message,
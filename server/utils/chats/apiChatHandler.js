@@ -9,6 +9,10 @@ const {
   EphemeralEventListener,
 } = require("../agents/ephemeral");
 const { Telemetry } = require("../../models/telemetry");
+const { KnowledgeGraph } = require("../KnowledgeGraph");
+const {
+  structuredChatCompletion,
+} = require("../helpers/chat/structuredOutput");
 
 /**
  * @typedef ResponseObject
@@ -25,12 +29,14 @@ const { Telemetry } = require("../../models/telemetry");
  * @param {{
  *  workspace: import("@prisma/client").workspaces,
  *  message:string,
- *  mode: "chat"|"query",
+ *  mode: "chat"|"query"|"graph",
  *  user: import("@prisma/client").users|null,
  *  thread: import("@prisma/client").workspace_threads|null,
  *  sessionId: string|null,
+ *  filters: import("../helpers/metadataFilter").MetadataFilter|null,
+ *  jsonSchema: object|null,
  * }} parameters
- * @returns {Promise<ResponseObject>}
+ * @returns {Promise<ResponseObject & {structuredOutput?: *}>} with a `jsonSchema` the parsed answer is in `structuredOutput`
  */
 async function chatSync({
   workspace,
@@ -39,11 +45,24 @@ async function chatSync({
   user = null,
   thread = null,
   sessionId = null,
+  filters = null,
+  jsonSchema = null,
 }) {
   const uuid = uuidv4();
   const chatMode = mode ?? "chat";
 
   if (EphemeralAgentHandler.isAgentInvocation({ message })) {
+    if (jsonSchema) {
+      return {
+        id: uuid,
+        type: "abort",
+        textResponse: null,
+        sources: [],
+        close: true,
+        error: "A jsonSchema cannot be used when invoking an agent.",
+      };
+    }
+
     await Telemetry.sendTelemetry("agent_chat_started");
 
     // Initialize the EphemeralAgentHandler to handle non-continuous
@@ -136,6 +155,7 @@ async function chatSync({
   // If we are here we know that we are in a workspace that is:
   // 1. Chatting in "chat" mode and may or may _not_ have embeddings
   // 2. Chatting in "query" mode and has at least 1 embedding
+  // 3. Chatting in "graph" mode and may or may _not_ have a knowledge graph
   let contextTexts = [];
   let sources = [];
   let pinnedDocIdentifiers = [];
@@ -150,6 +170,7 @@ async function chatSync({
   await new DocumentManager({
     workspace,
     maxTokens: LLMConnector.promptWindowLimit(),
+    user,
   })
     .pinnedDocs()
     .then((pinnedDocs) => {
@@ -166,6 +187,30 @@ async function chatSync({
       });
     });
 
+  // In graph mode we walk the workspace knowledge graph from the entities mentioned in the prompt
+  // and inject the facts and chunks found along the way. Graph paths are cited like any other source.
+  let graphChunkIds = [];
+  if (chatMode === "graph") {
+    const graphResults = await new KnowledgeGraph({
+      workspace,
+      LLMConnector,
+    }).search({
+      input: message,
+      hops: workspace?.graphHops,
+      topN: workspace?.topN,
+      filterIdentifiers: pinnedDocIdentifiers,
+      user,
+    });
+    graphChunkIds = graphResults.chunkIds;
+    contextTexts = [...contextTexts, ...graphResults.contextTexts];
+    sources = [...sources, ...graphResults.sources];
+  }
+
+  const {
+    searchCandidateCount,
+    hybridSearchSources,
+    rerankSources,
+  } = require("../helpers/chat");
   const vectorSearchResults =
     embeddingsCount !== 0
       ? await VectorDb.performSimilaritySearch({
@@ -173,8 +218,10 @@ async function chatSync({
           input: message,
           LLMConnector,
           similarityThreshold: workspace?.similarityThreshold,
-          topN: workspace?.topN,
+          topN: searchCandidateCount(workspace),
           filterIdentifiers: pinnedDocIdentifiers,
+          metadataFilter: filters,
+          user,
         })
       : {
           contextTexts: [],
@@ -194,6 +241,32 @@ async function chatSync({
     };
   }
 
+  // Fuse full-text keyword matches into the vector results so exact terms (part numbers, error codes, names)
+  // that are easily missed by dense retrieval can still make it into the context window.
+  if (workspace?.hybridSearch && embeddingsCount !== 0) {
+    vectorSearchResults.sources = await hybridSearchSources({
+      workspace,
+      input: message,
+      vectorSources: vectorSearchResults.sources,
+      filterIdentifiers: pinnedDocIdentifiers,
+      metadataFilter: filters,
+      user,
+      nDocs: searchCandidateCount(workspace),
+    });
+  }
+
+  // Reorder the over-fetched candidates with the workspace reranker (if any) and keep the topN most relevant.
+  vectorSearchResults.sources = await rerankSources({
+    workspace,
+    input: message,
+    sources: vectorSearchResults.sources,
+  });
+
+  // Do not repeat chunks that were already found by walking the knowledge graph.
+  vectorSearchResults.sources = vectorSearchResults.sources.filter(
+    (source) => !graphChunkIds.includes(source.id)
+  );
+
   const { fillSourceWindow } = require("../helpers/chat");
   const filledSources = fillSourceWindow({
     nDocs: workspace?.topN || 4,
@@ -255,10 +328,24 @@ async function chatSync({
     rawHistory
   );
 
-  // Send the text completion.
-  const textResponse = await LLMConnector.getChatCompletion(messages, {
-    temperature: workspace?.openAiTemp ?? LLMConnector.defaultTemp,
-  });
+  // Send the text completion. With a JSON schema the answer is asked for again until it matches.
+  const temperature = workspace?.openAiTemp ?? LLMConnector.defaultTemp;
+  const {
+    textResponse,
+    structuredOutput,
+    error = null,
+  } = jsonSchema
+    ? await structuredChatCompletion({
+        LLMConnector,
+        messages,
+        temperature,
+        jsonSchema,
+      })
+    : {
+        textResponse: await LLMConnector.getChatCompletion(messages, {
+          temperature,
+        }),
+      };
 
   if (!textResponse) {
     return {
@@ -284,9 +371,10 @@ async function chatSync({
     id: uuid,
     type: "textResponse",
     close: true,
-    error: null,
+    error,
     chatId: chat.id,
     textResponse,
+    ...(jsonSchema ? { structuredOutput: structuredOutput ?? null } : {}),
     sources,
   };
 }
@@ -297,10 +385,11 @@ async function chatSync({
  * response: import("express").Response,
  *  workspace: import("@prisma/client").workspaces,
  *  message:string,
- *  mode: "chat"|"query",
+ *  mode: "chat"|"query"|"graph",
  *  user: import("@prisma/client").users|null,
  *  thread: import("@prisma/client").workspace_threads|null,
  *  sessionId: string|null,
+ *  filters: import("../helpers/metadataFilter").MetadataFilter|null,
  * }} parameters
  * @returns {Promise<VoidFunction>}
  */
@@ -312,6 +401,7 @@ async function streamChat({
   user = null,
   thread = null,
   sessionId = null,
+  filters = null,
 }) {
   const uuid = uuidv4();
   const chatMode = mode ?? "chat";
@@ -412,6 +502,7 @@ async function streamChat({
   // If we are here we know that we are in a workspace that is:
   // 1. Chatting in "chat" mode and may or may _not_ have embeddings
   // 2. Chatting in "query" mode and has at least 1 embedding
+  // 3. Chatting in "graph" mode and may or may _not_ have a knowledge graph
   let completeText;
   let contextTexts = [];
   let sources = [];
@@ -433,6 +524,7 @@ async function streamChat({
   await new DocumentManager({
     workspace,
     maxTokens: LLMConnector.promptWindowLimit(),
+    user,
   })
     .pinnedDocs()
     .then((pinnedDocs) => {
@@ -449,6 +541,30 @@ async function streamChat({
       });
     });
 
+  // In graph mode we walk the workspace knowledge graph from the entities mentioned in the prompt
+  // and inject the facts and chunks found along the way. Graph paths are cited like any other source.
+  let graphChunkIds = [];
+  if (chatMode === "graph") {
+    const graphResults = await new KnowledgeGraph({
+      workspace,
+      LLMConnector,
+    }).search({
+      input: message,
+      hops: workspace?.graphHops,
+      topN: workspace?.topN,
+      filterIdentifiers: pinnedDocIdentifiers,
+      user,
+    });
+    graphChunkIds = graphResults.chunkIds;
+    contextTexts = [...contextTexts, ...graphResults.contextTexts];
+    sources = [...sources, ...graphResults.sources];
+  }
+
+  const {
+    searchCandidateCount,
+    hybridSearchSources,
+    rerankSources,
+  } = require("../helpers/chat");
   const vectorSearchResults =
     embeddingsCount !== 0
       ? await VectorDb.performSimilaritySearch({
@@ -456,8 +572,10 @@ async function streamChat({
           input: message,
           LLMConnector,
           similarityThreshold: workspace?.similarityThreshold,
-          topN: workspace?.topN,
+          topN: searchCandidateCount(workspace),
           filterIdentifiers: pinnedDocIdentifiers,
+          metadataFilter: filters,
+          user,
         })
       : {
           contextTexts: [],
@@ -478,6 +596,32 @@ async function streamChat({
     return;
   }
 
+  // Fuse full-text keyword matches into the vector results so exact terms (part numbers, error codes, names)
+  // that are easily missed by dense retrieval can still make it into the context window.
+  if (workspace?.hybridSearch && embeddingsCount !== 0) {
+    vectorSearchResults.sources = await hybridSearchSources({
+      workspace,
+      input: message,
+      vectorSources: vectorSearchResults.sources,
+      filterIdentifiers: pinnedDocIdentifiers,
+      metadataFilter: filters,
+      user,
+      nDocs: searchCandidateCount(workspace),
+    });
+  }
+
+  // Reorder the over-fetched candidates with the workspace reranker (if any) and keep the topN most relevant.
+  vectorSearchResults.sources = await rerankSources({
+    workspace,
+    input: message,
+    sources: vectorSearchResults.sources,
+  });
+
+  // Do not repeat chunks that were already found by walking the knowledge graph.
+  vectorSearchResults.sources = vectorSearchResults.sources.filter(
+    (source) => !graphChunkIds.includes(source.id)
+  );
+
   const { fillSourceWindow } = require("../helpers/chat");
   const filledSources = fillSourceWindow({
     nDocs: workspace?.topN || 4,
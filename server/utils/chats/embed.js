@@ -2,11 +2,17 @@ const { v4: uuidv4 } = require("uuid");
 const { getVectorDbClass, getLLMProvider } = require("../helpers");
 const { chatPrompt, sourceIdentifier } = require("./index");
 const { EmbedChats } = require("../../models/embedChats");
+const { Document } = require("../../models/documents");
 const {
   convertToPromptHistory,
   writeResponseChunk,
 } = require("../helpers/chat/responses");
 const { DocumentManager } = require("../DocumentManager");
+const {
+  searchCandidateCount,
+  hybridSearchSources,
+  rerankSources,
+} = require("../helpers/chat");
 
 async function streamChatWithForEmbed(
   response,
@@ -68,6 +74,7 @@ async function streamChatWithForEmbed(
   await new DocumentManager({
     workspace: embed.workspace,
     maxTokens: LLMConnector.promptWindowLimit(),
+    user: Document.PUBLIC_USER,
   })
     .pinnedDocs()
     .then((pinnedDocs) => {
@@ -91,8 +98,9 @@ async function streamChatWithForEmbed(
           input: message,
           LLMConnector,
           similarityThreshold: embed.workspace?.similarityThreshold,
-          topN: embed.workspace?.topN,
+          topN: searchCandidateCount(embed.workspace),
           filterIdentifiers: pinnedDocIdentifiers,
+          user: Document.PUBLIC_USER,
         })
       : {
           contextTexts: [],
@@ -113,7 +121,27 @@ async function streamChatWithForEmbed(
     return;
   }
 
-  contextTexts = [...contextTexts, ...vectorSearchResults.contextTexts];
+  // Fuse full-text keyword matches into the vector results and rerank them the same way workspace chats do.
+  if (embed.workspace?.hybridSearch && embeddingsCount !== 0) {
+    vectorSearchResults.sources = await hybridSearchSources({
+      workspace: embed.workspace,
+      input: message,
+      vectorSources: vectorSearchResults.sources,
+      filterIdentifiers: pinnedDocIdentifiers,
+      user: Document.PUBLIC_USER,
+      nDocs: searchCandidateCount(embed.workspace),
+    });
+  }
+  vectorSearchResults.sources = await rerankSources({
+    workspace: embed.workspace,
+    input: message,
+    sources: vectorSearchResults.sources,
+  });
+
+  contextTexts = [
+    ...contextTexts,
+    ...vectorSearchResults.sources.map((source) => source.text),
+  ];
   sources = [...sources, ...vectorSearchResults.sources];
 
   // If in query mode and no sources are found, do not
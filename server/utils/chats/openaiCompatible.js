@@ -3,7 +3,14 @@ const { DocumentManager } = require("../DocumentManager");
 const { WorkspaceChats } = require("../../models/workspaceChats");
 const { getVectorDbClass, getLLMProvider } = require("../helpers");
 const { writeResponseChunk } = require("../helpers/chat/responses");
+const {
+  openAICompatibleClient,
+  searchCandidateCount,
+  hybridSearchSources,
+  rerankSources,
+} = require("../helpers/chat");
 const { chatPrompt, sourceIdentifier } = require("./index");
+const { KnowledgeGraph } = require("../KnowledgeGraph");
 
 const { PassThrough } = require("stream");
 
@@ -13,6 +20,7 @@ async function chatSync({
   history = [],
   prompt = null,
   temperature = null,
+  toolOptions = {},
 }) {
   const uuid = uuidv4();
   const chatMode = workspace?.chatMode ?? "chat";
@@ -58,6 +66,7 @@ async function chatSync({
   // If we are here we know that we are in a workspace that is:
   // 1. Chatting in "chat" mode and may or may _not_ have embeddings
   // 2. Chatting in "query" mode and has at least 1 embedding
+  // 3. Chatting in "graph" mode and may or may _not_ have a knowledge graph
   let contextTexts = [];
   let sources = [];
   let pinnedDocIdentifiers = [];
@@ -80,6 +89,24 @@ async function chatSync({
       });
     });
 
+  // In graph mode we walk the workspace knowledge graph from the entities mentioned in the prompt
+  // and inject the facts and chunks found along the way.
+  let graphChunkIds = [];
+  if (chatMode === "graph") {
+    const graphResults = await new KnowledgeGraph({
+      workspace,
+      LLMConnector,
+    }).search({
+      input: prompt,
+      hops: workspace?.graphHops,
+      topN: workspace?.topN,
+      filterIdentifiers: pinnedDocIdentifiers,
+    });
+    graphChunkIds = graphResults.chunkIds;
+    contextTexts = [...contextTexts, ...graphResults.contextTexts];
+    sources = [...sources, ...graphResults.sources];
+  }
+
   const vectorSearchResults =
     embeddingsCount !== 0
       ? await VectorDb.performSimilaritySearch({
@@ -87,7 +114,7 @@ async function chatSync({
           input: prompt,
           LLMConnector,
           similarityThreshold: workspace?.similarityThreshold,
-          topN: workspace?.topN,
+          topN: searchCandidateCount(workspace),
           filterIdentifiers: pinnedDocIdentifiers,
         })
       : {
@@ -111,9 +138,29 @@ async function chatSync({
     );
   }
 
+  // Fuse full-text keyword matches into the vector results and rerank them the same way workspace chats do.
+  if (workspace?.hybridSearch && embeddingsCount !== 0) {
+    vectorSearchResults.sources = await hybridSearchSources({
+      workspace,
+      input: prompt,
+      vectorSources: vectorSearchResults.sources,
+      filterIdentifiers: pinnedDocIdentifiers,
+      nDocs: searchCandidateCount(workspace),
+    });
+  }
+  vectorSearchResults.sources = await rerankSources({
+    workspace,
+    input: prompt,
+    sources: vectorSearchResults.sources,
+  });
+
   // For OpenAI Compatible chats, we cannot do backfilling so we simply aggregate results here.
-  contextTexts = [...contextTexts, ...vectorSearchResults.contextTexts];
-  sources = [...sources, ...vectorSearchResults.sources];
+  // Chunks that were already found by walking the knowledge graph are not repeated.
+  const vectorSources = vectorSearchResults.sources.filter(
+    (source) => !graphChunkIds.includes(source.id)
+  );
+  contextTexts = [...contextTexts, ...vectorSources.map((src) => src.text)];
+  sources = [...sources, ...vectorSources];
 
   // If in query mode and no context chunks are found from search, backfill, or pins -  do not
   // let the LLM try to hallucinate a response or use general knowledge and exit early
@@ -155,6 +202,41 @@ async function chatSync({
     chatHistory: history,
   });
 
+  if (usesToolOptions(toolOptions)) {
+    try {
+      const { textResponse, toolCalls } = await toolChatCompletion({
+        workspace,
+        LLMConnector,
+        prompt,
+        messages,
+        temperature:
+          temperature ?? workspace?.openAiTemp ?? LLMConnector.defaultTemp,
+        toolOptions,
+      });
+      if (toolCalls.length > 0) {
+        return formatJSON(
+          { id: uuid, textResponse, toolCalls },
+          { model: workspace.slug, finish_reason: "tool_calls" }
+        );
+      }
+
+      const { chat } = await WorkspaceChats.new({
+        workspaceId: workspace.id,
+        prompt: prompt,
+        response: { text: textResponse, sources, type: chatMode },
+      });
+      return formatJSON(
+        { id: uuid, chatId: chat.id, textResponse },
+        { model: workspace.slug, finish_reason: "stop" }
+      );
+    } catch (e) {
+      return formatJSON(
+        { id: uuid, textResponse: null, error: e.message },
+        { model: workspace.slug, finish_reason: "abort" }
+      );
+    }
+  }
+
   // Send the text completion.
   const textResponse = await LLMConnector.getChatCompletion(messages, {
     temperature:
@@ -202,6 +284,7 @@ async function streamChat({
   history = [],
   prompt = null,
   temperature = null,
+  toolOptions = {},
 }) {
   const uuid = uuidv4();
   const chatMode = workspace?.chatMode ?? "chat";
@@ -270,6 +353,7 @@ async function streamChat({
   // If we are here we know that we are in a workspace that is:
   // 1. Chatting in "chat" mode and may or may _not_ have embeddings
   // 2. Chatting in "query" mode and has at least 1 embedding
+  // 3. Chatting in "graph" mode and may or may _not_ have a knowledge graph
   let contextTexts = [];
   let sources = [];
   let pinnedDocIdentifiers = [];
@@ -292,6 +376,24 @@ async function streamChat({
       });
     });
 
+  // In graph mode we walk the workspace knowledge graph from the entities mentioned in the prompt
+  // and inject the facts and chunks found along the way.
+  let graphChunkIds = [];
+  if (chatMode === "graph") {
+    const graphResults = await new KnowledgeGraph({
+      workspace,
+      LLMConnector,
+    }).search({
+      input: prompt,
+      hops: workspace?.graphHops,
+      topN: workspace?.topN,
+      filterIdentifiers: pinnedDocIdentifiers,
+    });
+    graphChunkIds = graphResults.chunkIds;
+    contextTexts = [...contextTexts, ...graphResults.contextTexts];
+    sources = [...sources, ...graphResults.sources];
+  }
+
   const vectorSearchResults =
     embeddingsCount !== 0
       ? await VectorDb.performSimilaritySearch({
@@ -299,7 +401,7 @@ async function streamChat({
           input: prompt,
           LLMConnector,
           similarityThreshold: workspace?.similarityThreshold,
-          topN: workspace?.topN,
+          topN: searchCandidateCount(workspace),
           filterIdentifiers: pinnedDocIdentifiers,
         })
       : {
@@ -327,9 +429,29 @@ async function streamChat({
     return;
   }
 
+  // Fuse full-text keyword matches into the vector results and rerank them the same way workspace chats do.
+  if (workspace?.hybridSearch && embeddingsCount !== 0) {
+    vectorSearchResults.sources = await hybridSearchSources({
+      workspace,
+      input: prompt,
+      vectorSources: vectorSearchResults.sources,
+      filterIdentifiers: pinnedDocIdentifiers,
+      nDocs: searchCandidateCount(workspace),
+    });
+  }
+  vectorSearchResults.sources = await rerankSources({
+    workspace,
+    input: prompt,
+    sources: vectorSearchResults.sources,
+  });
+
   // For OpenAI Compatible chats, we cannot do backfilling so we simply aggregate results here.
-  contextTexts = [...contextTexts, ...vectorSearchResults.contextTexts];
-  sources = [...sources, ...vectorSearchResults.sources];
+  // Chunks that were already found by walking the knowledge graph are not repeated.
+  const vectorSources = vectorSearchResults.sources.filter(
+    (source) => !graphChunkIds.includes(source.id)
+  );
+  contextTexts = [...contextTexts, ...vectorSources.map((src) => src.text)];
+  sources = [...sources, ...vectorSources];
 
   // If in query mode and no context chunks are found from search, backfill, or pins -  do not
   // let the LLM try to hallucinate a response or use general knowledge and exit early
@@ -375,6 +497,60 @@ async function streamChat({
     chatHistory: history,
   });
 
+  if (usesToolOptions(toolOptions)) {
+    try {
+      const { completeText, toolCalls } = await streamToolChatCompletion({
+        workspace,
+        LLMConnector,
+        prompt,
+        messages,
+        temperature:
+          temperature ?? workspace?.openAiTemp ?? LLMConnector.defaultTemp,
+        toolOptions,
+        response,
+        uuid,
+      });
+
+      let chatId = null;
+      if (completeText.length > 0 && toolCalls.length === 0) {
+        const { chat } = await WorkspaceChats.new({
+          workspaceId: workspace.id,
+          prompt: prompt,
+          response: { text: completeText, sources, type: chatMode },
+        });
+        chatId = chat.id;
+      }
+
+      writeResponseChunk(
+        response,
+        formatJSON(
+          {
+            uuid,
+            type: "finalizeResponseStream",
+            close: true,
+            error: false,
+            chatId,
+            textResponse: "",
+          },
+          {
+            chunked: true,
+            model: workspace.slug,
+            finish_reason: toolCalls.length > 0 ? "tool_calls" : "stop",
+          }
+        )
+      );
+    } catch (e) {
+      writeResponseChunk(
+        response,
+        formatJSON(
+          { uuid, textResponse: null, error: e.message },
+          { chunked: true, model: workspace.slug, finish_reason: "abort" }
+        )
+      );
+    }
+    return;
+  }
+
   if (!LLMConnector.streamingEnabled()) {
     writeResponseChunk(
       response,
@@ -450,6 +626,237 @@ async function streamChat({
   return;
 }
 
+// A model calling the server side agent skills over and over should not keep the request open forever.
+const MAX_TOOL_ROUNDS = 10;
+
+/**
+ * Options of an OpenAI chat request that are sent to the LLM provider as is.
+ * @typedef {Object} ToolOptions
+ * @property {object[]} [tools] - tools of the client, calls to them are returned to the client
+ * @property {string|object} [toolChoice]
+ * @property {object} [responseFormat]
+ * @property {boolean} [agentSkills] - also send the workspace agent skills as tools, calls to them run on the server
+ * @property {object[]} [toolMessages] - the assistant tool calls and tool results that follow the prompt
+ */
+
+/**
+ * @param {ToolOptions} toolOptions
+ * @returns {boolean}
+ */
+function usesToolOptions({
+  tools = [],
+  toolChoice = null,
+  responseFormat = null,
+  agentSkills = false,
+  toolMessages = [],
+} = {}) {
+  return (
+    tools.length > 0 ||
+    !!toolChoice ||
+    (!!responseFormat && responseFormat.type !== "text") ||
+    !!agentSkills ||
+    toolMessages.length > 0
+  );
+}
+
+async function prepareToolRequest({
+  workspace,
+  LLMConnector,
+  prompt,
+  temperature,
+  toolOptions,
+}) {
+  const {
+    tools = [],
+    toolChoice = null,
+    responseFormat = null,
+    agentSkills = false,
+  } = toolOptions;
+  const client = openAICompatibleClient(LLMConnector);
+  if (!client)
+    throw new Error(
+      `The ${workspace?.chatProvider ?? process.env.LLM_PROVIDER} LLM provider does not support tools or response formats.`
+    );
+
+  const { AgentSkillTools } = require("../agents/skillTools");
+  const skills = agentSkills
+    ? await AgentSkillTools.forWorkspace({ workspace, prompt })
+    : null;
+  const clientToolNames = tools.map((tool) => tool?.function?.name);
+  const allTools = [...tools, ...(skills?.definitions(clientToolNames) ?? [])];
+
+  return {
+    client,
+    skills,
+    isServerTool: (name) =>
+      !!skills && !clientToolNames.includes(name) && skills.has(name),
+    request: {
+      model: LLMConnector.model,
+      temperature,
+      ...(LLMConnector.maxTokens
+        ? { max_tokens: parseInt(LLMConnector.maxTokens) }
+        : {}),
+      ...(allTools.length > 0 ? { tools: allTools } : {}),
+      ...(toolChoice ? { tool_choice: toolChoice } : {}),
+      ...(responseFormat ? { response_format: responseFormat } : {}),
+    },
+  };
+}
+
+/**
+ * Runs the calls of the model to server side tools and adds them with their results
+ * to the conversation so the model can continue.
+ */
+async function runServerTools({ skills, request, conversation, message }) {
+  conversation.push({
+    role: "assistant",
+    content: message.content ?? null,
+    tool_calls: message.tool_calls,
+  });
+  for (const toolCall of message.tool_calls)
+    conversation.push(await skills.call(toolCall));
+
+  // A forced tool choice would have the model call the same tool again.
+  if (request.tool_choice) request.tool_choice = "auto";
+}
+
+/**
+ * Sends a chat completion with tools and response format to the provider. Calls to the
+ * agent skills are run here until the model answers or calls tools of the client.
+ * When a response has calls to both, only the calls to client tools are returned.
+ * @returns {Promise<{textResponse: string|null, toolCalls: object[]}>}
+ */
+async function toolChatCompletion({
+  workspace,
+  LLMConnector,
+  prompt,
+  messages,
+  temperature,
+  toolOptions,
+}) {
+  const { client, skills, isServerTool, request } = await prepareToolRequest({
+    workspace,
+    LLMConnector,
+    prompt,
+    temperature,
+    toolOptions,
+  });
+
+  const conversation = [...messages, ...(toolOptions.toolMessages ?? [])];
+  for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+    const result = await client.chat.completions.create({
+      ...request,
+      messages: conversation,
+    });
+    const message = result?.choices?.[0]?.message;
+    if (!message) throw new Error("No completion was returned by the LLM.");
+
+    const toolCalls = message.tool_calls ?? [];
+    const clientToolCalls = toolCalls.filter(
+      (toolCall) => !isServerTool(toolCall.function?.name)
+    );
+    if (toolCalls.length === 0 || clientToolCalls.length > 0)
+      return { textResponse: message.content, toolCalls: clientToolCalls };
+
+    await runServerTools({ skills, request, conversation, message });
+  }
+  throw new Error(
+    `The LLM was still calling tools after ${MAX_TOOL_ROUNDS} rounds.`
+  );
+}
+
+/**
+ * Streaming version of `toolChatCompletion`. Text and tool call deltas are written to the
+ * response in OpenAI format as they come in. When agent skills are sent, tool calls are
+ * only known to be for the client once complete, so these are written in one delta each.
+ * @returns {Promise<{completeText: string, toolCalls: object[]}>}
+ */
+async function streamToolChatCompletion({
+  workspace,
+  LLMConnector,
+  prompt,
+  messages,
+  temperature,
+  toolOptions,
+  response,
+  uuid,
+}) {
+  const { client, skills, isServerTool, request } = await prepareToolRequest({
+    workspace,
+    LLMConnector,
+    prompt,
+    temperature,
+    toolOptions,
+  });
+  const writeDelta = (delta) =>
+    writeResponseChunk(
+      response,
+      formatJSON({ uuid, ...delta }, { chunked: true, model: workspace.slug })
+    );
+
+  let completeText = "";
+  const conversation = [...messages, ...(toolOptions.toolMessages ?? [])];
+  for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+    const stream = await client.chat.completions.create({
+      ...request,
+      messages: conversation,
+      stream: true,
+    });
+
+    let text = "";
+    const toolCalls = [];
+    for await (const chunk of stream) {
+      const delta = chunk?.choices?.[0]?.delta ?? {};
+      if (delta.content) {
+        text += delta.content;
+        writeDelta({ textResponse: delta.content });
+      }
+
+      for (const toolCallDelta of delta.tool_calls ?? []) {
+        if (!skills)
+          writeDelta({ textResponse: null, toolCalls: [toolCallDelta] });
+        const toolCall = (toolCalls[toolCallDelta.index] ??= {
+          id: null,
+          type: "function",
+          function: { name: "", arguments: "" },
+        });
+        if (toolCallDelta.id) toolCall.id = toolCallDelta.id;
+        if (toolCallDelta.function?.name)
+          toolCall.function.name += toolCallDelta.function.name;
+        if (toolCallDelta.function?.arguments)
+          toolCall.function.arguments += toolCallDelta.function.arguments;
+      }
+    }
+    completeText += text;
+
+    const calledTools = toolCalls.filter(Boolean);
+    const clientToolCalls = calledTools.filter(
+      (toolCall) => !isServerTool(toolCall.function.name)
+    );
+    if (calledTools.length === 0 || clientToolCalls.length > 0) {
+      if (skills && clientToolCalls.length > 0)
+        writeDelta({
+          textResponse: null,
+          toolCalls: clientToolCalls.map((toolCall, index) => ({
+            index,
+            ...toolCall,
+          })),
+        });
+      return { completeText, toolCalls: clientToolCalls };
+    }
+
+    await runServerTools({
+      skills,
+      request,
+      conversation,
+      message: { content: text || null, tool_calls: calledTools },
+    });
+  }
+  throw new Error(
+    `The LLM was still calling tools after ${MAX_TOOL_ROUNDS} rounds.`
+  );
+}
+
 function formatJSON(chat, { chunked = false, model, finish_reason = null }) {
   const data = {
     id: chat.uuid ?? chat.id,
@@ -461,11 +868,13 @@ function formatJSON(chat, { chunked = false, model, finish_reason = null }) {
         [chunked ? "delta" : "message"]: {
           role: "assistant",
           content: chat.textResponse,
+          ...(chat.toolCalls?.length > 0 ? { tool_calls: chat.toolCalls } : {}),
         },
         logprobs: null,
         finish_reason: finish_reason,
       },
     ],
+    ...(chat.error ? { error: { message: chat.error } } : {}),
   };
 
   return data;
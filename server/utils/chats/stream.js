@@ -4,6 +4,7 @@ const { WorkspaceChats } = require("../../models/workspaceChats");
 const { getVectorDbClass, getLLMProvider } = require("../helpers");
 const { writeResponseChunk } = require("../helpers/chat/responses");
 const { grepAgents } = require("./agents");
+const { KnowledgeGraph } = require("../KnowledgeGraph");
 const {
   grepCommand,
   VALID_COMMANDS,
@@ -12,7 +13,9 @@ const {
   sourceIdentifier,
 } = require("./index");
 
-const VALID_CHAT_MODE = ["chat", "query"];
+const VALID_CHAT_MODE = ["chat", "query", "graph"];
+// Embeds have no graph retrieval so they are limited to these modes.
+const VALID_EMBED_CHAT_MODE = ["chat", "query"];
 
 async function streamChatWithWorkspace(
   response,
@@ -21,7 +24,8 @@ async function streamChatWithWorkspace(
   chatMode = "chat",
   user = null,
   thread = null,
-  attachments = []
+  attachments = [],
+  metadataFilter = null
 ) {
   const uuid = uuidv4();
   const updatedMessage = await grepCommand(message, user);
@@ -93,6 +97,7 @@ async function streamChatWithWorkspace(
   // If we are here we know that we are in a workspace that is:
   // 1. Chatting in "chat" mode and may or may _not_ have embeddings
   // 2. Chatting in "query" mode and has at least 1 embedding
+  // 3. Chatting in "graph" mode and may or may _not_ have a knowledge graph
   let completeText;
   let contextTexts = [];
   let sources = [];
@@ -113,6 +118,7 @@ async function streamChatWithWorkspace(
   await new DocumentManager({
     workspace,
     maxTokens: LLMConnector.promptWindowLimit(),
+    user,
   })
     .pinnedDocs()
     .then((pinnedDocs) => {
@@ -129,6 +135,30 @@ async function streamChatWithWorkspace(
       });
     });
 
+  // In graph mode we walk the workspace knowledge graph from the entities mentioned in the prompt
+  // and inject the facts and chunks found along the way. Graph paths are cited like any other source.
+  let graphChunkIds = [];
+  if (chatMode === "graph") {
+    const graphResults = await new KnowledgeGraph({
+      workspace,
+      LLMConnector,
+    }).search({
+      input: message,
+      hops: workspace?.graphHops,
+      topN: workspace?.topN,
+      filterIdentifiers: pinnedDocIdentifiers,
+      user,
+    });
+    graphChunkIds = graphResults.chunkIds;
+    contextTexts = [...contextTexts, ...graphResults.contextTexts];
+    sources = [...sources, ...graphResults.sources];
+  }
+
+  const {
+    searchCandidateCount,
+    hybridSearchSources,
+    rerankSources,
+  } = require("../helpers/chat");
   const vectorSearchResults =
     embeddingsCount !== 0
       ? await VectorDb.performSimilaritySearch({
@@ -136,8 +166,10 @@ async function streamChatWithWorkspace(
           input: message,
           LLMConnector,
           similarityThreshold: workspace?.similarityThreshold,
-          topN: workspace?.topN,
+          topN: searchCandidateCount(workspace),
           filterIdentifiers: pinnedDocIdentifiers,
+          metadataFilter,
+          user,
         })
       : {
           contextTexts: [],
@@ -158,6 +190,32 @@ async function streamChatWithWorkspace(
     return;
   }
 
+  // Fuse full-text keyword matches into the vector results so exact terms (part numbers, error codes, names)
+  // that are easily missed by dense retrieval can still make it into the context window.
+  if (workspace?.hybridSearch && embeddingsCount !== 0) {
+    vectorSearchResults.sources = await hybridSearchSources({
+      workspace,
+      input: message,
+      vectorSources: vectorSearchResults.sources,
+      filterIdentifiers: pinnedDocIdentifiers,
+      metadataFilter,
+      user,
+      nDocs: searchCandidateCount(workspace),
+    });
+  }
+
+  // Reorder the over-fetched candidates with the workspace reranker (if any) and keep the topN most relevant.
+  vectorSearchResults.sources = await rerankSources({
+    workspace,
+    input: message,
+    sources: vectorSearchResults.sources,
+  });
+
+  // Do not repeat chunks that were already found by walking the knowledge graph.
+  vectorSearchResults.sources = vectorSearchResults.sources.filter(
+    (source) => !graphChunkIds.includes(source.id)
+  );
+
   const { fillSourceWindow } = require("../helpers/chat");
   const filledSources = fillSourceWindow({
     nDocs: workspace?.topN || 4,
@@ -277,5 +335,6 @@ async function streamChatWithWorkspace(
 
 module.exports = {
   VALID_CHAT_MODE,
+  VALID_EMBED_CHAT_MODE,
   streamChatWithWorkspace,
 };
@@ -20,6 +20,9 @@ class CollectorApi {
       whisperProvider: process.env.WHISPER_PROVIDER || "local",
       WhisperModelPref: process.env.WHISPER_MODEL_PREF,
       openAiKey: process.env.OPEN_AI_KEY || null,
+      ocr: {
+        langList: process.env.TARGET_OCR_LANG || "eng",
+      },
     };
   }
 
@@ -42,11 +45,17 @@ class CollectorApi {
       });
   }
 
-  async processDocument(filename = "") {
+  /**
+   * @param {string} filename - name of the file in the hotdir
+   * @param {string|null} originalName - name to give the document when the file is stored
+   * in the hotdir under another name
+   */
+  async processDocument(filename = "", originalName = null) {
     if (!filename) return false;
 
     const data = JSON.stringify({
       filename,
+      originalName,
       options: this.#attachOptions(),
     });
 
@@ -176,6 +176,7 @@ async function findDocumentInDocuments(documentName = null) {
     return {
       name: targetFilename,
       type: "file",
+      location: cachefilename,
       ...metadata,
       cached: await cachedVectorInformation(cachefilename, true),
     };
@@ -3,14 +3,16 @@ const path = require("path");
 const fs = require("fs");
 const { v4 } = require("uuid");
 
+// Folder the collector processes uploaded files from.
+const hotdirPath =
+  process.env.NODE_ENV === "development"
+    ? path.resolve(__dirname, `../../../collector/hotdir`)
+    : path.resolve(process.env.STORAGE_DIR, `../../collector/hotdir`);
+
 // Handle File uploads for auto-uploading.
 const fileUploadStorage = multer.diskStorage({
   destination: function (_, __, cb) {
-    const uploadOutput =
-      process.env.NODE_ENV === "development"
-        ? path.resolve(__dirname, `../../../collector/hotdir`)
-        : path.resolve(process.env.STORAGE_DIR, `../../collector/hotdir`);
-    cb(null, uploadOutput);
+    cb(null, hotdirPath);
   },
   filename: function (_, file, cb) {
     file.originalname = Buffer.from(file.originalname, "latin1").toString(
@@ -20,6 +22,20 @@ const fileUploadStorage = multer.diskStorage({
   },
 });
 
+// Queued uploads wait in the hotdir until they are processed, so each is stored under
+// a unique name to not be replaced by a later upload of a file with the same name.
+const queuedUploadStorage = multer.diskStorage({
+  destination: function (_, __, cb) {
+    cb(null, hotdirPath);
+  },
+  filename: function (_, file, cb) {
+    file.originalname = Buffer.from(file.originalname, "latin1").toString(
+      "utf8"
+    );
+    cb(null, `${v4()}-${file.originalname}`);
+  },
+});
+
 // Asset storage for logos
 const assetUploadStorage = multer.diskStorage({
   destination: function (_, __, cb) {
@@ -73,6 +89,24 @@ function handleFileUpload(request, response, next) {
   });
 }
 
+// Handle a batch of files uploaded as documents in the "files" field
+function handleFileUploads(request, response, next) {
+  const upload = multer({ storage: queuedUploadStorage }).array("files");
+  upload(request, response, function (err) {
+    if (err) {
+      response
+        .status(400)
+        .json({
+          success: false,
+          error: `Invalid file upload. ${err.message}`,
+        })
+        .end();
+      return;
+    }
+    next();
+  });
+}
+
 // Handle logo asset uploads
 function handleAssetUpload(request, response, next) {
   const upload = multer({ storage: assetUploadStorage }).single("logo");
@@ -110,7 +144,9 @@ function handlePfpUpload(request, response, next) {
 }
 
 module.exports = {
+  hotdirPath,
   handleFileUpload,
+  handleFileUploads,
   handleAssetUpload,
   handlePfpUpload,
 };
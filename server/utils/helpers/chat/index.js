@@ -441,8 +441,159 @@ function fillSourceWindow({
   };
 }
 
+/**
+ * Reciprocal rank fusion (RRF) of multiple ranked lists of sources.
+ * Each source is scored by the sum of 1 / (k + rank) over every list it appears in so that chunks
+ * ranked highly by more than one retriever float to the top, regardless of how each retriever scores.
+ * Sources are matched across lists by their `id` (vectorId) and fall back to their text.
+ * The first list wins when the same chunk is in multiple lists so the similarity score of vector results is kept.
+ *
+ * @param {object[][]} rankedLists - lists of sources, best match first
+ * @param {number} nDocs - maximum number of sources to return
+ * @param {number} k - rank smoothing constant. 60 is the constant used in the original RRF paper.
+ * @returns {object[]} fused sources, best match first
+ */
+function reciprocalRankFusion(rankedLists = [], nDocs = 4, k = 60) {
+  const fused = new Map();
+  for (const list of rankedLists) {
+    list.forEach((source, rank) => {
+      const key = source.id ?? source.text;
+      const entry = fused.get(key) || { source, rrf: 0 };
+      entry.rrf += 1 / (k + rank + 1);
+      fused.set(key, entry);
+    });
+  }
+
+  return Array.from(fused.values())
+    .sort((a, b) => b.rrf - a.rrf)
+    .slice(0, nDocs)
+    .map(({ source }) => source);
+}
+
+/**
+ * Runs a full-text keyword (BM25) search for the prompt over the workspace chunks and
+ * fuses the matches with the vector search results of the same prompt using reciprocal rank fusion.
+ * This lets exact terms like part numbers, error codes and names that dense retrieval can miss into the context window.
+ * Should be run before `fillSourceWindow` so backfilling only happens when both retrievers came up short.
+ *
+ * @param {Object} config
+ * @param {import("@prisma/client").workspaces} config.workspace
+ * @param {string} config.input - the user prompt
+ * @param {object[]} config.vectorSources - sources from the vector database similarity search
+ * @param {string[]} config.filterIdentifiers - Pinned document identifiers to prevent duplicate context
+ * @param {import("../metadataFilter").MetadataFilter|null} config.metadataFilter - only keep keyword matches of documents matching this filter
+ * @param {import("@prisma/client").users|null} config.user - only keep keyword matches of documents this user can access
+ * @param {number} config.nDocs - maximum number of sources to return
+ * @returns {Promise<object[]>} fused sources
+ */
+async function hybridSearchSources({
+  workspace,
+  input = "",
+  vectorSources = [],
+  filterIdentifiers = [],
+  metadataFilter = null,
+  user = null,
+  nDocs = workspace?.topN || 4,
+}) {
+  const { DocumentVectors } = require("../../../models/vectors");
+  const {
+    resolveAllowedDocuments,
+    allowedByMetadataFilter,
+  } = require("../metadataFilter");
+  const allowedDocuments = await resolveAllowedDocuments(workspace.slug, {
+    metadataFilter,
+    user,
+  });
+  const keywordSources = (
+    await DocumentVectors.keywordSearch({
+      namespace: workspace.slug,
+      input,
+      limit: nDocs,
+    })
+  )
+    .map(({ id, docId, text, metadata }) => ({
+      id,
+      ...safeJsonParse(metadata, {}),
+      docId,
+      text,
+    }))
+    .filter(
+      (source) =>
+        !filterIdentifiers.includes(sourceIdentifier(source)) &&
+        allowedByMetadataFilter(allowedDocuments, source)
+    );
+
+  if (keywordSources.length === 0) return vectorSources;
+  return reciprocalRankFusion([vectorSources, keywordSources], nDocs);
+}
+
+/**
+ * The number of chunks a similarity search should return for a workspace.
+ * When a reranker is set we over-fetch candidates so the reranker has something to reorder
+ * before the results are cut back down to the workspace `topN`.
+ * @param {import("@prisma/client").workspaces} workspace
+ * @returns {number}
+ */
+function searchCandidateCount(workspace) {
+  const topN = workspace?.topN || 4;
+  if (!workspace?.rerankProvider) return topN;
+  return Math.max(topN, workspace?.rerankCandidates || 20);
+}
+
+/**
+ * Reorders search results with the reranker of the workspace and keeps the `topN` most relevant.
+ * Each reranked source gets a `rerankScore` so clients can see why a chunk was kept.
+ * If the workspace has no reranker or reranking fails the search order is kept.
+ *
+ * @param {Object} config
+ * @param {import("@prisma/client").workspaces} config.workspace
+ * @param {string} config.input - the user prompt
+ * @param {object[]} config.sources - candidate sources from similarity (or hybrid) search
+ * @returns {Promise<object[]>} at most `topN` sources, most relevant first
+ */
+async function rerankSources({ workspace, input = "", sources = [] }) {
+  const { getRerankerProvider } = require("..");
+  const topN = workspace?.topN || 4;
+  if (!workspace?.rerankProvider || sources.length === 0)
+    return sources.slice(0, topN);
+
+  try {
+    const reranker = getRerankerProvider(workspace.rerankProvider);
+    const ranking = await reranker.rerank(
+      input,
+      sources.map((source) => source.text)
+    );
+    return ranking
+      .slice(0, topN)
+      .map(({ index, score }) => ({ ...sources[index], rerankScore: score }));
+  } catch (error) {
+    console.error(
+      `\x1b[36m[rerankSources]\x1b[0m Reranking failed - keeping search order.`,
+      error.message
+    );
+    return sources.slice(0, topN);
+  }
+}
+
+/**
+ * Most providers use the OpenAI SDK to talk to an OpenAI compatible API so tools and
+ * response formats can be sent to them as is. Other providers return null.
+ * @param {Object} LLMConnector - instance of an LLM provider class
+ * @returns {import("openai").OpenAI|null}
+ */
+function openAICompatibleClient(LLMConnector) {
+  const client = LLMConnector?.openai ?? LLMConnector?.lmstudio ?? null;
+  if (typeof client?.chat?.completions?.create !== "function") return null;
+  return client;
+}
+
 module.exports = {
   messageArrayCompressor,
   messageStringCompressor,
   fillSourceWindow,
+  reciprocalRankFusion,
+  hybridSearchSources,
+  searchCandidateCount,
+  rerankSources,
+  openAICompatibleClient,
 };
@@ -0,0 +1,285 @@
+const { openAICompatibleClient } = require(".");
+
+// Attempts to get an answer matching the schema before giving up, the first included.
+const MAX_ATTEMPTS = 3;
+const JSON_TYPES = [
+  "string",
+  "number",
+  "integer",
+  "boolean",
+  "object",
+  "array",
+  "null",
+];
+
+/**
+ * Finds the errors of a value against a JSON schema. Covers the keywords used to describe
+ * the shape of data (types, properties, items, enums, ranges, combinators and local `$ref`s),
+ * formats and patterns are not checked.
+ * @param {*} value
+ * @param {object} schema
+ * @param {string} path - where the value is, used in error messages
+ * @param {object} root - the schema `$ref`s resolve against
+ * @returns {string[]} empty when the value matches
+ */
+function schemaErrors(value, schema = {}, path = "$", root = schema) {
+  if (schema === true || !schema || typeof schema !== "object") return [];
+  if (schema.$ref) {
+    const resolved = schema.$ref
+      .replace(/^#\/?/, "")
+      .split("/")
+      .filter(Boolean)
+      .reduce((node, key) => node?.[key], root);
+    if (!resolved) return [`${path} uses unknown $ref ${schema.$ref}`];
+    return schemaErrors(value, resolved, path, root);
+  }
+
+  const errors = [];
+  const types = [schema.type].flat().filter(Boolean);
+  if (types.length > 0 && !types.some((type) => isType(value, type)))
+    return [`${path} must be of type ${types.join(" or ")}`];
+  if (
+    schema.enum &&
+    !schema.enum.some(
+      (option) => JSON.stringify(option) === JSON.stringify(value)
+    )
+  )
+    errors.push(`${path} must be one of ${JSON.stringify(schema.enum)}`);
+  if (
+    schema.hasOwnProperty("const") &&
+    JSON.stringify(schema.const) !== JSON.stringify(value)
+  )
+    errors.push(`${path} must be ${JSON.stringify(schema.const)}`);
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength)
+      errors.push(`${path} must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength)
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum)
+      errors.push(`${path} must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum)
+      errors.push(`${path} must be at most ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems)
+      errors.push(`${path} must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems)
+      errors.push(`${path} must have at most ${schema.maxItems} items`);
+    if (schema.items && !Array.isArray(schema.items))
+      value.forEach((item, i) =>
+        errors.push(...schemaErrors(item, schema.items, `${path}[${i}]`, root))
+      );
+  }
+
+  if (isType(value, "object")) {
+    const properties = schema.properties ?? {};
+    for (const key of schema.required ?? []) {
+      if (!value.hasOwnProperty(key)) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (properties.hasOwnProperty(key)) {
+        errors.push(
+          ...schemaErrors(
+            propertyValue,
+            properties[key],
+            `${path}.${key}`,
+            root
+          )
+        );
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not an allowed property`);
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(
+          ...schemaErrors(
+            propertyValue,
+            schema.additionalProperties,
+            `${path}.${key}`,
+            root
+          )
+        );
+      }
+    }
+  }
+
+  for (const subschema of schema.allOf ?? [])
+    errors.push(...schemaErrors(value, subschema, path, root));
+  const options = schema.anyOf ?? schema.oneOf;
+  if (
+    options &&
+    !options.some(
+      (subschema) => schemaErrors(value, subschema, path, root).length === 0
+    )
+  )
+    errors.push(`${path} does not match any of the allowed schemas`);
+
+  return errors;
+}
+
+function isType(value, type) {
+  switch (type) {
+    case "object":
+      return !!value && typeof value === "object" && !Array.isArray(value);
+    case "array":
+      return Array.isArray(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && isFinite(value);
+    case "null":
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Checks a JSON schema sent by a client can be used to constrain an answer.
+ * @param {*} jsonSchema
+ * @returns {string|null} why the schema cannot be used
+ */
+function invalidJsonSchema(jsonSchema) {
+  if (!isType(jsonSchema, "object"))
+    return "jsonSchema must be a JSON schema object.";
+  const unknownType = [jsonSchema.type]
+    .flat()
+    .find((type) => type !== undefined && !JSON_TYPES.includes(type));
+  if (unknownType !== undefined)
+    return `jsonSchema has an unknown type ${JSON.stringify(unknownType)}.`;
+  return null;
+}
+
+/**
+ * Reads the JSON out of an answer, models without native structured output
+ * often wrap it in a markdown code block or a sentence.
+ * @param {string} text
+ * @returns {{value: *, error: string|null}}
+ */
+function parseJSONAnswer(text = "") {
+  const candidates = [String(text).trim()];
+  const codeBlock = String(text).match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (codeBlock) candidates.push(codeBlock[1].trim());
+  const start = String(text).search(/[[{]/);
+  const end = Math.max(
+    String(text).lastIndexOf("}"),
+    String(text).lastIndexOf("]")
+  );
+  if (start !== -1 && end > start)
+    candidates.push(String(text).slice(start, end + 1));
+
+  for (const candidate of candidates) {
+    try {
+      return { value: JSON.parse(candidate), error: null };
+    } catch {
+      // Not JSON, try the next candidate.
+    }
+  }
+  return { value: null, error: "The answer is not valid JSON." };
+}
+
+/**
+ * Gets an answer from the LLM that matches a JSON schema. Providers with an OpenAI compatible API
+ * are asked for native structured output, others are only told the schema. Answers that do not
+ * match are sent back with the errors found so the model can correct them.
+ * @param {Object} options
+ * @param {Object} options.LLMConnector - instance of an LLM provider class
+ * @param {object[]} options.messages - the compressed messages with the system prompt first
+ * @param {number} options.temperature
+ * @param {object} options.jsonSchema
+ * @returns {Promise<{structuredOutput: *, textResponse: string|null, error: string|null}>}
+ */
+async function structuredChatCompletion({
+  LLMConnector,
+  messages = [],
+  temperature,
+  jsonSchema,
+}) {
+  const client = openAICompatibleClient(LLMConnector);
+  const instructions = `\n\nAnswer only with JSON that matches this JSON schema, without any other text:\n${JSON.stringify(jsonSchema)}`;
+  const conversation = messages.map((message, i) =>
+    i === 0 && message.role === "system"
+      ? { ...message, content: `${message.content}${instructions}` }
+      : message
+  );
+  if (conversation[0]?.role !== "system")
+    conversation.unshift({ role: "system", content: instructions.trim() });
+
+  let textResponse = null;
+  let errors = [];
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    textResponse = await completion({
+      LLMConnector,
+      client,
+      messages: conversation,
+      temperature,
+      jsonSchema,
+    });
+    if (!textResponse)
+      return {
+        structuredOutput: null,
+        textResponse: null,
+        error: "No text completion could be completed with this input.",
+      };
+
+    const { value, error } = parseJSONAnswer(textResponse);
+    errors = error ? [error] : schemaErrors(value, jsonSchema);
+    if (errors.length === 0)
+      return { structuredOutput: value, textResponse, error: null };
+
+    conversation.push(
+      { role: "assistant", content: textResponse },
+      {
+        role: "user",
+        content: `Your answer does not match the JSON schema:\n- ${errors.join("\n- ")}\nAnswer again with only the corrected JSON.`,
+      }
+    );
+  }
+
+  return {
+    structuredOutput: null,
+    textResponse,
+    error: `The answer did not match the JSON schema after ${MAX_ATTEMPTS} attempts: ${errors.join(", ")}`,
+  };
+}
+
+async function completion({
+  LLMConnector,
+  client,
+  messages,
+  temperature,
+  jsonSchema,
+}) {
+  // Native structured output is only for objects at the root of the schema.
+  if (!client || jsonSchema.type !== "object")
+    return await LLMConnector.getChatCompletion(messages, { temperature });
+
+  try {
+    const result = await client.chat.completions.create({
+      model: LLMConnector.model,
+      messages,
+      temperature,
+      response_format: {
+        type: "json_schema",
+        json_schema: { name: "response", schema: jsonSchema },
+      },
+    });
+    return result?.choices?.[0]?.message?.content ?? null;
+  } catch (e) {
+    // Not every OpenAI compatible API supports response formats, so fall back to asking for it.
+    console.log(
+      `\x1b[36m[structuredChatCompletion]\x1b[0m Native structured output failed, falling back to prompting. ${e.message}`
+    );
+    return await LLMConnector.getChatCompletion(messages, { temperature });
+  }
+}
+
+module.exports = {
+  structuredChatCompletion,
+  invalidJsonSchema,
+  schemaErrors,
+  parseJSONAnswer,
+};
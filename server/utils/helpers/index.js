@@ -38,7 +38,7 @@
  * @property {Function} deleteVectorsInNamespace - Deletes all vectors in a specified namespace.
  * @property {Function} deleteDocumentFromNamespace - Deletes a document from a specified namespace.
  * @property {Function} addDocumentToNamespace - Adds a document to a specified namespace.
- * @property {Function} performSimilaritySearch - Performs a similarity search in the namespace.
+ * @property {Function} performSimilaritySearch - Performs a similarity search in the namespace, optionally restricted by a metadata filter and to the documents a user can access.
  */
 
 /**
@@ -81,6 +81,9 @@ function getVectorDbClass() {
     case "astra":
       const { AstraDB } = require("../vectorDbProviders/astra");
       return AstraDB;
+    case "neo4j":
+      const { Neo4jDb } = require("../vectorDbProviders/neo4j");
+      return Neo4jDb;
     default:
       throw new Error("ENV: No VECTOR_DB value found in environment!");
   }
@@ -209,6 +212,27 @@ function getEmbeddingEngineSelection() {
   }
 }
 
+/**
+ * Returns the reranker a workspace uses to reorder its similarity search results.
+ * @param {string|null} provider - the `rerankProvider` of a workspace
+ * @returns {NativeReranker|CohereReranker|VoyageAiReranker|null} null when reranking is disabled
+ */
+function getRerankerProvider(provider = null) {
+  switch (provider) {
+    case "native":
+      const { NativeReranker } = require("../Rerankers/native");
+      return new NativeReranker();
+    case "cohere":
+      const { CohereReranker } = require("../Rerankers/cohere");
+      return new CohereReranker();
+    case "voyageai":
+      const { VoyageAiReranker } = require("../Rerankers/voyageAi");
+      return new VoyageAiReranker();
+    default:
+      return null;
+  }
+}
+
 /**
  * Returns the LLMProviderClass - this is a helper method to access static methods on a class
  * @param {{provider: string | null} | null} params - Initialize params for LLMs provider
@@ -303,6 +327,7 @@ function toChunks(arr, size) {
 
 module.exports = {
   getEmbeddingEngineSelection,
+  getRerankerProvider,
   maximumChunkLength,
   getVectorDbClass,
   getLLMProviderClass,
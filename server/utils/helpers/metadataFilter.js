@@ -0,0 +1,172 @@
+const { safeJsonParse } = require("../http");
+
+/**
+ * Restricts similarity search to the workspace documents whose metadata matches every set property.
+ * @typedef {Object} MetadataFilter
+ * @property {string[]} [sourceType] - type of the document source from its `chunkSource` (eg: link, youtube, github, confluence). Uploaded files are `file`.
+ * @property {string} [author] - case-insensitive partial match on `docAuthor`
+ * @property {string} [publishedAfter] - ISO date, documents `published` on or after it
+ * @property {string} [publishedBefore] - ISO date, documents `published` on or before it
+ * @property {string} [folder] - name of the folder in the documents directory (eg: custom-documents)
+ */
+
+// When filtering we cannot know how many of the nearest chunks belong to matching documents
+// so we over-fetch from the vector database and keep the `topN` chunks that match.
+const METADATA_FILTER_OVERFETCH = 4;
+
+/**
+ * Validates a metadata filter from a request body. Unknown and empty properties are dropped.
+ * @param {object|null} input
+ * @returns {MetadataFilter|null} null when there is nothing to filter by.
+ */
+function parseMetadataFilter(input = null) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) return null;
+  const filter = {};
+
+  const sourceType = [input.sourceType]
+    .flat()
+    .filter((type) => typeof type === "string" && !!type.trim())
+    .map((type) => type.trim().toLowerCase());
+  if (sourceType.length > 0) filter.sourceType = sourceType;
+
+  for (const key of ["author", "folder"]) {
+    if (typeof input[key] === "string" && !!input[key].trim())
+      filter[key] = input[key].trim();
+  }
+
+  for (const key of ["publishedAfter", "publishedBefore"]) {
+    if (!input[key] || isNaN(new Date(input[key]))) continue;
+    filter[key] = new Date(input[key]).toISOString();
+  }
+
+  return Object.keys(filter).length > 0 ? filter : null;
+}
+
+/**
+ * Type of a document source. Uploaded files have no `chunkSource` so they are a `file`.
+ * @param {string} chunkSource
+ * @returns {string}
+ */
+function sourceTypeOf(chunkSource = "") {
+  if (!chunkSource || !chunkSource.includes("://")) return "file";
+  return chunkSource.slice(0, chunkSource.indexOf("://")).toLowerCase();
+}
+
+/**
+ * @param {import("@prisma/client").workspace_documents} document
+ * @param {MetadataFilter} filter
+ * @returns {boolean}
+ */
+function documentMatchesFilter(document, filter = {}) {
+  const metadata = safeJsonParse(document.metadata, {});
+
+  if (
+    filter.sourceType &&
+    !filter.sourceType.includes(sourceTypeOf(metadata.chunkSource))
+  )
+    return false;
+
+  if (
+    filter.author &&
+    !String(metadata.docAuthor ?? "")
+      .toLowerCase()
+      .includes(filter.author.toLowerCase())
+  )
+    return false;
+
+  if (filter.folder && document.docpath.split("/")[0] !== filter.folder)
+    return false;
+
+  if (filter.publishedAfter || filter.publishedBefore) {
+    // Documents with an unknown publish date can never be inside a date range.
+    const published = new Date(metadata.published);
+    if (isNaN(published)) return false;
+    if (filter.publishedAfter && published < new Date(filter.publishedAfter))
+      return false;
+    if (filter.publishedBefore && published > new Date(filter.publishedBefore))
+      return false;
+  }
+
+  return true;
+}
+
+/**
+ * The workspace documents a search may return. Chunks are matched on the docId they hold,
+ * chunks embedded before they held their docId are matched on their source identifier
+ * which is only used when no document left out of the search shares it.
+ * @typedef {Object} AllowedDocuments
+ * @property {string[]} docIds
+ * @property {string[]} identifiers - source identifiers for chunks without a docId
+ */
+
+/**
+ * Resolves a metadata filter and the document access of a user into the workspace documents
+ * a search may return, so vector database results can be checked against it.
+ * @param {string} namespace - workspace slug
+ * @param {Object} options
+ * @param {MetadataFilter|null} options.metadataFilter
+ * @param {import("@prisma/client").users|null} options.user - user the search is run for, see `Document.canAccess`
+ * @returns {Promise<AllowedDocuments|null>} null when every document can be returned.
+ */
+async function resolveAllowedDocuments(
+  namespace,
+  { metadataFilter = null, user = null } = {}
+) {
+  if (!namespace) return null;
+  const { Document } = require("../../models/documents");
+  const { sourceIdentifier } = require("../chats");
+  if (!metadataFilter && !Document.restrictsAccess(user)) return null;
+
+  const documents = await Document.where({ workspace: { slug: namespace } });
+  const allowed = [];
+  const deniedIdentifiers = new Set();
+  for (const document of documents) {
+    const identifier = sourceIdentifier(safeJsonParse(document.metadata, {}));
+    if (
+      Document.canAccess(document, user) &&
+      (!metadataFilter || documentMatchesFilter(document, metadataFilter))
+    )
+      allowed.push({ docId: document.docId, identifier });
+    else deniedIdentifiers.add(identifier);
+  }
+
+  // Nothing was filtered out so we do not need to over-fetch.
+  if (allowed.length === documents.length) return null;
+  return {
+    docIds: allowed.map(({ docId }) => docId),
+    identifiers: allowed
+      .map(({ identifier }) => identifier)
+      .filter((identifier) => !deniedIdentifiers.has(identifier)),
+  };
+}
+
+/**
+ * The number of chunks to request from the vector database for a search.
+ * @param {number} topN
+ * @param {AllowedDocuments|null} allowedDocuments - from `resolveAllowedDocuments`
+ * @returns {number}
+ */
+function metadataFilterLimit(topN = 4, allowedDocuments = null) {
+  if (allowedDocuments === null) return topN;
+  return topN * METADATA_FILTER_OVERFETCH;
+}
+
+/**
+ * @param {AllowedDocuments|null} allowedDocuments - from `resolveAllowedDocuments`
+ * @param {Object} chunk - metadata of a search result
+ * @returns {boolean}
+ */
+function allowedByMetadataFilter(allowedDocuments = null, chunk = {}) {
+  if (allowedDocuments === null) return true;
+  if (chunk?.docId) return allowedDocuments.docIds.includes(chunk.docId);
+  const { sourceIdentifier } = require("../chats");
+  return allowedDocuments.identifiers.includes(sourceIdentifier(chunk));
+}
+
+module.exports = {
+  parseMetadataFilter,
+  documentMatchesFilter,
+  resolveAllowedDocuments,
+  metadataFilterLimit,
+  allowedByMetadataFilter,
+};
@@ -340,6 +340,24 @@ const KEY_MAPPING = {
     checks: [isNotEmpty],
   },
 
+  // Neo4j Options
+  Neo4jUri: {
+    envKey: "NEO4J_URI",
+    checks: [isValidURL, validDockerizedUrl],
+  },
+  Neo4jUsername: {
+    envKey: "NEO4J_USERNAME",
+    checks: [isNotEmpty],
+  },
+  Neo4jPassword: {
+    envKey: "NEO4J_PASSWORD",
+    checks: [isNotEmpty],
+  },
+  Neo4jDatabase: {
+    envKey: "NEO4J_DATABASE",
+    checks: [],
+  },
+
   // Together Ai Options
   TogetherAiApiKey: {
     envKey: "TOGETHER_AI_API_KEY",
@@ -412,6 +430,13 @@ const KEY_MAPPING = {
     postUpdate: [],
   },
 
+  // OCR of images and scanned PDFs in the collector
+  TargetOcrLanguages: {
+    envKey: "TARGET_OCR_LANG",
+    checks: [validOcrLanguages],
+    postUpdate: [],
+  },
+
   // System Settings
   AuthToken: {
     envKey: "AUTH_TOKEN",
@@ -561,6 +586,16 @@ function validLocalWhisper(input = "") {
     : `${input} is not a valid Whisper model selection.`;
 }
 
+// Comma separated tesseract language codes, eg: eng,deu,chi_sim
+function validOcrLanguages(input = "") {
+  const languages = String(input)
+    .split(",")
+    .map((language) => language.trim());
+  return languages.every((language) => /^[a-z]{3}(_[a-z]+)?$/.test(language))
+    ? null
+    : `${input} is not a valid list of OCR languages.`;
+}
+
 function supportedLLM(input = "") {
   const validSelection = [
     "openai",
@@ -662,6 +697,7 @@ function supportedVectorDB(input = "") {
     "milvus",
     "zilliz",
     "astra",
+    "neo4j",
   ];
   return supported.includes(input)
     ? null
@@ -1,5 +1,5 @@
 const { v4: uuidv4, validate } = require("uuid");
-const { VALID_CHAT_MODE } = require("../chats/stream");
+const { VALID_EMBED_CHAT_MODE } = require("../chats/stream");
 const { EmbedChats } = require("../../models/embedChats");
 const { EmbedConfig } = require("../../models/embedConfig");
 const { reqBody } = require("../http");
@@ -90,7 +90,7 @@ async function canRespond(request, response, next) {
       return;
     }
 
-    if (!message?.length || !VALID_CHAT_MODE.includes(embed.chat_mode)) {
+    if (!message?.length || !VALID_EMBED_CHAT_MODE.includes(embed.chat_mode)) {
       response.status(400).json({
         id: uuidv4(),
         type: "abort",
@@ -5,6 +5,11 @@ const { storeVectorResult, cachedVectorInformation } = require("../../files");
 const { v4: uuidv4 } = require("uuid");
 const { toChunks, getEmbeddingEngineSelection } = require("../../helpers");
 const { sourceIdentifier } = require("../../chats");
+const {
+  resolveAllowedDocuments,
+  metadataFilterLimit,
+  allowedByMetadataFilter,
+} = require("../../helpers/metadataFilter");
 
 const AstraDB = {
   name: "AstraDB",
@@ -133,11 +138,15 @@ const AstraDB = {
             // we need to assign the id of each chunk that is stored in the cached file.
             const newChunks = chunk.map((chunk) => {
               const _id = uuidv4();
-              documentVectors.push({ docId, vectorId: _id });
+              documentVectors.push({
+                docId,
+                vectorId: _id,
+                text: chunk.metadata?.text,
+              });
               return {
                 _id: _id,
                 $vector: chunk.values,
-                metadata: chunk.metadata || {},
+                metadata: { ...chunk.metadata, docId },
               };
             });
 
@@ -160,6 +169,8 @@ const AstraDB = {
           { label: "text_splitter_chunk_overlap" },
           20
         ),
+        splitter: await TextSplitter.preferredSplitter(namespace),
+        splitByFilename: metadata?.title,
         chunkHeaderMeta: {
           sourceDocument: metadata?.title,
           published: metadata?.published || "unknown",
@@ -178,11 +189,15 @@ const AstraDB = {
           const vectorRecord = {
             _id: uuidv4(),
             $vector: vector,
-            metadata: { ...metadata, text: textChunks[i] },
+            metadata: { ...metadata, docId, text: textChunks[i] },
           };
 
           vectors.push(vectorRecord);
-          documentVectors.push({ docId, vectorId: vectorRecord._id });
+          documentVectors.push({
+            docId,
+            vectorId: vectorRecord._id,
+            text: textChunks[i],
+          });
         }
       } else {
         throw new Error(
@@ -257,6 +272,8 @@ const AstraDB = {
     similarityThreshold = 0.25,
     topN = 4,
     filterIdentifiers = [],
+    metadataFilter = null,
+    user = null,
   }) {
     if (!namespace || !input || !LLMConnector)
       throw new Error("Invalid request to performSimilaritySearch.");
@@ -271,6 +288,11 @@ const AstraDB = {
       };
     }
 
+    const allowedDocuments = await resolveAllowedDocuments(namespace, {
+      metadataFilter,
+      user,
+    });
+
     const queryVector = await LLMConnector.embedTextInput(input);
     const { contextTexts, sourceDocuments } = await this.similarityResponse(
       client,
@@ -278,7 +300,8 @@ const AstraDB = {
       queryVector,
       similarityThreshold,
       topN,
-      filterIdentifiers
+      filterIdentifiers,
+      allowedDocuments
     );
 
     const sources = sourceDocuments.map((metadata, i) => {
@@ -296,7 +319,8 @@ const AstraDB = {
     queryVector,
     similarityThreshold = 0.25,
     topN = 4,
-    filterIdentifiers = []
+    filterIdentifiers = [],
+    allowedDocuments = null
   ) {
     const result = {
       contextTexts: [],
@@ -310,7 +334,7 @@ const AstraDB = {
         {},
         {
           sort: { $vector: queryVector },
-          limit: topN,
+          limit: metadataFilterLimit(topN, allowedDocuments),
           includeSimilarity: true,
         }
       )
@@ -324,6 +348,8 @@ const AstraDB = {
         );
         return;
       }
+      if (!allowedByMetadataFilter(allowedDocuments, response.metadata)) return;
+      if (result.contextTexts.length >= topN) return;
       result.contextTexts.push(response.metadata.text);
       result.sourceDocuments.push(response);
       result.scores.push(response.$similarity);
@@ -6,6 +6,11 @@ const { v4: uuidv4 } = require("uuid");
 const { toChunks, getEmbeddingEngineSelection } = require("../../helpers");
 const { parseAuthHeader } = require("../../http");
 const { sourceIdentifier } = require("../../chats");
+const {
+  resolveAllowedDocuments,
+  metadataFilterLimit,
+  allowedByMetadataFilter,
+} = require("../../helpers/metadataFilter");
 const COLLECTION_REGEX = new RegExp(
   /^(?!\d+\.\d+\.\d+\.\d+$)(?!.*\.\.)(?=^[a-zA-Z0-9][a-zA-Z0-9_-]{1,61}[a-zA-Z0-9]$).{3,63}$/
 );
@@ -114,7 +119,8 @@ const Chroma = {
     queryVector,
     similarityThreshold = 0.25,
     topN = 4,
-    filterIdentifiers = []
+    filterIdentifiers = [],
+    allowedDocuments = null
   ) {
     const collection = await client.getCollection({
       name: this.normalize(namespace),
@@ -127,7 +133,7 @@ const Chroma = {
 
     const response = await collection.query({
       queryEmbeddings: queryVector,
-      nResults: topN,
+      nResults: metadataFilterLimit(topN, allowedDocuments),
     });
     response.ids[0].forEach((_, i) => {
       if (
@@ -144,6 +150,9 @@ const Chroma = {
         );
         return;
       }
+      if (!allowedByMetadataFilter(allowedDocuments, response.metadatas[0][i]))
+        return;
+      if (result.contextTexts.length >= topN) return;
       result.contextTexts.push(response.documents[0][i]);
       result.sourceDocuments.push(response.metadatas[0][i]);
       result.scores.push(this.distanceToSimilarity(response.distances[0][i]));
@@ -218,10 +227,14 @@ const Chroma = {
             chunk.forEach((chunk) => {
               const id = uuidv4();
               const { id: _id, ...metadata } = chunk.metadata;
-              documentVectors.push({ docId, vectorId: id });
+              documentVectors.push({
+                docId,
+                vectorId: id,
+                text: metadata.text,
+              });
               submission.ids.push(id);
               submission.embeddings.push(chunk.values);
-              submission.metadatas.push(metadata);
+              submission.metadatas.push({ ...metadata, docId });
               submission.documents.push(metadata.text);
             });
 
@@ -251,6 +264,8 @@ const Chroma = {
           { label: "text_splitter_chunk_overlap" },
           20
         ),
+        splitter: await TextSplitter.preferredSplitter(namespace),
+        splitByFilename: metadata?.title,
         chunkHeaderMeta: {
           sourceDocument: metadata?.title,
           published: metadata?.published || "unknown",
@@ -277,7 +292,7 @@ const Chroma = {
             // [DO NOT REMOVE]
             // LangChain will be unable to find your text if you embed manually and dont include the `text` key.
             // https://github.com/hwchase17/langchainjs/blob/2def486af734c0ca87285a48f1a04c057ab74bdf/langchain/src/vectorstores/pinecone.ts#L64
-            metadata: { ...metadata, text: textChunks[i] },
+            metadata: { ...metadata, docId, text: textChunks[i] },
           };
 
           submission.ids.push(vectorRecord.id);
@@ -286,7 +301,11 @@ const Chroma = {
           submission.documents.push(textChunks[i]);
 
           vectors.push(vectorRecord);
-          documentVectors.push({ docId, vectorId: vectorRecord.id });
+          documentVectors.push({
+            docId,
+            vectorId: vectorRecord.id,
+            text: textChunks[i],
+          });
         }
       } else {
         throw new Error(
@@ -345,6 +364,8 @@ const Chroma = {
     similarityThreshold = 0.25,
     topN = 4,
     filterIdentifiers = [],
+    metadataFilter = null,
+    user = null,
   }) {
     if (!namespace || !input || !LLMConnector)
       throw new Error("Invalid request to performSimilaritySearch.");
@@ -358,6 +379,11 @@ const Chroma = {
       };
     }
 
+    const allowedDocuments = await resolveAllowedDocuments(namespace, {
+      metadataFilter,
+      user,
+    });
+
     const queryVector = await LLMConnector.embedTextInput(input);
     const { contextTexts, sourceDocuments } = await this.similarityResponse(
       client,
@@ -365,7 +391,8 @@ const Chroma = {
       queryVector,
       similarityThreshold,
       topN,
-      filterIdentifiers
+      filterIdentifiers,
+      allowedDocuments
     );
 
     const sources = sourceDocuments.map((metadata, i) => {
@@ -5,6 +5,11 @@ const { SystemSettings } = require("../../../models/systemSettings");
 const { storeVectorResult, cachedVectorInformation } = require("../../files");
 const { v4: uuidv4 } = require("uuid");
 const { sourceIdentifier } = require("../../chats");
+const {
+  resolveAllowedDocuments,
+  metadataFilterLimit,
+  allowedByMetadataFilter,
+} = require("../../helpers/metadataFilter");
 
 /**
  * LancedDB Client connection object
@@ -65,6 +70,7 @@ const LanceDb = {
    * @param {number} similarityThreshold
    * @param {number} topN
    * @param {string[]} filterIdentifiers
+   * @param {import("../../helpers/metadataFilter").AllowedDocuments|null} allowedDocuments - only chunks of these documents are returned, null to not filter
    * @returns
    */
   similarityResponse: async function (
@@ -73,7 +79,8 @@ const LanceDb = {
     queryVector,
     similarityThreshold = 0.25,
     topN = 4,
-    filterIdentifiers = []
+    filterIdentifiers = [],
+    allowedDocuments = null
   ) {
     const collection = await client.openTable(namespace);
     const result = {
@@ -85,7 +92,7 @@ const LanceDb = {
     const response = await collection
       .vectorSearch(queryVector)
       .distanceType("cosine")
-      .limit(topN)
+      .limit(metadataFilterLimit(topN, allowedDocuments))
       .toArray();
 
     response.forEach((item) => {
@@ -98,6 +105,8 @@ const LanceDb = {
         );
         return;
       }
+      if (!allowedByMetadataFilter(allowedDocuments, rest)) return;
+      if (result.contextTexts.length >= topN) return;
 
       result.contextTexts.push(rest.text);
       result.sourceDocuments.push({
@@ -135,6 +144,12 @@ const LanceDb = {
     const hasNamespace = await this.hasNamespace(namespace);
     if (hasNamespace) {
       const collection = await client.openTable(namespace);
+      // Tables made before chunks held their docId drop the column unless it is added.
+      const { fields } = await collection.schema();
+      if (!fields.some((field) => field.name === "docId"))
+        await collection.addColumns([
+          { name: "docId", valueSql: "CAST(NULL AS STRING)" },
+        ]);
       await collection.add(data);
       return true;
     }
@@ -181,12 +196,14 @@ const LanceDb = {
 
     const { DocumentVectors } = require("../../../models/vectors");
     const table = await client.openTable(namespace);
-    const vectorIds = (await DocumentVectors.where({ docId })).map(
-      (record) => record.vectorId
-    );
+    const knownDocuments = await DocumentVectors.where({ docId });
+    const vectorIds = knownDocuments.map((record) => record.vectorId);
 
     if (vectorIds.length === 0) return;
     await table.delete(`id IN (${vectorIds.map((v) => `'${v}'`).join(",")})`);
+
+    const indexes = knownDocuments.map((record) => record.id);
+    await DocumentVectors.deleteIds(indexes);
     return true;
   },
   addDocumentToNamespace: async function (
@@ -213,8 +230,17 @@ const LanceDb = {
             chunk.forEach((chunk) => {
               const id = uuidv4();
               const { id: _id, ...metadata } = chunk.metadata;
-              documentVectors.push({ docId, vectorId: id });
-              submissions.push({ id: id, vector: chunk.values, ...metadata });
+              documentVectors.push({
+                docId,
+                vectorId: id,
+                text: metadata.text,
+              });
+              submissions.push({
+                id: id,
+                vector: chunk.values,
+                ...metadata,
+                docId,
+              });
             });
           }
 
@@ -240,6 +266,8 @@ const LanceDb = {
           { label: "text_splitter_chunk_overlap" },
           20
         ),
+        splitter: await TextSplitter.preferredSplitter(namespace),
+        splitByFilename: metadata?.title,
         chunkHeaderMeta: {
           sourceDocument: metadata?.title,
           published: metadata?.published || "unknown",
@@ -261,7 +289,7 @@ const LanceDb = {
             // [DO NOT REMOVE]
             // LangChain will be unable to find your text if you embed manually and dont include the `text` key.
             // https://github.com/hwchase17/langchainjs/blob/2def486af734c0ca87285a48f1a04c057ab74bdf/langchain/src/vectorstores/pinecone.ts#L64
-            metadata: { ...metadata, text: textChunks[i] },
+            metadata: { ...metadata, docId, text: textChunks[i] },
           };
 
           vectors.push(vectorRecord);
@@ -270,7 +298,11 @@ const LanceDb = {
             id: vectorRecord.id,
             vector: vectorRecord.values,
           });
-          documentVectors.push({ docId, vectorId: vectorRecord.id });
+          documentVectors.push({
+            docId,
+            vectorId: vectorRecord.id,
+            text: textChunks[i],
+          });
         }
       } else {
         throw new Error(
@@ -302,6 +334,8 @@ const LanceDb = {
     similarityThreshold = 0.25,
     topN = 4,
     filterIdentifiers = [],
+    metadataFilter = null,
+    user = null,
   }) {
     if (!namespace || !input || !LLMConnector)
       throw new Error("Invalid request to performSimilaritySearch.");
@@ -315,6 +349,11 @@ const LanceDb = {
       };
     }
 
+    const allowedDocuments = await resolveAllowedDocuments(namespace, {
+      metadataFilter,
+      user,
+    });
+
     const queryVector = await LLMConnector.embedTextInput(input);
     const { contextTexts, sourceDocuments } = await this.similarityResponse(
       client,
@@ -322,7 +361,8 @@ const LanceDb = {
       queryVector,
       similarityThreshold,
       topN,
-      filterIdentifiers
+      filterIdentifiers,
+      allowedDocuments
     );
 
     const sources = sourceDocuments.map((metadata, i) => {
@@ -10,6 +10,11 @@ const { v4: uuidv4 } = require("uuid");
 const { storeVectorResult, cachedVectorInformation } = require("../../files");
 const { toChunks, getEmbeddingEngineSelection } = require("../../helpers");
 const { sourceIdentifier } = require("../../chats");
+const {
+  resolveAllowedDocuments,
+  metadataFilterLimit,
+  allowedByMetadataFilter,
+} = require("../../helpers/metadataFilter");
 
 const Milvus = {
   name: "Milvus",
@@ -161,8 +166,16 @@ const Milvus = {
             // we need to assign the id of each chunk that is stored in the cached file.
             const newChunks = chunk.map((chunk) => {
               const id = uuidv4();
-              documentVectors.push({ docId, vectorId: id });
-              return { id, vector: chunk.values, metadata: chunk.metadata };
+              documentVectors.push({
+                docId,
+                vectorId: id,
+                text: chunk.metadata?.text,
+              });
+              return {
+                id,
+                vector: chunk.values,
+                metadata: { ...chunk.metadata, docId },
+              };
             });
             const insertResult = await client.insert({
               collection_name: this.normalize(namespace),
@@ -195,6 +208,8 @@ const Milvus = {
           { label: "text_splitter_chunk_overlap" },
           20
         ),
+        splitter: await TextSplitter.preferredSplitter(namespace),
+        splitByFilename: metadata?.title,
         chunkHeaderMeta: {
           sourceDocument: metadata?.title,
           published: metadata?.published || "unknown",
@@ -215,11 +230,15 @@ const Milvus = {
             values: vector,
             // [DO NOT REMOVE]
             // LangChain will be unable to find your text if you embed manually and dont include the `text` key.
-            metadata: { ...metadata, text: textChunks[i] },
+            metadata: { ...metadata, docId, text: textChunks[i] },
           };
 
           vectors.push(vectorRecord);
-          documentVectors.push({ docId, vectorId: vectorRecord.id });
+          documentVectors.push({
+            docId,
+            vectorId: vectorRecord.id,
+            text: textChunks[i],
+          });
         }
       } else {
         throw new Error(
@@ -293,6 +312,8 @@ const Milvus = {
     similarityThreshold = 0.25,
     topN = 4,
     filterIdentifiers = [],
+    metadataFilter = null,
+    user = null,
   }) {
     if (!namespace || !input || !LLMConnector)
       throw new Error("Invalid request to performSimilaritySearch.");
@@ -306,6 +327,11 @@ const Milvus = {
       };
     }
 
+    const allowedDocuments = await resolveAllowedDocuments(namespace, {
+      metadataFilter,
+      user,
+    });
+
     const queryVector = await LLMConnector.embedTextInput(input);
     const { contextTexts, sourceDocuments } = await this.similarityResponse(
       client,
@@ -313,7 +339,8 @@ const Milvus = {
       queryVector,
       similarityThreshold,
       topN,
-      filterIdentifiers
+      filterIdentifiers,
+      allowedDocuments
     );
 
     const sources = sourceDocuments.map((metadata, i) => {
@@ -331,7 +358,8 @@ const Milvus = {
     queryVector,
     similarityThreshold = 0.25,
     topN = 4,
-    filterIdentifiers = []
+    filterIdentifiers = [],
+    allowedDocuments = null
   ) {
     const result = {
       contextTexts: [],
@@ -341,7 +369,7 @@ const Milvus = {
     const response = await client.search({
       collection_name: this.normalize(namespace),
       vectors: queryVector,
-      limit: topN,
+      limit: metadataFilterLimit(topN, allowedDocuments),
     });
     response.results.forEach((match) => {
       if (match.score < similarityThreshold) return;
@@ -351,6 +379,8 @@ const Milvus = {
         );
         return;
       }
+      if (!allowedByMetadataFilter(allowedDocuments, match.metadata)) return;
+      if (result.contextTexts.length >= topN) return;
 
       result.contextTexts.push(match.metadata.text);
       result.sourceDocuments.push(match);
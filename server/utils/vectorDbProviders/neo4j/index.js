@@ -0,0 +1,642 @@
+const crypto = require("crypto");
+const neo4j = require("neo4j-driver");
+const { TextSplitter } = require("../../TextSplitter");
+const { SystemSettings } = require("../../../models/systemSettings");
+const { storeVectorResult, cachedVectorInformation } = require("../../files");
+const { v4: uuidv4 } = require("uuid");
+const { toChunks, getEmbeddingEngineSelection } = require("../../helpers");
+const { sourceIdentifier } = require("../../chats");
+const {
+  resolveAllowedDocuments,
+  metadataFilterLimit,
+  allowedByMetadataFilter,
+} = require("../../helpers/metadataFilter");
+
+/**
+ * Neo4j driver instance
+ * @typedef {import('neo4j-driver').Driver} Neo4jClient
+ */
+
+const Neo4jDb = {
+  name: "Neo4j",
+  // Every chunk node carries this label so we can find all of our nodes
+  // regardless of which workspace they belong to. Each namespace also gets its
+  // own label so that it can have a dedicated vector index.
+  chunkLabel: "Chunk",
+  documentLabel: "Document",
+  // Knowledge graph entities extracted from chunks - see utils/KnowledgeGraph
+  entityLabel: "Entity",
+
+  /** @returns {Promise<{client: Neo4jClient}>} */
+  connect: async function () {
+    if (process.env.VECTOR_DB !== "neo4j")
+      throw new Error("Neo4j::Invalid ENV settings");
+
+    const client = neo4j.driver(
+      process.env.NEO4J_URI,
+      neo4j.auth.basic(
+        process.env.NEO4J_USERNAME || "neo4j",
+        process.env.NEO4J_PASSWORD || ""
+      ),
+      { disableLosslessIntegers: true }
+    );
+
+    const isAlive = await client
+      .getServerInfo()
+      .then(() => true)
+      .catch((e) => {
+        console.error("Neo4j::connect", e.message);
+        return false;
+      });
+    if (!isAlive) {
+      await client.close();
+      throw new Error(
+        "Neo4j::Invalid Heartbeat received - is the instance online?"
+      );
+    }
+
+    return { client };
+  },
+  heartbeat: async function () {
+    const { client } = await this.connect();
+    await client.close();
+    return { heartbeat: Number(new Date()) };
+  },
+  /**
+   * Runs a single cypher statement in its own session against the configured database.
+   * @param {Neo4jClient} client
+   * @param {string} cypher
+   * @param {object} params
+   * @returns {Promise<object[]>} - the records as plain objects
+   */
+  query: async function (client, cypher, params = {}) {
+    const session = client.session({
+      database: process.env.NEO4J_DATABASE || undefined,
+    });
+    try {
+      const result = await session.run(cypher, params);
+      return result.records.map((record) => record.toObject());
+    } finally {
+      await session.close();
+    }
+  },
+  /**
+   * Labels and index names cannot be parameterized in cypher so we derive
+   * them from the namespace and escape any backticks.
+   * @param {string} namespace
+   */
+  namespaceLabel: function (namespace) {
+    return `\`ns_${String(namespace).replace(/`/g, "")}\``;
+  },
+  indexName: function (namespace) {
+    // Sanitizing can map different namespaces to the same name, the hash keeps them apart.
+    const hash = crypto
+      .createHash("sha256")
+      .update(String(namespace))
+      .digest("hex")
+      .slice(0, 8);
+    return `anythingllm_${String(namespace).replace(/[^a-zA-Z0-9_]/g, "_")}_${hash}`;
+  },
+  /**
+   * Neo4j normalizes cosine scores to (1 + cosine) / 2, convert them back to
+   * a cosine similarity so thresholds mean the same as with other providers.
+   * @param {number} score
+   * @returns {number}
+   */
+  scoreToSimilarity: function (score = null) {
+    if (score === null || typeof score !== "number") return 0.0;
+    return 2 * score - 1;
+  },
+  /**
+   * Neo4j properties can only be primitives or arrays of primitives
+   * so anything else is stored as a JSON string.
+   * @param {object} metadata
+   * @returns {object}
+   */
+  toNodeProperties: function (metadata = {}) {
+    const properties = {};
+    for (const [key, value] of Object.entries(metadata)) {
+      if (value === null || value === undefined) continue;
+      if (["string", "number", "boolean"].includes(typeof value)) {
+        properties[key] = value;
+        continue;
+      }
+      properties[key] = JSON.stringify(value);
+    }
+    return properties;
+  },
+  totalVectors: async function () {
+    const { client } = await this.connect();
+    const [record] = await this.query(
+      client,
+      `MATCH (c:${this.chunkLabel}) RETURN count(c) AS count`
+    );
+    await client.close();
+    return record?.count || 0;
+  },
+  namespaceCount: async function (_namespace = null) {
+    const { client } = await this.connect();
+    const [record] = await this.query(
+      client,
+      `MATCH (c:${this.chunkLabel} {namespace: $namespace}) RETURN count(c) AS count`,
+      { namespace: _namespace }
+    );
+    await client.close();
+    return record?.count || 0;
+  },
+  /**
+   * Performs a SimilaritySearch on a given Neo4j namespace via its vector index.
+   * @param {Neo4jClient} client
+   * @param {string} namespace
+   * @param {number[]} queryVector
+   * @param {number} similarityThreshold
+   * @param {number} topN
+   * @param {string[]} filterIdentifiers
+   * @param {import("../../helpers/metadataFilter").AllowedDocuments|null} allowedDocuments - only chunks of these documents are returned, null to not filter
+   * @returns
+   */
+  similarityResponse: async function (
+    client,
+    namespace,
+    queryVector,
+    similarityThreshold = 0.25,
+    topN = 4,
+    filterIdentifiers = [],
+    allowedDocuments = null
+  ) {
+    const result = {
+      contextTexts: [],
+      sourceDocuments: [],
+      scores: [],
+    };
+
+    const responses = await this.query(
+      client,
+      `CALL db.index.vector.queryNodes($indexName, $topN, $queryVector)
+      YIELD node, score
+      RETURN node { .*, embedding: null } AS chunk, score`,
+      {
+        indexName: this.indexName(namespace),
+        topN: neo4j.int(metadataFilterLimit(topN, allowedDocuments)),
+        queryVector,
+      }
+    );
+
+    responses.forEach(({ chunk, score: rawScore }) => {
+      const score = this.scoreToSimilarity(rawScore);
+      if (score < similarityThreshold) return;
+      const { embedding: _, namespace: _ns, ...rest } = chunk;
+      if (filterIdentifiers.includes(sourceIdentifier(rest))) {
+        console.log(
+          "Neo4j: A source was filtered from context as it's parent document is pinned."
+        );
+        return;
+      }
+      if (!allowedByMetadataFilter(allowedDocuments, rest)) return;
+      if (result.contextTexts.length >= topN) return;
+
+      result.contextTexts.push(rest.text);
+      result.sourceDocuments.push({ ...rest, score });
+      result.scores.push(score);
+    });
+
+    return result;
+  },
+  /**
+   *
+   * @param {Neo4jClient} client
+   * @param {string} namespace
+   * @returns
+   */
+  namespace: async function (client, namespace = null) {
+    if (!namespace) throw new Error("No namespace value provided.");
+    const [index] = await this.query(
+      client,
+      `SHOW VECTOR INDEXES YIELD name, state, populationPercent, options
+      WHERE name = $indexName
+      RETURN name, state, populationPercent, options`,
+      { indexName: this.indexName(namespace) }
+    );
+    if (!index) return null;
+
+    const [record] = await this.query(
+      client,
+      `MATCH (c:${this.chunkLabel} {namespace: $namespace}) RETURN count(c) AS count`,
+      { namespace }
+    );
+    return {
+      name: namespace,
+      ...index,
+      vectorCount: record?.count || 0,
+    };
+  },
+  hasNamespace: async function (namespace = null) {
+    if (!namespace) return false;
+    const { client } = await this.connect();
+    const exists = await this.namespaceExists(client, namespace);
+    await client.close();
+    return exists;
+  },
+  /**
+   *
+   * @param {Neo4jClient} client
+   * @param {string} namespace
+   * @returns
+   */
+  namespaceExists: async function (client, namespace = null) {
+    if (!namespace) throw new Error("No namespace value provided.");
+    const indexes = await this.query(
+      client,
+      `SHOW VECTOR INDEXES YIELD name WHERE name = $indexName RETURN name`,
+      { indexName: this.indexName(namespace) }
+    );
+    return indexes.length > 0;
+  },
+  /**
+   *
+   * @param {Neo4jClient} client
+   * @param {string} namespace
+   * @returns
+   */
+  deleteVectorsInNamespace: async function (client, namespace = null) {
+    await this.query(
+      client,
+      `MATCH (n {namespace: $namespace})
+      WHERE n:${this.chunkLabel} OR n:${this.documentLabel} OR n:${this.entityLabel}
+      CALL { WITH n DETACH DELETE n } IN TRANSACTIONS OF 1000 ROWS`,
+      { namespace }
+    );
+    await this.query(
+      client,
+      `DROP INDEX ${this.indexName(namespace)} IF EXISTS`
+    );
+    return true;
+  },
+  // Neo4j vector indexes require the vector dimensions to be known on creation
+  // so we infer it from the first chunk like other providers do.
+  getOrCreateIndex: async function (client, namespace, dimensions = null) {
+    if (await this.namespaceExists(client, namespace)) return true;
+    if (!dimensions)
+      throw new Error(
+        `Neo4j:getOrCreateIndex Unable to infer vector dimension from input. Open an issue on Github for support.`
+      );
+
+    await this.query(
+      client,
+      `CREATE VECTOR INDEX ${this.indexName(namespace)} IF NOT EXISTS
+      FOR (c:${this.namespaceLabel(namespace)}) ON (c.embedding)
+      OPTIONS { indexConfig: {
+        \`vector.dimensions\`: toInteger($dimensions),
+        \`vector.similarity_function\`: 'cosine'
+      }}`,
+      { dimensions }
+    );
+    await this.query(client, `CALL db.awaitIndex($indexName, 300)`, {
+      indexName: this.indexName(namespace),
+    });
+    return true;
+  },
+  /**
+   * Writes chunk nodes into the namespace and links them to their parent document node.
+   * @param {Neo4jClient} client
+   * @param {string} namespace
+   * @param {string} docId
+   * @param {{id: string, vector: number[], text: string, metadata: object}[]} submissions
+   */
+  insertChunks: async function (client, namespace, docId, submissions = []) {
+    if (submissions.length === 0) return true;
+    const { text: _t, ...documentMetadata } = submissions[0].metadata;
+
+    await this.query(
+      client,
+      `MERGE (d:${this.documentLabel} {docId: $docId, namespace: $namespace})
+      SET d += $document`,
+      {
+        docId,
+        namespace,
+        document: this.toNodeProperties(documentMetadata),
+      }
+    );
+
+    for (const batch of toChunks(submissions, 500)) {
+      await this.query(
+        client,
+        `MATCH (d:${this.documentLabel} {docId: $docId, namespace: $namespace})
+        UNWIND $rows AS row
+        CREATE (c:${this.chunkLabel}:${this.namespaceLabel(namespace)})
+        SET c = row.properties,
+          c.id = row.id,
+          c.docId = $docId,
+          c.namespace = $namespace,
+          c.embedding = row.vector
+        CREATE (d)-[:HAS_CHUNK]->(c)`,
+        {
+          docId,
+          namespace,
+          rows: batch.map((submission) => ({
+            id: submission.id,
+            vector: submission.vector,
+            properties: this.toNodeProperties(submission.metadata),
+          })),
+        }
+      );
+    }
+    return true;
+  },
+  addDocumentToNamespace: async function (
+    namespace,
+    documentData = {},
+    fullFilePath = null,
+    skipCache = false
+  ) {
+    const { DocumentVectors } = require("../../../models/vectors");
+    let client = null;
+    try {
+      let vectorDimension = null;
+      const { pageContent, docId, ...metadata } = documentData;
+      if (!pageContent || pageContent.length == 0) return false;
+
+      console.log("Adding new vectorized document into namespace", namespace);
+      if (!skipCache) {
+        const cacheResult = await cachedVectorInformation(fullFilePath);
+        if (cacheResult.exists) {
+          ({ client } = await this.connect());
+          const { chunks } = cacheResult;
+          const documentVectors = [];
+          const submissions = [];
+          vectorDimension = chunks[0][0]?.values?.length ?? null;
+
+          for (const chunk of chunks) {
+            chunk.forEach((chunk) => {
+              const id = uuidv4();
+              const { id: _id, ...metadata } = chunk.metadata;
+              documentVectors.push({
+                docId,
+                vectorId: id,
+                text: metadata.text,
+              });
+              submissions.push({ id, vector: chunk.values, metadata });
+            });
+          }
+
+          await this.getOrCreateIndex(client, namespace, vectorDimension);
+          await this.insertChunks(client, namespace, docId, submissions);
+          await DocumentVectors.bulkInsert(documentVectors);
+          return { vectorized: true, error: null };
+        }
+      }
+
+      // If we are here then we are going to embed and store a novel document.
+      // We have to do this manually as opposed to using LangChains `Neo4jVectorStore.fromDocuments`
+      // because we then cannot atomically control our namespace to granularly find/remove documents
+      // from vectordb.
+      const EmbedderEngine = getEmbeddingEngineSelection();
+      const textSplitter = new TextSplitter({
+        chunkSize: TextSplitter.determineMaxChunkSize(
+          await SystemSettings.getValueOrFallback({
+            label: "text_splitter_chunk_size",
+          }),
+          EmbedderEngine?.embeddingMaxChunkLength
+        ),
+        chunkOverlap: await SystemSettings.getValueOrFallback(
+          { label: "text_splitter_chunk_overlap" },
+          20
+        ),
+        splitter: await TextSplitter.preferredSplitter(namespace),
+        splitByFilename: metadata?.title,
+        chunkHeaderMeta: {
+          sourceDocument: metadata?.title,
+          published: metadata?.published || "unknown",
+        },
+      });
+      const textChunks = await textSplitter.splitText(pageContent);
+
+      console.log("Chunks created from document:", textChunks.length);
+      const documentVectors = [];
+      const vectors = [];
+      const submissions = [];
+      const vectorValues = await EmbedderEngine.embedChunks(textChunks);
+
+      if (!!vectorValues && vectorValues.length > 0) {
+        for (const [i, vector] of vectorValues.entries()) {
+          if (!vectorDimension) vectorDimension = vector.length;
+          const vectorRecord = {
+            id: uuidv4(),
+            values: vector,
+            // [DO NOT REMOVE]
+            // LangChain will be unable to find your text if you embed manually and dont include the `text` key.
+            // https://github.com/hwchase17/langchainjs/blob/2def486af734c0ca87285a48f1a04c057ab74bdf/langchain/src/vectorstores/pinecone.ts#L64
+            metadata: { ...metadata, text: textChunks[i] },
+          };
+
+          vectors.push(vectorRecord);
+          submissions.push({
+            id: vectorRecord.id,
+            vector: vectorRecord.values,
+            metadata: vectorRecord.metadata,
+          });
+          documentVectors.push({
+            docId,
+            vectorId: vectorRecord.id,
+            text: textChunks[i],
+          });
+        }
+      } else {
+        throw new Error(
+          "Could not embed document chunks! This document will not be recorded."
+        );
+      }
+
+      if (vectors.length > 0) {
+        const chunks = [];
+        for (const chunk of toChunks(vectors, 500)) chunks.push(chunk);
+
+        console.log("Inserting vectorized chunks into Neo4j.");
+        ({ client } = await this.connect());
+        await this.getOrCreateIndex(client, namespace, vectorDimension);
+        await this.insertChunks(client, namespace, docId, submissions);
+        await storeVectorResult(chunks, fullFilePath);
+      }
+
+      await DocumentVectors.bulkInsert(documentVectors);
+      return { vectorized: true, error: null };
+    } catch (e) {
+      console.error("addDocumentToNamespace", e.message);
+      return { vectorized: false, error: e.message };
+    } finally {
+      if (client) await client.close();
+    }
+  },
+  deleteDocumentFromNamespace: async function (namespace, docId) {
+    const { DocumentVectors } = require("../../../models/vectors");
+    const { client } = await this.connect();
+    try {
+      if (!(await this.namespaceExists(client, namespace))) return;
+
+      const knownDocuments = await DocumentVectors.where({ docId });
+      if (knownDocuments.length === 0) return;
+
+      const vectorIds = knownDocuments.map((doc) => doc.vectorId);
+      await this.query(
+        client,
+        `MATCH (c:${this.chunkLabel} {namespace: $namespace})
+        WHERE c.id IN $vectorIds
+        DETACH DELETE c`,
+        { namespace, vectorIds }
+      );
+      await this.query(
+        client,
+        `MATCH (d:${this.documentLabel} {docId: $docId, namespace: $namespace})
+        DETACH DELETE d`,
+        { namespace, docId }
+      );
+      await this.pruneGraph(client, namespace, vectorIds);
+
+      const indexes = knownDocuments.map((doc) => doc.id);
+      await DocumentVectors.deleteIds(indexes);
+      return true;
+    } finally {
+      await client.close();
+    }
+  },
+  /**
+   * Removes knowledge graph relations that were only backed by the removed chunks
+   * and any entities that are no longer mentioned in a chunk.
+   * @param {Neo4jClient} client
+   * @param {string} namespace
+   * @param {string[]} vectorIds - ids of the chunks that were removed
+   */
+  pruneGraph: async function (client, namespace, vectorIds = []) {
+    await this.query(
+      client,
+      `MATCH (:${this.entityLabel} {namespace: $namespace})-[r:RELATED_TO]->()
+      WHERE any(id IN r.chunkIds WHERE id IN $vectorIds)
+      SET r.chunkIds = [id IN r.chunkIds WHERE NOT id IN $vectorIds]
+      WITH r WHERE size(r.chunkIds) = 0
+      DELETE r`,
+      { namespace, vectorIds }
+    );
+    await this.query(
+      client,
+      `MATCH (e:${this.entityLabel} {namespace: $namespace})
+      WHERE NOT (e)-[:MENTIONED_IN]->()
+      DETACH DELETE e`,
+      { namespace }
+    );
+    return true;
+  },
+  performSimilaritySearch: async function ({
+    namespace = null,
+    input = "",
+    LLMConnector = null,
+    similarityThreshold = 0.25,
+    topN = 4,
+    filterIdentifiers = [],
+    metadataFilter = null,
+    user = null,
+  }) {
+    if (!namespace || !input || !LLMConnector)
+      throw new Error("Invalid request to performSimilaritySearch.");
+
+    const { client } = await this.connect();
+    try {
+      if (!(await this.namespaceExists(client, namespace))) {
+        return {
+          contextTexts: [],
+          sources: [],
+          message: "Invalid query - no documents found for workspace!",
+        };
+      }
+
+      const allowedDocuments = await resolveAllowedDocuments(namespace, {
+        metadataFilter,
+        user,
+      });
+
+      const queryVector = await LLMConnector.embedTextInput(input);
+      const { contextTexts, sourceDocuments } = await this.similarityResponse(
+        client,
+        namespace,
+        queryVector,
+        similarityThreshold,
+        topN,
+        filterIdentifiers,
+        allowedDocuments
+      );
+
+      const sources = sourceDocuments.map((metadata, i) => {
+        return { ...metadata, text: contextTexts[i] };
+      });
+      return {
+        contextTexts,
+        sources: this.curateSources(sources),
+        message: false,
+      };
+    } finally {
+      await client.close();
+    }
+  },
+  "namespace-stats": async function (reqBody = {}) {
+    const { namespace = null } = reqBody;
+    if (!namespace) throw new Error("namespace required");
+    const { client } = await this.connect();
+    try {
+      if (!(await this.namespaceExists(client, namespace)))
+        throw new Error("Namespace by that name does not exist.");
+      const stats = await this.namespace(client, namespace);
+      return stats
+        ? stats
+        : { message: "No stats were able to be fetched from DB for namespace" };
+    } finally {
+      await client.close();
+    }
+  },
+  "delete-namespace": async function (reqBody = {}) {
+    const { namespace = null } = reqBody;
+    const { client } = await this.connect();
+    try {
+      if (!(await this.namespaceExists(client, namespace)))
+        throw new Error("Namespace by that name does not exist.");
+
+      const details = await this.namespace(client, namespace);
+      await this.deleteVectorsInNamespace(client, namespace);
+      return {
+        message: `Namespace ${namespace} was deleted along with ${details?.vectorCount} vectors.`,
+      };
+    } finally {
+      await client.close();
+    }
+  },
+  reset: async function () {
+    const { client } = await this.connect();
+    try {
+      const namespaces = await this.query(
+        client,
+        `MATCH (d:${this.documentLabel})
+        RETURN DISTINCT d.namespace AS namespace`
+      );
+      for (const { namespace } of namespaces)
+        await this.deleteVectorsInNamespace(client, namespace);
+      return { reset: true };
+    } finally {
+      await client.close();
+    }
+  },
+  curateSources: function (sources = []) {
+    const documents = [];
+    for (const source of sources) {
+      const { text, embedding: _e, ...rest } = source;
+      const metadata = rest.hasOwnProperty("metadata") ? rest.metadata : rest;
+      if (Object.keys(metadata).length > 0) {
+        documents.push({
+          ...metadata,
+          ...(text ? { text } : {}),
+        });
+      }
+    }
+
+    return documents;
+  },
+};
+
+module.exports.Neo4jDb = Neo4jDb;
@@ -5,6 +5,11 @@ const { storeVectorResult, cachedVectorInformation } = require("../../files");
 const { v4: uuidv4 } = require("uuid");
 const { toChunks, getEmbeddingEngineSelection } = require("../../helpers");
 const { sourceIdentifier } = require("../../chats");
+const {
+  resolveAllowedDocuments,
+  metadataFilterLimit,
+  allowedByMetadataFilter,
+} = require("../../helpers/metadataFilter");
 
 const PineconeDB = {
   name: "Pinecone",
@@ -42,7 +47,8 @@ const PineconeDB = {
     queryVector,
     similarityThreshold = 0.25,
     topN = 4,
-    filterIdentifiers = []
+    filterIdentifiers = [],
+    allowedDocuments = null
   ) {
     const result = {
       contextTexts: [],
@@ -53,7 +59,7 @@ const PineconeDB = {
     const pineconeNamespace = index.namespace(namespace);
     const response = await pineconeNamespace.query({
       vector: queryVector,
-      topK: topN,
+      topK: metadataFilterLimit(topN, allowedDocuments),
       includeMetadata: true,
     });
 
@@ -65,6 +71,8 @@ const PineconeDB = {
         );
         return;
       }
+      if (!allowedByMetadataFilter(allowedDocuments, match.metadata)) return;
+      if (result.contextTexts.length >= topN) return;
 
       result.contextTexts.push(match.metadata.text);
       result.sourceDocuments.push(match);
@@ -118,8 +126,12 @@ const PineconeDB = {
             // we need to assign the id of each chunk that is stored in the cached file.
             const newChunks = chunk.map((chunk) => {
               const id = uuidv4();
-              documentVectors.push({ docId, vectorId: id });
-              return { ...chunk, id };
+              documentVectors.push({
+                docId,
+                vectorId: id,
+                text: chunk.metadata?.text,
+              });
+              return { ...chunk, id, metadata: { ...chunk.metadata, docId } };
             });
             await pineconeNamespace.upsert([...newChunks]);
           }
@@ -146,6 +158,8 @@ const PineconeDB = {
           { label: "text_splitter_chunk_overlap" },
           20
         ),
+        splitter: await TextSplitter.preferredSplitter(namespace),
+        splitByFilename: metadata?.title,
         chunkHeaderMeta: {
           sourceDocument: metadata?.title,
           published: metadata?.published || "unknown",
@@ -166,11 +180,15 @@ const PineconeDB = {
             // [DO NOT REMOVE]
             // LangChain will be unable to find your text if you embed manually and dont include the `text` key.
             // https://github.com/hwchase17/langchainjs/blob/2def486af734c0ca87285a48f1a04c057ab74bdf/langchain/src/vectorstores/pinecone.ts#L64
-            metadata: { ...metadata, text: textChunks[i] },
+            metadata: { ...metadata, docId, text: textChunks[i] },
           };
 
           vectors.push(vectorRecord);
-          documentVectors.push({ docId, vectorId: vectorRecord.id });
+          documentVectors.push({
+            docId,
+            vectorId: vectorRecord.id,
+            text: textChunks[i],
+          });
         }
       } else {
         throw new Error(
@@ -246,6 +264,8 @@ const PineconeDB = {
     similarityThreshold = 0.25,
     topN = 4,
     filterIdentifiers = [],
+    metadataFilter = null,
+    user = null,
   }) {
     if (!namespace || !input || !LLMConnector)
       throw new Error("Invalid request to performSimilaritySearch.");
@@ -256,6 +276,11 @@ const PineconeDB = {
         "Invalid namespace - has it been collected and populated yet?"
       );
 
+    const allowedDocuments = await resolveAllowedDocuments(namespace, {
+      metadataFilter,
+      user,
+    });
+
     const queryVector = await LLMConnector.embedTextInput(input);
     const { contextTexts, sourceDocuments } = await this.similarityResponse(
       pineconeIndex,
@@ -263,7 +288,8 @@ const PineconeDB = {
       queryVector,
       similarityThreshold,
       topN,
-      filterIdentifiers
+      filterIdentifiers,
+      allowedDocuments
     );
 
     const sources = sourceDocuments.map((metadata, i) => {
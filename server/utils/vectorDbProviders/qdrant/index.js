@@ -5,6 +5,11 @@ const { storeVectorResult, cachedVectorInformation } = require("../../files");
 const { v4: uuidv4 } = require("uuid");
 const { toChunks, getEmbeddingEngineSelection } = require("../../helpers");
 const { sourceIdentifier } = require("../../chats");
+const {
+  resolveAllowedDocuments,
+  metadataFilterLimit,
+  allowedByMetadataFilter,
+} = require("../../helpers/metadataFilter");
 
 const QDrant = {
   name: "QDrant",
@@ -53,7 +58,8 @@ const QDrant = {
     queryVector,
     similarityThreshold = 0.25,
     topN = 4,
-    filterIdentifiers = []
+    filterIdentifiers = [],
+    allowedDocuments = null
   ) {
     const { client } = await this.connect();
     const result = {
@@ -64,7 +70,7 @@ const QDrant = {
 
     const responses = await client.search(namespace, {
       vector: queryVector,
-      limit: topN,
+      limit: metadataFilterLimit(topN, allowedDocuments),
       with_payload: true,
     });
 
@@ -76,6 +82,8 @@ const QDrant = {
         );
         return;
       }
+      if (!allowedByMetadataFilter(allowedDocuments, response?.payload)) return;
+      if (result.contextTexts.length >= topN) return;
 
       result.contextTexts.push(response?.payload?.text || "");
       result.sourceDocuments.push({
@@ -182,10 +190,14 @@ const QDrant = {
               const id = uuidv4();
               if (chunk?.payload?.hasOwnProperty("id")) {
                 const { id: _id, ...payload } = chunk.payload;
-                documentVectors.push({ docId, vectorId: id });
+                documentVectors.push({
+                  docId,
+                  vectorId: id,
+                  text: payload.text,
+                });
                 submission.ids.push(id);
                 submission.vectors.push(chunk.vector);
-                submission.payloads.push(payload);
+                submission.payloads.push({ ...payload, docId });
               } else {
                 console.error(
                   "The 'id' property is not defined in chunk.payload - it will be omitted from being inserted in QDrant collection."
@@ -222,6 +234,8 @@ const QDrant = {
           { label: "text_splitter_chunk_overlap" },
           20
         ),
+        splitter: await TextSplitter.preferredSplitter(namespace),
+        splitByFilename: metadata?.title,
         chunkHeaderMeta: {
           sourceDocument: metadata?.title,
           published: metadata?.published || "unknown",
@@ -248,7 +262,7 @@ const QDrant = {
             // [DO NOT REMOVE]
             // LangChain will be unable to find your text if you embed manually and dont include the `text` key.
             // https://github.com/hwchase17/langchainjs/blob/2def486af734c0ca87285a48f1a04c057ab74bdf/langchain/src/vectorstores/pinecone.ts#L64
-            payload: { ...metadata, text: textChunks[i] },
+            payload: { ...metadata, docId, text: textChunks[i] },
           };
 
           submission.ids.push(vectorRecord.id);
@@ -256,7 +270,11 @@ const QDrant = {
           submission.payloads.push(vectorRecord.payload);
 
           vectors.push(vectorRecord);
-          documentVectors.push({ docId, vectorId: vectorRecord.id });
+          documentVectors.push({
+            docId,
+            vectorId: vectorRecord.id,
+            text: textChunks[i],
+          });
         }
       } else {
         throw new Error(
@@ -327,6 +345,8 @@ const QDrant = {
     similarityThreshold = 0.25,
     topN = 4,
     filterIdentifiers = [],
+    metadataFilter = null,
+    user = null,
   }) {
     if (!namespace || !input || !LLMConnector)
       throw new Error("Invalid request to performSimilaritySearch.");
@@ -340,6 +360,11 @@ const QDrant = {
       };
     }
 
+    const allowedDocuments = await resolveAllowedDocuments(namespace, {
+      metadataFilter,
+      user,
+    });
+
     const queryVector = await LLMConnector.embedTextInput(input);
     const { contextTexts, sourceDocuments } = await this.similarityResponse(
       client,
@@ -347,7 +372,8 @@ const QDrant = {
       queryVector,
       similarityThreshold,
       topN,
-      filterIdentifiers
+      filterIdentifiers,
+      allowedDocuments
     );
 
     const sources = sourceDocuments.map((metadata, i) => {
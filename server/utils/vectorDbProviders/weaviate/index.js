@@ -6,6 +6,11 @@ const { v4: uuidv4 } = require("uuid");
 const { toChunks, getEmbeddingEngineSelection } = require("../../helpers");
 const { camelCase } = require("../../helpers/camelcase");
 const { sourceIdentifier } = require("../../chats");
+const {
+  resolveAllowedDocuments,
+  metadataFilterLimit,
+  allowedByMetadataFilter,
+} = require("../../helpers/metadataFilter");
 
 const Weaviate = {
   name: "Weaviate",
@@ -80,7 +85,8 @@ const Weaviate = {
     queryVector,
     similarityThreshold = 0.25,
     topN = 4,
-    filterIdentifiers = []
+    filterIdentifiers = [],
+    allowedDocuments = null
   ) {
     const result = {
       contextTexts: [],
@@ -96,7 +102,7 @@ const Weaviate = {
       .withClassName(camelCase(namespace))
       .withFields(`${fields} _additional { id certainty }`)
       .withNearVector({ vector: queryVector })
-      .withLimit(topN)
+      .withLimit(metadataFilterLimit(topN, allowedDocuments))
       .do();
 
     const responses = queryResponse?.data?.Get?.[camelCase(namespace)];
@@ -114,6 +120,8 @@ const Weaviate = {
         );
         return;
       }
+      if (!allowedByMetadataFilter(allowedDocuments, rest)) return;
+      if (result.contextTexts.length >= topN) return;
       result.contextTexts.push(rest.text);
       result.sourceDocuments.push({ ...rest, id });
       result.scores.push(certainty);
@@ -223,12 +231,16 @@ const Weaviate = {
               const flattenedMetadata = this.flattenObjectForWeaviate(
                 chunk.properties ?? chunk.metadata
               );
-              documentVectors.push({ docId, vectorId: id });
+              documentVectors.push({
+                docId,
+                vectorId: id,
+                text: flattenedMetadata.text,
+              });
               const vectorRecord = {
                 id,
                 class: camelCase(namespace),
                 vector: chunk.vector || chunk.values || [],
-                properties: { ...flattenedMetadata },
+                properties: { ...flattenedMetadata, docId },
               };
               vectors.push(vectorRecord);
             });
@@ -262,6 +274,8 @@ const Weaviate = {
           { label: "text_splitter_chunk_overlap" },
           20
         ),
+        splitter: await TextSplitter.preferredSplitter(namespace),
+        splitByFilename: metadata?.title,
         chunkHeaderMeta: {
           sourceDocument: metadata?.title,
           published: metadata?.published || "unknown",
@@ -289,7 +303,7 @@ const Weaviate = {
             // [DO NOT REMOVE]
             // LangChain will be unable to find your text if you embed manually and dont include the `text` key.
             // https://github.com/hwchase17/langchainjs/blob/5485c4af50c063e257ad54f4393fa79e0aff6462/langchain/src/vectorstores/weaviate.ts#L133
-            properties: { ...flattenedMetadata, text: textChunks[i] },
+            properties: { ...flattenedMetadata, docId, text: textChunks[i] },
           };
 
           submission.ids.push(vectorRecord.id);
@@ -297,7 +311,11 @@ const Weaviate = {
           submission.properties.push(metadata);
 
           vectors.push(vectorRecord);
-          documentVectors.push({ docId, vectorId: vectorRecord.id });
+          documentVectors.push({
+            docId,
+            vectorId: vectorRecord.id,
+            text: textChunks[i],
+          });
         }
       } else {
         throw new Error(
@@ -370,6 +388,8 @@ const Weaviate = {
     similarityThreshold = 0.25,
     topN = 4,
     filterIdentifiers = [],
+    metadataFilter = null,
+    user = null,
   }) {
     if (!namespace || !input || !LLMConnector)
       throw new Error("Invalid request to performSimilaritySearch.");
@@ -383,6 +403,11 @@ const Weaviate = {
       };
     }
 
+    const allowedDocuments = await resolveAllowedDocuments(namespace, {
+      metadataFilter,
+      user,
+    });
+
     const queryVector = await LLMConnector.embedTextInput(input);
     const { contextTexts, sourceDocuments } = await this.similarityResponse(
       client,
@@ -390,7 +415,8 @@ const Weaviate = {
       queryVector,
       similarityThreshold,
       topN,
-      filterIdentifiers
+      filterIdentifiers,
+      allowedDocuments
     );
 
     const sources = sourceDocuments.map((metadata, i) => {
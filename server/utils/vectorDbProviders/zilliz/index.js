@@ -10,6 +10,11 @@ const { v4: uuidv4 } = require("uuid");
 const { storeVectorResult, cachedVectorInformation } = require("../../files");
 const { toChunks, getEmbeddingEngineSelection } = require("../../helpers");
 const { sourceIdentifier } = require("../../chats");
+const {
+  resolveAllowedDocuments,
+  metadataFilterLimit,
+  allowedByMetadataFilter,
+} = require("../../helpers/metadataFilter");
 
 // Zilliz is basically a copy of Milvus DB class with a different constructor
 // to connect to the cloud
@@ -162,8 +167,16 @@ const Zilliz = {
             // we need to assign the id of each chunk that is stored in the cached file.
             const newChunks = chunk.map((chunk) => {
               const id = uuidv4();
-              documentVectors.push({ docId, vectorId: id });
-              return { id, vector: chunk.values, metadata: chunk.metadata };
+              documentVectors.push({
+                docId,
+                vectorId: id,
+                text: chunk.metadata?.text,
+              });
+              return {
+                id,
+                vector: chunk.values,
+                metadata: { ...chunk.metadata, docId },
+              };
             });
             const insertResult = await client.insert({
               collection_name: this.normalize(namespace),
@@ -196,6 +209,8 @@ const Zilliz = {
           { label: "text_splitter_chunk_overlap" },
           20
         ),
+        splitter: await TextSplitter.preferredSplitter(namespace),
+        splitByFilename: metadata?.title,
         chunkHeaderMeta: {
           sourceDocument: metadata?.title,
           published: metadata?.published || "unknown",
@@ -216,11 +231,15 @@ const Zilliz = {
             values: vector,
             // [DO NOT REMOVE]
             // LangChain will be unable to find your text if you embed manually and dont include the `text` key.
-            metadata: { ...metadata, text: textChunks[i] },
+            metadata: { ...metadata, docId, text: textChunks[i] },
           };
 
           vectors.push(vectorRecord);
-          documentVectors.push({ docId, vectorId: vectorRecord.id });
+          documentVectors.push({
+            docId,
+            vectorId: vectorRecord.id,
+            text: textChunks[i],
+          });
         }
       } else {
         throw new Error(
@@ -294,6 +313,8 @@ const Zilliz = {
     similarityThreshold = 0.25,
     topN = 4,
     filterIdentifiers = [],
+    metadataFilter = null,
+    user = null,
   }) {
     if (!namespace || !input || !LLMConnector)
       throw new Error("Invalid request to performSimilaritySearch.");
@@ -307,6 +328,11 @@ const Zilliz = {
       };
     }
 
+    const allowedDocuments = await resolveAllowedDocuments(namespace, {
+      metadataFilter,
+      user,
+    });
+
     const queryVector = await LLMConnector.embedTextInput(input);
     const { contextTexts, sourceDocuments } = await this.similarityResponse(
       client,
@@ -314,7 +340,8 @@ const Zilliz = {
       queryVector,
       similarityThreshold,
       topN,
-      filterIdentifiers
+      filterIdentifiers,
+      allowedDocuments
     );
 
     const sources = sourceDocuments.map((metadata, i) => {
@@ -332,7 +359,8 @@ const Zilliz = {
     queryVector,
     similarityThreshold = 0.25,
     topN = 4,
-    filterIdentifiers = []
+    filterIdentifiers = [],
+    allowedDocuments = null
   ) {
     const result = {
       contextTexts: [],
@@ -342,7 +370,7 @@ const Zilliz = {
     const response = await client.search({
       collection_name: this.normalize(namespace),
       vectors: queryVector,
-      limit: topN,
+      limit: metadataFilterLimit(topN, allowedDocuments),
     });
     response.results.forEach((match) => {
       if (match.score < similarityThreshold) return;
@@ -352,6 +380,8 @@ const Zilliz = {
         );
         return;
       }
+      if (!allowedByMetadataFilter(allowedDocuments, match.metadata)) return;
+      if (result.contextTexts.length >= topN) return;
       result.contextTexts.push(match.metadata.text);
       result.sourceDocuments.push(match);
       result.scores.push(match.score);
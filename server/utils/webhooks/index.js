@@ -0,0 +1,134 @@
+const crypto = require("crypto");
+const { Webhook } = require("../../models/webhooks");
+const { WebhookDelivery } = require("../../models/webhookDeliveries");
+const { safeJsonParse } = require("../http");
+
+const TIMEOUT_MS = 10_000;
+// Attempts before a delivery is marked as failed, the first included.
+const MAX_ATTEMPTS = 6;
+// Wait before the first retry, doubled after every failed attempt (30s, 1m, 2m, 4m, 8m).
+const RETRY_BASE_MS = 30_000;
+// A delivery being sent is not picked up by the retry job until this has passed.
+const ATTEMPT_LEASE_MS = 60_000;
+
+/**
+ * Sends events to the webhooks admins registered. Every event is saved as a delivery
+ * before it is sent so failed deliveries can be retried with backoff by the
+ * `retry-webhook-deliveries` background job, even when the process sending it exits.
+ *
+ * Requests are a POST of `{id, event, createdAt, data}` signed with the secret of the webhook:
+ * `X-AnythingLLM-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`
+ */
+class Webhooks {
+  static log(text, ...args) {
+    console.log(`\x1b[35m[Webhooks]\x1b[0m ${text}`, ...args);
+  }
+
+  /**
+   * Queues an event for every enabled webhook subscribed to it and sends it right away.
+   * Never throws and does not wait on the requests, so it is safe to call from anywhere.
+   * @param {string} event - eg: `document_uploaded`
+   * @param {Object} data - what happened, sent as `data` in the payload
+   * @returns {Promise<void>}
+   */
+  static async dispatch(event = "", data = {}) {
+    try {
+      const webhooks = (await Webhook.where({ enabled: true })).filter(
+        (webhook) => Webhook.subscribesTo(webhook, event)
+      );
+      for (const webhook of webhooks) {
+        const delivery = await WebhookDelivery.create(webhook.id, event, data);
+        if (!delivery) continue;
+        this.deliver({ ...delivery, webhook }).catch((e) =>
+          this.log(`Delivery ${delivery.uuid} errored. ${e.message}`)
+        );
+      }
+    } catch (e) {
+      this.log(`Failed to dispatch ${event}. ${e.message}`);
+    }
+  }
+
+  /**
+   * Makes one attempt at sending a delivery and records the outcome.
+   * @param {Object} delivery - webhook_deliveries record including its webhook
+   * @returns {Promise<Object|null>} the updated delivery
+   */
+  static async deliver(delivery) {
+    const attempts = delivery.attempts + 1;
+    await WebhookDelivery.update(delivery.id, {
+      nextAttemptAt: new Date(Date.now() + ATTEMPT_LEASE_MS),
+    });
+
+    let responseStatus = null;
+    let error = null;
+    try {
+      const secret = Webhook.secret(delivery.webhook);
+      if (!secret) throw new Error("The signing secret could not be read.");
+
+      const body = JSON.stringify({
+        id: delivery.uuid,
+        event: delivery.event,
+        createdAt: new Date(delivery.createdAt).toISOString(),
+        data: safeJsonParse(delivery.payload, {}),
+      });
+      const response = await fetch(delivery.webhook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "AnythingLLM-Webhooks",
+          "X-AnythingLLM-Event": delivery.event,
+          "X-AnythingLLM-Delivery": delivery.uuid,
+          "X-AnythingLLM-Signature": this.sign(body, secret),
+        },
+        body,
+        signal: AbortSignal.timeout(TIMEOUT_MS),
+      });
+      responseStatus = response.status;
+      if (!response.ok)
+        error = `Responded with status ${response.status}. ${(await response.text()).slice(0, 500)}`;
+    } catch (e) {
+      error = e.message;
+    }
+
+    if (!error)
+      return await WebhookDelivery.update(delivery.id, {
+        status: WebhookDelivery.statuses.success,
+        attempts,
+        responseStatus,
+        error: null,
+        nextAttemptAt: null,
+      });
+
+    const retry = attempts < MAX_ATTEMPTS;
+    this.log(
+      `Delivery ${delivery.uuid} of ${delivery.event} to ${delivery.webhook.name} failed (attempt ${attempts}/${MAX_ATTEMPTS}). ${error}`
+    );
+    return await WebhookDelivery.update(delivery.id, {
+      status: retry
+        ? WebhookDelivery.statuses.pending
+        : WebhookDelivery.statuses.failed,
+      attempts,
+      responseStatus,
+      error,
+      nextAttemptAt: retry
+        ? new Date(Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1))
+        : null,
+    });
+  }
+
+  /**
+   * @param {string} body - the raw request body
+   * @param {string} secret
+   * @param {number} timestamp - unix seconds
+   * @returns {string} the value of the signature header
+   */
+  static sign(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto
+      .createHmac("sha256", secret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex");
+    return `t=${timestamp},v1=${signature}`;
+  }
+}
+
+module.exports = { Webhooks, MAX_ATTEMPTS };